@@ -4,6 +4,8 @@ import {
   Routes,
   Route,
   Navigate,
+  Link,
+  useLocation,
 } from 'react-router-dom'
 import Dashboard from './components/Dashboard'
 import Sidebar from './components/Sidebar'
@@ -11,12 +13,26 @@ import Analytics from './pages/Analytics'
 import Scheduler from './pages/Scheduler'
 import IdeaGenerator from './pages/IdeaGenerator'
 import AccountsManager from './pages/AccountsManager'
+import Profile from './pages/Profile'
+import LinkedInCallback from './pages/LinkedInCallback'
+import MastodonCallback from './pages/MastodonCallback'
+import OAuthCallback from './pages/OAuthCallback'
+import Team from './pages/Team'
+import AcceptInvitation from './pages/AcceptInvitation'
+import FakeCheckout from './pages/FakeCheckout'
 import { PlatformProvider } from './context/PlatformContext'
 import { AuthProvider, useAuth } from './context/AuthContext'
+import { WorkspaceProvider } from './context/WorkspaceContext'
+import { useWorkspace } from './context/workspace'
 import AuthComponent from './components/auth/AuthComponent'
+import ResetPassword from './components/auth/ResetPassword'
+import VerifyEmail from './components/auth/VerifyEmail'
+import EmailVerificationBanner from './components/EmailVerificationBanner'
 
 const ProtectedLayout = ({ children }) => {
   const { user, loading } = useAuth()
+  const { workspace, workspaceId } = useWorkspace()
+  const location = useLocation()
   
   if (loading) {
     return (
@@ -28,14 +44,24 @@ const ProtectedLayout = ({ children }) => {
   }
   
   if (!user) {
-    return <Navigate to="/login" replace />
+    // Come back here after signing in, e.g. to accept an invitation
+    return <Navigate to="/login" replace state={{ from: location.pathname }} />
   }
   
   return (
     <div className="min-h-screen bg-gray-50">
       <Sidebar />
       <div className="md:ml-64 min-h-screen">
-        <main className="p-4 md:p-6">
+        {/* Remounted on workspace switch so pages load the new workspace's data */}
+        <main key={workspaceId || 'none'} className="p-4 md:p-6">
+          <EmailVerificationBanner />
+          {/* The server refuses this workspace's data until 2FA is on */}
+          {workspace?.requireTwoFactor && !(user.user || user).twoFactorEnabled && (
+            <div className="mb-4 p-3 bg-yellow-50 border border-yellow-200 text-yellow-800 rounded-lg text-sm">
+              {workspace.name} requires two-factor authentication.{' '}
+              <Link to="/profile" className="underline">Turn it on in your profile</Link> to continue.
+            </div>
+          )}
           {children}
         </main>
       </div>
@@ -45,13 +71,17 @@ const ProtectedLayout = ({ children }) => {
 
 const AppRoutes = () => {
   const { user } = useAuth()
+  const location = useLocation()
   
   return (
     <Routes>
       <Route
         path="/login"
-        element={!user ? <AuthComponent /> : <Navigate to="/" replace />}
+        element={!user ? <AuthComponent /> : <Navigate to={location.state?.from || '/'} replace />}
       />
+      {/* Links from emails; they work signed in or not */}
+      <Route path="/reset-password" element={<ResetPassword />} />
+      <Route path="/verify-email" element={<VerifyEmail />} />
       <Route
         path="/"
         element={
@@ -92,6 +122,62 @@ const AppRoutes = () => {
           </ProtectedLayout>
         }
       />
+      <Route
+        path="/accounts/linkedin/callback"
+        element={
+          <ProtectedLayout>
+            <LinkedInCallback />
+          </ProtectedLayout>
+        }
+      />
+      <Route
+        path="/accounts/mastodon/callback"
+        element={
+          <ProtectedLayout>
+            <MastodonCallback />
+          </ProtectedLayout>
+        }
+      />
+      <Route
+        path="/accounts/oauth/:platform/callback"
+        element={
+          <ProtectedLayout>
+            <OAuthCallback />
+          </ProtectedLayout>
+        }
+      />
+      <Route
+        path="/team"
+        element={
+          <ProtectedLayout>
+            <Team />
+          </ProtectedLayout>
+        }
+      />
+      <Route
+        path="/invitations/:token"
+        element={
+          <ProtectedLayout>
+            <AcceptInvitation />
+          </ProtectedLayout>
+        }
+      />
+      <Route
+        path="/profile"
+        element={
+          <ProtectedLayout>
+            <Profile />
+          </ProtectedLayout>
+        }
+      />
+      <Route
+        path="/billing/fake-checkout"
+        element={
+          <ProtectedLayout>
+            <FakeCheckout />
+          </ProtectedLayout>
+        }
+      />
       <Route path="*" element={<Navigate to="/" replace />} />
     </Routes>
   )
@@ -101,9 +187,11 @@ export function App() {
   return (
     <Router>
       <AuthProvider>
-        <PlatformProvider>
-          <AppRoutes />
-        </PlatformProvider>
+        <WorkspaceProvider>
+          <PlatformProvider>
+            <AppRoutes />
+          </PlatformProvider>
+        </WorkspaceProvider>
       </AuthProvider>
     </Router>
   )
@@ -0,0 +1,111 @@
+import React, { useEffect, useState } from "react";
+import axios from "axios";
+import { useNavigate } from "react-router-dom";
+import { useAuth } from "../context/AuthContext";
+import { MonitorIcon, LogOutIcon } from "lucide-react";
+
+// Rough browser and OS of a user agent, enough to tell devices apart
+const describeDevice = (userAgent) => {
+  if (!userAgent) return "Unknown device";
+  const browser = ["Edg", "Firefox", "Chrome", "Safari"].find((name) => userAgent.includes(`${name}/`));
+  const os = ["Windows", "Mac OS", "Android", "iPhone", "iPad", "Linux"].find((name) => userAgent.includes(name));
+  if (!browser && !os) return userAgent.slice(0, 60);
+  return [browser === "Edg" ? "Edge" : browser, os === "Mac OS" ? "macOS" : os].filter(Boolean).join(" on ");
+};
+
+// Devices signed in to the account, with sign-out per device or everywhere
+const ActiveSessions = () => {
+  const { logoutAll } = useAuth();
+  const navigate = useNavigate();
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+
+  const fetchSessions = async () => {
+    try {
+      const response = await axios.get("/api/auth/sessions");
+      setSessions(response.data);
+    } catch (err) {
+      setError(err.response?.data?.message || "Failed to load sessions");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchSessions();
+  }, []);
+
+  const handleRevoke = async (sessionId) => {
+    try {
+      setError("");
+      await axios.delete(`/api/auth/sessions/${sessionId}`);
+      setSessions((prev) => prev.filter((session) => session.id !== sessionId));
+    } catch (err) {
+      setError(err.response?.data?.message || "Failed to sign out the device");
+    }
+  };
+
+  const handleLogoutAll = async () => {
+    if (!window.confirm("Log out of all devices, including this one?")) return;
+    try {
+      await logoutAll();
+      navigate("/login");
+    } catch (err) {
+      setError(err.response?.data?.message || "Failed to log out of all devices");
+    }
+  };
+
+  return (
+    <section className="mt-6 bg-white rounded-xl shadow-sm border border-gray-200 p-4 sm:p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="flex items-center text-lg font-semibold text-gray-800">
+          <MonitorIcon size={18} className="mr-2" />
+          Sessions
+        </h2>
+        <button
+          onClick={handleLogoutAll}
+          className="px-3 py-1.5 text-sm text-red-600 border border-red-200 hover:bg-red-50 rounded-lg flex items-center"
+        >
+          <LogOutIcon size={14} className="mr-1" />
+          Log out all devices
+        </button>
+      </div>
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-50 border border-red-200 text-red-700 rounded-lg text-sm">{error}</div>
+      )}
+
+      {loading ? (
+        <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-blue-500"></div>
+      ) : (
+        <ul className="divide-y divide-gray-100">
+          {sessions.map((session) => (
+            <li key={session.id} className="py-3 flex items-center justify-between gap-2">
+              <div className="min-w-0">
+                <p className="text-sm font-medium text-gray-800">
+                  {describeDevice(session.userAgent)}
+                  {session.current && <span className="ml-2 text-xs text-green-600">This device</span>}
+                </p>
+                <p className="text-xs text-gray-500">
+                  {session.ip || "Unknown IP"} · signed in {new Date(session.createdAt).toLocaleDateString()} · last active{" "}
+                  {new Date(session.lastUsedAt).toLocaleString()}
+                </p>
+              </div>
+              {!session.current && (
+                <button
+                  onClick={() => handleRevoke(session.id)}
+                  className="text-sm text-red-600 hover:bg-red-50 px-2 py-1 rounded"
+                >
+                  Sign out
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  );
+};
+
+export default ActiveSessions;
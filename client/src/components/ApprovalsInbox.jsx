@@ -0,0 +1,265 @@
+import React, { useState, useEffect, useCallback } from "react";
+import axios from "axios";
+import { Clock, Inbox, ThumbsUp, ThumbsDown, MessageSquare, Send } from "lucide-react";
+
+const statusStyles = {
+  pending_review: "bg-yellow-100 text-yellow-700",
+  approved: "bg-green-100 text-green-700",
+  draft: "bg-red-100 text-red-700",
+};
+
+const statusLabels = {
+  pending_review: "In review",
+  approved: "Approved - needs a new date",
+  draft: "Changes requested",
+};
+
+// Review comments of one post, loaded when the thread is opened
+const ReviewComments = ({ postId, onError }) => {
+  const [comments, setComments] = useState(null);
+  const [text, setText] = useState("");
+  const [sending, setSending] = useState(false);
+
+  useEffect(() => {
+    const loadComments = async () => {
+      try {
+        const response = await axios.get(`/api/approvals/${postId}/comments`);
+        setComments(response.data.comments || []);
+      } catch (err) {
+        onError(err.response?.data?.message || "Failed to load comments");
+      }
+    };
+    loadComments();
+  }, [postId, onError]);
+
+  const sendComment = async (e) => {
+    e.preventDefault();
+    if (!text.trim()) return;
+
+    try {
+      setSending(true);
+      const response = await axios.post(`/api/approvals/${postId}/comments`, { text: text.trim() });
+      setComments((prev) => [...(prev || []), response.data]);
+      setText("");
+    } catch (err) {
+      onError(err.response?.data?.message || "Failed to add comment");
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <div className="mt-3 border-t border-gray-100 pt-3">
+      {comments === null ? (
+        <p className="text-xs text-gray-400">Loading comments...</p>
+      ) : comments.length === 0 ? (
+        <p className="text-xs text-gray-400">No comments yet</p>
+      ) : (
+        <ul className="space-y-2 mb-2">
+          {comments.map((comment) => (
+            <li key={comment._id} className="text-sm">
+              <span className="font-medium text-gray-700">{comment.authorName || "Someone"}</span>
+              <span className="ml-2 text-xs text-gray-400">{new Date(comment.createdAt).toLocaleString()}</span>
+              <p className="text-gray-600 whitespace-pre-wrap">{comment.text}</p>
+            </li>
+          ))}
+        </ul>
+      )}
+      <form onSubmit={sendComment} className="flex gap-2 mt-2">
+        <input
+          type="text"
+          className="flex-1 border border-gray-300 rounded-lg px-2 py-1 text-sm"
+          placeholder="Add a comment"
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+        />
+        <button
+          type="submit"
+          disabled={sending || !text.trim()}
+          className="p-2 text-blue-500 hover:text-blue-700 disabled:opacity-50"
+          title="Send comment"
+        >
+          <Send size={16} />
+        </button>
+      </form>
+    </div>
+  );
+};
+
+// Posts waiting for my review and the status of posts I submitted
+const ApprovalsInbox = ({ timezone, onError, onChanged, refreshKey }) => {
+  const [inbox, setInbox] = useState(null);
+  const [openComments, setOpenComments] = useState(null);
+  const [rejecting, setRejecting] = useState(null);
+  const [reason, setReason] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  const loadInbox = useCallback(async () => {
+    try {
+      const response = await axios.get("/api/approvals");
+      setInbox(response.data);
+    } catch (err) {
+      onError(err.response?.data?.message || "Failed to load approvals");
+    }
+  }, [onError]);
+
+  useEffect(() => {
+    loadInbox();
+  }, [loadInbox, refreshKey]);
+
+  const decide = async (postId, action, body = {}) => {
+    try {
+      setBusy(true);
+      await axios.post(`/api/approvals/${postId}/${action}`, body);
+      setRejecting(null);
+      setReason("");
+      await loadInbox();
+      onChanged?.();
+    } catch (err) {
+      onError(err.response?.data?.message || `Failed to ${action} post`);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const formatDate = (dateString) =>
+    new Date(dateString).toLocaleString([], { timeZone: timezone, dateStyle: "medium", timeStyle: "short" });
+
+  if (!inbox) {
+    return (
+      <div className="p-8 flex items-center justify-center">
+        <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-blue-500"></div>
+      </div>
+    );
+  }
+
+  const renderPost = (post, actions, meta) => (
+    <div key={post._id} className="p-4">
+      <div className="flex items-start justify-between">
+        <div className="flex-1 mr-4 min-w-0">
+          <p className="text-gray-800 mb-2 whitespace-pre-wrap">{post.content}</p>
+          <div className="flex items-center text-xs text-gray-500 flex-wrap gap-2">
+            <span className="flex items-center">
+              <Clock size={12} className="mr-1" />
+              {formatDate(post.scheduledDate)}
+            </span>
+            {post.accountId && (
+              <span className="bg-gray-100 px-2 py-1 rounded capitalize">
+                {post.accountId.platform} @{post.accountId.username}
+              </span>
+            )}
+            {meta}
+          </div>
+          {post.approval?.status === "rejected" && post.approval.rejectionReason && (
+            <div className="mt-2 p-2 bg-red-50 border border-red-200 rounded text-sm text-red-700">
+              <strong>Rejected:</strong> {post.approval.rejectionReason}
+            </div>
+          )}
+          {rejecting === post._id && (
+            <div className="mt-3">
+              <textarea
+                className="w-full border border-gray-300 rounded-lg p-2 text-sm"
+                rows={2}
+                placeholder="Why is this post rejected?"
+                value={reason}
+                onChange={(e) => setReason(e.target.value)}
+              />
+              <div className="flex gap-2 mt-2">
+                <button
+                  onClick={() => decide(post._id, "reject", { reason })}
+                  disabled={busy || !reason.trim()}
+                  className="px-3 py-1 bg-red-500 hover:bg-red-600 text-white rounded-lg text-sm disabled:opacity-50"
+                >
+                  Reject
+                </button>
+                <button
+                  onClick={() => {
+                    setRejecting(null);
+                    setReason("");
+                  }}
+                  className="px-3 py-1 border border-gray-300 rounded-lg text-sm"
+                >
+                  Cancel
+                </button>
+              </div>
+            </div>
+          )}
+          {openComments === post._id && <ReviewComments postId={post._id} onError={onError} />}
+        </div>
+        <div className="flex items-center gap-1">
+          {actions}
+          <button
+            onClick={() => setOpenComments(openComments === post._id ? null : post._id)}
+            className="p-2 text-gray-400 hover:text-blue-500"
+            title="Comments"
+          >
+            <MessageSquare size={18} />
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+
+  return (
+    <div>
+      <h3 className="px-4 pt-4 text-sm font-medium text-gray-700">Waiting for your review</h3>
+      {inbox.toReview.length === 0 ? (
+        <div className="p-8 text-center text-gray-500">
+          <Inbox size={48} className="mx-auto mb-4 text-gray-300" />
+          <p>Nothing to review right now.</p>
+        </div>
+      ) : (
+        <div className="divide-y divide-gray-200">
+          {inbox.toReview.map((post) =>
+            renderPost(
+              post,
+              <>
+                <button
+                  onClick={() => decide(post._id, "approve")}
+                  disabled={busy}
+                  className="p-2 text-gray-400 hover:text-green-500"
+                  title="Approve"
+                >
+                  <ThumbsUp size={18} />
+                </button>
+                <button
+                  onClick={() => setRejecting(post._id)}
+                  disabled={busy}
+                  className="p-2 text-gray-400 hover:text-red-500"
+                  title="Reject"
+                >
+                  <ThumbsDown size={18} />
+                </button>
+              </>,
+              post.userId && <span>by {post.userId.name || post.userId.email}</span>
+            )
+          )}
+        </div>
+      )}
+
+      <h3 className="px-4 pt-4 text-sm font-medium text-gray-700 border-t border-gray-200">Your submissions</h3>
+      {inbox.submitted.length === 0 ? (
+        <p className="p-4 text-sm text-gray-500">You have no posts in review.</p>
+      ) : (
+        <div className="divide-y divide-gray-200">
+          {inbox.submitted.map((post) =>
+            renderPost(
+              post,
+              null,
+              <>
+                <span className={`px-2 py-1 rounded-full ${statusStyles[post.status] || statusStyles.pending_review}`}>
+                  {statusLabels[post.status] || post.status}
+                </span>
+                {post.approval?.reviewerId && (
+                  <span>reviewer: {post.approval.reviewerId.name || post.approval.reviewerId.email}</span>
+                )}
+              </>
+            )
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ApprovalsInbox;
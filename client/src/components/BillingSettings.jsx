@@ -0,0 +1,138 @@
+import React, { useEffect, useState } from "react";
+import axios from "axios";
+import { useSearchParams } from "react-router-dom";
+import { CreditCardIcon, ExternalLinkIcon } from "lucide-react";
+
+// Plan and subscription: checkout for paid plans, the provider's portal to change or cancel
+const BillingSettings = () => {
+  const [searchParams] = useSearchParams();
+  const [billing, setBilling] = useState(null);
+  const [plans, setPlans] = useState([]);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+  // Back from checkout; the plan changes when the provider's webhook arrives
+  const returnedFrom = searchParams.get("billing");
+
+  useEffect(() => {
+    const fetchBilling = async () => {
+      try {
+        const [billingResponse, plansResponse] = await Promise.all([
+          axios.get("/api/billing"),
+          axios.get("/api/usage/plans"),
+        ]);
+        setBilling(billingResponse.data);
+        setPlans(plansResponse.data);
+      } catch (err) {
+        setError(err.response?.data?.message || "Failed to load billing");
+      }
+    };
+    fetchBilling();
+  }, []);
+
+  // Go to a page hosted by the billing provider
+  const redirectTo = async (request) => {
+    try {
+      setBusy(true);
+      setError("");
+      const response = await request();
+      window.location.assign(response.data.url);
+    } catch (err) {
+      setError(err.response?.data?.message || "Something went wrong");
+      setBusy(false);
+    }
+  };
+
+  if (!billing) {
+    return error ? (
+      <div className="mt-6 p-3 bg-red-50 border border-red-200 text-red-700 rounded-lg text-sm">{error}</div>
+    ) : null;
+  }
+
+  const { plan, subscription, provider } = billing;
+
+  return (
+    <section id="billing" className="mt-6 bg-white rounded-xl shadow-sm border border-gray-200 p-4 sm:p-6 space-y-4">
+      <div className="flex items-center justify-between">
+        <h2 className="flex items-center text-lg font-semibold text-gray-800">
+          <CreditCardIcon size={18} className="mr-2" />
+          Plan and billing
+        </h2>
+        <span className="text-sm text-gray-600">{plan.label}</span>
+      </div>
+
+      {returnedFrom === "success" && (
+        <div className="p-3 bg-green-50 border border-green-200 text-green-700 rounded-lg text-sm">
+          Thanks! Your plan is updated as soon as the payment is confirmed.
+        </div>
+      )}
+      {returnedFrom === "cancelled" && (
+        <div className="p-3 bg-gray-50 border border-gray-200 text-gray-600 rounded-lg text-sm">
+          Checkout was cancelled; your plan hasn't changed.
+        </div>
+      )}
+      {error && (
+        <div className="p-3 bg-red-50 border border-red-200 text-red-700 rounded-lg text-sm">{error}</div>
+      )}
+      {!provider && (
+        <p className="text-sm text-gray-500">Plans can't be bought on this server yet.</p>
+      )}
+
+      {subscription ? (
+        <div className="flex flex-wrap items-center justify-between gap-2">
+          <p className="text-sm text-gray-600">
+            Subscription {subscription.status.replace("_", " ")}
+            {subscription.currentPeriodEnd &&
+              ` · ${subscription.cancelAtPeriodEnd ? "ends" : "renews"} ${new Date(
+                subscription.currentPeriodEnd
+              ).toLocaleDateString()}`}
+          </p>
+          <button
+            onClick={() => redirectTo(() => axios.post("/api/billing/portal"))}
+            disabled={busy}
+            className="px-4 py-2 border border-gray-300 rounded-lg flex items-center hover:bg-gray-50 disabled:opacity-50"
+          >
+            <ExternalLinkIcon size={14} className="mr-2" />
+            Manage subscription
+          </button>
+        </div>
+      ) : (
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+          {plans.map((item) => (
+            <div
+              key={item.name}
+              className={`p-4 rounded-lg border ${item.name === plan.name ? "border-blue-400 bg-blue-50" : "border-gray-200"}`}
+            >
+              <h3 className="font-semibold text-gray-800">{item.label}</h3>
+              <p className="text-sm text-gray-600 mb-2">${item.price}/month</p>
+              <ul className="text-xs text-gray-500 space-y-0.5 mb-3">
+                <li>{item.limits.posts} posts a month</li>
+                <li>{item.limits.ideas} idea generations a month</li>
+                <li>{formatStorage(item.limits.storageMB)} media storage</li>
+                <li>{item.limits.accounts} social accounts</li>
+                <li>{item.limits.seats === null ? "Unlimited" : item.limits.seats} team seats</li>
+              </ul>
+              {item.name === plan.name ? (
+                <span className="text-sm text-blue-600">Current plan</span>
+              ) : (
+                provider &&
+                item.price > 0 && (
+                  <button
+                    onClick={() => redirectTo(() => axios.post("/api/billing/checkout", { plan: item.name }))}
+                    disabled={busy}
+                    className="px-3 py-1.5 text-sm bg-blue-500 hover:bg-blue-600 text-white rounded-lg disabled:opacity-50"
+                  >
+                    Upgrade
+                  </button>
+                )
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </section>
+  );
+};
+
+const formatStorage = (megabytes) => (megabytes >= 1024 ? `${megabytes / 1024} GB` : `${megabytes} MB`);
+
+export default BillingSettings;
@@ -11,6 +11,7 @@ import {
 import { usePlatform } from '../context/PlatformContext'
 import { useAuth } from '../context/AuthContext'
 import PlatformStats from './PlatformStats'
+import PlanUsage from './PlanUsage'
 import axios from 'axios'
 
 const Dashboard = () => {
@@ -133,6 +134,8 @@ const Dashboard = () => {
         />
       )}
 
+      <PlanUsage />
+
       <div className="mt-8 grid grid-cols-1 md:grid-cols-3 gap-6">
         <Link
           to="/analytics"
@@ -0,0 +1,44 @@
+import React, { useState } from 'react'
+import axios from 'axios'
+import { useAuth } from '../context/AuthContext'
+
+// Reminder to verify the email address, with a button to send the link again
+const EmailVerificationBanner = () => {
+  const { user } = useAuth()
+  const [message, setMessage] = useState('')
+  const [sending, setSending] = useState(false)
+  const profile = user?.user || user
+
+  if (!profile || profile.emailVerified !== false) {
+    return null
+  }
+
+  const handleResend = async () => {
+    try {
+      setSending(true)
+      const response = await axios.post('/api/auth/email/resend')
+      setMessage(response.data.message)
+    } catch (err) {
+      setMessage(err.response?.data?.message || 'Failed to send the verification email')
+    } finally {
+      setSending(false)
+    }
+  }
+
+  return (
+    <div className="mb-4 p-3 bg-blue-50 border border-blue-200 text-blue-800 rounded-lg text-sm flex flex-wrap items-center justify-between gap-2">
+      <span>{message || `Please verify your email address. We sent a link to ${profile.email}.`}</span>
+      {!message && (
+        <button
+          onClick={handleResend}
+          disabled={sending}
+          className="underline disabled:opacity-50"
+        >
+          {sending ? 'Sending...' : 'Send it again'}
+        </button>
+      )}
+    </div>
+  )
+}
+
+export default EmailVerificationBanner
@@ -0,0 +1,103 @@
+import React, { useEffect, useState } from 'react'
+import { Link } from 'react-router-dom'
+import axios from 'axios'
+import { GaugeIcon } from 'lucide-react'
+import { useWorkspace } from '../context/workspace'
+
+const MB = 1024 * 1024
+
+// Plan limits and how much of them is used in the current billing period
+const PlanUsage = () => {
+  const { workspaceId } = useWorkspace()
+  const [report, setReport] = useState(null)
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    const fetchUsage = async () => {
+      try {
+        const response = await axios.get('/api/usage')
+        setReport(response.data)
+        setError('')
+      } catch (err) {
+        setError(err.response?.data?.message || 'Failed to load plan usage')
+      }
+    }
+    fetchUsage()
+  }, [workspaceId])
+
+  if (error) {
+    return (
+      <div className="mt-8 p-4 bg-red-50 border border-red-200 text-red-700 rounded-xl text-sm">{error}</div>
+    )
+  }
+  if (!report) {
+    return null
+  }
+
+  const { plan, period, usage, workspaceOwner } = report
+  const ownerNote = workspaceOwner.self ? '' : ` (${workspaceOwner.name}'s ${workspaceOwner.plan} plan)`
+
+  return (
+    <div className="mt-8 bg-white p-6 rounded-xl shadow-sm border border-gray-200">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="flex items-center text-lg font-semibold">
+          <GaugeIcon size={20} className="mr-2 text-gray-500" />
+          {plan.label} plan
+        </h2>
+        {period.end && (
+          <span className="text-sm text-gray-500">
+            Resets {new Date(period.end).toLocaleDateString()}
+          </span>
+        )}
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-x-8 gap-y-4">
+        <UsageBar
+          label="Posts this period"
+          used={usage.posts.used + usage.posts.reserved}
+          limit={usage.posts.limit}
+          detail={usage.posts.reserved ? `${usage.posts.reserved} scheduled` : ''}
+        />
+        <UsageBar label="Idea generations this period" used={usage.ideas.used} limit={usage.ideas.limit} />
+        <UsageBar
+          label="Media storage"
+          used={usage.storage.used}
+          limit={usage.storage.limit}
+          format={bytes => `${(bytes / MB).toFixed(bytes < 10 * MB ? 1 : 0)} MB`}
+        />
+        <UsageBar label={`Social accounts${ownerNote}`} used={usage.accounts.used} limit={usage.accounts.limit} />
+        <UsageBar label={`Team seats${ownerNote}`} used={usage.seats.used} limit={usage.seats.limit} />
+      </div>
+
+      {plan.name !== 'enterprise' && (
+        <p className="mt-4 text-sm text-gray-500">
+          Need more?{' '}
+          <Link to="/profile#billing" className="text-blue-500 hover:underline">Upgrade your plan</Link>
+        </p>
+      )}
+    </div>
+  )
+}
+
+// One limit; a null limit is unlimited
+const UsageBar = ({ label, used, limit, detail = '', format = value => value }) => {
+  const percent = limit ? Math.min(100, Math.round((used / limit) * 100)) : 0
+  const color = percent >= 100 ? 'bg-red-500' : percent >= 80 ? 'bg-yellow-500' : 'bg-blue-500'
+
+  return (
+    <div>
+      <div className="flex justify-between text-sm mb-1">
+        <span className="text-gray-700">{label}</span>
+        <span className="text-gray-500">
+          {format(used)} / {limit === null ? 'Unlimited' : format(limit)}
+          {detail && ` · ${detail}`}
+        </span>
+      </div>
+      <div className="h-2 bg-gray-100 rounded-full overflow-hidden">
+        <div className={`h-full ${color}`} style={{ width: `${percent}%` }} />
+      </div>
+    </div>
+  )
+}
+
+export default PlanUsage
@@ -0,0 +1,122 @@
+import React, { useState, useEffect, useCallback } from "react";
+import axios from "axios";
+import { CheckCircle, XCircle, Clock, Loader, Trash2, Share2 } from "lucide-react";
+
+const statusStyles = {
+  scheduled: "bg-blue-100 text-blue-700",
+  publishing: "bg-yellow-100 text-yellow-700",
+  published: "bg-green-100 text-green-700",
+  partially_published: "bg-orange-100 text-orange-700",
+  failed: "bg-red-100 text-red-700",
+  cancelled: "bg-gray-100 text-gray-500",
+};
+
+const targetIcons = {
+  scheduled: <Clock size={14} className="text-blue-500" />,
+  publishing: <Loader size={14} className="text-yellow-500 animate-spin" />,
+  published: <CheckCircle size={14} className="text-green-500" />,
+  failed: <XCircle size={14} className="text-red-500" />,
+  cancelled: <XCircle size={14} className="text-gray-400" />,
+};
+
+// Cross-post groups with the publish status of every target account
+const PostGroups = ({ accounts, timezone, onError, refreshKey }) => {
+  const [groups, setGroups] = useState(null);
+
+  const loadGroups = useCallback(async () => {
+    try {
+      const response = await axios.get("/api/scheduler/groups");
+      setGroups(response.data.groups || []);
+    } catch (err) {
+      onError(err.response?.data?.message || "Failed to load post groups");
+    }
+  }, [onError]);
+
+  useEffect(() => {
+    loadGroups();
+  }, [loadGroups, refreshKey]);
+
+  const deleteGroup = async (groupId) => {
+    if (!window.confirm("Delete this group? Targets that have not been published yet will be cancelled.")) return;
+
+    try {
+      await axios.delete(`/api/scheduler/groups/${groupId}`);
+      setGroups((prev) => prev.filter((group) => group._id !== groupId));
+    } catch (err) {
+      onError(err.response?.data?.message || "Failed to delete post group");
+    }
+  };
+
+  const accountName = (accountId) => {
+    const account = accounts.find((acc) => acc._id === accountId);
+    return account ? `@${account.username}` : "Removed account";
+  };
+
+  if (!groups) {
+    return (
+      <div className="p-8 flex items-center justify-center">
+        <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-blue-500"></div>
+      </div>
+    );
+  }
+
+  if (groups.length === 0) {
+    return (
+      <div className="p-8 text-center text-gray-500">
+        <Share2 size={48} className="mx-auto mb-4 text-gray-300" />
+        <p>No cross-posts yet. Pick more than one account when scheduling a post.</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="divide-y divide-gray-200">
+      {groups.map((group) => (
+        <div key={group._id} className="p-4">
+          <div className="flex items-start justify-between">
+            <div className="flex-1 mr-4 min-w-0">
+              <p className="text-gray-800 mb-2">{group.content}</p>
+              <p className="text-xs text-gray-500 flex items-center mb-2">
+                <Clock size={12} className="mr-1" />
+                {new Date(group.scheduledDate).toLocaleString([], {
+                  timeZone: timezone,
+                  dateStyle: "medium",
+                  timeStyle: "short",
+                })}
+              </p>
+              <div className="flex flex-wrap gap-2">
+                {group.targets.map((target) => (
+                  <span
+                    key={`${target.accountId}-${target.platform}`}
+                    className="flex items-center text-xs bg-gray-50 border border-gray-200 px-2 py-1 rounded"
+                    title={target.publishError || target.status}
+                  >
+                    {targetIcons[target.status] || targetIcons.scheduled}
+                    <span className="ml-1 capitalize">{target.platform}</span>
+                    <span className="ml-1 text-gray-500">{accountName(target.accountId)}</span>
+                  </span>
+                ))}
+              </div>
+            </div>
+            <div className="flex items-center gap-2">
+              <span className={`text-xs px-2 py-1 rounded-full capitalize ${statusStyles[group.status] || statusStyles.scheduled}`}>
+                {group.status.replace("_", " ")}
+              </span>
+              {group.status !== "publishing" && (
+                <button
+                  onClick={() => deleteGroup(group._id)}
+                  className="p-1 text-gray-400 hover:text-red-500"
+                  title="Delete group"
+                >
+                  <Trash2 size={16} />
+                </button>
+              )}
+            </div>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default PostGroups;
@@ -0,0 +1,216 @@
+import React, { useState, useEffect, useCallback } from "react";
+import axios from "axios";
+import { ArrowUp, ArrowDown, Plus, X, Clock, Save } from "lucide-react";
+
+const weekdayNames = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+
+const timeZones = typeof Intl.supportedValuesOf === "function" ? Intl.supportedValuesOf("timeZone") : ["UTC"];
+
+// Queue view for one account: weekly slot editor plus queued posts in slot order
+const PostQueue = ({ account, onError }) => {
+  const [queue, setQueue] = useState(null);
+  const [timezone, setTimezone] = useState("UTC");
+  const [slots, setSlots] = useState([]);
+  const [newSlot, setNewSlot] = useState({ weekday: 1, time: "09:00" });
+  const [saving, setSaving] = useState(false);
+  const [scheduleDirty, setScheduleDirty] = useState(false);
+
+  const accountId = account?._id;
+
+  const loadQueue = useCallback(async () => {
+    if (!accountId) return;
+    try {
+      const response = await axios.get(`/api/scheduler/queue?accountId=${accountId}&slots=5`);
+      setQueue(response.data);
+      setTimezone(response.data.timezone || "UTC");
+      setSlots(response.data.slots || []);
+      setScheduleDirty(false);
+    } catch (err) {
+      onError(err.response?.data?.message || "Failed to load queue");
+    }
+  }, [accountId, onError]);
+
+  useEffect(() => {
+    loadQueue();
+  }, [loadQueue]);
+
+  const formatSlot = (dateString) =>
+    new Date(dateString).toLocaleString([], {
+      timeZone: timezone,
+      weekday: "short",
+      month: "short",
+      day: "numeric",
+      hour: "2-digit",
+      minute: "2-digit",
+    });
+
+  const addSlot = () => {
+    const exists = slots.some((slot) => slot.weekday === newSlot.weekday && slot.time === newSlot.time);
+    if (exists) return;
+    setSlots((prev) =>
+      [...prev, newSlot].sort((a, b) => a.weekday - b.weekday || a.time.localeCompare(b.time))
+    );
+    setScheduleDirty(true);
+  };
+
+  const removeSlot = (index) => {
+    setSlots((prev) => prev.filter((_, i) => i !== index));
+    setScheduleDirty(true);
+  };
+
+  const saveSchedule = async () => {
+    try {
+      setSaving(true);
+      await axios.put(`/api/accounts/${accountId}/schedule`, { timezone, slots });
+      await loadQueue();
+    } catch (err) {
+      onError(err.response?.data?.message || "Failed to save posting schedule");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const movePost = async (index, direction) => {
+    const posts = [...queue.posts];
+    const target = index + direction;
+    if (target < 0 || target >= posts.length) return;
+
+    [posts[index], posts[target]] = [posts[target], posts[index]];
+    try {
+      setSaving(true);
+      await axios.put("/api/scheduler/queue/order", {
+        accountId,
+        postIds: posts.map((post) => post._id),
+      });
+      await loadQueue();
+    } catch (err) {
+      onError(err.response?.data?.message || "Failed to reorder queue");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!account) {
+    return <div className="p-8 text-center text-gray-500">Select an account to see its queue</div>;
+  }
+
+  if (!queue) {
+    return (
+      <div className="p-8 flex items-center justify-center">
+        <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-blue-500"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-3 gap-0 lg:divide-x divide-gray-200">
+      <div className="p-4">
+        <h3 className="font-medium mb-3">Posting Schedule</h3>
+        <label className="block text-sm text-gray-600 mb-1">Time zone</label>
+        <select
+          className="w-full border border-gray-300 rounded-lg p-2 text-sm mb-3"
+          value={timezone}
+          onChange={(e) => {
+            setTimezone(e.target.value);
+            setScheduleDirty(true);
+          }}
+        >
+          {!timeZones.includes(timezone) && <option value={timezone}>{timezone}</option>}
+          {timeZones.map((zone) => (
+            <option key={zone} value={zone}>{zone}</option>
+          ))}
+        </select>
+
+        <div className="space-y-1 mb-3">
+          {slots.length === 0 && <p className="text-sm text-gray-500">No slots yet</p>}
+          {slots.map((slot, index) => (
+            <div key={`${slot.weekday}-${slot.time}`} className="flex items-center justify-between text-sm bg-gray-50 rounded px-2 py-1">
+              <span>{weekdayNames[slot.weekday]} {slot.time}</span>
+              <button onClick={() => removeSlot(index)} className="text-gray-400 hover:text-red-500" title="Remove slot">
+                <X size={14} />
+              </button>
+            </div>
+          ))}
+        </div>
+
+        <div className="flex gap-2 mb-3">
+          <select
+            className="flex-1 border border-gray-300 rounded-lg p-2 text-sm"
+            value={newSlot.weekday}
+            onChange={(e) => setNewSlot({ ...newSlot, weekday: parseInt(e.target.value) })}
+          >
+            {weekdayNames.map((name, day) => (
+              <option key={name} value={day}>{name}</option>
+            ))}
+          </select>
+          <input
+            type="time"
+            className="border border-gray-300 rounded-lg p-2 text-sm"
+            value={newSlot.time}
+            onChange={(e) => setNewSlot({ ...newSlot, time: e.target.value })}
+          />
+          <button onClick={addSlot} className="p-2 border border-gray-300 rounded-lg hover:bg-gray-50" title="Add slot">
+            <Plus size={16} />
+          </button>
+        </div>
+
+        <button
+          onClick={saveSchedule}
+          disabled={!scheduleDirty || saving}
+          className="w-full px-3 py-2 bg-blue-500 text-white rounded-lg hover:bg-blue-600 disabled:opacity-50 flex items-center justify-center"
+        >
+          <Save size={16} className="mr-1" />
+          Save Schedule
+        </button>
+      </div>
+
+      <div className="lg:col-span-2 p-4">
+        <h3 className="font-medium mb-3">Queue ({queue.posts.length})</h3>
+        <div className="space-y-2">
+          {queue.posts.map((post, index) => (
+            <div key={post._id} className="flex items-start p-3 border border-gray-200 rounded-lg">
+              <div className="flex flex-col mr-3">
+                <button
+                  onClick={() => movePost(index, -1)}
+                  disabled={index === 0 || saving}
+                  className="text-gray-400 hover:text-gray-700 disabled:opacity-30"
+                  title="Move up"
+                >
+                  <ArrowUp size={16} />
+                </button>
+                <button
+                  onClick={() => movePost(index, 1)}
+                  disabled={index === queue.posts.length - 1 || saving}
+                  className="text-gray-400 hover:text-gray-700 disabled:opacity-30"
+                  title="Move down"
+                >
+                  <ArrowDown size={16} />
+                </button>
+              </div>
+              <div className="flex-1 min-w-0">
+                <p className="text-gray-800 text-sm truncate">{post.content}</p>
+                <p className="text-xs text-gray-500 mt-1 flex items-center">
+                  <Clock size={12} className="mr-1" />
+                  {formatSlot(post.scheduledDate)}
+                </p>
+              </div>
+            </div>
+          ))}
+
+          {queue.freeSlots.map((slot) => (
+            <div key={slot} className="flex items-center p-3 border border-dashed border-gray-300 rounded-lg text-sm text-gray-400">
+              <Clock size={14} className="mr-2" />
+              {formatSlot(slot)} - empty slot
+            </div>
+          ))}
+
+          {queue.posts.length === 0 && queue.freeSlots.length === 0 && (
+            <p className="text-sm text-gray-500">Add posting times to start using the queue.</p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PostQueue;
@@ -8,19 +8,28 @@ import {
   TwitterIcon,
   InstagramIcon,
   FacebookIcon,
+  LinkedinIcon,
+  AtSignIcon,
+  CloudIcon,
+  MessageCircleIcon,
   KeyIcon,
   LogOutIcon,
   MenuIcon,
   XIcon,
+  UserIcon,
+  UsersIcon,
+  BuildingIcon,
 } from 'lucide-react'
 import { usePlatform } from '../context/PlatformContext'
 import { useAuth } from '../context/AuthContext'
+import { useWorkspace } from '../context/workspace'
 
 const Sidebar = () => {
   const location = useLocation()
   const navigate = useNavigate()
   const { platform, setPlatform } = usePlatform()
   const { logout, user } = useAuth()
+  const { workspaces, workspaceId, selectWorkspace } = useWorkspace()
   const [isOpen, setIsOpen] = useState(false)
   const [isMobile, setIsMobile] = useState(false)
 
@@ -46,8 +55,8 @@ const Sidebar = () => {
 
   const isActive = (path) => location.pathname === path
 
-  const handleLogout = () => {
-    logout()
+  const handleLogout = async () => {
+    await logout()
     navigate('/login') 
   }
 
@@ -90,6 +99,32 @@ const Sidebar = () => {
         <p className="text-sm text-gray-500">Powered by Gemini</p>
       </div>
 
+      {/* Workspace Switcher */}
+      {workspaces.length > 0 && (
+        <div className="mb-6">
+          <h2 className="text-xs uppercase tracking-wider text-gray-500 font-semibold mb-2">
+            Workspace
+          </h2>
+          <div className="flex items-center border border-gray-200 rounded-lg px-2">
+            <BuildingIcon size={16} className="text-gray-500 flex-shrink-0" />
+            <select
+              value={workspaceId || ''}
+              onChange={(e) => {
+                selectWorkspace(e.target.value)
+                closeSidebar()
+              }}
+              className="w-full p-2 text-sm bg-transparent focus:outline-none"
+            >
+              {workspaces.map((item) => (
+                <option key={item.id} value={item.id}>
+                  {item.name} ({item.role})
+                </option>
+              ))}
+            </select>
+          </div>
+        </div>
+      )}
+
       {/* Platform Selection */}
       <div className="mb-8">
         <h2 className="text-xs uppercase tracking-wider text-gray-500 font-semibold mb-2">
@@ -135,6 +170,61 @@ const Sidebar = () => {
           >
             <FacebookIcon size={20} />
           </button>
+          <button
+            onClick={() => {
+              setPlatform('linkedin')
+              closeSidebar()
+            }}
+            className={`p-2 rounded-full transition-colors ${
+              platform === 'linkedin'
+                ? 'bg-sky-100 text-sky-700'
+                : 'text-gray-500 hover:bg-gray-100'
+            }`}
+          >
+            <LinkedinIcon size={20} />
+          </button>
+          <button
+            onClick={() => {
+              setPlatform('mastodon')
+              closeSidebar()
+            }}
+            className={`p-2 rounded-full transition-colors ${
+              platform === 'mastodon'
+                ? 'bg-violet-100 text-violet-600'
+                : 'text-gray-500 hover:bg-gray-100'
+            }`}
+            title="Mastodon"
+          >
+            <AtSignIcon size={20} />
+          </button>
+          <button
+            onClick={() => {
+              setPlatform('bluesky')
+              closeSidebar()
+            }}
+            className={`p-2 rounded-full transition-colors ${
+              platform === 'bluesky'
+                ? 'bg-sky-100 text-sky-500'
+                : 'text-gray-500 hover:bg-gray-100'
+            }`}
+            title="Bluesky"
+          >
+            <CloudIcon size={20} />
+          </button>
+          <button
+            onClick={() => {
+              setPlatform('threads')
+              closeSidebar()
+            }}
+            className={`p-2 rounded-full transition-colors ${
+              platform === 'threads'
+                ? 'bg-gray-200 text-gray-900'
+                : 'text-gray-500 hover:bg-gray-100'
+            }`}
+            title="Threads"
+          >
+            <MessageCircleIcon size={20} />
+          </button>
         </div>
       </div>
 
@@ -214,6 +304,34 @@ const Sidebar = () => {
               Connected Accounts
             </Link>
           </li>
+          <li>
+            <Link
+              to="/team"
+              onClick={closeSidebar}
+              className={`flex items-center p-2 rounded-lg transition-colors ${
+                isActive('/team')
+                  ? 'bg-gray-100 text-gray-900'
+                  : 'text-gray-700 hover:bg-gray-100'
+              }`}
+            >
+              <UsersIcon size={18} className="mr-2" />
+              Team
+            </Link>
+          </li>
+          <li>
+            <Link
+              to="/profile"
+              onClick={closeSidebar}
+              className={`flex items-center p-2 rounded-lg transition-colors ${
+                isActive('/profile')
+                  ? 'bg-gray-100 text-gray-900'
+                  : 'text-gray-700 hover:bg-gray-100'
+              }`}
+            >
+              <UserIcon size={18} className="mr-2" />
+              Profile
+            </Link>
+          </li>
         </ul>
       </nav>
 
@@ -0,0 +1,249 @@
+import React, { useEffect, useState } from "react";
+import axios from "axios";
+import { useAuth } from "../context/AuthContext";
+import { ShieldCheckIcon, ShieldOffIcon, KeyRoundIcon, CopyIcon } from "lucide-react";
+
+// Two-factor authentication: enrollment with an authenticator app, recovery codes, turning it off
+const TwoFactorSettings = () => {
+  const { mergeUser } = useAuth();
+  const [status, setStatus] = useState(null);
+  // Enrollment in progress: QR code and secret of the new authenticator entry
+  const [setup, setSetup] = useState(null);
+  // Fresh recovery codes, shown once
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [code, setCode] = useState("");
+  const [password, setPassword] = useState("");
+  const [action, setAction] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    const fetchStatus = async () => {
+      try {
+        const response = await axios.get("/api/auth/2fa");
+        setStatus(response.data);
+      } catch (err) {
+        setError(err.response?.data?.message || "Failed to load two-factor status");
+      }
+    };
+    fetchStatus();
+  }, []);
+
+  // Run a request, keeping the returned status and recovery codes
+  const run = async (request) => {
+    try {
+      setBusy(true);
+      setError("");
+      const response = await request();
+      const { recoveryCodes: codes, ...nextStatus } = response.data;
+      setStatus(nextStatus);
+      mergeUser({ twoFactorEnabled: nextStatus.enabled });
+      if (codes) setRecoveryCodes(codes);
+      setCode("");
+      setPassword("");
+      setAction(null);
+      return true;
+    } catch (err) {
+      setError(err.response?.data?.message || "Something went wrong");
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const startSetup = async () => {
+    try {
+      setBusy(true);
+      setError("");
+      const response = await axios.post("/api/auth/2fa/setup");
+      setSetup(response.data);
+    } catch (err) {
+      setError(err.response?.data?.message || "Failed to start the setup");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleEnable = async (e) => {
+    e.preventDefault();
+    if (await run(() => axios.post("/api/auth/2fa/enable", { code }))) {
+      setSetup(null);
+    }
+  };
+
+  const handleDisable = (e) => {
+    e.preventDefault();
+    run(() => axios.post("/api/auth/2fa/disable", { password, ...codeField(code) }));
+  };
+
+  const handleRegenerate = (e) => {
+    e.preventDefault();
+    run(() => axios.post("/api/auth/2fa/recovery-codes", codeField(code)));
+  };
+
+  if (!status) {
+    return null;
+  }
+
+  return (
+    <section className="mt-6 bg-white rounded-xl shadow-sm border border-gray-200 p-4 sm:p-6 space-y-4">
+      <div className="flex items-center justify-between">
+        <h2 className="flex items-center text-lg font-semibold text-gray-800">
+          <ShieldCheckIcon size={18} className="mr-2" />
+          Two-factor authentication
+        </h2>
+        <span className={`text-sm ${status.enabled ? "text-green-600" : "text-gray-500"}`}>
+          {status.enabled ? "On" : "Off"}
+        </span>
+      </div>
+
+      {error && (
+        <div className="p-3 bg-red-50 border border-red-200 text-red-700 rounded-lg text-sm">{error}</div>
+      )}
+
+      {recoveryCodes && (
+        <div className="p-4 bg-yellow-50 border border-yellow-200 rounded-lg">
+          <p className="text-sm text-yellow-800 mb-2">
+            Save these recovery codes somewhere safe. Each one signs you in once if you lose your device.
+            They won't be shown again.
+          </p>
+          <div className="grid grid-cols-2 gap-1 font-mono text-sm mb-2">
+            {recoveryCodes.map((item) => (
+              <span key={item}>{item}</span>
+            ))}
+          </div>
+          <div className="flex gap-2">
+            <button
+              onClick={() => navigator.clipboard.writeText(recoveryCodes.join("\n"))}
+              className="px-3 py-1 text-sm border border-yellow-300 rounded-lg flex items-center hover:bg-yellow-100"
+            >
+              <CopyIcon size={14} className="mr-1" />
+              Copy
+            </button>
+            <button
+              onClick={() => setRecoveryCodes(null)}
+              className="px-3 py-1 text-sm border border-yellow-300 rounded-lg hover:bg-yellow-100"
+            >
+              I saved them
+            </button>
+          </div>
+        </div>
+      )}
+
+      {!status.enabled && !setup && (
+        <div>
+          <p className="text-sm text-gray-600 mb-3">
+            Protect your account and the brand accounts it manages with a code from an authenticator app.
+          </p>
+          <button
+            onClick={startSetup}
+            disabled={busy}
+            className="px-4 py-2 bg-blue-500 hover:bg-blue-600 text-white rounded-lg disabled:opacity-50"
+          >
+            Set up two-factor authentication
+          </button>
+        </div>
+      )}
+
+      {!status.enabled && setup && (
+        <form onSubmit={handleEnable} className="space-y-3">
+          <p className="text-sm text-gray-600">
+            Scan the QR code with your authenticator app, or enter the key manually, then type the code it shows.
+          </p>
+          <img src={setup.qrCode} alt="Two-factor QR code" className="w-44 h-44 border border-gray-200 rounded-lg" />
+          <code className="block text-xs break-all bg-gray-50 p-2 rounded">{setup.secret}</code>
+          <div className="flex gap-2">
+            <input
+              type="text"
+              inputMode="numeric"
+              autoComplete="one-time-code"
+              placeholder="123456"
+              className="flex-1 border border-gray-300 rounded-lg p-2"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              required
+            />
+            <button
+              type="submit"
+              disabled={busy}
+              className="px-4 py-2 bg-blue-500 hover:bg-blue-600 text-white rounded-lg disabled:opacity-50"
+            >
+              Turn on
+            </button>
+            <button type="button" onClick={() => setSetup(null)} className="px-4 py-2 border border-gray-300 rounded-lg">
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      {status.enabled && (
+        <>
+          <p className="text-sm text-gray-600">
+            Enabled {status.enabledAt ? new Date(status.enabledAt).toLocaleDateString() : ""} ·{" "}
+            {status.recoveryCodesLeft} recovery codes left
+          </p>
+          {!action && (
+            <div className="flex flex-wrap gap-2">
+              <button
+                onClick={() => setAction("recovery")}
+                className="px-3 py-1.5 text-sm border border-gray-300 rounded-lg flex items-center hover:bg-gray-50"
+              >
+                <KeyRoundIcon size={14} className="mr-1" />
+                New recovery codes
+              </button>
+              <button
+                onClick={() => setAction("disable")}
+                className="px-3 py-1.5 text-sm text-red-600 border border-red-200 rounded-lg flex items-center hover:bg-red-50"
+              >
+                <ShieldOffIcon size={14} className="mr-1" />
+                Turn off
+              </button>
+            </div>
+          )}
+          {action && (
+            <form onSubmit={action === "disable" ? handleDisable : handleRegenerate} className="space-y-2">
+              {action === "disable" && (
+                <input
+                  type="password"
+                  placeholder="Password"
+                  className="w-full border border-gray-300 rounded-lg p-2"
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  required
+                />
+              )}
+              <input
+                type="text"
+                placeholder="Code from your app or a recovery code"
+                className="w-full border border-gray-300 rounded-lg p-2"
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+                required
+              />
+              <div className="flex gap-2">
+                <button
+                  type="submit"
+                  disabled={busy}
+                  className={`px-4 py-2 text-white rounded-lg disabled:opacity-50 ${
+                    action === "disable" ? "bg-red-500 hover:bg-red-600" : "bg-blue-500 hover:bg-blue-600"
+                  }`}
+                >
+                  {action === "disable" ? "Turn off two-factor" : "Generate codes"}
+                </button>
+                <button type="button" onClick={() => setAction(null)} className="px-4 py-2 border border-gray-300 rounded-lg">
+                  Cancel
+                </button>
+              </div>
+            </form>
+          )}
+        </>
+      )}
+    </section>
+  );
+};
+
+// App codes are 6 digits; anything else is taken as a recovery code
+const codeField = (value) => (/^\s*\d{6}\s*$/.test(value) ? { code: value.trim() } : { recoveryCode: value });
+
+export default TwoFactorSettings;
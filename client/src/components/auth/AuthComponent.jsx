@@ -1,17 +1,22 @@
 import React, { useState } from 'react';
 import Login from './Login';
 import Signup from './Signup';
+import ForgotPassword from './ForgotPassword';
 
 const AuthComponent = () => {
-  const [isLogin, setIsLogin] = useState(true);
+  // 'login', 'signup' or 'forgot'
+  const [view, setView] = useState('login');
 
   return (
     <>
-      {isLogin ? (
-        <Login onSwitchToSignup={() => setIsLogin(false)} />
-      ) : (
-        <Signup onSwitchToLogin={() => setIsLogin(true)} />
+      {view === 'login' && (
+        <Login
+          onSwitchToSignup={() => setView('signup')}
+          onForgotPassword={() => setView('forgot')}
+        />
       )}
+      {view === 'signup' && <Signup onSwitchToLogin={() => setView('login')} />}
+      {view === 'forgot' && <ForgotPassword onBackToLogin={() => setView('login')} />}
     </>
   );
 };
@@ -0,0 +1,83 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+import { KeyRoundIcon, MailIcon } from 'lucide-react';
+
+// Ask for a password reset link by email
+const ForgotPassword = ({ onBackToLogin }) => {
+  const [email, setEmail] = useState('');
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+
+    try {
+      const response = await axios.post('/api/auth/password/forgot', { email });
+      setMessage(response.data.message);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to send the reset link');
+    }
+
+    setLoading(false);
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-blue-50 to-indigo-100">
+      <div className="bg-white p-8 rounded-2xl shadow-lg w-full max-w-md">
+        <div className="text-center mb-8">
+          <div className="w-16 h-16 bg-blue-500 rounded-full flex items-center justify-center mx-auto mb-4">
+            <KeyRoundIcon size={32} className="text-white" />
+          </div>
+          <h1 className="text-2xl font-bold text-gray-800">Forgot your password?</h1>
+          <p className="text-gray-600">We'll email you a link to choose a new one</p>
+        </div>
+
+        {error && (
+          <div className="mb-4 p-3 bg-red-50 border border-red-200 text-red-700 rounded-lg text-sm">
+            {error}
+          </div>
+        )}
+
+        {message ? (
+          <div className="p-3 bg-green-50 border border-green-200 text-green-700 rounded-lg text-sm">
+            {message}
+          </div>
+        ) : (
+          <form onSubmit={handleSubmit} className="space-y-4">
+            <div className="relative">
+              <input
+                type="email"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                className="w-full pl-10 pr-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                placeholder="Enter your email"
+                autoFocus
+                required
+              />
+              <MailIcon size={18} className="absolute left-3 top-2.5 text-gray-400" />
+            </div>
+
+            <button
+              type="submit"
+              disabled={loading}
+              className="w-full bg-blue-500 hover:bg-blue-600 text-white font-medium py-2 px-4 rounded-lg disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {loading ? 'Sending...' : 'Send reset link'}
+            </button>
+          </form>
+        )}
+
+        <div className="mt-6 text-center">
+          <button onClick={onBackToLogin} className="text-blue-500 hover:text-blue-600 font-medium">
+            Back to sign in
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ForgotPassword;
@@ -1,13 +1,17 @@
 import React, { useState } from 'react';
 import { useAuth } from '../../context/AuthContext';
-import { LogInIcon, EyeIcon, EyeOffIcon, UserIcon, LockIcon } from 'lucide-react';
-export const Login = ({ onSwitchToSignup }) => {
+import { LogInIcon, EyeIcon, EyeOffIcon, UserIcon, LockIcon, ShieldCheckIcon } from 'lucide-react';
+export const Login = ({ onSwitchToSignup, onForgotPassword }) => {
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
   const [showPassword, setShowPassword] = useState(false);
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
-  const { login } = useAuth();
+  // Set when the account has 2FA: the code is asked for before signing in
+  const [challengeToken, setChallengeToken] = useState(null);
+  const [code, setCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const { login, completeTwoFactorLogin } = useAuth();
 
   const handleSubmit = async (e) => {
     e.preventDefault();
@@ -16,13 +20,117 @@ export const Login = ({ onSwitchToSignup }) => {
 
     const result = await login(email, password);
     
-    if (!result.success) {
+    if (result.twoFactorRequired) {
+      setChallengeToken(result.challengeToken);
+      setCode('');
+    } else if (!result.success) {
       setError(result.error);
     }
     
     setLoading(false);
   };
 
+  const handleTwoFactorSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+
+    const result = await completeTwoFactorLogin(
+      challengeToken,
+      useRecoveryCode ? { recoveryCode: code } : { code }
+    );
+
+    if (result.success) {
+      if (result.recoveryCodesLeft !== undefined && result.recoveryCodesLeft <= 3) {
+        window.alert(`You have ${result.recoveryCodesLeft} recovery codes left. Generate new ones in your profile.`);
+      }
+      return;
+    }
+
+    setError(result.error);
+    if (result.restart) {
+      setChallengeToken(null);
+      setPassword('');
+    }
+    setLoading(false);
+  };
+
+  const cancelTwoFactor = () => {
+    setChallengeToken(null);
+    setPassword('');
+    setCode('');
+    setError('');
+  };
+
+  if (challengeToken) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-blue-50 to-indigo-100">
+        <div className="bg-white p-8 rounded-2xl shadow-lg w-full max-w-md">
+          <div className="text-center mb-8">
+            <div className="w-16 h-16 bg-blue-500 rounded-full flex items-center justify-center mx-auto mb-4">
+              <ShieldCheckIcon size={32} className="text-white" />
+            </div>
+            <h1 className="text-2xl font-bold text-gray-800">Two-factor authentication</h1>
+            <p className="text-gray-600">
+              {useRecoveryCode
+                ? 'Enter one of your recovery codes'
+                : 'Enter the 6-digit code from your authenticator app'}
+            </p>
+          </div>
+
+          {error && (
+            <div className="mb-4 p-3 bg-red-50 border border-red-200 text-red-700 rounded-lg text-sm">
+              {error}
+            </div>
+          )}
+
+          <form onSubmit={handleTwoFactorSubmit} className="space-y-4">
+            <input
+              type="text"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              className="w-full px-4 py-2 border border-gray-300 rounded-lg text-center tracking-widest text-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+              placeholder={useRecoveryCode ? 'xxxxx-xxxxx' : '123456'}
+              inputMode={useRecoveryCode ? 'text' : 'numeric'}
+              autoComplete="one-time-code"
+              autoFocus
+              required
+            />
+
+            <button
+              type="submit"
+              disabled={loading}
+              className="w-full bg-blue-500 hover:bg-blue-600 text-white font-medium py-2 px-4 rounded-lg disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center"
+            >
+              {loading ? (
+                <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-white mr-2"></div>
+              ) : (
+                <ShieldCheckIcon size={18} className="mr-2" />
+              )}
+              {loading ? 'Verifying...' : 'Verify'}
+            </button>
+          </form>
+
+          <div className="mt-6 flex justify-between text-sm">
+            <button
+              onClick={() => {
+                setUseRecoveryCode(!useRecoveryCode);
+                setCode('');
+                setError('');
+              }}
+              className="text-blue-500 hover:text-blue-600 font-medium"
+            >
+              {useRecoveryCode ? 'Use authenticator app' : 'Use a recovery code'}
+            </button>
+            <button onClick={cancelTwoFactor} className="text-gray-500 hover:text-gray-700">
+              Back to sign in
+            </button>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-blue-50 to-indigo-100">
       <div className="bg-white p-8 rounded-2xl shadow-lg w-full max-w-md">
@@ -59,9 +167,18 @@ export const Login = ({ onSwitchToSignup }) => {
           </div>
 
           <div>
-            <label className="block text-sm font-medium text-gray-700 mb-1">
-              Password
-            </label>
+            <div className="flex items-center justify-between mb-1">
+              <label className="block text-sm font-medium text-gray-700">
+                Password
+              </label>
+              <button
+                type="button"
+                onClick={onForgotPassword}
+                className="text-sm text-blue-500 hover:text-blue-600"
+              >
+                Forgot password?
+              </button>
+            </div>
             <div className="relative">
               <input
                 type={showPassword ? 'text' : 'password'}
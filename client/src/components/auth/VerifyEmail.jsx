@@ -0,0 +1,78 @@
+import React, { useEffect, useRef, useState } from 'react';
+import axios from 'axios';
+import { Link, useSearchParams } from 'react-router-dom';
+import { useAuth } from '../../context/AuthContext';
+import { MailCheckIcon, XCircleIcon } from 'lucide-react';
+
+// Verification links from the email point here: /verify-email?token=...
+const VerifyEmail = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const { user, mergeUser } = useAuth();
+  const [status, setStatus] = useState(token ? 'verifying' : 'error');
+  const [message, setMessage] = useState(token ? '' : 'This verification link is incomplete.');
+  const [verifiedEmail, setVerifiedEmail] = useState(null);
+  // Tokens are single-use: don't send it twice (StrictMode runs effects twice)
+  const sent = useRef(false);
+
+  useEffect(() => {
+    if (!token || sent.current) return;
+    sent.current = true;
+
+    const verify = async () => {
+      try {
+        const response = await axios.post('/api/auth/email/verify', { token });
+        setStatus('verified');
+        setVerifiedEmail(response.data.email);
+        setMessage(`${response.data.email} is verified.`);
+      } catch (err) {
+        setStatus('error');
+        setMessage(err.response?.data?.message || 'Failed to verify the email address');
+      }
+    };
+    verify();
+  }, [token]);
+
+  // Update the signed-in user once verified (the link may belong to another account)
+  const profile = user?.user || user;
+  useEffect(() => {
+    if (verifiedEmail && profile?.email === verifiedEmail && !profile.emailVerified) {
+      mergeUser({ emailVerified: true });
+    }
+  }, [verifiedEmail, profile?.email, profile?.emailVerified, mergeUser]);
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-blue-50 to-indigo-100">
+      <div className="bg-white p-8 rounded-2xl shadow-lg w-full max-w-md text-center">
+        {status === 'verifying' && (
+          <>
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-500 mx-auto mb-4"></div>
+            <p className="text-gray-600">Verifying your email address...</p>
+          </>
+        )}
+        {status === 'verified' && (
+          <>
+            <MailCheckIcon size={48} className="mx-auto mb-4 text-green-500" />
+            <h1 className="text-2xl font-bold text-gray-800 mb-2">Email verified</h1>
+            <p className="text-gray-600">{message}</p>
+          </>
+        )}
+        {status === 'error' && (
+          <>
+            <XCircleIcon size={48} className="mx-auto mb-4 text-red-300" />
+            <p className="text-red-600">{message}</p>
+            <p className="text-gray-500 text-sm mt-2">Sign in to get a new verification email.</p>
+          </>
+        )}
+
+        <div className="mt-6">
+          <Link to={user ? '/' : '/login'} className="text-blue-500 hover:text-blue-600 font-medium">
+            {user ? 'Go to dashboard' : 'Go to sign in'}
+          </Link>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmail;
@@ -12,6 +12,43 @@ import {
 // Auth Context
 const AuthContext = createContext();
 
+const browserTimeZone = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+// Requests whose 401 means bad credentials, not an expired access token
+const NO_REFRESH_URLS = ['/api/auth/login', '/api/auth/register', '/api/auth/refresh'];
+
+// Store the tokens of a login, signup or refresh
+const saveSession = (data) => {
+  localStorage.setItem('authToken', data.token);
+  localStorage.setItem('token', data.token); // Also set 'token' for compatibility
+  // No refresh token when another tab has just rotated it; keep the one it stored
+  if (data.refreshToken) {
+    localStorage.setItem('refreshToken', data.refreshToken);
+  }
+};
+
+// Refresh in flight, shared by requests failing at the same time: a refresh
+// token can only be used once
+let refreshPromise = null;
+
+// Get a new access token with the refresh token
+const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    const refreshToken = localStorage.getItem('refreshToken');
+    refreshPromise = (refreshToken
+      ? axios.post('/api/auth/refresh', { refreshToken })
+      : Promise.reject(new Error('No refresh token')))
+      .then((response) => {
+        saveSession(response.data);
+        return response.data.token;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
 export const useAuth = () => {
   const context = useContext(AuthContext);
   if (!context) {
@@ -35,16 +72,11 @@ export const AuthProvider = ({ children }) => {
     return localStorage.getItem('authToken') || localStorage.getItem('token');
   };
 
-  // Helper function to set token consistently
-  const setAuthToken = (token) => {
-    localStorage.setItem('authToken', token);
-    localStorage.setItem('token', token); // Also set 'token' for compatibility
-  };
-
   // Helper function to clear tokens
   const clearAuthTokens = () => {
     localStorage.removeItem('authToken');
     localStorage.removeItem('token');
+    localStorage.removeItem('refreshToken');
   };
 
   // Setup axios interceptor for automatic token inclusion
@@ -63,10 +95,26 @@ export const AuthProvider = ({ children }) => {
       }
     );
 
-    // Response interceptor to handle auth errors
+    // Response interceptor to refresh expired access tokens and handle auth errors
     const responseInterceptor = axios.interceptors.response.use(
       (response) => response,
-      (error) => {
+      async (error) => {
+        const request = error.config;
+        const canRefresh = request && !request._retried &&
+          !NO_REFRESH_URLS.some((url) => request.url?.includes(url));
+
+        if (error.response?.status === 401 && canRefresh) {
+          // Retry once with a fresh access token
+          request._retried = true;
+          try {
+            const token = await refreshAccessToken();
+            request.headers.Authorization = `Bearer ${token}`;
+            return axios(request);
+          } catch (refreshError) {
+            console.log('Session refresh failed:', refreshError.message);
+          }
+        }
+
         if (error.response?.status === 401) {
           // Token expired or invalid
           console.log('Authentication failed, logging out...');
@@ -130,8 +178,13 @@ export const AuthProvider = ({ children }) => {
 
       const data = response.data;
 
+      // Password accepted; the session starts after the 2FA code (completeTwoFactorLogin)
+      if (data.twoFactorRequired) {
+        return { success: false, twoFactorRequired: true, challengeToken: data.challengeToken };
+      }
+
       if (response.status === 200) {
-        setAuthToken(data.token);         
+        saveSession(data);
         await verifyToken(data.token);    
         console.log('Login successful:', data.user);
         return { success: true, user: data.user };
@@ -148,6 +201,28 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Second login step: a code from the authenticator app, or a recovery code
+  const completeTwoFactorLogin = async (challengeToken, { code, recoveryCode }) => {
+    try {
+      const response = await axios.post('/api/auth/login/2fa', {
+        challengeToken,
+        code,
+        recoveryCode
+      });
+      saveSession(response.data);
+      await verifyToken(response.data.token);
+      return { success: true, recoveryCodesLeft: response.data.recoveryCodesLeft };
+    } catch (error) {
+      console.error('Two-factor login error:', error);
+      return {
+        success: false,
+        error: error.response?.data?.message || 'Network error. Please try again.',
+        // The challenge has expired: back to the password step
+        restart: error.response?.status === 401
+      };
+    }
+  };
+
   const signup = async (name, email, password) => {
     try {
       setLoading(true);
@@ -160,7 +235,7 @@ export const AuthProvider = ({ children }) => {
       const data = response.data;
 
       if (response.status === 200 || response.status === 201) {
-        setAuthToken(data.token);
+        saveSession(data);
         setUser(data.user);
         console.log('Signup successful:', data.user);
         return { success: true, user: data.user };
@@ -177,12 +252,42 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
-  const logout = () => {
+  // Merge changed fields into the session user
+  const mergeUser = (fields) => {
+    setUser((prev) =>
+      prev?.user
+        ? { ...prev, user: { ...prev.user, ...fields } }
+        : { ...prev, ...fields }
+    );
+  };
+
+  // Save profile fields (name, email, timezone) and merge them into the session user
+  const updateProfile = async (updates) => {
+    const response = await axios.put('/api/auth/profile', updates);
+    mergeUser(response.data);
+    return response.data;
+  };
+
+  // End the session on the server too, so its tokens stop working
+  const logout = async () => {
+    try {
+      await axios.post('/api/auth/logout');
+    } catch (error) {
+      console.error('Logout error:', error);
+    }
     clearAuthTokens();
     setUser(null);
     console.log('User logged out');
   };
 
+  // Sign out every device, this one included
+  const logoutAll = async () => {
+    await axios.post('/api/auth/logout-all');
+    clearAuthTokens();
+    setUser(null);
+    console.log('Logged out of all devices');
+  };
+
   // Get current auth token (useful for API calls)
   const getToken = () => {
     return getAuthToken();
@@ -194,11 +299,20 @@ export const AuthProvider = ({ children }) => {
     return token ? { Authorization: `Bearer ${token}` } : {};
   };
 
+  // Zone used to show and pick times: the profile setting, else the browser's zone
+  const profile = user?.user || user;
+  const timezone = profile?.timezone || browserTimeZone;
+
   const value = {
     user,
     login,
+    completeTwoFactorLogin,
     signup,
     logout,
+    logoutAll,
+    updateProfile,
+    mergeUser,
+    timezone,
     loading,
     getToken,
     getAuthHeaders,
@@ -0,0 +1,85 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import { useAuth } from './AuthContext';
+import { WorkspaceContext, STORAGE_KEY } from './workspace';
+
+export const WorkspaceProvider = ({ children }) => {
+  const { user, loading: authLoading } = useAuth();
+  const [workspaces, setWorkspaces] = useState([]);
+  const [currentId, setCurrentId] = useState(() => localStorage.getItem(STORAGE_KEY));
+  const [loading, setLoading] = useState(true);
+
+  // Send the current workspace with every API request
+  useEffect(() => {
+    const interceptor = axios.interceptors.request.use((config) => {
+      const workspaceId = localStorage.getItem(STORAGE_KEY);
+      if (workspaceId && !config.headers['X-Workspace-Id']) {
+        config.headers['X-Workspace-Id'] = workspaceId;
+      }
+      return config;
+    });
+
+    return () => {
+      axios.interceptors.request.eject(interceptor);
+    };
+  }, []);
+
+  const selectWorkspace = useCallback((workspaceId) => {
+    if (workspaceId) {
+      localStorage.setItem(STORAGE_KEY, workspaceId);
+    } else {
+      localStorage.removeItem(STORAGE_KEY);
+    }
+    setCurrentId(workspaceId);
+  }, []);
+
+  const refreshWorkspaces = useCallback(async () => {
+    try {
+      const response = await axios.get('/api/workspaces');
+      const list = response.data;
+      setWorkspaces(list);
+
+      // Fall back to the personal workspace when the stored one is gone
+      const stored = localStorage.getItem(STORAGE_KEY);
+      if (!list.some((workspace) => workspace.id === stored)) {
+        const fallback = list.find((workspace) => workspace.personal) || list[0];
+        selectWorkspace(fallback ? fallback.id : null);
+      }
+      return list;
+    } catch (error) {
+      console.error('Failed to load workspaces:', error);
+      return [];
+    } finally {
+      setLoading(false);
+    }
+  }, [selectWorkspace]);
+
+  useEffect(() => {
+    if (user) {
+      refreshWorkspaces();
+    } else if (!authLoading) {
+      // Signed out: the next user starts in their own workspace
+      setWorkspaces([]);
+      selectWorkspace(null);
+      setLoading(false);
+    }
+  }, [user, authLoading, refreshWorkspaces, selectWorkspace]);
+
+  const workspace = workspaces.find((item) => item.id === currentId) || null;
+
+  const value = {
+    workspaces,
+    workspace,
+    workspaceId: workspace?.id || null,
+    role: workspace?.role || null,
+    selectWorkspace,
+    refreshWorkspaces,
+    loading
+  };
+
+  return (
+    <WorkspaceContext.Provider value={value}>
+      {children}
+    </WorkspaceContext.Provider>
+  );
+};
@@ -0,0 +1,21 @@
+import { createContext, useContext } from 'react';
+
+// Workspace Context (provided by WorkspaceProvider)
+export const WorkspaceContext = createContext();
+
+export const STORAGE_KEY = 'workspaceId';
+
+// Headers selecting the current workspace, for API calls made with fetch
+// (axios requests get them from the WorkspaceProvider interceptor)
+export const workspaceHeaders = () => {
+  const workspaceId = localStorage.getItem(STORAGE_KEY);
+  return workspaceId ? { 'X-Workspace-Id': workspaceId } : {};
+};
+
+export const useWorkspace = () => {
+  const context = useContext(WorkspaceContext);
+  if (!context) {
+    throw new Error('useWorkspace must be used within a WorkspaceProvider');
+  }
+  return context;
+};
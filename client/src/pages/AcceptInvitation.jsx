@@ -0,0 +1,64 @@
+import React, { useState } from "react";
+import axios from "axios";
+import { useNavigate, useParams } from "react-router-dom";
+import { useWorkspace } from "../context/workspace";
+import { MailIcon, XCircleIcon } from "lucide-react";
+
+// Invite links point here; joining requires being signed in with the invited email
+const AcceptInvitation = () => {
+  const { token } = useParams();
+  const navigate = useNavigate();
+  const { selectWorkspace, refreshWorkspaces } = useWorkspace();
+  const [accepting, setAccepting] = useState(false);
+  const [error, setError] = useState("");
+
+  const handleAccept = async () => {
+    try {
+      setAccepting(true);
+      setError("");
+      const response = await axios.post("/api/workspaces/invitations/accept", { token });
+      await refreshWorkspaces();
+      selectWorkspace(response.data.id);
+      navigate("/team");
+    } catch (err) {
+      setError(err.response?.data?.message || "Failed to accept the invitation");
+    } finally {
+      setAccepting(false);
+    }
+  };
+
+  return (
+    <div className="p-4 sm:p-6 max-w-2xl mx-auto">
+      <div className="bg-white p-6 sm:p-8 rounded-xl shadow-sm border border-gray-200 text-center">
+        <h2 className="text-xl font-semibold mb-4">Workspace invitation</h2>
+
+        {error ? (
+          <>
+            <XCircleIcon size={48} className="mx-auto mb-4 text-red-300" />
+            <p className="text-red-600 mb-4">{error}</p>
+            <button
+              onClick={() => navigate("/")}
+              className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50"
+            >
+              Back to dashboard
+            </button>
+          </>
+        ) : (
+          <>
+            <MailIcon size={48} className="mx-auto mb-4 text-gray-300" />
+            <p className="text-gray-500 mb-4">You have been invited to join a workspace.</p>
+            <button
+              onClick={handleAccept}
+              disabled={accepting}
+              className="px-4 py-2 bg-blue-500 hover:bg-blue-600 text-white rounded-lg disabled:opacity-50"
+            >
+              {accepting ? "Joining..." : "Accept invitation"}
+            </button>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AcceptInvitation;
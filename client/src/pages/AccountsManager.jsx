@@ -8,9 +8,8 @@ import {
   TrashIcon,
   CheckCircleIcon,
   XCircleIcon,
-  EyeIcon,
-  EyeOffIcon,
   RefreshCwIcon,
+  AlertTriangleIcon,
 } from "lucide-react";
 
 const AccountsManager = () => {
@@ -18,8 +17,12 @@ const AccountsManager = () => {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState("");
   const [showAddForm, setShowAddForm] = useState(false);
-  const [showSecrets, setShowSecrets] = useState(false);
   const [formError, setFormError] = useState("");
+  const [redirecting, setRedirecting] = useState(false);
+  const [mastodonInstance, setMastodonInstance] = useState("");
+  const [blueskyLogin, setBlueskyLogin] = useState({ username: "", appPassword: "" });
+  const [connecting, setConnecting] = useState(false);
+  const [notifications, setNotifications] = useState([]);
   const [newAccount, setNewAccount] = useState({
     platform: "twitter",
     username: "",
@@ -34,12 +37,26 @@ const AccountsManager = () => {
     twitter: "X (Twitter)",
     instagram: "Instagram",
     facebook: "Facebook",
+    linkedin: "LinkedIn",
+    mastodon: "Mastodon",
+    bluesky: "Bluesky",
+    threads: "Threads",
   };
 
+  // Platforms signed in through the /api/accounts/oauth/:platform flow
+  const oauthPlatforms = ["twitter", "facebook", "instagram"];
+
+  // Platforms with their own connect button instead of the API key fields
+  const customConnectPlatforms = [...oauthPlatforms, "linkedin", "mastodon", "bluesky"];
+
   const platformColors = {
     twitter: "bg-blue-500 text-white",
     instagram: "bg-pink-500 text-white",
     facebook: "bg-indigo-500 text-white",
+    linkedin: "bg-sky-700 text-white",
+    mastodon: "bg-violet-600 text-white",
+    bluesky: "bg-sky-500 text-white",
+    threads: "bg-gray-900 text-white",
   };
 
   const platformIcons = {
@@ -58,6 +75,26 @@ const AccountsManager = () => {
         FB
       </div>
     ),
+    linkedin: (
+      <div className="w-8 h-8 rounded-full bg-sky-700 flex items-center justify-center text-white font-bold">
+        in
+      </div>
+    ),
+    mastodon: (
+      <div className="w-8 h-8 rounded-full bg-violet-600 flex items-center justify-center text-white font-bold">
+        M
+      </div>
+    ),
+    bluesky: (
+      <div className="w-8 h-8 rounded-full bg-sky-500 flex items-center justify-center text-white font-bold">
+        B
+      </div>
+    ),
+    threads: (
+      <div className="w-8 h-8 rounded-full bg-gray-900 flex items-center justify-center text-white font-bold">
+        @
+      </div>
+    ),
   };
 
   const fetchAccounts = async () => {
@@ -97,6 +134,25 @@ const AccountsManager = () => {
     }
   };
 
+  // Unread notices, e.g. Facebook/Instagram tokens that must be renewed by reconnecting
+  const fetchNotifications = async () => {
+    try {
+      const response = await axios.get("/api/notifications", { params: { unread: true } });
+      setNotifications(response.data);
+    } catch (err) {
+      console.error("Fetch notifications error:", err);
+    }
+  };
+
+  const dismissNotification = async (notificationId) => {
+    try {
+      await axios.post(`/api/notifications/${notificationId}/read`);
+      setNotifications((prev) => prev.filter((item) => item._id !== notificationId));
+    } catch (err) {
+      console.error("Dismiss notification error:", err);
+    }
+  };
+
   const toggleConnection = async (accountId) => {
     try {
       console.log("Toggling connection for account:", accountId);
@@ -174,15 +230,80 @@ const AccountsManager = () => {
     }
   };
 
-  const maskString = (str) => {
-    if (!str) return "";
-    return str.substring(0, 4) + "••••••••••••" + str.substring(str.length - 4);
+  // LinkedIn is connected through OAuth: send the user to the consent screen
+  const connectLinkedIn = async () => {
+    try {
+      setRedirecting(true);
+      setFormError("");
+      const response = await axios.get("/api/accounts/linkedin/auth-url");
+      window.location.href = response.data.url;
+    } catch (err) {
+      setRedirecting(false);
+      setFormError(err.response?.data?.message || "Failed to start LinkedIn connection");
+    }
+  };
+
+  // Twitter, Facebook and Instagram sign in on the platform; the app keys stay on the server
+  const connectWithOAuth = async (platform) => {
+    try {
+      setRedirecting(true);
+      setFormError("");
+      const response = await axios.get(`/api/accounts/oauth/${platform}/auth-url`);
+      window.location.href = response.data.url;
+    } catch (err) {
+      setRedirecting(false);
+      setFormError(err.response?.data?.message || `Failed to start ${platformLabels[platform]} connection`);
+    }
+  };
+
+  // Mastodon signs in on the user's own server
+  const connectMastodon = async () => {
+    if (!mastodonInstance.trim()) {
+      setFormError("Enter your Mastodon server, e.g. mastodon.social");
+      return;
+    }
+    try {
+      setRedirecting(true);
+      setFormError("");
+      const response = await axios.get("/api/accounts/mastodon/auth-url", {
+        params: { instance: mastodonInstance.trim() },
+      });
+      window.location.href = response.data.url;
+    } catch (err) {
+      setRedirecting(false);
+      setFormError(err.response?.data?.message || "Failed to start Mastodon connection");
+    }
+  };
+
+  // Bluesky logs in with the handle and an app password
+  const connectBluesky = async () => {
+    if (!blueskyLogin.username.trim() || !blueskyLogin.appPassword.trim()) {
+      setFormError("Enter your Bluesky handle and an app password");
+      return;
+    }
+    try {
+      setConnecting(true);
+      setFormError("");
+      await axios.post("/api/accounts/connect", {
+        platform: "bluesky",
+        username: blueskyLogin.username.trim(),
+        appPassword: blueskyLogin.appPassword.trim(),
+      });
+      setBlueskyLogin({ username: "", appPassword: "" });
+      setShowAddForm(false);
+      fetchAccounts();
+    } catch (err) {
+      setFormError(err.response?.data?.error || err.response?.data?.message || "Failed to connect Bluesky account");
+    } finally {
+      setConnecting(false);
+    }
   };
 
   useEffect(() => {
     if (isAuthenticated) {
       console.log("User authenticated, fetching accounts...");
       fetchAccounts();
+      fetchNotifications();
     } else {
       console.log("User not authenticated");
       setLoading(false);
@@ -270,6 +391,29 @@ const AccountsManager = () => {
         </div>
       </header>
 
+      {notifications.length > 0 && (
+        <div className="mb-6 space-y-2">
+          {notifications.map((notification) => (
+            <div
+              key={notification._id}
+              className="flex items-start gap-3 p-3 sm:p-4 bg-amber-50 border border-amber-200 rounded-lg"
+            >
+              <AlertTriangleIcon size={18} className="text-amber-500 flex-shrink-0 mt-0.5" />
+              <div className="flex-1 min-w-0">
+                <p className="text-sm font-medium text-amber-800">{notification.title}</p>
+                <p className="text-xs sm:text-sm text-amber-700">{notification.message}</p>
+              </div>
+              <button
+                onClick={() => dismissNotification(notification._id)}
+                className="text-xs text-amber-700 hover:text-amber-900 flex-shrink-0"
+              >
+                Dismiss
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
       {accounts.length === 0 ? (
         <div className="bg-white p-6 sm:p-8 rounded-xl shadow-sm border border-gray-200 text-center">
           <ShieldCheckIcon size={48} className="mx-auto mb-4 text-gray-300" />
@@ -300,24 +444,6 @@ const AccountsManager = () => {
                   {user?.email || user?.name || "Unknown"}
                 </p>
               </div>
-              <div className="flex items-center">
-                <button
-                  onClick={() => setShowSecrets(!showSecrets)}
-                  className="flex items-center text-sm text-gray-500 hover:text-gray-700"
-                >
-                  {showSecrets ? (
-                    <>
-                      <EyeOffIcon size={14} className="mr-1" />
-                      Hide Credentials
-                    </>
-                  ) : (
-                    <>
-                      <EyeIcon size={14} className="mr-1" />
-                      Show Credentials
-                    </>
-                  )}
-                </button>
-              </div>
             </div>
           </div>
           <div className="divide-y divide-gray-200">
@@ -356,35 +482,11 @@ const AccountsManager = () => {
                         </span>
                       )}
                     </p>
-                    {/* API Credentials Display */}
-                    <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-2 sm:gap-3 mb-3">
-                      <div className="bg-gray-50 p-2 rounded-md">
-                        <p className="text-xs text-gray-500 mb-1">API Key</p>
-                        <p className="text-xs font-mono break-all">
-                          {showSecrets
-                            ? account.apiKey || "Not provided"
-                            : maskString(account.apiKey || "Not provided")}
-                        </p>
-                      </div>
-                      <div className="bg-gray-50 p-2 rounded-md">
-                        <p className="text-xs text-gray-500 mb-1">API Secret</p>
-                        <p className="text-xs font-mono break-all">
-                          {showSecrets
-                            ? account.apiSecret || "Not provided"
-                            : maskString(account.apiSecret || "Not provided")}
-                        </p>
-                      </div>
-                      <div className="bg-gray-50 p-2 rounded-md sm:col-span-2 lg:col-span-1">
-                        <p className="text-xs text-gray-500 mb-1">
-                          Access Token
-                        </p>
-                        <p className="text-xs font-mono break-all">
-                          {showSecrets
-                            ? account.accessToken || "Not provided"
-                            : maskString(account.accessToken || "Not provided")}
-                        </p>
-                      </div>
-                    </div>
+                    <p className="text-xs text-gray-500">
+                      {account.authType && account.authType !== "credentials"
+                        ? `Connected by signing in to ${platformLabels[account.platform] || account.platform}`
+                        : "Connected with API credentials"}
+                    </p>
                   </div>
                   <div className="flex flex-col sm:flex-row gap-1 sm:gap-2 flex-shrink-0">
                     <button
@@ -438,8 +540,8 @@ const AccountsManager = () => {
                 <label className="block text-sm font-medium text-gray-700 mb-2">
                   Platform
                 </label>
-                <div className="grid grid-cols-1 sm:grid-cols-3 gap-2">
-                  {["twitter", "instagram", "facebook"].map((p) => (
+                <div className="grid grid-cols-2 sm:grid-cols-3 gap-2">
+                  {["twitter", "instagram", "facebook", "threads", "linkedin", "mastodon", "bluesky"].map((p) => (
                     <button
                       key={p}
                       type="button"
@@ -460,76 +562,174 @@ const AccountsManager = () => {
                   ))}
                 </div>
               </div>
-              <div className="mb-4">
-                <label className="block text-sm font-medium text-gray-700 mb-1">
-                  Username
-                </label>
-                <input
-                  type="text"
-                  name="username"
-                  value={newAccount.username}
-                  onChange={handleInputChange}
-                  className="w-full border border-gray-300 rounded-lg p-2 sm:p-3 text-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
-                  placeholder={`Your ${platformLabels[newAccount.platform]} username`}
-                />
-              </div>
-              <div className="mb-4">
-                <label className="block text-sm font-medium text-gray-700 mb-1">
-                  API Key
-                </label>
-                <div className="relative">
-                  <input
-                    type={showSecrets ? "text" : "password"}
-                    name="apiKey"
-                    value={newAccount.apiKey}
-                    onChange={handleInputChange}
-                    className="w-full border border-gray-300 rounded-lg p-2 sm:p-3 pr-10 text-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
-                    placeholder="Enter your API key"
-                  />
-                  <KeyIcon
-                    size={16}
-                    className="absolute right-3 top-3 text-gray-400"
-                  />
+              {oauthPlatforms.includes(newAccount.platform) ? (
+                <div className="mb-4 p-4 bg-blue-50 border border-blue-200 rounded-lg">
+                  <p className="text-sm text-gray-700 mb-3">
+                    {newAccount.platform === "twitter"
+                      ? "Sign in with X and allow SocialGrow to post for you."
+                      : newAccount.platform === "facebook"
+                      ? "Sign in with Facebook, then choose the Pages you want to publish to."
+                      : "Sign in with Facebook, then choose the Instagram Business accounts linked to your Pages."}
+                  </p>
+                  <button
+                    type="button"
+                    onClick={() => connectWithOAuth(newAccount.platform)}
+                    disabled={redirecting}
+                    className="w-full px-4 py-2 rounded-lg text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+                  >
+                    {redirecting
+                      ? "Redirecting..."
+                      : `Continue with ${newAccount.platform === "twitter" ? "X" : "Facebook"}`}
+                  </button>
                 </div>
-              </div>
-              <div className="mb-4">
-                <label className="block text-sm font-medium text-gray-700 mb-1">
-                  API Secret
-                </label>
-                <div className="relative">
+              ) : newAccount.platform === "linkedin" ? (
+                <div className="mb-4 p-4 bg-sky-50 border border-sky-200 rounded-lg">
+                  <p className="text-sm text-gray-700 mb-3">
+                    Sign in with LinkedIn, then choose your profile and the
+                    company pages you manage to connect.
+                  </p>
+                  <button
+                    type="button"
+                    onClick={connectLinkedIn}
+                    disabled={redirecting}
+                    className="w-full px-4 py-2 rounded-lg text-white bg-sky-700 hover:bg-sky-800 disabled:opacity-50"
+                  >
+                    {redirecting ? "Redirecting..." : "Continue with LinkedIn"}
+                  </button>
+                </div>
+              ) : newAccount.platform === "mastodon" ? (
+                <div className="mb-4 p-4 bg-violet-50 border border-violet-200 rounded-lg">
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Mastodon server
+                  </label>
                   <input
-                    type={showSecrets ? "text" : "password"}
-                    name="apiSecret"
-                    value={newAccount.apiSecret}
-                    onChange={handleInputChange}
-                    className="w-full border border-gray-300 rounded-lg p-2 sm:p-3 pr-10 text-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
-                    placeholder="Enter your API secret"
-                  />
-                  <ShieldCheckIcon
-                    size={16}
-                    className="absolute right-3 top-3 text-gray-400"
+                    type="text"
+                    value={mastodonInstance}
+                    onChange={(e) => setMastodonInstance(e.target.value)}
+                    className="w-full border border-gray-300 rounded-lg p-2 sm:p-3 text-sm mb-3 focus:ring-2 focus:ring-violet-500 focus:border-violet-500"
+                    placeholder="mastodon.social"
                   />
+                  <p className="text-sm text-gray-700 mb-3">
+                    You will sign in on your server and allow SocialGrow to post for you.
+                  </p>
+                  <button
+                    type="button"
+                    onClick={connectMastodon}
+                    disabled={redirecting}
+                    className="w-full px-4 py-2 rounded-lg text-white bg-violet-600 hover:bg-violet-700 disabled:opacity-50"
+                  >
+                    {redirecting ? "Redirecting..." : "Continue with Mastodon"}
+                  </button>
                 </div>
-              </div>
-              <div className="mb-4">
-                <label className="block text-sm font-medium text-gray-700 mb-1">
-                  Access Token (Optional)
-                </label>
-                <div className="relative">
+              ) : newAccount.platform === "bluesky" ? (
+                <div className="mb-4 p-4 bg-sky-50 border border-sky-200 rounded-lg">
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Handle
+                  </label>
                   <input
-                    type={showSecrets ? "text" : "password"}
-                    name="accessToken"
-                    value={newAccount.accessToken}
-                    onChange={handleInputChange}
-                    className="w-full border border-gray-300 rounded-lg p-2 sm:p-3 pr-10 text-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
-                    placeholder="Enter your access token if available"
+                    type="text"
+                    value={blueskyLogin.username}
+                    onChange={(e) => setBlueskyLogin({ ...blueskyLogin, username: e.target.value })}
+                    className="w-full border border-gray-300 rounded-lg p-2 sm:p-3 text-sm mb-3 focus:ring-2 focus:ring-sky-500 focus:border-sky-500"
+                    placeholder="you.bsky.social"
                   />
-                  <ShieldCheckIcon
-                    size={16}
-                    className="absolute right-3 top-3 text-gray-400"
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    App password
+                  </label>
+                  <input
+                    type="password"
+                    value={blueskyLogin.appPassword}
+                    onChange={(e) => setBlueskyLogin({ ...blueskyLogin, appPassword: e.target.value })}
+                    className="w-full border border-gray-300 rounded-lg p-2 sm:p-3 text-sm mb-3 focus:ring-2 focus:ring-sky-500 focus:border-sky-500"
+                    placeholder="xxxx-xxxx-xxxx-xxxx"
                   />
+                  <p className="text-sm text-gray-700 mb-3">
+                    Create an app password in Bluesky under Settings → Privacy and security → App passwords.
+                    Don't use your main password.
+                  </p>
+                  <button
+                    type="button"
+                    onClick={connectBluesky}
+                    disabled={connecting}
+                    className="w-full px-4 py-2 rounded-lg text-white bg-sky-500 hover:bg-sky-600 disabled:opacity-50"
+                  >
+                    {connecting ? "Connecting..." : "Connect Bluesky"}
+                  </button>
                 </div>
-              </div>
+              ) : (
+                <>
+                  <div className="mb-4">
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      Username
+                    </label>
+                    <input
+                      type="text"
+                      name="username"
+                      value={newAccount.username}
+                      onChange={handleInputChange}
+                      className="w-full border border-gray-300 rounded-lg p-2 sm:p-3 text-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                      placeholder={`Your ${platformLabels[newAccount.platform]} username`}
+                    />
+                  </div>
+                  <div className="mb-4">
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      API Key
+                    </label>
+                    <div className="relative">
+                      <input
+                        type="password"
+                        name="apiKey"
+                        value={newAccount.apiKey}
+                        onChange={handleInputChange}
+                        className="w-full border border-gray-300 rounded-lg p-2 sm:p-3 pr-10 text-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                        placeholder="Enter your API key"
+                      />
+                      <KeyIcon
+                        size={16}
+                        className="absolute right-3 top-3 text-gray-400"
+                      />
+                    </div>
+                  </div>
+                  <div className="mb-4">
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      API Secret
+                    </label>
+                    <div className="relative">
+                      <input
+                        type="password"
+                        name="apiSecret"
+                        value={newAccount.apiSecret}
+                        onChange={handleInputChange}
+                        className="w-full border border-gray-300 rounded-lg p-2 sm:p-3 pr-10 text-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                        placeholder="Enter your API secret"
+                      />
+                      <ShieldCheckIcon
+                        size={16}
+                        className="absolute right-3 top-3 text-gray-400"
+                      />
+                    </div>
+                  </div>
+                  <div className="mb-4">
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      Access Token (Optional)
+                    </label>
+                    <div className="relative">
+                      <input
+                        type="password"
+                        name="accessToken"
+                        value={newAccount.accessToken}
+                        onChange={handleInputChange}
+                        className="w-full border border-gray-300 rounded-lg p-2 sm:p-3 pr-10 text-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                        placeholder="Enter your access token if available"
+                      />
+                      <ShieldCheckIcon
+                        size={16}
+                        className="absolute right-3 top-3 text-gray-400"
+                      />
+                    </div>
+                  </div>
+                </>
+              )}
               {formError && (
                 <div className="mb-4 p-3 bg-red-50 text-red-500 rounded-md text-sm border border-red-200">
                   {formError}
@@ -546,18 +746,20 @@ const AccountsManager = () => {
                 >
                   Cancel
                 </button>
-                <button
-                  type="submit"
-                  className={`px-4 py-2 rounded-lg text-white ${
-                    newAccount.platform === "twitter"
-                      ? "bg-blue-500 hover:bg-blue-600"
-                      : newAccount.platform === "instagram"
-                      ? "bg-pink-500 hover:bg-pink-600"
-                      : "bg-indigo-500 hover:bg-indigo-600"
-                  }`}
-                >
-                  Connect Account
-                </button>
+                {!customConnectPlatforms.includes(newAccount.platform) && (
+                  <button
+                    type="submit"
+                    className={`px-4 py-2 rounded-lg text-white ${
+                      newAccount.platform === "twitter"
+                        ? "bg-blue-500 hover:bg-blue-600"
+                        : newAccount.platform === "instagram"
+                        ? "bg-pink-500 hover:bg-pink-600"
+                        : "bg-indigo-500 hover:bg-indigo-600"
+                    }`}
+                  >
+                    Connect Account
+                  </button>
+                )}
               </div>
             </form>
           </div>
@@ -567,46 +769,27 @@ const AccountsManager = () => {
       {/* Info Section */}
       <div className="mt-6 sm:mt-8 bg-gray-50 p-4 rounded-lg border border-gray-200">
         <h3 className="font-medium text-gray-800 mb-2">
-          About API Credentials
+          About Connecting Accounts
         </h3>
         <p className="text-sm text-gray-600 mb-2">
-          To connect your social media accounts, you'll need to obtain API
-          credentials from each platform's developer portal:
+          X (Twitter), Facebook, Instagram, LinkedIn and Mastodon accounts are
+          connected by signing in to the platform, so you never need developer
+          keys. Instagram needs a Business account linked to a Facebook Page.
+          A few platforms still need credentials of your own:
         </p>
         <ul className="list-disc pl-5 text-sm text-gray-600 space-y-1">
           <li>
-            X (Twitter):{" "}
-            <a
-              href="https://developer.twitter.com/"
-              className="text-blue-500 hover:underline"
-              target="_blank"
-              rel="noopener noreferrer"
-            >
-              Twitter Developer Portal
-            </a>
-          </li>
-          <li>
-            Instagram:{" "}
-            <a
-              href="https://developers.facebook.com/"
-              className="text-blue-500 hover:underline"
-              target="_blank"
-              rel="noopener noreferrer"
-            >
-              Meta for Developers
-            </a>
-          </li>
-          <li>
-            Facebook:{" "}
+            Threads:{" "}
             <a
-              href="https://developers.facebook.com/"
+              href="https://developers.facebook.com/docs/threads"
               className="text-blue-500 hover:underline"
               target="_blank"
               rel="noopener noreferrer"
             >
-              Meta for Developers
+              Threads API (Meta app with the Threads use case)
             </a>
           </li>
+          <li>Bluesky: an app password, created in Settings → Privacy and security</li>
         </ul>
       </div>
     </div>
@@ -0,0 +1,83 @@
+import React, { useState } from "react";
+import axios from "axios";
+import { useNavigate, useSearchParams } from "react-router-dom";
+import { FlaskConicalIcon } from "lucide-react";
+
+// Checkout and portal pages of the fake billing provider, used when no real
+// provider is configured. Nothing is charged
+const FakeCheckout = () => {
+  const [searchParams] = useSearchParams();
+  const navigate = useNavigate();
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+  const sessionId = searchParams.get("session");
+
+  const run = async (request, redirect) => {
+    try {
+      setBusy(true);
+      setError("");
+      await request();
+      navigate(redirect);
+    } catch (err) {
+      setError(err.response?.data?.message || "Something went wrong");
+      setBusy(false);
+    }
+  };
+
+  const handlePay = () =>
+    run(() => axios.post(`/api/billing/fake/checkout/${sessionId}`), "/profile?billing=success");
+
+  const handleCancelSubscription = () => run(() => axios.post("/api/billing/fake/cancel"), "/profile");
+
+  return (
+    <div className="p-4 sm:p-6 max-w-2xl mx-auto">
+      <div className="bg-white p-6 sm:p-8 rounded-xl shadow-sm border border-gray-200 text-center">
+        <FlaskConicalIcon size={48} className="mx-auto mb-4 text-gray-300" />
+        <h2 className="text-xl font-semibold mb-2">{sessionId ? "Test checkout" : "Test billing portal"}</h2>
+        <p className="text-gray-500 mb-4">
+          Billing runs against the local test provider, so no payment is taken.
+        </p>
+
+        {error && <p className="text-red-600 mb-4">{error}</p>}
+
+        <div className="flex justify-center gap-2">
+          {sessionId ? (
+            <>
+              <button
+                onClick={handlePay}
+                disabled={busy}
+                className="px-4 py-2 bg-blue-500 hover:bg-blue-600 text-white rounded-lg disabled:opacity-50"
+              >
+                {busy ? "Paying..." : "Pay"}
+              </button>
+              <button
+                onClick={() => navigate("/profile?billing=cancelled")}
+                className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50"
+              >
+                Cancel
+              </button>
+            </>
+          ) : (
+            <>
+              <button
+                onClick={handleCancelSubscription}
+                disabled={busy}
+                className="px-4 py-2 bg-red-500 hover:bg-red-600 text-white rounded-lg disabled:opacity-50"
+              >
+                Cancel subscription
+              </button>
+              <button
+                onClick={() => navigate("/profile")}
+                className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50"
+              >
+                Back
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default FakeCheckout;
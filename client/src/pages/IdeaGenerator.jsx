@@ -9,6 +9,7 @@ import {
   CalendarIcon,
 } from 'lucide-react'
 import { usePlatform } from '../context/PlatformContext'
+import { workspaceHeaders } from '../context/workspace'
 
 // API service functions
 const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000'
@@ -21,6 +22,7 @@ const api = {
         headers: {
           'Content-Type': 'application/json',
           'Authorization': `Bearer ${localStorage.getItem('authToken')}`,
+          ...workspaceHeaders(),
         },
         body: JSON.stringify({ prompt, platform, count }),
       })
@@ -52,6 +54,7 @@ const api = {
       const response = await fetch(`${API_BASE_URL}/api/ideas?${params}`, {
         headers: {
           'Authorization': `Bearer ${localStorage.getItem('authToken')}`,
+          ...workspaceHeaders(),
         },
       })
       
@@ -80,6 +83,7 @@ const api = {
         headers: {
           'Content-Type': 'application/json',
           'Authorization': `Bearer ${localStorage.getItem('authToken')}`,
+          ...workspaceHeaders(),
         },
         body: JSON.stringify(feedback),
       })
@@ -108,6 +112,7 @@ const api = {
         method: 'DELETE',
         headers: {
           'Authorization': `Bearer ${localStorage.getItem('authToken')}`,
+          ...workspaceHeaders(),
         },
       })
       
@@ -136,6 +141,7 @@ const api = {
         headers: {
           'Content-Type': 'application/json',
           'Authorization': `Bearer ${localStorage.getItem('authToken')}`,
+          ...workspaceHeaders(),
         },
         body: JSON.stringify(postData),
       })
@@ -189,7 +195,8 @@ const IdeaGenerator = () => {
 
     const response = await fetch(`${API_BASE_URL}/api/ideas`, {
       headers: {
-        'Authorization': `Bearer ${token}`
+        'Authorization': `Bearer ${token}`,
+        ...workspaceHeaders()
       }
     });
 
@@ -0,0 +1,133 @@
+import React, { useEffect, useRef, useState } from "react";
+import axios from "axios";
+import { useNavigate, useSearchParams } from "react-router-dom";
+import { RefreshCwIcon, XCircleIcon } from "lucide-react";
+
+// LinkedIn redirects here after consent: pick the profile and pages to connect
+const LinkedInCallback = () => {
+  const [searchParams] = useSearchParams();
+  const navigate = useNavigate();
+  const [connectionId, setConnectionId] = useState(null);
+  const [options, setOptions] = useState([]);
+  const [selected, setSelected] = useState([]);
+  const [error, setError] = useState("");
+  const [connecting, setConnecting] = useState(false);
+  // The authorization code can only be exchanged once
+  const exchanged = useRef(false);
+
+  useEffect(() => {
+    if (exchanged.current) return;
+    exchanged.current = true;
+
+    const completeAuthorization = async () => {
+      if (searchParams.get("error")) {
+        setError(searchParams.get("error_description") || "LinkedIn authorization was cancelled");
+        return;
+      }
+
+      try {
+        const response = await axios.post("/api/accounts/linkedin/callback", {
+          code: searchParams.get("code"),
+          state: searchParams.get("state"),
+        });
+        setConnectionId(response.data.connectionId);
+        setOptions(response.data.options);
+        setSelected(response.data.options.map((option) => option.id));
+      } catch (err) {
+        setError(err.response?.data?.message || "LinkedIn authorization failed");
+      }
+    };
+    completeAuthorization();
+  }, [searchParams]);
+
+  const toggle = (id) => {
+    setSelected((prev) => (prev.includes(id) ? prev.filter((item) => item !== id) : [...prev, id]));
+  };
+
+  const connect = async () => {
+    try {
+      setConnecting(true);
+      setError("");
+      await axios.post("/api/accounts/linkedin/connect", { connectionId, targets: selected });
+      navigate("/accounts");
+    } catch (err) {
+      setError(err.response?.data?.message || "Failed to connect LinkedIn accounts");
+      setConnecting(false);
+    }
+  };
+
+  return (
+    <div className="p-4 sm:p-6 max-w-2xl mx-auto">
+      <div className="bg-white p-6 sm:p-8 rounded-xl shadow-sm border border-gray-200">
+        <h2 className="text-xl font-semibold mb-4">Connect LinkedIn</h2>
+
+        {error ? (
+          <div className="text-center">
+            <XCircleIcon size={48} className="mx-auto mb-4 text-red-300" />
+            <p className="text-red-600 mb-4">{error}</p>
+            <button
+              onClick={() => navigate("/accounts")}
+              className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50"
+            >
+              Back to accounts
+            </button>
+          </div>
+        ) : !connectionId ? (
+          <div className="text-center">
+            <RefreshCwIcon size={48} className="mx-auto mb-4 text-gray-300 animate-spin" />
+            <p className="text-gray-500">Checking your LinkedIn authorization...</p>
+          </div>
+        ) : (
+          <>
+            <p className="text-sm text-gray-600 mb-4">
+              Choose where you want to publish. Each selection becomes its own account.
+            </p>
+            <ul className="space-y-2 mb-6">
+              {options.map((option) => (
+                <li key={option.id}>
+                  <label className="flex items-center gap-3 p-3 border border-gray-200 rounded-lg cursor-pointer hover:bg-gray-50">
+                    <input
+                      type="checkbox"
+                      checked={selected.includes(option.id)}
+                      onChange={() => toggle(option.id)}
+                    />
+                    {option.profileImageUrl ? (
+                      <img src={option.profileImageUrl} alt="" className="w-8 h-8 rounded-full" />
+                    ) : (
+                      <div className="w-8 h-8 rounded-full bg-sky-700 flex items-center justify-center text-white font-bold">
+                        in
+                      </div>
+                    )}
+                    <div>
+                      <p className="font-medium text-gray-800">{option.name}</p>
+                      <p className="text-xs text-gray-500">
+                        {option.type === "organization" ? "Company page" : "Personal profile"}
+                      </p>
+                    </div>
+                  </label>
+                </li>
+              ))}
+            </ul>
+            <div className="flex justify-end gap-2">
+              <button
+                onClick={() => navigate("/accounts")}
+                className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={connect}
+                disabled={connecting || selected.length === 0}
+                className="px-4 py-2 rounded-lg text-white bg-sky-700 hover:bg-sky-800 disabled:opacity-50"
+              >
+                {connecting ? "Connecting..." : "Connect"}
+              </button>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default LinkedInCallback;
@@ -0,0 +1,64 @@
+import React, { useEffect, useRef, useState } from "react";
+import axios from "axios";
+import { useNavigate, useSearchParams } from "react-router-dom";
+import { RefreshCwIcon, XCircleIcon } from "lucide-react";
+
+// The Mastodon server redirects here after the user allowed access
+const MastodonCallback = () => {
+  const [searchParams] = useSearchParams();
+  const navigate = useNavigate();
+  const [error, setError] = useState("");
+  // The authorization code can only be exchanged once
+  const exchanged = useRef(false);
+
+  useEffect(() => {
+    if (exchanged.current) return;
+    exchanged.current = true;
+
+    const completeAuthorization = async () => {
+      if (searchParams.get("error")) {
+        setError(searchParams.get("error_description") || "Mastodon authorization was cancelled");
+        return;
+      }
+
+      try {
+        await axios.post("/api/accounts/mastodon/callback", {
+          code: searchParams.get("code"),
+          state: searchParams.get("state"),
+        });
+        navigate("/accounts");
+      } catch (err) {
+        setError(err.response?.data?.message || "Mastodon authorization failed");
+      }
+    };
+    completeAuthorization();
+  }, [searchParams, navigate]);
+
+  return (
+    <div className="p-4 sm:p-6 max-w-2xl mx-auto">
+      <div className="bg-white p-6 sm:p-8 rounded-xl shadow-sm border border-gray-200">
+        <h2 className="text-xl font-semibold mb-4">Connect Mastodon</h2>
+
+        {error ? (
+          <div className="text-center">
+            <XCircleIcon size={48} className="mx-auto mb-4 text-red-300" />
+            <p className="text-red-600 mb-4">{error}</p>
+            <button
+              onClick={() => navigate("/accounts")}
+              className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50"
+            >
+              Back to accounts
+            </button>
+          </div>
+        ) : (
+          <div className="text-center">
+            <RefreshCwIcon size={48} className="mx-auto mb-4 text-gray-300 animate-spin" />
+            <p className="text-gray-500">Connecting your Mastodon account...</p>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default MastodonCallback;
@@ -0,0 +1,144 @@
+import React, { useEffect, useRef, useState } from "react";
+import axios from "axios";
+import { useNavigate, useParams, useSearchParams } from "react-router-dom";
+import { RefreshCwIcon, XCircleIcon } from "lucide-react";
+
+const platformLabels = {
+  twitter: "Twitter",
+  facebook: "Facebook",
+  instagram: "Instagram",
+};
+
+// Twitter, Facebook and Instagram redirect here after consent. Facebook Login
+// then lists the pages (or Instagram accounts) to connect
+const OAuthCallback = () => {
+  const { platform } = useParams();
+  const [searchParams] = useSearchParams();
+  const navigate = useNavigate();
+  const [connectionId, setConnectionId] = useState(null);
+  const [options, setOptions] = useState([]);
+  const [selected, setSelected] = useState([]);
+  const [error, setError] = useState("");
+  const [connecting, setConnecting] = useState(false);
+  // The authorization code can only be exchanged once
+  const exchanged = useRef(false);
+  const label = platformLabels[platform] || platform;
+
+  useEffect(() => {
+    if (exchanged.current) return;
+    exchanged.current = true;
+
+    const completeAuthorization = async () => {
+      try {
+        // Providers send different parameters (code/state, oauth_token/oauth_verifier, error...)
+        const response = await axios.post(
+          `/api/accounts/oauth/${platform}/callback`,
+          Object.fromEntries(searchParams.entries())
+        );
+        if (!response.data.connectionId) {
+          navigate("/accounts");
+          return;
+        }
+        setConnectionId(response.data.connectionId);
+        setOptions(response.data.options);
+        setSelected(response.data.options.map((option) => option.id));
+      } catch (err) {
+        setError(err.response?.data?.message || `${label} authorization failed`);
+      }
+    };
+    completeAuthorization();
+  }, [platform, searchParams, navigate, label]);
+
+  const toggle = (id) => {
+    setSelected((prev) => (prev.includes(id) ? prev.filter((item) => item !== id) : [...prev, id]));
+  };
+
+  const connect = async () => {
+    try {
+      setConnecting(true);
+      setError("");
+      await axios.post(`/api/accounts/oauth/${platform}/connect`, { connectionId, targets: selected });
+      navigate("/accounts");
+    } catch (err) {
+      setError(err.response?.data?.message || `Failed to connect ${label} accounts`);
+      setConnecting(false);
+    }
+  };
+
+  return (
+    <div className="p-4 sm:p-6 max-w-2xl mx-auto">
+      <div className="bg-white p-6 sm:p-8 rounded-xl shadow-sm border border-gray-200">
+        <h2 className="text-xl font-semibold mb-4">Connect {label}</h2>
+
+        {error ? (
+          <div className="text-center">
+            <XCircleIcon size={48} className="mx-auto mb-4 text-red-300" />
+            <p className="text-red-600 mb-4">{error}</p>
+            <button
+              onClick={() => navigate("/accounts")}
+              className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50"
+            >
+              Back to accounts
+            </button>
+          </div>
+        ) : !connectionId ? (
+          <div className="text-center">
+            <RefreshCwIcon size={48} className="mx-auto mb-4 text-gray-300 animate-spin" />
+            <p className="text-gray-500">Checking your {label} authorization...</p>
+          </div>
+        ) : (
+          <>
+            <p className="text-sm text-gray-600 mb-4">
+              Choose where you want to publish. Each selection becomes its own account.
+            </p>
+            <ul className="space-y-2 mb-6">
+              {options.map((option) => (
+                <li key={option.id}>
+                  <label className="flex items-center gap-3 p-3 border border-gray-200 rounded-lg cursor-pointer hover:bg-gray-50">
+                    <input
+                      type="checkbox"
+                      checked={selected.includes(option.id)}
+                      onChange={() => toggle(option.id)}
+                    />
+                    {option.profileImageUrl ? (
+                      <img src={option.profileImageUrl} alt="" className="w-8 h-8 rounded-full" />
+                    ) : (
+                      <div className="w-8 h-8 rounded-full bg-blue-600 flex items-center justify-center text-white font-bold">
+                        {option.name?.charAt(0).toUpperCase()}
+                      </div>
+                    )}
+                    <div>
+                      <p className="font-medium text-gray-800">
+                        {option.type === "instagram" ? `@${option.username}` : option.name}
+                      </p>
+                      <p className="text-xs text-gray-500">
+                        {option.type === "instagram" ? `Linked to ${option.pageName}` : "Facebook Page"}
+                      </p>
+                    </div>
+                  </label>
+                </li>
+              ))}
+            </ul>
+            <div className="flex justify-end gap-2">
+              <button
+                onClick={() => navigate("/accounts")}
+                className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={connect}
+                disabled={connecting || selected.length === 0}
+                className="px-4 py-2 rounded-lg text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+              >
+                {connecting ? "Connecting..." : "Connect"}
+              </button>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default OAuthCallback;
@@ -0,0 +1,161 @@
+import React, { useEffect, useState } from "react";
+import axios from "axios";
+import { useAuth } from "../context/AuthContext";
+import { UserIcon, SaveIcon, GlobeIcon } from "lucide-react";
+import ActiveSessions from "../components/ActiveSessions";
+import TwoFactorSettings from "../components/TwoFactorSettings";
+import BillingSettings from "../components/BillingSettings";
+
+const timeZones = typeof Intl.supportedValuesOf === "function" ? Intl.supportedValuesOf("timeZone") : ["UTC"];
+
+const Profile = () => {
+  const { updateProfile } = useAuth();
+  const [form, setForm] = useState({ name: "", email: "", timezone: "" });
+  const [savedEmail, setSavedEmail] = useState("");
+  const [currentPassword, setCurrentPassword] = useState("");
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+  const [success, setSuccess] = useState("");
+
+  const browserTimeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+  useEffect(() => {
+    const fetchProfile = async () => {
+      try {
+        const response = await axios.get("/api/auth/profile");
+        setForm({
+          name: response.data.name || "",
+          email: response.data.email || "",
+          timezone: response.data.timezone || "",
+        });
+        setSavedEmail(response.data.email || "");
+      } catch (err) {
+        setError(err.response?.data?.message || "Failed to load profile");
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchProfile();
+  }, []);
+
+  const emailChanged = form.email.trim() !== "" && form.email.trim().toLowerCase() !== savedEmail;
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      setError("");
+      setSuccess("");
+      const updated = await updateProfile(emailChanged ? { ...form, currentPassword } : form);
+      setSavedEmail(updated.email);
+      setCurrentPassword("");
+      setSuccess(emailChanged ? `Profile saved. Check ${updated.email} to verify your new email.` : "Profile saved");
+    } catch (err) {
+      setError(err.response?.data?.message || "Failed to save profile");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="p-8 flex items-center justify-center">
+        <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-blue-500"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="p-4 sm:p-6 max-w-3xl mx-auto">
+      <header className="mb-6 sm:mb-8">
+        <h1 className="text-xl sm:text-2xl font-bold text-gray-800">Profile</h1>
+        <p className="text-gray-600 text-sm sm:text-base">Your account details and preferences</p>
+      </header>
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-50 border border-red-200 text-red-700 rounded-lg text-sm">{error}</div>
+      )}
+      {success && (
+        <div className="mb-4 p-3 bg-green-50 border border-green-200 text-green-700 rounded-lg text-sm">{success}</div>
+      )}
+
+      <form onSubmit={handleSubmit} className="bg-white rounded-xl shadow-sm border border-gray-200 p-4 sm:p-6 space-y-4">
+        <div>
+          <label className="flex items-center text-sm font-medium text-gray-700 mb-1">
+            <UserIcon size={16} className="mr-1" />
+            Name
+          </label>
+          <input
+            type="text"
+            className="w-full border border-gray-300 rounded-lg p-2"
+            value={form.name}
+            onChange={(e) => setForm({ ...form, name: e.target.value })}
+          />
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Email</label>
+          <input
+            type="email"
+            className="w-full border border-gray-300 rounded-lg p-2"
+            value={form.email}
+            onChange={(e) => setForm({ ...form, email: e.target.value })}
+          />
+        </div>
+
+        {emailChanged && (
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Current password</label>
+            <input
+              type="password"
+              required
+              autoComplete="current-password"
+              className="w-full border border-gray-300 rounded-lg p-2"
+              value={currentPassword}
+              onChange={(e) => setCurrentPassword(e.target.value)}
+            />
+            <p className="text-xs text-gray-500 mt-1">
+              Needed to change your email. We'll send a verification link to the new address.
+            </p>
+          </div>
+        )}
+
+        <div>
+          <label className="flex items-center text-sm font-medium text-gray-700 mb-1">
+            <GlobeIcon size={16} className="mr-1" />
+            Time zone
+          </label>
+          <select
+            className="w-full border border-gray-300 rounded-lg p-2"
+            value={form.timezone}
+            onChange={(e) => setForm({ ...form, timezone: e.target.value })}
+          >
+            <option value="">Use browser time zone ({browserTimeZone})</option>
+            {timeZones.map((zone) => (
+              <option key={zone} value={zone}>{zone}</option>
+            ))}
+          </select>
+          <p className="text-xs text-gray-500 mt-1">
+            Scheduled times are picked and shown in this zone unless a post sets its own.
+          </p>
+        </div>
+
+        <button
+          type="submit"
+          disabled={saving}
+          className="px-4 py-2 bg-blue-500 hover:bg-blue-600 text-white rounded-lg flex items-center disabled:opacity-50"
+        >
+          <SaveIcon size={16} className="mr-1" />
+          {saving ? "Saving..." : "Save Profile"}
+        </button>
+      </form>
+
+      <BillingSettings />
+      <TwoFactorSettings />
+      <ActiveSessions />
+    </div>
+  );
+};
+
+export default Profile;
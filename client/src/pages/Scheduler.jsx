@@ -1,7 +1,10 @@
-import React, { useState, useEffect, useCallback, useMemo } from "react";
+import React, { useState, useEffect, useCallback, useMemo, useRef } from "react";
 import axios from "axios";
 import { useAuth } from "../context/AuthContext";
 import { usePlatform } from "../context/PlatformContext";
+import PostQueue from "../components/PostQueue";
+import PostGroups from "../components/PostGroups";
+import ApprovalsInbox from "../components/ApprovalsInbox";
 import { 
   Plus, 
   AlertCircle, 
@@ -22,7 +25,13 @@ import {
   X,
   Image as ImageIcon,
   Video,
-  File
+  File,
+  Repeat,
+  Share2,
+  FileText,
+  Hourglass,
+  ThumbsUp,
+  Pencil
 } from "lucide-react";
 
 const platformNames = {
@@ -30,6 +39,9 @@ const platformNames = {
   instagram: "Instagram", 
   facebook: "Facebook",
   linkedin: "LinkedIn",
+  mastodon: "Mastodon",
+  bluesky: "Bluesky",
+  threads: "Threads",
 };
 
 const platformIcons = {
@@ -37,8 +49,45 @@ const platformIcons = {
   instagram: <div className="w-6 h-6 bg-pink-500 rounded-full flex items-center justify-center text-white text-xs">I</div>,
   facebook: <div className="w-6 h-6 bg-blue-600 rounded-full flex items-center justify-center text-white text-xs">F</div>,
   linkedin: <div className="w-6 h-6 bg-blue-700 rounded-full flex items-center justify-center text-white text-xs">L</div>,
+  mastodon: <div className="w-6 h-6 bg-violet-600 rounded-full flex items-center justify-center text-white text-xs">M</div>,
+  bluesky: <div className="w-6 h-6 bg-sky-500 rounded-full flex items-center justify-center text-white text-xs">B</div>,
+  threads: <div className="w-6 h-6 bg-gray-900 rounded-full flex items-center justify-center text-white text-xs">@</div>,
 };
 
+const weekdayLabels = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+// Platforms that can publish a first comment through the Graph API (a reply on Threads)
+const firstCommentPlatforms = ["instagram", "facebook", "threads"];
+
+const timeZones = typeof Intl.supportedValuesOf === "function" ? Intl.supportedValuesOf("timeZone") : ["UTC"];
+
+const emptyPost = (accountId = "") => ({
+  content: "",
+  date: "",
+  time: "",
+  mediaFiles: [],
+  accountId,
+  timezone: "",
+  addToQueue: false,
+  repeat: "none",
+  weekdays: [],
+  endType: "never",
+  until: "",
+  count: "",
+  useEvergreen: false,
+  crossPostAccountIds: [],
+  overrides: {},
+  threadMode: false,
+  threadSegments: [""],
+  autoSplit: false,
+  firstComment: "",
+  contentWarning: "",
+  visibility: "public",
+  replyControl: "everyone",
+  review: "schedule",
+  reviewerEmail: "",
+});
+
 // Helper function to format file size
 const formatFileSize = (bytes) => {
   if (bytes === 0) return '0 Bytes';
@@ -50,11 +99,15 @@ const formatFileSize = (bytes) => {
 
 const Scheduler = () => {
   const { platform } = usePlatform();
-  const { isAuthenticated } = useAuth();
+  const { isAuthenticated, timezone: userTimezone } = useAuth();
   
   const [accounts, setAccounts] = useState([]);
   const [selectedAccountId, setSelectedAccountId] = useState("");
   const [scheduledPosts, setScheduledPosts] = useState([]);
+  const [occurrences, setOccurrences] = useState([]);
+  const [view, setView] = useState("list");
+  const [groupsRefresh, setGroupsRefresh] = useState(0);
+  const [approvalsRefresh, setApprovalsRefresh] = useState(0);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [showModal, setShowModal] = useState(false);
@@ -69,13 +122,11 @@ const Scheduler = () => {
   const [uploadProgress, setUploadProgress] = useState(0);
   const [uploadConfig, setUploadConfig] = useState(null);
 
-  const [newPost, setNewPost] = useState({
-    content: "",
-    date: "",
-    time: "",
-    mediaFiles: [],
-    accountId: "",
-  });
+  const [newPost, setNewPost] = useState(emptyPost());
+  // Draft the composer autosaves into; reused when the post is finally scheduled
+  const [draftId, setDraftId] = useState(null);
+  const [autosaveState, setAutosaveState] = useState("");
+  const autosave = useRef({ saved: "", pending: null });
 
   const getStatusIcon = useCallback((post) => {
     switch (post.status) {
@@ -85,6 +136,14 @@ const Scheduler = () => {
         return <AlertCircle size={16} className="text-red-500" title={`Failed: ${post.publishError || 'Unknown error'}`} />;
       case "scheduled":
         return <Clock size={16} className="text-blue-500" title="Waiting to be published" />;
+      case "publishing":
+        return <RefreshCw size={16} className="text-yellow-500 animate-spin" title="Publishing in progress" />;
+      case "draft":
+        return <FileText size={16} className="text-gray-400" title="Draft" />;
+      case "pending_review":
+        return <Hourglass size={16} className="text-yellow-500" title="Waiting for review" />;
+      case "approved":
+        return <ThumbsUp size={16} className="text-green-500" title="Approved - pick a new date to schedule it" />;
       default:
         return <WifiOff size={16} className="text-gray-400" title="Unknown status" />;
     }
@@ -117,6 +176,146 @@ const Scheduler = () => {
   const healthyAccounts = useMemo(() => {
     return availableAccounts.filter(acc => acc.connected && acc.connectionHealthy !== false);
   }, [availableAccounts]);
+
+  // Accounts on any platform that a post can be cross-posted to
+  const crossPostAccounts = useMemo(() => {
+    return accounts.filter(
+      (acc) => acc._id !== selectedAccountId && acc.connected && acc.connectionHealthy !== false
+    );
+  }, [accounts, selectedAccountId]);
+
+  // Platforms of every account the post in the modal goes to
+  const targetPlatforms = useMemo(() => {
+    const ids = [selectedAccountId, ...newPost.crossPostAccountIds];
+    return [...new Set(
+      accounts
+        .filter((acc) => ids.includes(acc._id))
+        .map((acc) => acc.platform?.toLowerCase())
+    )];
+  }, [accounts, selectedAccountId, newPost.crossPostAccountIds]);
+
+  // What the composer saves as a draft. Only single posts and threads are
+  // autosaved; queued, recurring and cross-posts are created on submit
+  const draftPayload = useMemo(() => {
+    if (!showModal || !selectedAccountId || loading) return null;
+    if (newPost.addToQueue || newPost.repeat !== "none" || newPost.crossPostAccountIds.length > 0) return null;
+
+    const isThread = platform === "twitter" && newPost.threadMode;
+    const segments = newPost.threadSegments.filter((segment) => segment.trim());
+    if (isThread ? segments.length === 0 : !newPost.content.trim()) return null;
+
+    const data = {
+      content: isThread ? segments[0].trim() : newPost.content.trim(),
+      thread: isThread
+        ? segments.map((segment, index) => ({
+            content: segment.trim(),
+            mediaFiles: newPost.mediaFiles
+              .filter((media) => (media.segment || 0) === index)
+              .map((media) => {
+                const { segment: mediaSegment, ...rest } = media;
+                return mediaSegment === undefined ? media : rest;
+              }),
+          }))
+        : null,
+      firstComment: newPost.firstComment.trim(),
+      timezone: newPost.timezone || userTimezone,
+    };
+    if (platform === "mastodon") {
+      data.contentWarning = newPost.contentWarning.trim();
+      data.visibility = newPost.visibility;
+    }
+    if (platform === "threads") {
+      data.replyControl = newPost.replyControl;
+    }
+    if (!isThread) {
+      data.mediaFiles = newPost.mediaFiles;
+    }
+    if (newPost.date && newPost.time) {
+      data.localDateTime = `${newPost.date}T${newPost.time}`;
+    }
+    return data;
+  }, [showModal, selectedAccountId, loading, newPost, platform, userTimezone]);
+
+  // Autosave the composer a moment after the user stops typing
+  useEffect(() => {
+    if (!draftPayload) return;
+    const serialized = JSON.stringify({ accountId: selectedAccountId, ...draftPayload });
+    if (serialized === autosave.current.saved) return;
+
+    const timer = setTimeout(() => {
+      const save = async () => {
+        try {
+          setAutosaveState("Saving draft...");
+          if (draftId) {
+            await axios.put(`/api/scheduler/${draftId}`, draftPayload);
+          } else {
+            const account = accounts.find((acc) => acc._id === selectedAccountId);
+            const response = await axios.post("/api/scheduler", {
+              ...draftPayload,
+              accountId: selectedAccountId,
+              platform: account?.platform?.toLowerCase() || platform,
+              status: "draft",
+            });
+            autosave.current.accountId = selectedAccountId;
+            autosave.current.draftId = response.data._id;
+            setDraftId(response.data._id);
+          }
+          autosave.current.saved = serialized;
+          setAutosaveState("Draft saved");
+        } catch (err) {
+          setAutosaveState(`Draft not saved: ${err.response?.data?.message || err.message}`);
+        }
+      };
+      autosave.current.pending = save();
+    }, 2000);
+    return () => clearTimeout(timer);
+  }, [draftPayload, draftId, selectedAccountId, accounts, platform]);
+
+  // Forget the autosaved draft; it stays in the post list
+  const resetComposer = () => {
+    setNewPost(emptyPost(selectedAccountId));
+    setDraftId(null);
+    setAutosaveState("");
+    autosave.current = { saved: "", pending: null };
+  };
+
+  // Drop the autosaved draft once the composer content was posted another way
+  const discardDraft = async () => {
+    if (!autosave.current.draftId) return;
+    try {
+      await axios.delete(`/api/scheduler/${autosave.current.draftId}`);
+    } catch (err) {
+      console.warn("Could not remove autosaved draft:", err.message);
+    }
+  };
+
+  // Continue editing a draft in the composer
+  const openDraft = (post) => {
+    const isThread = post.thread?.length > 0;
+    const accountId = post.accountId?._id || post.accountId;
+    const [date = "", time = ""] = (post.localScheduledTime || "").split("T");
+    setSelectedAccountId(accountId);
+    setNewPost({
+      ...emptyPost(accountId),
+      content: post.content,
+      date,
+      time,
+      timezone: post.timezone || "",
+      mediaFiles: isThread
+        ? post.thread.flatMap((segment, index) => (segment.mediaFiles || []).map((media) => ({ ...media, segment: index })))
+        : post.mediaFiles || [],
+      threadMode: isThread,
+      threadSegments: isThread ? post.thread.map((segment) => segment.content) : [""],
+      firstComment: post.firstComment || "",
+      contentWarning: post.contentWarning || "",
+      visibility: post.visibility || "public",
+      replyControl: post.replyControl || "everyone",
+    });
+    setDraftId(post._id);
+    autosave.current = { saved: "", pending: null, accountId, draftId: post._id };
+    setAutosaveState("");
+    setShowModal(true);
+  };
   
   const loadAccounts = useCallback(async () => {
     try {
@@ -147,12 +346,14 @@ const Scheduler = () => {
         platform: platform,
         limit: pagination.limit.toString(),
         offset: pagination.offset.toString(),
+        expand: "true",
       });
 
       const response = await axios.get(`/api/scheduler?${queryParams}`);
       const data = response.data;
       
       setScheduledPosts(data.posts || []);
+      setOccurrences(data.occurrences || []);
       setPagination((prev) => ({
         ...prev,
         total: data.pagination?.total || 0,
@@ -257,18 +458,26 @@ const Scheduler = () => {
 
     const isImage = file.type.startsWith('image/');
     const isVideo = file.type.startsWith('video/');
+    const isDocument = file.type === 'application/pdf';
 
-    if (!isImage && !isVideo) {
-      return { valid: false, message: `Only images and videos are supported` };
+    if (isDocument && !maxSizes.document) {
+      return { valid: false, message: `PDF documents can only be posted to LinkedIn` };
+    }
+    if (!isImage && !isVideo && !isDocument) {
+      return { valid: false, message: `Only images, videos and PDF documents are supported` };
+    }
+    if (isVideo && !maxSizes.video) {
+      return { valid: false, message: `Videos cannot be posted to ${platformNames[platform]}` };
     }
 
-    const maxSize = isVideo ? maxSizes.video : maxSizes.image;
+    const maxSize = isDocument ? maxSizes.document : isVideo ? maxSizes.video : maxSizes.image;
     const fileSizeMB = file.size / (1024 * 1024);
 
     if (fileSizeMB > maxSize) {
+      const label = isDocument ? 'Document' : isImage ? 'Image' : 'Video';
       return { 
         valid: false, 
-        message: `${isImage ? 'Image' : 'Video'} must be less than ${maxSize}MB (current: ${fileSizeMB.toFixed(1)}MB)` 
+        message: `${label} must be less than ${maxSize}MB (current: ${fileSizeMB.toFixed(1)}MB)` 
       };
     }
     return { valid: true };
@@ -341,43 +550,164 @@ const Scheduler = () => {
       return;
     }
 
-    const maxLengths = { twitter: 280, instagram: 2200, facebook: 63206, linkedin: 3000 };
+    const isThread = platform === "twitter" && newPost.threadMode;
+    const isRecurring = newPost.repeat !== "none" && !newPost.addToQueue && !isThread;
+    const isGroup = !newPost.addToQueue && !isRecurring && !isThread && newPost.crossPostAccountIds.length > 0;
+    const autoSplit = platform === "twitter" && newPost.autoSplit && !isThread && !isRecurring && !isGroup;
+    // Drafts and reviews apply to single posts only
+    const review = !newPost.addToQueue && !isRecurring && !isGroup ? newPost.review : "schedule";
+
+    if (review === "review" && !newPost.reviewerEmail.trim()) {
+      setError("Enter the email of the reviewer");
+      return;
+    }
+
+    if (isThread) {
+      const invalidIndex = newPost.threadSegments.findIndex(
+        (segment) => !segment.trim() || segment.length > 280
+      );
+      if (invalidIndex !== -1) {
+        setError(`Tweet ${invalidIndex + 1} of the thread must have 1-280 characters`);
+        return;
+      }
+    } else if (!newPost.content.trim() && !(isRecurring && newPost.useEvergreen)) {
+      setError("Content cannot be empty");
+      return;
+    }
+
+    const maxLengths = { twitter: 280, instagram: 2200, facebook: 63206, linkedin: 3000, mastodon: 500, bluesky: 300, threads: 500 };
     const maxLength = maxLengths[platform] || 63206;
-    if (newPost.content.length > maxLength) {
+    if (!isThread && !autoSplit && newPost.content.length > maxLength) {
       setError(`Content exceeds ${maxLength} character limit for ${platformNames[platform]}`);
       return;
     }
 
-    if (platform === 'instagram' && (!newPost.mediaFiles || newPost.mediaFiles.length === 0)) {
+    if (platform === 'instagram' && !newPost.useEvergreen && (!newPost.mediaFiles || newPost.mediaFiles.length === 0)) {
       setError("Instagram posts require at least one image or video");
       return;
     }
 
-    const scheduledDate = new Date(`${newPost.date}T${newPost.time}`);
-    if (scheduledDate <= new Date()) {
-      setError("Scheduled date must be in the future");
-      return;
-    }
+    // Date and time are wall-clock values in the picked zone; the server converts them
+    const localDateTime = `${newPost.date}T${newPost.time}`;
+    const timezone = newPost.timezone || userTimezone;
 
     try {
       setLoading(true);
+      // Let an autosave in flight finish so it cannot create a second draft
+      await autosave.current.pending;
+      const savedDraftId =
+        !newPost.addToQueue && autosave.current.accountId === selectedAccountId ? autosave.current.draftId : null;
+
       const postData = {
         accountId: selectedAccountId,
         content: newPost.content.trim(),
         mediaFiles: newPost.mediaFiles,
-        scheduledDate: scheduledDate.toISOString(),
         platform: selectedAccount.platform.toLowerCase(),
       };
+      if (!isRecurring && newPost.firstComment.trim() && targetPlatforms.some((target) => firstCommentPlatforms.includes(target))) {
+        postData.firstComment = newPost.firstComment.trim();
+      }
+      if (postData.platform === "mastodon") {
+        postData.contentWarning = newPost.contentWarning.trim();
+        postData.visibility = newPost.visibility;
+      }
+      if (postData.platform === "threads") {
+        postData.replyControl = newPost.replyControl;
+      }
+
+      if (isThread) {
+        postData.content = newPost.threadSegments[0].trim();
+        postData.thread = newPost.threadSegments.map((segment, index) => ({
+          content: segment.trim(),
+          mediaFiles: newPost.mediaFiles
+            .filter((media) => (media.segment || 0) === index)
+            .map((media) => {
+              const { segment, ...rest } = media;
+              return segment === undefined ? media : rest;
+            }),
+        }));
+        delete postData.mediaFiles;
+      } else if (autoSplit) {
+        postData.autoSplit = true;
+      }
 
-      const response = await axios.post("/api/scheduler", postData);
-      const createdPost = response.data;
+      if (review === "draft") {
+        postData.status = "draft";
+      } else if (review === "review") {
+        postData.reviewerEmail = newPost.reviewerEmail.trim();
+      }
+
+      if (newPost.addToQueue) {
+        postData.addToQueue = true;
+      } else {
+        postData.localDateTime = localDateTime;
+        postData.timezone = timezone;
+      }
 
-      setScheduledPosts((prev) => [createdPost, ...prev]);
-      setNewPost({ content: "", date: "", time: "", mediaFiles: [], accountId: selectedAccountId });
+      if (isGroup) {
+        await axios.post("/api/scheduler/groups", {
+          content: postData.content,
+          mediaFiles: postData.mediaFiles,
+          targets: [selectedAccountId, ...newPost.crossPostAccountIds],
+          overrides: newPost.overrides,
+          firstComment: postData.firstComment,
+          localDateTime,
+          timezone,
+        });
+        await discardDraft();
+        await loadPosts();
+        setGroupsRefresh((prev) => prev + 1);
+      } else if (isRecurring && !newPost.addToQueue) {
+        const recurrence = { frequency: newPost.repeat };
+        if (newPost.repeat === "weekly" && newPost.weekdays.length > 0) {
+          recurrence.byWeekday = newPost.weekdays;
+        }
+        if (newPost.endType === "until" && newPost.until) {
+          recurrence.until = `${newPost.until}T23:59:59`;
+        }
+        if (newPost.endType === "count" && newPost.count) {
+          recurrence.count = parseInt(newPost.count);
+        }
+
+        await axios.post("/api/scheduler/series", {
+          ...postData,
+          localStartDate: localDateTime,
+          source: newPost.useEvergreen ? "evergreen" : "fixed",
+          recurrence,
+        });
+        await discardDraft();
+        await loadPosts();
+      } else if (savedDraftId) {
+        // The composer was autosaved: schedule, keep or submit that draft
+        await axios.put(`/api/scheduler/${savedDraftId}`, {
+          ...postData,
+          thread: postData.thread || null,
+          status: review === "schedule" ? "scheduled" : "draft",
+        });
+        if (review === "review") {
+          await axios.post(`/api/approvals/${savedDraftId}/submit`, { reviewerEmail: postData.reviewerEmail });
+          setApprovalsRefresh((prev) => prev + 1);
+        }
+        await loadPosts();
+      } else {
+        const response = await axios.post("/api/scheduler", postData);
+        const createdPost = response.data;
+
+        setScheduledPosts((prev) => [createdPost, ...prev]);
+        if (review === "review") {
+          setApprovalsRefresh((prev) => prev + 1);
+        }
+        await discardDraft();
+      }
+      resetComposer();
       setShowModal(false);
       setError(null);
     } catch (err) {
-      setError(err.response?.data?.message || err.message || "Failed to schedule post");
+      const targetErrors = (err.response?.data?.targetErrors || [])
+        .map((target) => `${platformNames[target.platform] || target.platform}: ${target.message}`)
+        .join("; ");
+      const message = err.response?.data?.message || err.message || "Failed to schedule post";
+      setError(targetErrors ? `${message} - ${targetErrors}` : message);
     } finally {
       setLoading(false);
     }
@@ -398,6 +728,87 @@ const Scheduler = () => {
     }
   };
 
+  const deleteSeries = async (seriesId) => {
+    if (!window.confirm("Stop this recurring post? Upcoming occurrences that have not been published will be removed.")) return;
+
+    try {
+      setLoading(true);
+      await axios.delete(`/api/scheduler/series/${seriesId}`);
+      await loadPosts();
+      setError(null);
+    } catch (err) {
+      setError(err.response?.data?.message || err.message || "Failed to delete recurring post");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const updateThreadSegment = (index, value) => {
+    setNewPost((prev) => ({
+      ...prev,
+      threadSegments: prev.threadSegments.map((segment, i) => (i === index ? value : segment)),
+    }));
+  };
+
+  const addThreadSegment = () => {
+    setNewPost((prev) => ({ ...prev, threadSegments: [...prev.threadSegments, ""] }));
+  };
+
+  const removeThreadSegment = (index) => {
+    setNewPost((prev) => ({
+      ...prev,
+      threadSegments: prev.threadSegments.filter((_, i) => i !== index),
+      // Media of the removed tweet moves to the first one; later tweets shift up
+      mediaFiles: prev.mediaFiles.map((media) => {
+        const segment = media.segment || 0;
+        if (segment === index) return { ...media, segment: 0 };
+        return segment > index ? { ...media, segment: segment - 1 } : media;
+      }),
+    }));
+  };
+
+  const setMediaSegment = (mediaIndex, segment) => {
+    setNewPost((prev) => ({
+      ...prev,
+      mediaFiles: prev.mediaFiles.map((media, i) => (i === mediaIndex ? { ...media, segment } : media)),
+    }));
+  };
+
+  const setMediaAltText = (mediaIndex, altText) => {
+    setNewPost((prev) => ({
+      ...prev,
+      mediaFiles: prev.mediaFiles.map((media, i) => (i === mediaIndex ? { ...media, altText } : media)),
+    }));
+  };
+
+  const toggleCrossPost = (accountId) => {
+    setNewPost((prev) => ({
+      ...prev,
+      crossPostAccountIds: prev.crossPostAccountIds.includes(accountId)
+        ? prev.crossPostAccountIds.filter((id) => id !== accountId)
+        : [...prev.crossPostAccountIds, accountId],
+    }));
+  };
+
+  const setOverride = (targetPlatform, field, value) => {
+    setNewPost((prev) => ({
+      ...prev,
+      overrides: {
+        ...prev.overrides,
+        [targetPlatform]: { ...prev.overrides[targetPlatform], [field]: value },
+      },
+    }));
+  };
+
+  const toggleWeekday = (day) => {
+    setNewPost((prev) => ({
+      ...prev,
+      weekdays: prev.weekdays.includes(day)
+        ? prev.weekdays.filter((d) => d !== day)
+        : [...prev.weekdays, day].sort(),
+    }));
+  };
+
   const retryPost = async (postId) => {
     try {
       setLoading(true);
@@ -415,6 +826,35 @@ const Scheduler = () => {
     }
   };
 
+  const submitForReview = async (postId) => {
+    const reviewerEmail = window.prompt("Email of the reviewer");
+    if (!reviewerEmail?.trim()) return;
+
+    try {
+      const response = await axios.post(`/api/approvals/${postId}/submit`, { reviewerEmail: reviewerEmail.trim() });
+      setScheduledPosts((prev) =>
+        prev.map((post) => (post._id === postId ? { ...post, ...response.data, accountId: post.accountId } : post))
+      );
+      setApprovalsRefresh((prev) => prev + 1);
+      setError(null);
+    } catch (err) {
+      setError(err.response?.data?.message || "Failed to submit post for review");
+    }
+  };
+
+  const retryFirstComment = async (postId) => {
+    try {
+      const response = await axios.post(`/api/scheduler/${postId}/first-comment`);
+      setScheduledPosts((prev) =>
+        prev.map((post) => (post._id === postId ? { ...post, ...response.data, accountId: post.accountId } : post))
+      );
+      setError(null);
+    } catch (err) {
+      setError(err.response?.data?.message || "Failed to post first comment");
+      await loadPosts();
+    }
+  };
+
   const triggerScheduler = async () => {
     try {
       setRefreshingStats(true);
@@ -444,8 +884,8 @@ const Scheduler = () => {
   const formatDateTime = (dateString) => {
     const date = new Date(dateString);
     return {
-      date: date.toLocaleDateString(),
-      time: date.toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" }),
+      date: date.toLocaleDateString([], { timeZone: userTimezone }),
+      time: date.toLocaleTimeString([], { timeZone: userTimezone, hour: "2-digit", minute: "2-digit" }),
     };
   };
 
@@ -457,6 +897,10 @@ const Scheduler = () => {
             <div className="w-full h-full flex items-center justify-center">
               <Video size={20} className="text-blue-500" />
             </div>
+          ) : media.resourceType === 'document' ? (
+            <div className="w-full h-full flex items-center justify-center">
+              <FileText size={20} className="text-red-500" />
+            </div>
           ) : (
             <img 
               src={media.thumbnails?.[0]?.url || media.url}
@@ -616,21 +1060,57 @@ const Scheduler = () => {
         <div className="p-4 border-b border-gray-200 bg-gray-50 flex justify-between items-center">
           <div>
             <h2 className="font-medium">Scheduled Posts</h2>
-            {pagination.total > 0 && (
+            {view === "list" && pagination.total > 0 && (
               <p className="text-sm text-gray-500 mt-1">
                 Showing {Math.min(pagination.offset + scheduledPosts.length, pagination.total)} of {pagination.total} posts
               </p>
             )}
           </div>
-          <button
-            onClick={loadPosts}
-            className="p-2 text-gray-500 hover:text-gray-700"
-            title="Refresh posts"
-          >
-            <RefreshCw size={18} />
-          </button>
+          <div className="flex items-center gap-2">
+            <div className="flex border border-gray-300 rounded-lg overflow-hidden text-sm">
+              {["list", "queue", "groups", "approvals"].map((option) => (
+                <button
+                  key={option}
+                  onClick={() => setView(option)}
+                  className={`px-3 py-1 capitalize ${view === option ? "bg-white font-medium" : "text-gray-500 hover:bg-gray-100"}`}
+                >
+                  {option}
+                </button>
+              ))}
+            </div>
+            <button
+              onClick={loadPosts}
+              className="p-2 text-gray-500 hover:text-gray-700"
+              title="Refresh posts"
+            >
+              <RefreshCw size={18} />
+            </button>
+          </div>
         </div>
 
+        {view === "queue" ? (
+          <PostQueue
+            key={selectedAccountId}
+            account={availableAccounts.find((acc) => acc._id === selectedAccountId)}
+            onError={setError}
+          />
+        ) : view === "groups" ? (
+          <PostGroups
+            accounts={accounts}
+            timezone={userTimezone}
+            onError={setError}
+            refreshKey={groupsRefresh}
+          />
+        ) : view === "approvals" ? (
+          <ApprovalsInbox
+            timezone={userTimezone}
+            onError={setError}
+            onChanged={loadPosts}
+            refreshKey={approvalsRefresh}
+          />
+        ) : (
+        <>
+
         <div className="divide-y divide-gray-200">
           {scheduledPosts.length === 0 ? (
             <div className="p-8 text-center text-gray-500">
@@ -688,6 +1168,22 @@ const Scheduler = () => {
                             <Clock size={14} className="mr-1" />
                             {time}
                           </span>
+                          {post.thread?.length > 0 && (
+                            <span className="flex items-center text-xs bg-blue-50 text-blue-600 px-2 py-1 rounded" title="Tweets published so far">
+                              Thread · {post.thread.filter((segment) => segment.externalPostId).length}/{post.thread.length} tweets
+                            </span>
+                          )}
+                          {post.groupId && (
+                            <span className="flex items-center text-xs bg-purple-50 text-purple-600 px-2 py-1 rounded" title="Part of a cross-post group">
+                              <Share2 size={12} className="mr-1" />
+                              Cross-post
+                            </span>
+                          )}
+                          {post.timezone && post.timezone !== userTimezone && post.localScheduledTime && (
+                            <span className="text-xs text-gray-400" title="Scheduled in the post's own time zone">
+                              {post.localScheduledTime.replace("T", " ")} {post.timezone}
+                            </span>
+                          )}
                           {account && (
                             <span className="flex items-center text-xs bg-gray-100 px-2 py-1 rounded">
                               {getAccountHealthIcon(account)}
@@ -701,14 +1197,63 @@ const Scheduler = () => {
                             </span>
                           )}
                         </div>
+                        {post.status === 'draft' && post.approval?.status === 'rejected' && (
+                          <div className="mt-2 p-2 bg-red-50 border border-red-200 rounded text-sm text-red-700">
+                            <strong>Changes requested:</strong> {post.approval.rejectionReason}
+                          </div>
+                        )}
+                        {post.status === 'approved' && (
+                          <div className="mt-2 p-2 bg-yellow-50 border border-yellow-200 rounded text-sm text-yellow-700">
+                            Approved after its date passed. Pick a new date to schedule it.
+                          </div>
+                        )}
                         {post.status === 'failed' && post.publishError && (
                           <div className="mt-2 p-2 bg-red-50 border border-red-200 rounded text-sm text-red-700">
                             <strong>Error:</strong> {post.publishError}
                           </div>
                         )}
+                        {post.firstComment && (
+                          <div className="mt-2 text-xs text-gray-500 flex items-center flex-wrap gap-2">
+                            <span className="truncate max-w-md" title={post.firstComment}>
+                              💬 {post.firstComment}
+                            </span>
+                            {post.firstCommentId && <span className="text-green-600">Comment posted</span>}
+                            {post.status === 'published' && !post.firstCommentId && post.firstCommentError && (
+                              <>
+                                <span className="text-red-600" title={post.firstCommentError}>Comment failed</span>
+                                <button
+                                  onClick={() => retryFirstComment(post._id)}
+                                  className="text-blue-600 hover:underline"
+                                >
+                                  Retry comment
+                                </button>
+                              </>
+                            )}
+                          </div>
+                        )}
                       </div>
 
                       <div className="flex gap-1">
+                        {post.status === 'draft' && (
+                          <button
+                            onClick={() => openDraft(post)}
+                            className="p-2 text-gray-400 hover:text-blue-500"
+                            title="Edit draft"
+                            disabled={loading}
+                          >
+                            <Pencil size={18} />
+                          </button>
+                        )}
+                        {post.status === 'draft' && (
+                          <button
+                            onClick={() => submitForReview(post._id)}
+                            className="p-2 text-gray-400 hover:text-blue-500"
+                            title="Submit for review"
+                            disabled={loading}
+                          >
+                            <Hourglass size={18} />
+                          </button>
+                        )}
                         {post.status === 'failed' && (
                           <button
                             onClick={() => retryPost(post._id)}
@@ -735,6 +1280,58 @@ const Scheduler = () => {
             })
           )}
         </div>
+
+        {occurrences.length > 0 && (
+          <>
+            <div className="p-4 border-t border-b border-gray-200 bg-gray-50">
+              <h2 className="font-medium">Upcoming Recurring Posts</h2>
+            </div>
+            <div className="divide-y divide-gray-200">
+              {occurrences.map((occurrence) => {
+                const { date, time } = formatDateTime(occurrence.scheduledDate);
+
+                return (
+                  <div key={occurrence._id} className="p-4 flex items-start">
+                    <div className="mr-4 flex flex-col items-center">
+                      {platformIcons[occurrence.platform?.toLowerCase()]}
+                      <div className="mt-1">
+                        <Repeat size={16} className="text-purple-500" title={occurrence.rrule} />
+                      </div>
+                    </div>
+                    <div className="flex-1">
+                      <p className={occurrence.content ? "text-gray-800 mb-2" : "text-gray-500 italic mb-2"}>
+                        {occurrence.content || `Next item from your evergreen library${occurrence.evergreenCategory ? ` (${occurrence.evergreenCategory})` : ""}`}
+                      </p>
+                      <div className="flex items-center text-sm text-gray-500 flex-wrap gap-2">
+                        <span className="flex items-center">
+                          <CalendarIcon size={14} className="mr-1" />
+                          {date}
+                        </span>
+                        <span className="flex items-center">
+                          <Clock size={14} className="mr-1" />
+                          {time}
+                        </span>
+                        <span className="text-xs bg-purple-50 text-purple-700 px-2 py-1 rounded">
+                          {occurrence.rrule}
+                        </span>
+                      </div>
+                    </div>
+                    <button
+                      onClick={() => deleteSeries(occurrence.seriesId)}
+                      className="p-2 text-gray-400 hover:text-red-500"
+                      title="Stop recurring post"
+                      disabled={loading}
+                    >
+                      <TrashIcon size={18} />
+                    </button>
+                  </div>
+                );
+              })}
+            </div>
+          </>
+        )}
+        </>
+        )}
       </div>
 
       {showModal && (
@@ -773,6 +1370,64 @@ const Scheduler = () => {
                 )}
               </div>
 
+              {platform === "twitter" && !newPost.useEvergreen && (
+                <label className="flex items-center mb-2 text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    className="mr-2"
+                    checked={newPost.threadMode}
+                    onChange={(e) =>
+                      setNewPost({
+                        ...newPost,
+                        threadMode: e.target.checked,
+                        // Threads are single posts - no repeats or cross-posting
+                        repeat: e.target.checked ? "none" : newPost.repeat,
+                        crossPostAccountIds: e.target.checked ? [] : newPost.crossPostAccountIds,
+                        threadSegments: e.target.checked ? [newPost.content] : newPost.threadSegments,
+                        content: e.target.checked ? newPost.content : newPost.threadSegments[0] || newPost.content,
+                      })
+                    }
+                  />
+                  Publish as a thread
+                </label>
+              )}
+
+              {platform === "twitter" && newPost.threadMode ? (
+              <div className="mb-4 space-y-2">
+                <label className="block text-sm font-medium text-gray-700">Thread</label>
+                {newPost.threadSegments.map((segment, index) => (
+                  <div key={index} className="border border-gray-200 rounded-lg p-2">
+                    <div className="flex justify-between text-xs text-gray-500 mb-1">
+                      <span>Tweet {index + 1}</span>
+                      {newPost.threadSegments.length > 1 && (
+                        <button type="button" onClick={() => removeThreadSegment(index)} className="text-gray-400 hover:text-red-500">
+                          <X size={14} />
+                        </button>
+                      )}
+                    </div>
+                    <textarea
+                      className="w-full border border-gray-300 rounded-lg p-2 text-sm"
+                      rows={3}
+                      value={segment}
+                      onChange={(e) => updateThreadSegment(index, e.target.value)}
+                    />
+                    <span className={`text-xs ${segment.length > 280 ? "text-red-500" : "text-gray-500"}`}>
+                      {segment.length}/280 characters
+                    </span>
+                  </div>
+                ))}
+                {newPost.threadSegments.length < 25 && (
+                  <button
+                    type="button"
+                    onClick={addThreadSegment}
+                    className="flex items-center text-sm text-blue-600 hover:text-blue-700"
+                  >
+                    <Plus size={14} className="mr-1" />
+                    Add tweet
+                  </button>
+                )}
+              </div>
+              ) : (
               <div className="mb-4">
                 <label className="block text-sm font-medium text-gray-700 mb-1">Content</label>
                 <textarea
@@ -780,19 +1435,140 @@ const Scheduler = () => {
                   rows={4}
                   value={newPost.content}
                   onChange={(e) => setNewPost({ ...newPost, content: e.target.value })}
-                  placeholder={`What's happening on ${platformNames[platform]}?`}
-                  required
+                  placeholder={
+                    newPost.useEvergreen
+                      ? "Content is taken from your evergreen library"
+                      : `What's happening on ${platformNames[platform]}?`
+                  }
+                  disabled={newPost.useEvergreen}
+                  required={!newPost.useEvergreen}
                 />
                 <div className="flex justify-between text-xs text-gray-500 mt-1">
                   <span>
                     {newPost.content.length}/
-                    {platform === "twitter" ? "280" : platform === "instagram" ? "2200" : "63206"} characters
+                    {platform === "twitter"
+                      ? "280"
+                      : platform === "instagram"
+                      ? "2200"
+                      : platform === "linkedin"
+                      ? "3000"
+                      : platform === "mastodon" || platform === "threads"
+                      ? "500"
+                      : platform === "bluesky"
+                      ? "300"
+                      : "63206"} characters
                   </span>
                   {platform === 'instagram' && (
                     <span className="text-yellow-600">📷 Instagram requires media</span>
                   )}
                 </div>
+                {platform === "twitter" && newPost.content.length > 280 && (
+                  <label className="flex items-center mt-2 text-sm text-gray-700">
+                    <input
+                      type="checkbox"
+                      className="mr-2"
+                      checked={newPost.autoSplit}
+                      onChange={(e) => setNewPost({ ...newPost, autoSplit: e.target.checked })}
+                    />
+                    Split into a thread at sentence boundaries (adds 1/n counters)
+                  </label>
+                )}
               </div>
+              )}
+
+              {platform === "mastodon" && (
+                <div className="mb-4 grid grid-cols-1 sm:grid-cols-3 gap-2">
+                  <div className="sm:col-span-2">
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Content warning (optional)</label>
+                    <input
+                      type="text"
+                      className="w-full border border-gray-300 rounded-lg p-2 text-sm"
+                      value={newPost.contentWarning}
+                      onChange={(e) => setNewPost({ ...newPost, contentWarning: e.target.value })}
+                      placeholder="Shown instead of the post until it is expanded"
+                      maxLength={500}
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Visibility</label>
+                    <select
+                      className="w-full border border-gray-300 rounded-lg p-2 text-sm"
+                      value={newPost.visibility}
+                      onChange={(e) => setNewPost({ ...newPost, visibility: e.target.value })}
+                    >
+                      <option value="public">Public</option>
+                      <option value="unlisted">Unlisted</option>
+                      <option value="private">Followers only</option>
+                    </select>
+                  </div>
+                  <span className="text-xs text-gray-500 sm:col-span-3">
+                    The content warning counts toward the 500 character limit
+                  </span>
+                </div>
+              )}
+
+              {platform === "threads" && (
+                <div className="mb-4">
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Who can reply</label>
+                  <select
+                    className="w-full border border-gray-300 rounded-lg p-2 text-sm"
+                    value={newPost.replyControl}
+                    onChange={(e) => setNewPost({ ...newPost, replyControl: e.target.value })}
+                  >
+                    <option value="everyone">Anyone</option>
+                    <option value="accounts_you_follow">Profiles you follow</option>
+                    <option value="mentioned_only">Mentioned only</option>
+                  </select>
+                </div>
+              )}
+
+              {targetPlatforms.some((target) => firstCommentPlatforms.includes(target)) && (newPost.repeat === "none" || newPost.addToQueue) && (
+                <div className="mb-4">
+                  <label className="block text-sm font-medium text-gray-700 mb-1">First comment (optional)</label>
+                  <textarea
+                    className="w-full border border-gray-300 rounded-lg p-2 text-sm"
+                    rows={2}
+                    value={newPost.firstComment}
+                    onChange={(e) => setNewPost({ ...newPost, firstComment: e.target.value })}
+                    placeholder="Posted as a comment right after publishing, e.g. your hashtags"
+                    maxLength={2200}
+                  />
+                  <span className="text-xs text-gray-500">
+                    Instagram, Facebook and Threads (posted as a reply) only
+                  </span>
+                </div>
+              )}
+
+              {!newPost.addToQueue && newPost.repeat === "none" && newPost.crossPostAccountIds.length === 0 && (
+                <div className="mb-4">
+                  <label className="block text-sm font-medium text-gray-700 mb-1">When saved</label>
+                  <select
+                    className="w-full border border-gray-300 rounded-lg p-2 text-sm"
+                    value={newPost.review}
+                    onChange={(e) => setNewPost({ ...newPost, review: e.target.value })}
+                  >
+                    <option value="schedule">Schedule right away</option>
+                    <option value="draft">Keep as a draft</option>
+                    <option value="review">Send for review first</option>
+                  </select>
+                  {newPost.review === "review" && (
+                    <input
+                      type="email"
+                      className="w-full border border-gray-300 rounded-lg p-2 text-sm mt-2"
+                      placeholder="Reviewer email"
+                      value={newPost.reviewerEmail}
+                      onChange={(e) => setNewPost({ ...newPost, reviewerEmail: e.target.value })}
+                    />
+                  )}
+                  {newPost.review !== "schedule" && (
+                    <span className="text-xs text-gray-500">
+                      {newPost.review === "draft"
+                        ? "Drafts are not published. Submit it for review from the post list."
+                        : "The post is only published once the reviewer approves it."}
+                    </span>
+                  )}
+                </div>
+              )}
 
               <div className="mb-4">
                 <label className="block text-sm font-medium text-gray-700 mb-1">
@@ -804,7 +1580,7 @@ const Scheduler = () => {
                     type="file"
                     id="media-upload"
                     multiple
-                    accept="image/*,video/*"
+                    accept={platform === 'linkedin' ? "image/*,application/pdf" : platform === 'bluesky' ? "image/*" : "image/*,video/*"}
                     onChange={handleFileSelect}
                     className="hidden"
                     disabled={uploadingMedia}
@@ -818,7 +1594,11 @@ const Scheduler = () => {
                       {uploadingMedia ? 'Uploading...' : 'Click to upload media'}
                     </span>
                     <span className="text-xs mt-1">
-                      Images and videos supported (max 50MB per file)
+                      {platform === 'linkedin'
+                        ? 'Images or one PDF document'
+                        : platform === 'bluesky'
+                        ? 'Images only'
+                        : 'Images and videos supported (max 50MB per file)'}
                     </span>
                   </label>
                 </div>
@@ -848,12 +1628,41 @@ const Scheduler = () => {
                         {platform === 'twitter' && 'Max 4 files'}
                         {platform === 'instagram' && 'Max 10 files'}
                         {platform === 'facebook' && 'Max 10 files'}
-                        {platform === 'linkedin' && 'Max 1 file'}
+                        {platform === 'linkedin' && 'Max 20 images or 1 document'}
+                        {platform === 'mastodon' && 'Max 4 images or 1 video'}
+                        {platform === 'bluesky' && 'Max 4 images'}
+                        {platform === 'threads' && 'Max 20 files'}
                       </span>
                     </div>
                     <div className="space-y-2 max-h-32 overflow-y-auto">
                       {newPost.mediaFiles.map((media, index) => (
-                        <MediaPreview key={index} media={media} index={index} onRemove={removeMediaFile} />
+                        <div key={index} className="flex items-center gap-2">
+                          <div className="flex-1">
+                            <MediaPreview media={media} index={index} onRemove={removeMediaFile} />
+                            {(platform === "mastodon" || platform === "bluesky") && (
+                              <input
+                                type="text"
+                                className="w-full border border-gray-300 rounded-lg p-1 text-xs mt-1"
+                                value={media.altText || ""}
+                                onChange={(e) => setMediaAltText(index, e.target.value)}
+                                placeholder="Alt text describing the media"
+                                maxLength={1500}
+                              />
+                            )}
+                          </div>
+                          {platform === "twitter" && newPost.threadMode && (
+                            <select
+                              className="border border-gray-300 rounded-lg p-1 text-xs"
+                              value={media.segment || 0}
+                              onChange={(e) => setMediaSegment(index, parseInt(e.target.value))}
+                              title="Tweet this media is attached to"
+                            >
+                              {newPost.threadSegments.map((_, segment) => (
+                                <option key={segment} value={segment}>Tweet {segment + 1}</option>
+                              ))}
+                            </select>
+                          )}
+                        </div>
                       ))}
                     </div>
                   </div>
@@ -866,6 +1675,18 @@ const Scheduler = () => {
                 )}
               </div>
 
+              <label className="flex items-center mb-4 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  className="mr-2"
+                  checked={newPost.addToQueue}
+                  onChange={(e) => setNewPost({ ...newPost, addToQueue: e.target.checked })}
+                />
+                Add to queue (next free posting slot)
+              </label>
+
+              {!newPost.addToQueue && (
+              <>
               <div className="grid grid-cols-2 gap-4 mb-4">
                 <div>
                   <label className="block text-sm font-medium text-gray-700 mb-1">Date</label>
@@ -890,19 +1711,162 @@ const Scheduler = () => {
                 </div>
               </div>
 
-              <div className="flex justify-end space-x-2">
+              <div className="mb-4">
+                <label className="block text-sm font-medium text-gray-700 mb-1">Time zone</label>
+                <select
+                  className="w-full border border-gray-300 rounded-lg p-2"
+                  value={newPost.timezone || userTimezone}
+                  onChange={(e) => setNewPost({ ...newPost, timezone: e.target.value })}
+                >
+                  {!timeZones.includes(userTimezone) && <option value={userTimezone}>{userTimezone}</option>}
+                  {timeZones.map((zone) => (
+                    <option key={zone} value={zone}>{zone}</option>
+                  ))}
+                </select>
+              </div>
+
+              <div className="mb-4">
+                <label className="block text-sm font-medium text-gray-700 mb-1">Repeat</label>
+                <select
+                  className="w-full border border-gray-300 rounded-lg p-2"
+                  value={newPost.repeat}
+                  onChange={(e) => setNewPost({ ...newPost, repeat: e.target.value })}
+                  disabled={newPost.threadMode}
+                >
+                  <option value="none">Does not repeat</option>
+                  <option value="daily">Daily</option>
+                  <option value="weekly">Weekly</option>
+                  <option value="monthly">Monthly</option>
+                </select>
+
+                {newPost.repeat === "weekly" && (
+                  <div className="flex flex-wrap gap-1 mt-2">
+                    {weekdayLabels.map((label, day) => (
+                      <button
+                        key={label}
+                        type="button"
+                        onClick={() => toggleWeekday(day)}
+                        className={`px-2 py-1 text-xs rounded border ${
+                          newPost.weekdays.includes(day)
+                            ? "bg-blue-500 border-blue-500 text-white"
+                            : "border-gray-300 text-gray-700 hover:bg-gray-50"
+                        }`}
+                      >
+                        {label}
+                      </button>
+                    ))}
+                  </div>
+                )}
+
+                {newPost.repeat !== "none" && (
+                  <>
+                    <div className="grid grid-cols-2 gap-4 mt-2">
+                      <select
+                        className="w-full border border-gray-300 rounded-lg p-2 text-sm"
+                        value={newPost.endType}
+                        onChange={(e) => setNewPost({ ...newPost, endType: e.target.value })}
+                      >
+                        <option value="never">Never ends</option>
+                        <option value="until">Ends on date</option>
+                        <option value="count">Ends after</option>
+                      </select>
+                      {newPost.endType === "until" && (
+                        <input
+                          type="date"
+                          className="w-full border border-gray-300 rounded-lg p-2 text-sm"
+                          value={newPost.until}
+                          min={newPost.date}
+                          onChange={(e) => setNewPost({ ...newPost, until: e.target.value })}
+                          required
+                        />
+                      )}
+                      {newPost.endType === "count" && (
+                        <input
+                          type="number"
+                          min="1"
+                          className="w-full border border-gray-300 rounded-lg p-2 text-sm"
+                          value={newPost.count}
+                          placeholder="Occurrences"
+                          onChange={(e) => setNewPost({ ...newPost, count: e.target.value })}
+                          required
+                        />
+                      )}
+                    </div>
+                    <label className="flex items-center mt-2 text-sm text-gray-700">
+                      <input
+                        type="checkbox"
+                        className="mr-2"
+                        checked={newPost.useEvergreen}
+                        onChange={(e) => setNewPost({ ...newPost, useEvergreen: e.target.checked })}
+                      />
+                      Rotate content from my evergreen library
+                    </label>
+                  </>
+                )}
+              </div>
+
+              {newPost.repeat === "none" && !newPost.threadMode && crossPostAccounts.length > 0 && (
+                <div className="mb-4">
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Also post to</label>
+                  <div className="flex flex-wrap gap-2">
+                    {crossPostAccounts.map((acc) => (
+                      <label key={acc._id} className="flex items-center text-sm border border-gray-200 rounded-lg px-2 py-1">
+                        <input
+                          type="checkbox"
+                          className="mr-2"
+                          checked={newPost.crossPostAccountIds.includes(acc._id)}
+                          onChange={() => toggleCrossPost(acc._id)}
+                        />
+                        {platformNames[acc.platform?.toLowerCase()] || acc.platform} @{acc.username}
+                      </label>
+                    ))}
+                  </div>
+
+                  {newPost.crossPostAccountIds.length > 0 && (
+                    <div className="mt-3 space-y-3">
+                      <p className="text-xs text-gray-500">
+                        Optional per-platform text. Leave empty to use the main text.
+                      </p>
+                      {targetPlatforms.map((targetPlatform) => (
+                        <div key={targetPlatform}>
+                          <label className="block text-xs font-medium text-gray-600 mb-1">
+                            {platformNames[targetPlatform] || targetPlatform} text
+                          </label>
+                          <textarea
+                            className="w-full border border-gray-300 rounded-lg p-2 text-sm"
+                            rows={2}
+                            value={newPost.overrides[targetPlatform]?.content || ""}
+                            onChange={(e) => setOverride(targetPlatform, "content", e.target.value)}
+                          />
+                          {targetPlatform === "instagram" && (
+                            <input
+                              type="text"
+                              className="w-full border border-gray-300 rounded-lg p-2 text-sm mt-1"
+                              placeholder="Hashtags block, e.g. #launch #product"
+                              value={newPost.overrides.instagram?.hashtags || ""}
+                              onChange={(e) => setOverride("instagram", "hashtags", e.target.value)}
+                            />
+                          )}
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              )}
+              </>
+              )}
+
+              <div className="flex justify-end items-center space-x-2">
+                {autosaveState && (
+                  <span className="mr-auto text-xs text-gray-500">{autosaveState}</span>
+                )}
                 <button
                   type="button"
                   onClick={() => {
                     setShowModal(false);
                     setError(null);
-                    setNewPost({ 
-                      content: "", 
-                      date: "", 
-                      time: "", 
-                      mediaFiles: [], 
-                      accountId: selectedAccountId 
-                    });
+                    if (draftId) loadPosts();
+                    resetComposer();
                   }}
                   className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50"
                   disabled={loading || uploadingMedia}
@@ -965,26 +1929,29 @@ const Scheduler = () => {
 
             {schedulerStats ? (
               <div className="space-y-6">
-                <div className="flex gap-2 p-4 bg-gray-50 rounded-lg">
-                  <button
-                    onClick={() => toggleScheduler(schedulerStats.schedulerActive ? 'stop' : 'start')}
-                    disabled={refreshingStats}
-                    className={`px-4 py-2 rounded-lg text-white flex items-center disabled:opacity-50 ${
-                      schedulerStats.schedulerActive ? 'bg-red-500 hover:bg-red-600' : 'bg-green-500 hover:bg-green-600'
-                    }`}
-                  >
-                    {schedulerStats.schedulerActive ? <PauseCircle size={18} className="mr-1" /> : <PlayCircle size={18} className="mr-1" />}
-                    {schedulerStats.schedulerActive ? 'Stop' : 'Start'} Scheduler
-                  </button>
-                  <button
-                    onClick={triggerScheduler}
-                    disabled={refreshingStats}
-                    className="px-4 py-2 bg-blue-500 hover:bg-blue-600 text-white rounded-lg flex items-center disabled:opacity-50"
-                  >
-                    <Zap size={18} className="mr-1" />
-                    Trigger Now
-                  </button>
-                </div>
+                {/* The scheduler is shared by every workspace; only server operators control it */}
+                {schedulerStats.canControl && (
+                  <div className="flex gap-2 p-4 bg-gray-50 rounded-lg">
+                    <button
+                      onClick={() => toggleScheduler(schedulerStats.schedulerActive ? 'stop' : 'start')}
+                      disabled={refreshingStats}
+                      className={`px-4 py-2 rounded-lg text-white flex items-center disabled:opacity-50 ${
+                        schedulerStats.schedulerActive ? 'bg-red-500 hover:bg-red-600' : 'bg-green-500 hover:bg-green-600'
+                      }`}
+                    >
+                      {schedulerStats.schedulerActive ? <PauseCircle size={18} className="mr-1" /> : <PlayCircle size={18} className="mr-1" />}
+                      {schedulerStats.schedulerActive ? 'Stop' : 'Start'} Scheduler
+                    </button>
+                    <button
+                      onClick={triggerScheduler}
+                      disabled={refreshingStats}
+                      className="px-4 py-2 bg-blue-500 hover:bg-blue-600 text-white rounded-lg flex items-center disabled:opacity-50"
+                    >
+                      <Zap size={18} className="mr-1" />
+                      Trigger Now
+                    </button>
+                  </div>
+                )}
 
                 <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
                   <div className="p-4 bg-blue-50 rounded-lg">
@@ -1045,10 +2012,22 @@ const Scheduler = () => {
                       <span className="text-gray-600">Cache Size: </span>
                       <span>{schedulerStats.cacheSize} connections cached</span>
                     </div>
+                    {schedulerStats.queue && (
+                      <>
+                        <div>
+                          <span className="text-gray-600">Queue: </span>
+                          <span>{schedulerStats.queue.queued} queued, {schedulerStats.queue.inFlight} in flight</span>
+                        </div>
+                        <div>
+                          <span className="text-gray-600">Dead Letters: </span>
+                          <span className={schedulerStats.queue.dead > 0 ? "text-red-600" : ""}>{schedulerStats.queue.dead}</span>
+                        </div>
+                      </>
+                    )}
                     {schedulerStats.lastRunTime && (
                       <div className="col-span-2">
                         <span className="text-gray-600">Last Run: </span>
-                        <span>{new Date(schedulerStats.lastRunTime).toLocaleString()}</span>
+                        <span>{new Date(schedulerStats.lastRunTime).toLocaleString([], { timeZone: userTimezone })}</span>
                       </div>
                     )}
                   </div>
@@ -1086,7 +2065,7 @@ const Scheduler = () => {
                                   <p className="text-red-600 text-xs mt-1">{post.error}</p>
                                 </div>
                                 <span className="text-xs text-red-500">
-                                  {new Date(post.failedAt).toLocaleTimeString()}
+                                  {new Date(post.failedAt).toLocaleTimeString([], { timeZone: userTimezone })}
                                 </span>
                               </div>
                             </div>
@@ -1107,7 +2086,7 @@ const Scheduler = () => {
                                   <p className="text-blue-700 text-xs mt-1">{post.content}</p>
                                 </div>
                                 <span className="text-xs text-blue-500">
-                                  {new Date(post.scheduledDate).toLocaleString()}
+                                  {new Date(post.scheduledDate).toLocaleString([], { timeZone: userTimezone })}
                                 </span>
                               </div>
                             </div>
@@ -0,0 +1,358 @@
+import React, { useCallback, useEffect, useState } from "react";
+import axios from "axios";
+import { useAuth } from "../context/AuthContext";
+import { useWorkspace } from "../context/workspace";
+import { UsersIcon, MailIcon, TrashIcon, PlusIcon, CopyIcon, LogOutIcon, SaveIcon, ShieldCheckIcon, ClipboardCheckIcon } from "lucide-react";
+
+// Same order as the server: each role can do everything the ones before it can
+const ROLES = ["viewer", "contributor", "editor", "admin", "owner"];
+const rank = (role) => ROLES.indexOf(role);
+
+const Team = () => {
+  const { user } = useAuth();
+  const { workspace, workspaceId, role, selectWorkspace, refreshWorkspaces } = useWorkspace();
+  const [members, setMembers] = useState([]);
+  const [invitations, setInvitations] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+  const [success, setSuccess] = useState("");
+  const [invite, setInvite] = useState({ email: "", role: "contributor" });
+  const [inviteUrl, setInviteUrl] = useState("");
+  const [inviteEmailSent, setInviteEmailSent] = useState(true);
+  const [name, setName] = useState("");
+  const [newWorkspace, setNewWorkspace] = useState("");
+
+  // The session user comes from /api/auth/verify (userId) or signup (id)
+  const profile = user?.user || user;
+  const myId = String(profile?.userId || profile?.id || "");
+  const canManage = rank(role) >= rank("admin");
+  const isOwner = role === "owner";
+
+  const fetchMembers = useCallback(async () => {
+    if (!workspaceId) return;
+    try {
+      const response = await axios.get(`/api/workspaces/${workspaceId}/members`);
+      setMembers(response.data.members);
+      setInvitations(response.data.invitations);
+    } catch (err) {
+      setError(err.response?.data?.message || "Failed to load members");
+    } finally {
+      setLoading(false);
+    }
+  }, [workspaceId]);
+
+  useEffect(() => {
+    fetchMembers();
+  }, [fetchMembers]);
+
+  useEffect(() => {
+    setName(workspace?.name || "");
+  }, [workspace?.name]);
+
+  // Run a change, then reload members and workspaces (my role may have changed)
+  const run = async (action, message) => {
+    try {
+      setError("");
+      setSuccess("");
+      await action();
+      setSuccess(message);
+      await Promise.all([fetchMembers(), refreshWorkspaces()]);
+    } catch (err) {
+      setError(err.response?.data?.message || "Something went wrong");
+    }
+  };
+
+  // Members without 2FA can't open the workspace while it is required
+  const handleRequireTwoFactor = (requireTwoFactor) => {
+    const without = members.filter((member) => !member.twoFactorEnabled).length;
+    run(
+      () => axios.put(`/api/workspaces/${workspaceId}/security`, { requireTwoFactor }),
+      requireTwoFactor
+        ? `Two-factor authentication is now required${without ? `. ${without} member(s) must turn it on to get back in.` : ""}`
+        : "Two-factor authentication is no longer required"
+    );
+  };
+
+  // Scheduled posts that weren't reviewed stop publishing while approval is required
+  const handleRequireApproval = (requireApproval) => {
+    run(
+      () => axios.put(`/api/workspaces/${workspaceId}/approval`, { requireApproval }),
+      requireApproval
+        ? "Posts now need a reviewer's approval before they are published"
+        : "Posts no longer need approval"
+    );
+  };
+
+  const handleInvite = (e) => {
+    e.preventDefault();
+    run(async () => {
+      const response = await axios.post(`/api/workspaces/${workspaceId}/invitations`, invite);
+      setInviteUrl(response.data.inviteUrl);
+      setInviteEmailSent(response.data.emailSent);
+      setInvite({ ...invite, email: "" });
+    }, `Invitation sent to ${invite.email}`);
+  };
+
+  const handleRoleChange = (member, newRole) => {
+    if (newRole === "owner" && !window.confirm(`Hand over ${workspace.name} to ${member.name}? You will become an admin.`)) {
+      return;
+    }
+    run(() => axios.put(`/api/workspaces/${workspaceId}/members/${member.userId}`, { role: newRole }), "Role updated");
+  };
+
+  const handleRemove = (member) => {
+    const leaving = member.userId === myId;
+    if (!window.confirm(leaving ? `Leave ${workspace.name}?` : `Remove ${member.name} from ${workspace.name}?`)) {
+      return;
+    }
+    run(async () => {
+      await axios.delete(`/api/workspaces/${workspaceId}/members/${member.userId}`);
+      if (leaving) selectWorkspace(null);
+    }, leaving ? "You left the workspace" : "Member removed");
+  };
+
+  const handleRename = (e) => {
+    e.preventDefault();
+    run(() => axios.put(`/api/workspaces/${workspaceId}`, { name }), "Workspace renamed");
+  };
+
+  const handleCreate = (e) => {
+    e.preventDefault();
+    run(async () => {
+      const response = await axios.post("/api/workspaces", { name: newWorkspace });
+      setNewWorkspace("");
+      selectWorkspace(response.data.id);
+    }, `Workspace ${newWorkspace} created`);
+  };
+
+  if (loading) {
+    return (
+      <div className="p-8 flex items-center justify-center">
+        <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-blue-500"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="p-4 sm:p-6 max-w-3xl mx-auto space-y-6">
+      <header>
+        <h1 className="text-xl sm:text-2xl font-bold text-gray-800">Team</h1>
+        <p className="text-gray-600 text-sm sm:text-base">
+          Members of {workspace?.name || "this workspace"} and what they can do. You are {role === "admin" || role === "owner" ? "an" : "a"} {role}.
+        </p>
+      </header>
+
+      {error && (
+        <div className="p-3 bg-red-50 border border-red-200 text-red-700 rounded-lg text-sm">{error}</div>
+      )}
+      {success && (
+        <div className="p-3 bg-green-50 border border-green-200 text-green-700 rounded-lg text-sm">{success}</div>
+      )}
+
+      {isOwner && (
+        <form onSubmit={handleRename} className="bg-white rounded-xl shadow-sm border border-gray-200 p-4 sm:p-6 flex gap-2">
+          <input
+            type="text"
+            className="flex-1 border border-gray-300 rounded-lg p-2"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+          />
+          <button
+            type="submit"
+            disabled={!name.trim() || name === workspace?.name}
+            className="px-4 py-2 bg-blue-500 hover:bg-blue-600 text-white rounded-lg flex items-center disabled:opacity-50"
+          >
+            <SaveIcon size={16} className="mr-1" />
+            Rename
+          </button>
+        </form>
+      )}
+
+      <section className="bg-white rounded-xl shadow-sm border border-gray-200 p-4 sm:p-6">
+        <h2 className="flex items-center text-lg font-semibold text-gray-800 mb-4">
+          <UsersIcon size={18} className="mr-2" />
+          Members
+        </h2>
+        <ul className="divide-y divide-gray-100">
+          {members.map((member) => {
+            const isMe = member.userId === myId;
+            // Others' roles can be changed up to my own; only the owner hands over the workspace
+            const editable = canManage && !isMe && member.role !== "owner" && rank(member.role) <= rank(role);
+            return (
+              <li key={member.userId} className="py-3 flex items-center justify-between gap-2">
+                <div className="min-w-0">
+                  <p className="text-sm font-medium text-gray-800 truncate flex items-center">
+                    {member.name} {isMe && <span className="text-gray-500 ml-1">(you)</span>}
+                    {member.twoFactorEnabled && (
+                      <span title="Two-factor authentication on"><ShieldCheckIcon size={14} className="ml-1 text-green-600" /></span>
+                    )}
+                  </p>
+                  <p className="text-xs text-gray-500 truncate">{member.email}</p>
+                </div>
+                <div className="flex items-center gap-2">
+                  {editable ? (
+                    <select
+                      className="border border-gray-300 rounded-lg p-1 text-sm"
+                      value={member.role}
+                      onChange={(e) => handleRoleChange(member, e.target.value)}
+                    >
+                      {ROLES.filter((item) => rank(item) <= rank(role))
+                        .filter((item) => item !== "owner" || !workspace?.personal)
+                        .map((item) => (
+                          <option key={item} value={item}>{item}</option>
+                        ))}
+                    </select>
+                  ) : (
+                    <span className="text-sm text-gray-600">{member.role}</span>
+                  )}
+                  {(editable || (isMe && member.role !== "owner")) && (
+                    <button
+                      onClick={() => handleRemove(member)}
+                      className="p-1 text-red-600 hover:bg-red-50 rounded"
+                      title={isMe ? "Leave workspace" : "Remove member"}
+                    >
+                      {isMe ? <LogOutIcon size={16} /> : <TrashIcon size={16} />}
+                    </button>
+                  )}
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      </section>
+
+      {canManage && !workspace?.personal && (
+        <section className="bg-white rounded-xl shadow-sm border border-gray-200 p-4 sm:p-6">
+          <label className="flex items-start gap-3">
+            <input
+              type="checkbox"
+              className="mt-1"
+              checked={Boolean(workspace?.requireTwoFactor)}
+              onChange={(e) => handleRequireTwoFactor(e.target.checked)}
+            />
+            <span>
+              <span className="flex items-center text-sm font-medium text-gray-800">
+                <ShieldCheckIcon size={16} className="mr-1" />
+                Require two-factor authentication
+              </span>
+              <span className="block text-xs text-gray-500">
+                Members must turn on two-factor authentication in their profile to open this workspace.
+                {" "}{members.filter((member) => !member.twoFactorEnabled).length} member(s) haven't yet.
+              </span>
+            </span>
+          </label>
+          {isOwner && (
+            <label className="flex items-start gap-3 mt-4">
+              <input
+                type="checkbox"
+                className="mt-1"
+                checked={Boolean(workspace?.requireApproval)}
+                onChange={(e) => handleRequireApproval(e.target.checked)}
+              />
+              <span>
+                <span className="flex items-center text-sm font-medium text-gray-800">
+                  <ClipboardCheckIcon size={16} className="mr-1" />
+                  Require approval before publishing
+                </span>
+                <span className="block text-xs text-gray-500">
+                  Posts are only published once a reviewer approves them. Scheduled posts that weren't reviewed wait until they are.
+                </span>
+              </span>
+            </label>
+          )}
+        </section>
+      )}
+
+      {canManage && (
+        <section className="bg-white rounded-xl shadow-sm border border-gray-200 p-4 sm:p-6 space-y-4">
+          <h2 className="flex items-center text-lg font-semibold text-gray-800">
+            <MailIcon size={18} className="mr-2" />
+            Invite by email
+          </h2>
+          <form onSubmit={handleInvite} className="flex flex-col sm:flex-row gap-2">
+            <input
+              type="email"
+              required
+              placeholder="name@example.com"
+              className="flex-1 border border-gray-300 rounded-lg p-2"
+              value={invite.email}
+              onChange={(e) => setInvite({ ...invite, email: e.target.value })}
+            />
+            <select
+              className="border border-gray-300 rounded-lg p-2"
+              value={invite.role}
+              onChange={(e) => setInvite({ ...invite, role: e.target.value })}
+            >
+              {ROLES.filter((item) => item !== "owner" && rank(item) <= rank(role)).map((item) => (
+                <option key={item} value={item}>{item}</option>
+              ))}
+            </select>
+            <button type="submit" className="px-4 py-2 bg-blue-500 hover:bg-blue-600 text-white rounded-lg">
+              Invite
+            </button>
+          </form>
+
+          {inviteUrl && (
+            <div className="p-3 bg-blue-50 border border-blue-200 rounded-lg text-sm">
+              <p className="text-blue-800 mb-1">
+                {inviteEmailSent
+                  ? "We emailed this link to the invitee; you can also share it yourself."
+                  : "The invitation email couldn't be sent. Share this link with the invitee."}{" "}
+                It expires in 7 days.
+              </p>
+              <div className="flex items-center gap-2">
+                <code className="flex-1 truncate text-xs">{inviteUrl}</code>
+                <button
+                  onClick={() => navigator.clipboard.writeText(inviteUrl)}
+                  className="p-1 text-blue-700 hover:bg-blue-100 rounded"
+                  title="Copy link"
+                >
+                  <CopyIcon size={16} />
+                </button>
+              </div>
+            </div>
+          )}
+
+          {invitations.length > 0 && (
+            <ul className="divide-y divide-gray-100">
+              {invitations.map((invitation) => (
+                <li key={invitation._id} className="py-2 flex items-center justify-between text-sm">
+                  <span className="text-gray-700">
+                    {invitation.email} <span className="text-gray-500">as {invitation.role}, expires {new Date(invitation.expiresAt).toLocaleDateString()}</span>
+                  </span>
+                  <button
+                    onClick={() => run(() => axios.delete(`/api/workspaces/${workspaceId}/invitations/${invitation._id}`), "Invitation revoked")}
+                    className="p-1 text-red-600 hover:bg-red-50 rounded"
+                    title="Revoke invitation"
+                  >
+                    <TrashIcon size={16} />
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </section>
+      )}
+
+      <form onSubmit={handleCreate} className="bg-white rounded-xl shadow-sm border border-gray-200 p-4 sm:p-6 flex gap-2">
+        <input
+          type="text"
+          placeholder="New workspace name"
+          className="flex-1 border border-gray-300 rounded-lg p-2"
+          value={newWorkspace}
+          onChange={(e) => setNewWorkspace(e.target.value)}
+        />
+        <button
+          type="submit"
+          disabled={!newWorkspace.trim()}
+          className="px-4 py-2 bg-gray-800 hover:bg-gray-900 text-white rounded-lg flex items-center disabled:opacity-50"
+        >
+          <PlusIcon size={16} className="mr-1" />
+          Create workspace
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default Team;
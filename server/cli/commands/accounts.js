@@ -0,0 +1,293 @@
+const mongoose = require("mongoose");
+const Account = require("../../models/account.model");
+const User = require("../../models/user.model");
+const Workspace = require("../../models/workspace.model");
+const { getPlatform, hasPlatform } = require("../../services/platforms");
+const { getConnectionStatus } = require("../../services/social-media.service");
+const {
+  SECRET_FIELDS,
+  decryptCredential,
+  encryptCredential,
+  needsReencryption,
+} = require("../../utils/credentialCrypto");
+const { CliError, findUser, readJsonInput } = require("../helpers");
+
+// What is shown of an account: never its credentials
+function describeAccount(account) {
+  return {
+    id: account._id.toString(),
+    userId: account.userId.toString(),
+    workspaceId: account.workspaceId ? account.workspaceId.toString() : null,
+    platform: account.platform,
+    username: account.username,
+    connected: account.connected,
+    syncStatus: account.syncStatus,
+    authType: account.authType,
+    tokenExpiresAt: account.tokenExpiresAt || null,
+    lastSyncedAt: account.lastSyncedAt || null,
+  };
+}
+
+async function buildAccountQuery(values) {
+  const query = {};
+  if (values.user) {
+    query.userId = (await findUser(values.user))._id;
+  }
+  if (values.workspace) {
+    query.workspaceId = values.workspace;
+  }
+  if (values.platform) {
+    query.platform = values.platform;
+  }
+  if (values.account) {
+    query._id = values.account;
+  }
+  return query;
+}
+
+// Workspace to import into: the given one, which the user must be a member of, or the user's personal one
+async function findWorkspace(user, reference) {
+  if (!reference) {
+    return Workspace.ensurePersonal(user);
+  }
+
+  const workspace = mongoose.isValidObjectId(reference)
+    ? await Workspace.findOne({ _id: reference, "members.userId": user._id })
+    : null;
+  if (!workspace) {
+    throw new CliError(`Workspace ${reference} not found for user ${user.email}`);
+  }
+  return workspace;
+}
+
+async function list(values, out) {
+  const accounts = await Account.find(await buildAccountQuery(values)).sort({ userId: 1, platform: 1, username: 1 });
+  const rows = accounts.map(describeAccount);
+
+  for (const row of rows) {
+    const status = row.connected ? row.syncStatus : "disconnected";
+    out.log(`${row.id}  ${row.platform.padEnd(10)} ${row.username}  (${status}, user ${row.userId})`);
+  }
+  out.log(`\n${rows.length} account(s)`);
+  return rows;
+}
+
+/**
+ * Connect accounts from a JSON file (or stdin): one object or an array of
+ * `{ "platform": "mastodon", "accessToken": "...", "instanceUrl": "..." }`,
+ * with the same fields as the connect form. Credentials are checked against
+ * the platform before they are stored. Accounts go to the user's personal
+ * workspace unless --workspace is given
+ */
+async function importAccounts(values, out) {
+  const user = await findUser(values.user);
+  // A dry run doesn't create the personal workspace
+  const workspace = values["dry-run"] && !values.workspace ? null : await findWorkspace(user, values.workspace);
+  const input = await readJsonInput(values.file);
+  const entries = Array.isArray(input) ? input : [input];
+  const results = [];
+
+  for (const [index, entry] of entries.entries()) {
+    const label = `#${index + 1} ${entry?.platform || "?"}`;
+    try {
+      if (!entry || typeof entry !== "object" || !hasPlatform(entry.platform)) {
+        throw new Error(`Unsupported platform: ${entry?.platform}`);
+      }
+
+      const { credentials, profile } = await getPlatform(entry.platform).importCredentials(entry);
+      const username = profile.username || profile.displayName;
+
+      if (values["dry-run"]) {
+        results.push({ platform: entry.platform, username, status: "verified" });
+        out.log(`🔍 ${label}: ${username} verified`);
+        continue;
+      }
+
+      const { account, created } = await Account.saveConnection(
+        { userId: user._id, workspaceId: workspace._id },
+        entry.platform,
+        { credentials, profile }
+      );
+      results.push({ platform: entry.platform, username: account.username, id: account._id.toString(), status: created ? "created" : "updated" });
+      out.log(`✅ ${label}: ${account.username} ${created ? "connected" : "updated"}`);
+    } catch (error) {
+      const message = error.response?.data?.error?.message || error.message;
+      results.push({ platform: entry?.platform, status: "failed", error: message });
+      out.log(`❌ ${label}: ${message}`);
+    }
+  }
+
+  const failed = results.filter((result) => result.status === "failed").length;
+  out.log(`\n${results.length - failed} account(s) ${values["dry-run"] ? "verified" : "imported"}, ${failed} failed`);
+  return { userId: user._id.toString(), workspaceId: workspace ? workspace._id.toString() : null, results, failed };
+}
+
+// Re-encrypted values of the fields that need it; throws when a value can't be decrypted
+function reencryptFields(values) {
+  const updates = {};
+  for (const [field, value] of Object.entries(values)) {
+    if (needsReencryption(value)) {
+      updates[field] = encryptCredential(decryptCredential(value));
+    }
+  }
+  return updates;
+}
+
+/**
+ * Re-encrypt the two-factor secrets of users, which use the same keys
+ */
+async function rotateTwoFactorSecrets(values, out) {
+  const query = { $or: [{ "twoFactor.secret": { $ne: null } }, { "twoFactor.pendingSecret": { $ne: null } }] };
+  if (values.user) {
+    query._id = (await findUser(values.user))._id;
+  }
+
+  let updated = 0;
+  let failed = 0;
+  const cursor = User.find(query).select("email twoFactor.secret twoFactor.pendingSecret").lean().cursor();
+
+  for await (const user of cursor) {
+    let updates;
+    try {
+      updates = reencryptFields({
+        "twoFactor.secret": user.twoFactor.secret,
+        "twoFactor.pendingSecret": user.twoFactor.pendingSecret,
+      });
+    } catch (error) {
+      failed++;
+      out.log(`❌ Two-factor secret of ${user.email}: ${error.message}`);
+      continue;
+    }
+
+    if (Object.keys(updates).length === 0) continue;
+    if (!values["dry-run"]) {
+      await User.updateOne({ _id: user._id }, { $set: updates });
+    }
+    updated++;
+    out.log(`🔐 Two-factor secret of ${user.email}`);
+  }
+  return { updated, failed };
+}
+
+/**
+ * Re-encrypt stored credentials with the current key
+ * (CREDENTIAL_ENCRYPTION_KEY_VERSION, or the highest configured version).
+ * Plain text credentials stored before encryption was enabled are encrypted too,
+ * as are two-factor secrets unless accounts are filtered by platform
+ */
+async function rotate(values, out) {
+  if (!process.env.CREDENTIAL_ENCRYPTION_KEYS && !process.env.CREDENTIAL_ENCRYPTION_KEY) {
+    throw new CliError("Set CREDENTIAL_ENCRYPTION_KEYS (or CREDENTIAL_ENCRYPTION_KEY) first");
+  }
+
+  const results = [];
+  let failed = 0;
+  const cursor = Account.find(await buildAccountQuery(values))
+    .select(["platform", "username", ...SECRET_FIELDS])
+    .lean()
+    .cursor();
+
+  for await (const account of cursor) {
+    let updates;
+    try {
+      updates = reencryptFields(Object.fromEntries(SECRET_FIELDS.map((field) => [field, account[field]])));
+    } catch (error) {
+      failed++;
+      results.push({ id: account._id.toString(), platform: account.platform, username: account.username, error: error.message });
+      out.log(`❌ ${account.platform} account ${account.username} (${account._id}): ${error.message}`);
+      continue;
+    }
+
+    if (Object.keys(updates).length === 0) continue;
+
+    // Update the fields directly: saving would run validation and the model hooks for nothing
+    if (!values["dry-run"]) {
+      await Account.updateOne({ _id: account._id }, { $set: updates });
+    }
+    results.push({ id: account._id.toString(), platform: account.platform, username: account.username, fields: Object.keys(updates) });
+    out.log(`🔐 ${account.platform} account ${account.username}: ${Object.keys(updates).join(", ")}`);
+  }
+
+  const twoFactor = values.platform
+    ? { updated: 0, failed: 0 }
+    : await rotateTwoFactorSecrets(values, out);
+
+  const updated = results.length - failed;
+  out.log(`\n✅ ${updated} account(s) and ${twoFactor.updated} two-factor secret(s) ${values["dry-run"] ? "to re-encrypt" : "re-encrypted"}`);
+  if (failed + twoFactor.failed > 0) {
+    out.log(`⚠️ ${failed + twoFactor.failed} value(s) could not be decrypted - is an old key missing?`);
+  } else if (!values["dry-run"]) {
+    out.log("Keys of older versions can now be removed from CREDENTIAL_ENCRYPTION_KEYS.");
+  }
+  return { updated, failed, results, twoFactor };
+}
+
+/**
+ * Check the credentials of connected accounts against their platforms and
+ * record the outcome on the account
+ */
+async function verify(values, out) {
+  const accounts = await Account.find({ ...(await buildAccountQuery(values)), connected: true });
+  const results = [];
+
+  for (const account of accounts) {
+    const status = await getConnectionStatus(account);
+    results.push({ ...describeAccount(account), healthy: status.connected, message: status.message });
+    out.log(`${status.connected ? "✅" : "❌"} ${account.platform} account ${account.username}: ${status.message}`);
+
+    if (!values["dry-run"]) {
+      account.connectionHealthy = status.connected;
+      account.syncStatus = status.connected ? "success" : "failed";
+      account.syncError = status.connected ? "" : status.message;
+      await account.save();
+    }
+  }
+
+  const failed = results.filter((result) => !result.healthy).length;
+  out.log(`\n${results.length - failed} healthy, ${failed} failing`);
+  return { results, failed };
+}
+
+module.exports = {
+  commands: {
+    list: {
+      usage: "[--user <id|email>] [--workspace <id>] [--platform <name>]",
+      description: "List connected accounts (without credentials)",
+      options: {
+        user: { type: "string" },
+        workspace: { type: "string" },
+        platform: { type: "string" },
+      },
+      run: list,
+    },
+    import: {
+      usage: "--user <id|email> [--workspace <id>] [--file <path>|-]",
+      description: "Connect accounts from a JSON file or stdin, checking the credentials first",
+      options: {
+        user: { type: "string" },
+        workspace: { type: "string" },
+        file: { type: "string" },
+      },
+      run: importAccounts,
+    },
+    rotate: {
+      usage: "[--user <id|email>] [--platform <name>]",
+      description: "Re-encrypt stored credentials and two-factor secrets with the current encryption key",
+      options: {
+        user: { type: "string" },
+        platform: { type: "string" },
+      },
+      run: rotate,
+    },
+    verify: {
+      usage: "[--user <id|email>] [--platform <name>] [--account <id>]",
+      description: "Check account credentials against their platforms",
+      options: {
+        user: { type: "string" },
+        platform: { type: "string" },
+        account: { type: "string" },
+      },
+      run: verify,
+    },
+  },
+};
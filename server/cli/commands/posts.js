@@ -0,0 +1,157 @@
+const fs = require("fs");
+const Post = require("../../models/post.model");
+const { CliError, findUser, parseDate } = require("../helpers");
+
+const EXPORT_FIELDS = [
+  "id",
+  "userId",
+  "platform",
+  "account",
+  "status",
+  "scheduledDate",
+  "publishedAt",
+  "externalPostId",
+  "publishError",
+  "content",
+];
+
+function describePost(post) {
+  return {
+    id: post._id.toString(),
+    userId: post.userId.toString(),
+    platform: post.platform,
+    account: post.accountId?.username || post.accountId?.toString() || null,
+    status: post.status,
+    scheduledDate: post.scheduledDate || null,
+    publishedAt: post.publishedAt || null,
+    externalPostId: post.externalPostId || null,
+    publishError: post.publishError || null,
+    content: post.content,
+  };
+}
+
+function toCsv(rows) {
+  const escape = (value) => {
+    if (value === null || value === undefined) return "";
+    const text = value instanceof Date ? value.toISOString() : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return [EXPORT_FIELDS, ...rows.map((row) => EXPORT_FIELDS.map((field) => row[field]))]
+    .map((values) => values.map(escape).join(","))
+    .join("\n");
+}
+
+/**
+ * Put failed posts back in the publishing queue. The retry counter starts
+ * over, and the new scheduled date gives the post a new publish job
+ */
+async function requeue(values, out) {
+  if (!values.post?.length && !values.user) {
+    throw new CliError("Pass --post <id> or --user <id|email>");
+  }
+
+  const query = { status: "failed" };
+  if (values.post?.length) {
+    query._id = { $in: values.post };
+  }
+  if (values.user) {
+    query.userId = (await findUser(values.user))._id;
+  }
+  if (values.platform) {
+    query.platform = values.platform;
+  }
+
+  const runAt = parseDate(values.at, "at") || new Date();
+  const posts = await Post.find(query).sort({ scheduledDate: 1 });
+  const results = [];
+
+  for (const post of posts) {
+    if (!values["dry-run"]) {
+      post.prepareForRetry();
+      post.retryCount = 0;
+      post.scheduledDate = runAt;
+      await post.save();
+    }
+    results.push({ id: post._id.toString(), platform: post.platform, scheduledDate: runAt });
+    out.log(`🔁 Post ${post._id} (${post.platform}) requeued for ${runAt.toISOString()}`);
+  }
+
+  out.log(`\n✅ ${results.length} failed post(s) ${values["dry-run"] ? "to requeue" : "requeued"}`);
+  return { requeued: results.length, results };
+}
+
+/**
+ * Export posts as JSON or CSV, to a file or stdout
+ */
+async function exportPosts(values, out) {
+  const format = values.format || "json";
+  if (!["json", "csv"].includes(format)) {
+    throw new CliError("--format must be json or csv");
+  }
+
+  const query = {};
+  if (values.user) {
+    query.userId = (await findUser(values.user))._id;
+  }
+  if (values.status) {
+    query.status = values.status;
+  }
+  if (values.platform) {
+    query.platform = values.platform;
+  }
+  const from = parseDate(values.from, "from");
+  const to = parseDate(values.to, "to");
+  if (from || to) {
+    query.scheduledDate = {};
+    if (from) query.scheduledDate.$gte = from;
+    if (to) query.scheduledDate.$lte = to;
+  }
+
+  const posts = await Post.find(query).populate("accountId", "username").sort({ scheduledDate: 1 });
+  const rows = posts.map(describePost);
+  const content = format === "csv" ? toCsv(rows) : JSON.stringify(rows, null, 2);
+
+  if (values.out) {
+    if (!values["dry-run"]) {
+      fs.writeFileSync(values.out, `${content}\n`);
+    }
+    out.log(`✅ ${rows.length} post(s) ${values["dry-run"] ? "to export" : "exported"} to ${values.out}`);
+    return { exported: rows.length, file: values.out };
+  }
+
+  // Without --out the export itself is the output
+  if (!out.json) {
+    console.log(content);
+  }
+  return rows;
+}
+
+module.exports = {
+  commands: {
+    requeue: {
+      usage: "(--post <id>... | --user <id|email>) [--platform <name>] [--at <date>]",
+      description: "Schedule failed posts again (now, or at --at)",
+      options: {
+        post: { type: "string", multiple: true },
+        user: { type: "string" },
+        platform: { type: "string" },
+        at: { type: "string" },
+      },
+      run: requeue,
+    },
+    export: {
+      usage: "[--user <id|email>] [--status <status>] [--platform <name>] [--from <date>] [--to <date>] [--format json|csv] [--out <path>]",
+      description: "Export posts as JSON or CSV",
+      options: {
+        user: { type: "string" },
+        status: { type: "string" },
+        platform: { type: "string" },
+        from: { type: "string" },
+        to: { type: "string" },
+        format: { type: "string" },
+        out: { type: "string" },
+      },
+      run: exportPosts,
+    },
+  },
+};
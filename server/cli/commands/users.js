@@ -0,0 +1,121 @@
+const User = require("../../models/user.model");
+const Workspace = require("../../models/workspace.model");
+const { CliError, findUser, readInput, parseCount } = require("../helpers");
+const { PLAN_NAMES, isPlan } = require("../../utils/plans");
+
+function describeUser(user) {
+  return {
+    id: user._id.toString(),
+    email: user.email,
+    name: user.name,
+    plan: user.plan,
+    planUsage: {
+      posts: { ...user.planUsage.posts },
+      ideas: { ...user.planUsage.ideas },
+      storageBytes: user.planUsage.storage.used,
+      periodEnd: user.planUsage.periodEnd,
+    },
+    subscription: user.billing?.subscriptionId
+      ? { id: user.billing.subscriptionId, status: user.billing.status }
+      : null,
+  };
+}
+
+function checkPlan(plan) {
+  if (plan && !isPlan(plan)) {
+    throw new CliError(`--plan must be one of ${PLAN_NAMES.join(", ")}`);
+  }
+}
+
+// Apply --posts and --ideas over the plan's quota totals, for custom deals
+function applyQuotaTotals(user, values) {
+  const posts = parseCount(values.posts, "posts");
+  const ideas = parseCount(values.ideas, "ideas");
+  if (posts !== undefined) user.planUsage.posts.total = posts;
+  if (ideas !== undefined) user.planUsage.ideas.total = ideas;
+}
+
+/**
+ * Create a user. The password is read from --password-file or stdin so it
+ * doesn't end up in the shell history
+ */
+async function create(values, out) {
+  if (!values.email || !values.name) {
+    throw new CliError("--email and --name are required");
+  }
+  checkPlan(values.plan);
+
+  if (await User.exists({ email: values.email.toLowerCase() })) {
+    throw new CliError(`User ${values.email} already exists`);
+  }
+
+  const password = (await readInput(values["password-file"])).replace(/\r?\n$/, "");
+  if (!password) {
+    throw new CliError("The password cannot be empty");
+  }
+
+  const user = new User({ email: values.email, name: values.name, password, billingAnchor: new Date() });
+  if (values.plan) user.applyPlan(values.plan);
+  applyQuotaTotals(user, values);
+  await user.validate();
+
+  if (!values["dry-run"]) {
+    await user.save();
+    await Workspace.ensurePersonal(user);
+  }
+  out.log(`✅ User ${user.email} ${values["dry-run"] ? "can be created" : "created"} (${user.plan} plan, id ${user._id})`);
+  return describeUser(user);
+}
+
+/**
+ * Change a user's plan, which resets the post and idea totals to the plan's
+ * limits, and optionally set custom totals. A subscriber's next billing
+ * webhook sets the plan they pay for again
+ */
+async function plan(values, out) {
+  const user = await findUser(values.user);
+  if (!values.plan && values.posts === undefined && values.ideas === undefined) {
+    throw new CliError("Pass --plan, --posts or --ideas");
+  }
+  checkPlan(values.plan);
+
+  const previous = user.plan;
+  if (values.plan) user.applyPlan(values.plan);
+  applyQuotaTotals(user, values);
+
+  if (!values["dry-run"]) {
+    await user.save();
+  }
+  const { posts, ideas } = user.planUsage;
+  out.log(`✅ ${user.email}: ${previous} → ${user.plan} plan (${posts.total} posts, ${ideas.total} ideas)`);
+  return describeUser(user);
+}
+
+module.exports = {
+  commands: {
+    create: {
+      usage: "--email <email> --name <name> [--plan <plan>] [--posts <n>] [--ideas <n>] [--password-file <path>|-]",
+      description: "Create a user; the password is read from --password-file or stdin",
+      options: {
+        email: { type: "string" },
+        name: { type: "string" },
+        plan: { type: "string" },
+        posts: { type: "string" },
+        ideas: { type: "string" },
+        "password-file": { type: "string" },
+      },
+      run: create,
+    },
+    plan: {
+      usage: "--user <id|email> [--plan <plan>] [--posts <n>] [--ideas <n>]",
+      description: "Change a user's plan (quota totals follow the plan) or set custom post/idea totals",
+      options: {
+        user: { type: "string" },
+        plan: { type: "string" },
+        posts: { type: "string" },
+        ideas: { type: "string" },
+      },
+      run: plan,
+    },
+  },
+};
@@ -0,0 +1,112 @@
+const fs = require("fs");
+const mongoose = require("mongoose");
+const User = require("../models/user.model");
+
+// Errors caused by the command line itself: printed without a stack trace
+class CliError extends Error {}
+
+/**
+ * Output of a command. Progress lines are only printed for people; with
+ * --json nothing but the final result goes to stdout
+ */
+function createOutput({ json = false } = {}) {
+  return {
+    json,
+    log(message) {
+      if (!json) console.log(message);
+    },
+    result(result) {
+      if (json) {
+        console.log(JSON.stringify(result ?? null, null, 2));
+      }
+    },
+    error(error) {
+      if (json) {
+        console.log(JSON.stringify({ error: error.message }, null, 2));
+      } else if (error instanceof CliError) {
+        console.error(`❌ ${error.message}`);
+      } else {
+        console.error("❌ Error:", error);
+      }
+    },
+  };
+}
+
+/**
+ * Find a user by ID or email
+ */
+async function findUser(reference) {
+  if (!reference) {
+    throw new CliError("--user is required (user ID or email)");
+  }
+
+  const user = mongoose.isValidObjectId(reference)
+    ? await User.findById(reference)
+    : await User.findOne({ email: reference.toLowerCase() });
+  if (!user) {
+    throw new CliError(`User ${reference} not found`);
+  }
+  return user;
+}
+
+/**
+ * Read input from a file, or from stdin when the file is "-" or input is
+ * piped. Secrets are read this way so they don't end up in the shell
+ * history or the environment
+ */
+async function readInput(file) {
+  if (file && file !== "-") {
+    try {
+      return fs.readFileSync(file, "utf8");
+    } catch (error) {
+      throw new CliError(`Cannot read ${file}: ${error.message}`);
+    }
+  }
+
+  if (!file && process.stdin.isTTY) {
+    throw new CliError("Pass --file <path>, or pipe the input through stdin");
+  }
+
+  const chunks = [];
+  for await (const chunk of process.stdin) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString("utf8");
+}
+
+async function readJsonInput(file) {
+  const text = await readInput(file);
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new CliError(`Input is not valid JSON: ${error.message}`);
+  }
+}
+
+function parseDate(value, option) {
+  if (value === undefined) return undefined;
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new CliError(`--${option} must be a date, e.g. 2024-05-01 or 2024-05-01T09:00:00Z`);
+  }
+  return date;
+}
+
+function parseCount(value, option) {
+  if (value === undefined) return undefined;
+  const count = Number(value);
+  if (!Number.isInteger(count) || count < 0) {
+    throw new CliError(`--${option} must be a whole number`);
+  }
+  return count;
+}
+
+module.exports = {
+  CliError,
+  createOutput,
+  findUser,
+  readInput,
+  readJsonInput,
+  parseDate,
+  parseCount,
+};
@@ -0,0 +1,110 @@
+#!/usr/bin/env node
+const path = require("path");
+const { parseArgs } = require("util");
+const mongoose = require("mongoose");
+const dotenv = require("dotenv");
+
+dotenv.config({ path: path.join(__dirname, "..", ".env") });
+
+const { CliError, createOutput } = require("./helpers");
+
+const groups = {
+  accounts: require("./commands/accounts"),
+  posts: require("./commands/posts"),
+  users: require("./commands/users"),
+};
+
+// Flags every command accepts
+const GLOBAL_OPTIONS = {
+  "dry-run": { type: "boolean", default: false },
+  json: { type: "boolean", default: false },
+  help: { type: "boolean", short: "h", default: false },
+};
+
+/**
+ * SocialGrow admin CLI
+ *
+ * Usage: socialgrow <group> <command> [options]
+ *        (from the server folder: npm run cli -- <group> <command> [options])
+ *
+ * Every command takes --dry-run (report what would change without writing)
+ * and --json (machine-readable output on stdout).
+ */
+function usage(group) {
+  const lines = ["Usage: socialgrow <group> <command> [options]", ""];
+  const shown = group ? { [group]: groups[group] } : groups;
+
+  for (const [groupName, { commands }] of Object.entries(shown)) {
+    for (const [commandName, command] of Object.entries(commands)) {
+      lines.push(`  ${groupName} ${commandName} ${command.usage}`.trimEnd());
+      lines.push(`      ${command.description}`);
+    }
+  }
+
+  lines.push("", "Options for every command:");
+  lines.push("  --dry-run   Show what would change without writing anything");
+  lines.push("  --json      Print the result as JSON");
+  lines.push("  -h, --help  Show this help");
+  return lines.join("\n");
+}
+
+async function main(argv) {
+  const [groupName, commandName] = argv;
+  const group = groups[groupName];
+  const command = group?.commands[commandName];
+
+  if (!command) {
+    const wantsHelp = argv.length === 0 || argv.includes("--help") || argv.includes("-h");
+    console.log(usage(group && groupName));
+    if (!wantsHelp) {
+      console.error(`\n❌ Unknown command: ${argv.slice(0, 2).join(" ")}`);
+      process.exitCode = 1;
+    }
+    return;
+  }
+
+  let values;
+  try {
+    ({ values } = parseArgs({
+      args: argv.slice(2),
+      options: { ...GLOBAL_OPTIONS, ...command.options },
+    }));
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    console.log(`\nUsage: socialgrow ${groupName} ${commandName} ${command.usage}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  if (values.help) {
+    console.log(`Usage: socialgrow ${groupName} ${commandName} ${command.usage}\n\n${command.description}`);
+    return;
+  }
+
+  const out = createOutput({ json: values.json });
+  let connected = false;
+
+  try {
+    if (!process.env.MONGODB_URI) {
+      throw new CliError("MONGODB_URI is not set");
+    }
+    await mongoose.connect(process.env.MONGODB_URI);
+    connected = true;
+    if (values["dry-run"]) out.log("🔍 Dry run - nothing will be written");
+
+    const result = await command.run(values, out);
+    out.result(result);
+    if (result?.failed > 0) {
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    out.error(error);
+    process.exitCode = 1;
+  } finally {
+    if (connected) {
+      await mongoose.disconnect();
+    }
+  }
+}
+
+main(process.argv.slice(2));
@@ -22,7 +22,10 @@ const PLATFORM_FOLDERS = {
   twitter: 'social-scheduler/twitter',
   instagram: 'social-scheduler/instagram',
   facebook: 'social-scheduler/facebook',
-  linkedin: 'social-scheduler/linkedin'
+  linkedin: 'social-scheduler/linkedin',
+  mastodon: 'social-scheduler/mastodon',
+  bluesky: 'social-scheduler/bluesky',
+  threads: 'social-scheduler/threads'
 };
 
 // Helper function to get upload options for a specific platform
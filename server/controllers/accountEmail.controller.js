@@ -0,0 +1,116 @@
+const User = require('../models/user.model');
+const { consumeAccountToken, recentlyIssuedAccountToken } = require('../services/account-token.service');
+const {
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendPasswordChangedEmail
+} = require('../services/account-email.service');
+const { revokeAllSessions } = require('../services/session.service');
+
+const MIN_PASSWORD_LENGTH = 6;
+
+// Confirm the email address with the token from the verification email.
+// Works without signing in, as the link may be opened on another device
+const verifyEmail = async (req, res) => {
+  try {
+    const result = await consumeAccountToken(req.body.token, 'verify_email');
+    const user = result && await User.findById(result.userId);
+    // The token is for the address it was sent to
+    if (!user || user.email !== result.email) {
+      return res.status(400).json({ message: 'This verification link is invalid or has expired' });
+    }
+
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+      await user.save();
+      console.log(`✅ Email verified for user ${user._id}`);
+    }
+
+    res.json({ message: 'Email address verified', email: user.email });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Send the verification email again
+const resendVerification = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (user.emailVerified) {
+      return res.status(400).json({ message: 'Your email address is already verified' });
+    }
+    if (await recentlyIssuedAccountToken(user._id, 'verify_email')) {
+      return res.status(429).json({ message: 'A verification email was just sent. Please wait a minute.' });
+    }
+
+    await sendVerificationEmail(user);
+    res.json({ message: `Verification email sent to ${user.email}` });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ message: 'Failed to send the verification email' });
+  }
+};
+
+// Email a password reset link. The answer is the same whether or not the
+// account exists, so it can't be used to find out who has one
+const forgotPassword = async (req, res) => {
+  try {
+    const email = req.body.email?.trim().toLowerCase();
+    if (!email) {
+      return res.status(400).json({ message: 'Email is required' });
+    }
+
+    const user = await User.findOne({ email });
+    if (user && !(await recentlyIssuedAccountToken(user._id, 'reset_password'))) {
+      await sendPasswordResetEmail(user);
+    }
+
+    res.json({ message: 'If an account exists for this email, a link to reset the password is on its way' });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Set a new password with the token from the reset email. Every session is
+// signed out, since whoever knew the old password may be signed in
+const resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+    if (!password || password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters long` });
+    }
+
+    const result = await consumeAccountToken(token, 'reset_password');
+    const user = result && await User.findById(result.userId);
+    if (!user || user.email !== result.email) {
+      return res.status(400).json({ message: 'This reset link is invalid or has expired' });
+    }
+
+    user.password = password;
+    // Opening the link proves access to the inbox
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+
+    const count = await revokeAllSessions(user._id, { reason: 'password_reset' });
+    console.log(`🔑 Password reset for user ${user._id}, ${count} sessions signed out`);
+    sendPasswordChangedEmail(user).catch(error => console.error('Password changed email error:', error));
+
+    res.json({ message: 'Your password was reset. Sign in with the new password.' });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+module.exports = {
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword
+};
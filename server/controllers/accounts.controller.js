@@ -1,85 +1,66 @@
 const Account = require('../models/account.model');
-const { 
-  syncSocialMediaStats, 
-  validateSocialMediaCredentials 
-} = require('../services/social-media.service');
+const { syncSocialMediaStats } = require('../services/social-media.service');
+const { getPlatform, hasPlatform, platformNames } = require('../services/platforms');
 const { autoManageScheduler } = require('../services/scheduler.service');
+const {
+  getAuthorizationUrl,
+  completeAuthorization,
+  takePendingConnection
+} = require('../services/linkedin.service');
+const {
+  getMastodonAuthorizationUrl,
+  completeMastodonAuthorization
+} = require('../services/mastodon.service');
+const {
+  normalizeSlots,
+  validateTimeZone,
+  getFreeSlots,
+  reflowQueue
+} = require('../services/queue-slot.service');
+const { QuotaExceededError } = require('../services/usage.service');
+const { quotaExceeded } = require('../middleware/quota.middleware');
 
 // Connect a new social media account
 const connectAccount = async (req, res) => {
   try {
-    const { 
-      platform, 
-      apiKey, 
-      apiSecret, 
-      accessToken, 
-      accessTokenSecret,
-      facebookAppId,
-      facebookAppSecret
-    } = req.body;
-
-    // Validate required fields
-    if (!platform || !accessToken) {
+    const { platform } = req.body;
+
+    // Validate required fields; the credentials each platform needs are checked below
+    if (!platform) {
       return res.status(400).json({ 
-        message: 'Platform and access token are required' 
+        message: 'Platform is required' 
       });
     }
 
     const platformLower = platform.toLowerCase();
-    
+
     // Validate platform is supported
-    if (!['twitter', 'facebook', 'instagram'].includes(platformLower)) {
+    if (!hasPlatform(platformLower)) {
       return res.status(400).json({ 
-        message: 'Platform must be twitter, facebook, or instagram' 
+        message: `Platform must be one of: ${platformNames().join(', ')}` 
       });
     }
 
-    // Validate platform-specific requirements
-    if (platformLower === 'twitter' && (!apiKey || !apiSecret || !accessTokenSecret)) {
-      return res.status(400).json({ 
-        message: 'Twitter requires API key, API secret, access token, and access token secret' 
+    const adapter = getPlatform(platformLower);
+    if (adapter.connectMode !== 'credentials') {
+      return res.status(400).json({
+        message: `${adapter.label} accounts are connected with "Continue with ${adapter.label}"`
       });
     }
 
-    if (['facebook', 'instagram'].includes(platformLower)) {
-      const appId = facebookAppId || apiKey;
-      const appSecret = facebookAppSecret || apiSecret;
-      
-      if (!appId || !appSecret) {
-        return res.status(400).json({ 
-          message: `${platform} requires Facebook App ID, App Secret, and Access Token` 
-        });
-      }
-    }
-
-    // Prepare credentials for validation
-    let validationCredentials;
-    if (platformLower === 'twitter') {
-      validationCredentials = {
-        apiKey,
-        apiSecret,
-        accessToken,
-        accessTokenSecret
-      };
-    } else {
-      // Facebook/Instagram - use Graph API credentials
-      validationCredentials = {
-        apiKey: facebookAppId || apiKey,
-        apiSecret: facebookAppSecret || apiSecret,
-        accessToken,
-        accessTokenSecret: null
-      };
+    // Validate platform-specific requirements
+    const missingCredentials = adapter.getMissingCredentials(req.body);
+    if (missingCredentials.length > 0) {
+      return res.status(400).json({ 
+        message: `${adapter.label} requires ${missingCredentials.join(', ')}` 
+      });
     }
 
-    // Validate credentials with the actual platform API
+    // Validate credentials with the actual platform API and load the profile
+    let credentials;
+    let accountStats;
     try {
-      await validateSocialMediaCredentials(
-        platformLower, 
-        validationCredentials.apiKey,
-        validationCredentials.apiSecret,
-        validationCredentials.accessToken,
-        validationCredentials.accessTokenSecret
-      );
+      ({ credentials, profile: accountStats } = await adapter.connect(req.body));
     } catch (error) {
       return res.status(400).json({ 
         message: 'Invalid credentials. Please check your API keys and tokens.',
@@ -87,115 +68,25 @@ const connectAccount = async (req, res) => {
       });
     }
 
-    // Sync account stats to get profile information
-    const accountStats = await syncSocialMediaStats(
+    const { account: savedAccount, created } = await Account.saveConnection(
+      connectedBy(req),
       platformLower,
-      validationCredentials.apiKey,
-      validationCredentials.apiSecret,
-      validationCredentials.accessToken,
-      validationCredentials.accessTokenSecret
+      { credentials, profile: accountStats }
     );
 
-    // Get username - priority: API response > existing data
-    const accountUsername = accountStats.username || accountStats.displayName || 'Unknown';
-
-    // Check if account already exists (by platform and username or profile ID)
-    const existingAccount = await Account.findOne({
-      userId: req.user.userId,
-      platform: platformLower,
-      $or: [
-        { username: accountUsername },
-        { 'profileData.id': accountStats.id }
-      ]
+    res.status(created ? 201 : 200).json({
+      message: created ? 'Account connected successfully' : 'Account reconnected successfully',
+      account: sanitizeAccountResponse(savedAccount)
     });
 
-    const accountData = {
-      userId: req.user.userId,
-      platform: platformLower,
-      username: accountUsername,
-      displayName: accountStats.displayName || accountStats.name || accountUsername,
-      description: accountStats.description || accountStats.biography || '',
-      location: accountStats.location || '',
-      profileImageUrl: accountStats.profileImageUrl || '',
-      verified: accountStats.verified || false,
-      connected: true,
-      accessToken,
-      stats: {
-        followers: accountStats.followers || 0,
-        following: accountStats.following || 0,
-        posts: accountStats.posts || 0,
-        engagement: accountStats.engagement || 0,
-        impressions: accountStats.impressions || 0,
-        reach: accountStats.reach || 0
-      },
-      profileData: {
-        id: accountStats.id,
-        username: accountUsername,
-        displayName: accountStats.displayName || accountStats.name,
-        description: accountStats.description || accountStats.biography,
-        location: accountStats.location,
-        profileImageUrl: accountStats.profileImageUrl,
-        verified: accountStats.verified,
-        createdAt: accountStats.createdAt,
-        followers: accountStats.followers,
-        following: accountStats.following,
-        posts: accountStats.posts,
-        engagement: accountStats.engagement,
-        // Platform-specific data
-        name: accountStats.name,
-        biography: accountStats.biography,
-        website: accountStats.website,
-        pageUrl: accountStats.pageUrl,
-        instagramBusinessAccount: accountStats.instagramBusinessAccount
-      },
-      syncStatus: 'success',
-      syncError: '',
-      lastSyncedAt: new Date()
-    };
-
-    // Add platform-specific credentials
-    if (platformLower === 'twitter') {
-      accountData.apiKey = apiKey;
-      accountData.apiSecret = apiSecret;
-      accountData.accessTokenSecret = accessTokenSecret;
-    } else {
-      // Facebook/Instagram
-      accountData.facebookAppId = facebookAppId || apiKey;
-      accountData.facebookAppSecret = facebookAppSecret || apiSecret;
-      accountData.apiKey = facebookAppId || apiKey; // Backward compatibility
-      accountData.apiSecret = facebookAppSecret || apiSecret; // Backward compatibility
-      
-      // Set token expiry if provided
-      if (accountStats.tokenExpiresAt) {
-        accountData.tokenExpiresAt = new Date(accountStats.tokenExpiresAt);
-      }
-    }
-
-    let savedAccount;
-    if (existingAccount) {
-      // Update existing account
-      Object.assign(existingAccount, accountData);
-      savedAccount = await existingAccount.save();
-      
-      res.json({
-        message: 'Account reconnected successfully',
-        account: sanitizeAccountResponse(savedAccount)
-      });
-    } else {
-      // Create new account
-      const newAccount = new Account(accountData);
-      savedAccount = await newAccount.save();
-      
-      res.status(201).json({
-        message: 'Account connected successfully',
-        account: sanitizeAccountResponse(savedAccount)
-      });
-    }
-
     // Auto-manage scheduler after connection
     await autoManageScheduler();
     
   } catch (error) {
+    // New accounts are refused when the workspace owner's plan is full
+    if (error instanceof QuotaExceededError) {
+      return quotaExceeded(res, error);
+    }
     console.error('Connect account error:', error);
     res.status(500).json({ 
       message: 'Server error',
@@ -211,7 +102,7 @@ const disconnectAccount = async (req, res) => {
 
     const account = await Account.findOne({
       _id: accountId,
-      userId: req.user.userId
+      workspaceId: req.workspace.id
     });
 
     if (!account) {
@@ -238,7 +129,7 @@ const disconnectAccount = async (req, res) => {
 // Get all connected accounts for the user
 const getAccounts = async (req, res) => {
   try {
-    const accounts = await Account.find({ userId: req.user.userId })
+    const accounts = await Account.find({ workspaceId: req.workspace.id })
       .sort({ createdAt: -1 });
 
     // Add health info and sanitize response
@@ -263,7 +154,7 @@ const syncAccount = async (req, res) => {
 
     const account = await Account.findOne({
       _id: accountId,
-      userId: req.user.userId
+      workspaceId: req.workspace.id
     });
 
     if (!account) {
@@ -275,14 +166,7 @@ const syncAccount = async (req, res) => {
     }
 
     try {
-      const credentials = account.getApiCredentials();
-      const updatedStats = await syncSocialMediaStats(
-        account.platform,
-        credentials.apiKey,
-        credentials.apiSecret,
-        credentials.accessToken,
-        credentials.accessTokenSecret
-      );
+      const updatedStats = await syncSocialMediaStats(account.platform, account._id);
 
       // Update account with new data
       account.stats = {
@@ -337,7 +221,7 @@ const deleteAccount = async (req, res) => {
 
     const account = await Account.findOne({
       _id: accountId,
-      userId: req.user.userId
+      workspaceId: req.workspace.id
     });
 
     if (!account) {
@@ -356,6 +240,334 @@ const deleteAccount = async (req, res) => {
   }
 };
 
+// Get the weekly posting schedule (queue slots) of an account
+const getPostingSchedule = async (req, res) => {
+  try {
+    const { accountId } = req.params;
+
+    const account = await Account.findOne({
+      _id: accountId,
+      workspaceId: req.workspace.id
+    });
+
+    if (!account) {
+      return res.status(404).json({ message: 'Account not found' });
+    }
+
+    res.json({
+      timezone: account.timezone,
+      slots: account.queueSlots,
+      upcomingSlots: await getFreeSlots(account, 10)
+    });
+  } catch (error) {
+    console.error('Get posting schedule error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Replace the weekly posting schedule of an account and reflow its queue
+const updatePostingSchedule = async (req, res) => {
+  try {
+    const { accountId } = req.params;
+    const { timezone, slots } = req.body;
+
+    const account = await Account.findOne({
+      _id: accountId,
+      workspaceId: req.workspace.id
+    });
+
+    if (!account) {
+      return res.status(404).json({ message: 'Account not found' });
+    }
+
+    try {
+      if (timezone !== undefined) {
+        account.timezone = validateTimeZone(timezone);
+      }
+      if (slots !== undefined) {
+        account.queueSlots = normalizeSlots(slots);
+      }
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    await account.save();
+
+    // Existing queued posts move to the new slots
+    await reflowQueue(account);
+
+    res.json({
+      message: 'Posting schedule updated successfully',
+      timezone: account.timezone,
+      slots: account.queueSlots,
+      upcomingSlots: await getFreeSlots(account, 10)
+    });
+  } catch (error) {
+    console.error('Update posting schedule error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Start connecting LinkedIn: URL of the LinkedIn consent screen
+const getLinkedInAuthUrl = async (req, res) => {
+  try {
+    res.json({ url: getAuthorizationUrl(req.user.userId) });
+  } catch (error) {
+    console.error('LinkedIn auth URL error:', error);
+    res.status(400).json({ message: error.message });
+  }
+};
+
+// LinkedIn redirected back: list the profile and pages the user can connect
+const completeLinkedInAuth = async (req, res) => {
+  try {
+    const { code, state } = req.body;
+    const authorization = await completeAuthorization(req.user.userId, { code, state });
+    res.json(authorization);
+  } catch (error) {
+    console.error('LinkedIn callback error:', error);
+    res.status(400).json({ message: error.message });
+  }
+};
+
+// Connect the LinkedIn profile and/or pages picked after authorization
+const connectLinkedInAccounts = async (req, res) => {
+  try {
+    const { connectionId, targets } = req.body;
+
+    let connection;
+    try {
+      connection = takePendingConnection(req.user.userId, connectionId, targets);
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    const { credentials, selected } = connection;
+    const accounts = [];
+
+    for (const target of selected) {
+      const account = await Account.findOne({
+        workspaceId: req.workspace.id,
+        platform: 'linkedin',
+        'profileData.id': target.id
+      }) || new Account({ ...connectedBy(req), platform: 'linkedin' });
+
+      Object.assign(account, {
+        username: target.username,
+        displayName: target.name,
+        profileImageUrl: target.profileImageUrl || '',
+        accessToken: credentials.accessToken,
+        refreshToken: credentials.refreshToken || null,
+        tokenExpiresAt: credentials.tokenExpiresAt,
+        authType: 'oauth2',
+        connected: true,
+        syncStatus: 'pending',
+        syncError: ''
+      });
+      account.set({
+        'profileData.id': target.id,
+        'profileData.name': target.name,
+        'profileData.pageUrl': target.pageUrl,
+        'profileData.accountType': target.type
+      });
+
+      await account.save();
+      accounts.push(account);
+    }
+
+    // Stats are best effort - the accounts are connected either way
+    for (const account of accounts) {
+      try {
+        await syncSocialMediaStats('linkedin', account._id);
+      } catch (error) {
+        console.warn(`⚠️ Initial LinkedIn sync failed for ${account.username}:`, error.message);
+      }
+    }
+
+    await autoManageScheduler();
+
+    const saved = await Account.find({ _id: { $in: accounts.map(account => account._id) } });
+    res.status(201).json({
+      message: `${saved.length} LinkedIn account${saved.length === 1 ? '' : 's'} connected`,
+      accounts: saved.map(sanitizeAccountResponse)
+    });
+  } catch (error) {
+    if (error instanceof QuotaExceededError) {
+      return quotaExceeded(res, error);
+    }
+    console.error('Connect LinkedIn error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Start connecting Mastodon: registers the app on the user's server if needed
+const getMastodonAuthUrl = async (req, res) => {
+  try {
+    if (!req.query.instance) {
+      return res.status(400).json({ message: 'Mastodon server is required' });
+    }
+    res.json({ url: await getMastodonAuthorizationUrl(req.user.userId, req.query.instance) });
+  } catch (error) {
+    console.error('Mastodon auth URL error:', error);
+    res.status(400).json({ message: error.message });
+  }
+};
+
+// Mastodon redirected back: connect (or reconnect) the authorized account
+const completeMastodonAuth = async (req, res) => {
+  try {
+    let authorization;
+    try {
+      authorization = await completeMastodonAuthorization(req.user.userId, req.body);
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    const { credentials, profile } = authorization;
+    const existingAccount = await Account.findOne({
+      workspaceId: req.workspace.id,
+      platform: 'mastodon',
+      instanceUrl: credentials.instanceUrl,
+      'profileData.id': profile.id
+    });
+    const account = existingAccount || new Account({ ...connectedBy(req), platform: 'mastodon' });
+
+    Object.assign(account, {
+      username: profile.username,
+      displayName: profile.displayName,
+      description: profile.description,
+      profileImageUrl: profile.profileImageUrl,
+      accessToken: credentials.accessToken,
+      instanceUrl: credentials.instanceUrl,
+      authType: 'oauth2',
+      connected: true,
+      stats: {
+        followers: profile.followers,
+        following: profile.following,
+        posts: profile.posts,
+        engagement: 0,
+        impressions: 0,
+        reach: 0
+      },
+      syncStatus: 'success',
+      syncError: '',
+      lastSyncedAt: new Date()
+    });
+    account.set({
+      'profileData.id': profile.id,
+      'profileData.createdAt': profile.createdAt,
+      'profileData.pageUrl': profile.pageUrl
+    });
+
+    await account.save();
+    await autoManageScheduler();
+
+    res.status(existingAccount ? 200 : 201).json({
+      message: existingAccount ? 'Account reconnected successfully' : 'Account connected successfully',
+      account: sanitizeAccountResponse(account)
+    });
+  } catch (error) {
+    if (error instanceof QuotaExceededError) {
+      return quotaExceeded(res, error);
+    }
+    console.error('Connect Mastodon error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// OAuth adapter of a platform, for the /oauth/:platform routes
+const getOAuthAdapter = (platform) => {
+  const name = (platform || '').toLowerCase();
+  return hasPlatform(name) && getPlatform(name).connectMode === 'oauth' ? getPlatform(name) : null;
+};
+
+// Start an OAuth connect flow (Twitter, Facebook, Instagram): URL of the consent screen
+const getOAuthUrl = async (req, res) => {
+  try {
+    const adapter = getOAuthAdapter(req.params.platform);
+    if (!adapter) {
+      return res.status(400).json({ message: `OAuth connection is not supported for ${req.params.platform}` });
+    }
+    res.json({ url: await adapter.getAuthorizationUrl(req.user.userId) });
+  } catch (error) {
+    console.error('OAuth auth URL error:', error);
+    res.status(400).json({ message: error.message });
+  }
+};
+
+// The provider redirected back: connect the account, or list the pages to pick from
+const completeOAuth = async (req, res) => {
+  try {
+    const adapter = getOAuthAdapter(req.params.platform);
+    if (!adapter) {
+      return res.status(400).json({ message: `OAuth connection is not supported for ${req.params.platform}` });
+    }
+
+    let authorization;
+    try {
+      authorization = await adapter.completeAuthorization(req.user.userId, req.body);
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    // Facebook Login: the user still picks the pages to connect
+    if (authorization.connectionId) {
+      return res.json(authorization);
+    }
+
+    const { account, created } = await Account.saveConnection(connectedBy(req), adapter.name, authorization);
+    await autoManageScheduler();
+
+    res.status(created ? 201 : 200).json({
+      message: created ? 'Account connected successfully' : 'Account reconnected successfully',
+      account: sanitizeAccountResponse(account)
+    });
+  } catch (error) {
+    if (error instanceof QuotaExceededError) {
+      return quotaExceeded(res, error);
+    }
+    console.error('OAuth callback error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Connect the pages (or Instagram accounts) picked after Facebook Login
+const connectOAuthAccounts = async (req, res) => {
+  try {
+    const adapter = getOAuthAdapter(req.params.platform);
+    if (!adapter) {
+      return res.status(400).json({ message: `OAuth connection is not supported for ${req.params.platform}` });
+    }
+
+    const { connectionId, targets } = req.body;
+    let connections;
+    try {
+      connections = await adapter.connectSelected(req.user.userId, connectionId, targets);
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    const accounts = [];
+    for (const connection of connections) {
+      const { account } = await Account.saveConnection(connectedBy(req), adapter.name, connection);
+      accounts.push(account);
+    }
+
+    await autoManageScheduler();
+
+    res.status(201).json({
+      message: `${accounts.length} ${adapter.label} account${accounts.length === 1 ? '' : 's'} connected`,
+      accounts: accounts.map(sanitizeAccountResponse)
+    });
+  } catch (error) {
+    if (error instanceof QuotaExceededError) {
+      return quotaExceeded(res, error);
+    }
+    console.error('Connect OAuth accounts error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
 // Helper function to remove sensitive data from account responses
 function sanitizeAccountResponse(account) {
   const accountObj = account.toObject();
@@ -363,15 +575,34 @@ function sanitizeAccountResponse(account) {
   delete accountObj.apiSecret;
   delete accountObj.accessToken;
   delete accountObj.accessTokenSecret;
+  delete accountObj.refreshToken;
   delete accountObj.facebookAppId;
   delete accountObj.facebookAppSecret;
+  delete accountObj.appPassword;
+  delete accountObj.pageAccessToken;
   return accountObj;
 }
 
+// Helper function for the owner fields of accounts connected in this request:
+// the workspace owns the account, the user is who connected it
+function connectedBy(req) {
+  return { userId: req.user.userId, workspaceId: req.workspace.id };
+}
+
 module.exports = {
   connectAccount,
   disconnectAccount,
   getAccounts,
   syncAccount,
-  deleteAccount
+  deleteAccount,
+  getPostingSchedule,
+  updatePostingSchedule,
+  getLinkedInAuthUrl,
+  completeLinkedInAuth,
+  connectLinkedInAccounts,
+  getMastodonAuthUrl,
+  completeMastodonAuth,
+  getOAuthUrl,
+  completeOAuth,
+  connectOAuthAccounts
 };
\ No newline at end of file
@@ -4,25 +4,17 @@ const {
   fetchPlatformAnalytics,
   syncSocialMediaStats,
 } = require("../services/social-media.service");
-const mongoose = require("mongoose");
+const { hasPlatform } = require("../services/platforms");
 
 // Get comprehensive dashboard analytics
 const getDashboardAnalytics = async (req, res) => {
   try {
-    const userId = req.user.userId;
+    const workspaceId = req.workspace.id;
     const { timeframe = "week" } = req.query;
 
-    // Ensure userId is a valid ObjectId
-    if (!mongoose.Types.ObjectId.isValid(userId)) {
-      return res.status(400).json({
-        message: "Invalid user ID format",
-        error: "User ID must be a valid MongoDB ObjectId",
-      });
-    }
-
     // Get all connected accounts
     const connectedAccounts = await Account.find({
-      userId: new mongoose.Types.ObjectId(userId),
+      workspaceId,
       connected: true,
     });
 
@@ -118,7 +110,7 @@ const getDashboardAnalytics = async (req, res) => {
     );
 
     // Get top performing content
-    const topContent = await getTopPerformingContent(userId, 5);
+    const topContent = await getTopPerformingContent(workspaceId, 5);
 
     const dashboardData = {
       summary: {
@@ -152,15 +144,10 @@ const getEngagementData = async (req, res) => {
   try {
     const { platform } = req.params;
     const { timeframe = "week" } = req.query;
-    const userId = req.user.userId;
-
-    // Validate userId format
-    if (!mongoose.Types.ObjectId.isValid(userId)) {
-      return res.status(400).json({ message: "Invalid user ID format" });
-    }
+    const workspaceId = req.workspace.id;
 
     const account = await Account.findOne({
-      userId: new mongoose.Types.ObjectId(userId),
+      workspaceId,
       platform,
       connected: true,
     });
@@ -184,7 +171,7 @@ const getEngagementData = async (req, res) => {
 
     // Get published posts for additional context
     const recentPosts = await Post.find({
-      userId: new mongoose.Types.ObjectId(userId),
+      workspaceId,
       platform,
       status: "published",
       publishedAt: {
@@ -218,14 +205,14 @@ const getEngagementData = async (req, res) => {
 
 const getFollowerData = async (req, res) => {
   try {
-    const userId = req.user.userId;
+    const workspaceId = req.workspace.id;
     const platform = req.params.platform?.toLowerCase();
 
-    if (!platform || !["twitter", "facebook", "instagram"].includes(platform)) {
+    if (!platform || !hasPlatform(platform)) {
       return res.status(400).json({ error: "Invalid or missing platform" });
     }
 
-    const account = await Account.findOne({ userId, platform });
+    const account = await Account.findOne({ workspaceId, platform });
 
     if (!account) {
       return res.status(404).json({ error: `No ${platform} account found.` });
@@ -255,11 +242,7 @@ const getContentPerformance = async (req, res) => {
   try {
     const { platform } = req.params;
     const { limit = 10, sortBy = "publishedAt", order = "desc" } = req.query;
-    const userId = req.user.userId;
-
-    if (!mongoose.Types.ObjectId.isValid(userId)) {
-      return res.status(400).json({ message: "Invalid user ID format" });
-    }
+    const workspaceId = req.workspace.id;
 
     // Build sort object
     const sortObj = {};
@@ -273,7 +256,7 @@ const getContentPerformance = async (req, res) => {
     const posts = await Post.aggregate([
       {
         $match: {
-          userId: new mongoose.Types.ObjectId(userId),
+          workspaceId,
           platform,
           status: "published",
         },
@@ -345,15 +328,10 @@ const getContentPerformance = async (req, res) => {
 const getAudienceDemographics = async (req, res) => {
   try {
     const { platform } = req.params;
-    const userId = req.user.userId;
-
-    // Validate userId format
-    if (!mongoose.Types.ObjectId.isValid(userId)) {
-      return res.status(400).json({ message: "Invalid user ID format" });
-    }
+    const workspaceId = req.workspace.id;
 
     const account = await Account.findOne({
-      userId: new mongoose.Types.ObjectId(userId),
+      workspaceId,
       platform,
       connected: true,
     });
@@ -391,12 +369,7 @@ const getComparisonAnalytics = async (req, res) => {
   try {
     const { platforms, metric = "engagement", timeframe = "week" } = req.query;
     const platformList = platforms ? platforms.split(",") : [];
-    const userId = req.user.userId;
-
-    // Validate userId format
-    if (!mongoose.Types.ObjectId.isValid(userId)) {
-      return res.status(400).json({ message: "Invalid user ID format" });
-    }
+    const workspaceId = req.workspace.id;
 
     if (platformList.length === 0) {
       return res
@@ -408,7 +381,7 @@ const getComparisonAnalytics = async (req, res) => {
 
     for (const platform of platformList) {
       const account = await Account.findOne({
-        userId: new mongoose.Types.ObjectId(userId),
+        workspaceId,
         platform,
         connected: true,
       });
@@ -497,17 +470,12 @@ const getFollowerGrowthTrend = async (accounts, timeframe) => {
   return trendData;
 };
 
-const getTopPerformingContent = async (userId, limit) => {
+const getTopPerformingContent = async (workspaceId, limit) => {
   try {
-    // Validate userId format
-    if (!mongoose.Types.ObjectId.isValid(userId)) {
-      return [];
-    }
-
     const topPosts = await Post.aggregate([
       {
         $match: {
-          userId: new mongoose.Types.ObjectId(userId),
+          workspaceId,
           status: "published",
         },
       },
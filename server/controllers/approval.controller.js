@@ -0,0 +1,189 @@
+const mongoose = require('mongoose');
+const Post = require('../models/post.model');
+const User = require('../models/user.model');
+const {
+  resolveReviewer,
+  submitForReview,
+  approve,
+  reject,
+  addComment
+} = require('../services/approval.service');
+const { QuotaExceededError } = require('../services/usage.service');
+const { quotaExceeded } = require('../middleware/quota.middleware');
+
+// Approvals inbox: posts waiting for my review and my own posts in review
+const getApprovals = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const workspaceId = req.workspace.id;
+
+    const [toReview, submitted] = await Promise.all([
+      Post.find({ workspaceId, 'approval.reviewerId': userId, status: 'pending_review' })
+        .populate('accountId', 'platform username')
+        .populate('userId', 'name email')
+        .sort({ 'approval.requestedAt': 1 }),
+      Post.find({
+        workspaceId,
+        userId,
+        $or: [
+          { status: 'pending_review' },
+          { status: 'draft', 'approval.status': 'rejected' },
+          { status: 'approved' }
+        ]
+      })
+        .populate('accountId', 'platform username')
+        .populate('approval.reviewerId', 'name email')
+        .sort({ updatedAt: -1 })
+    ]);
+
+    res.json({ toReview, submitted });
+  } catch (error) {
+    console.error('Get approvals error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Submit one of my posts to a reviewer
+const submitPost = async (req, res) => {
+  try {
+    const post = await findPost(req, { userId: req.user.userId });
+    if (!post) {
+      return res.status(404).json({ message: 'Post not found' });
+    }
+
+    const fromDraft = post.status === 'draft';
+    try {
+      const reviewer = await resolveReviewer(req.body, req.user.userId, req.workspace.id);
+      submitForReview(post, reviewer);
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    // A draft reserves its quota once it is on its way to being scheduled
+    if (fromDraft && !(await User.reservePosts(req.user.userId))) {
+      return quotaExceeded(res, new QuotaExceededError('posts'));
+    }
+
+    try {
+      await post.save();
+    } catch (error) {
+      if (fromDraft) {
+        await User.releasePosts(req.user.userId);
+      }
+      throw error;
+    }
+    res.json(post);
+  } catch (error) {
+    console.error('Submit post for review error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+const approvePost = async (req, res) => {
+  try {
+    const post = await findPost(req, { 'approval.reviewerId': req.user.userId });
+    if (!post) {
+      return res.status(404).json({ message: 'Post not found' });
+    }
+
+    try {
+      approve(post, req.user.userId);
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    if (req.body.comment) {
+      addComment(post, req.user, req.body.comment);
+    }
+
+    await post.save();
+    res.json(post);
+  } catch (error) {
+    console.error('Approve post error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+const rejectPost = async (req, res) => {
+  try {
+    const post = await findPost(req, { 'approval.reviewerId': req.user.userId });
+    if (!post) {
+      return res.status(404).json({ message: 'Post not found' });
+    }
+
+    try {
+      reject(post, req.user.userId, req.body.reason);
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    await post.save();
+    // Back to draft gives the author's reserved quota back
+    await User.releasePosts(post.userId);
+    res.json(post);
+  } catch (error) {
+    console.error('Reject post error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Review comments are visible to the author and the reviewer of the post
+const getComments = async (req, res) => {
+  try {
+    const post = await findPost(req, participantQuery(req.user.userId));
+    if (!post) {
+      return res.status(404).json({ message: 'Post not found' });
+    }
+
+    res.json({ comments: post.reviewComments });
+  } catch (error) {
+    console.error('Get review comments error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+const createComment = async (req, res) => {
+  try {
+    const post = await findPost(req, participantQuery(req.user.userId));
+    if (!post) {
+      return res.status(404).json({ message: 'Post not found' });
+    }
+
+    let comment;
+    try {
+      comment = addComment(post, req.user, req.body.text);
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    await post.save();
+    res.status(201).json(comment);
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Add review comment error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Helper function to load a post of the workspace matching an access condition
+function findPost(req, access) {
+  const { postId } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(postId)) return null;
+  return Post.findOne({ _id: postId, workspaceId: req.workspace.id, ...access });
+}
+
+// Helper function to match posts the user wrote or was asked to review
+function participantQuery(userId) {
+  return { $or: [{ userId }, { 'approval.reviewerId': userId }] };
+}
+
+module.exports = {
+  getApprovals,
+  submitPost,
+  approvePost,
+  rejectPost,
+  getComments,
+  createComment
+};
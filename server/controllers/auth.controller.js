@@ -1,5 +1,19 @@
 const User = require('../models/user.model');
-const jwt = require('jsonwebtoken');
+const Workspace = require('../models/workspace.model');
+const {
+  createSession,
+  refreshSession,
+  revokeSession,
+  revokeAllSessions,
+  listSessions
+} = require('../services/session.service');
+const {
+  verifyTwoFactor,
+  createLoginChallenge,
+  readLoginChallenge
+} = require('../services/two-factor.service');
+const { sendVerificationEmail } = require('../services/account-email.service');
+const { isValidTimeZone } = require('../utils/timezone');
 // Register new user
 const register = async (req, res) => {
   try {
@@ -9,34 +23,15 @@ const register = async (req, res) => {
     if (existingUser) {
       return res.status(400).json({ message: 'User already exists' });
     }
-    // Create new user
-    const user = new User({
-      email,
-      password,
-      name,
-      plan: 'pro', // Default to pro plan for demo
-      planUsage: {
-        posts: { used: 35, total: 100 },
-        ideas: { used: 15, total: 50 }
-      }
-    });
+    // Create new user on the default plan, its billing periods starting today
+    const user = new User({ email, password, name, billingAnchor: new Date() });
     await user.save();
-    // Generate token
-    const token = jwt.sign(
-      { userId: user._id },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
-    );
-    res.status(201).json({
-      token,
-      user: {
-        id: user._id,
-        email: user.email,
-        name: user.name,
-        plan: user.plan,
-        planUsage: user.planUsage
-      }
-    });
+    await Workspace.ensurePersonal(user);
+    // Signing up doesn't wait for the email; it can be sent again from the app
+    sendVerificationEmail(user).catch(error => console.error('Verification email error:', error));
+    // Start a session: short-lived access token plus refresh token
+    const tokens = await createSession(user._id, sessionContext(req));
+    res.status(201).json(sessionResponse(user, tokens));
   } catch (error) {
     console.error('Register error:', error);
     res.status(500).json({ message: 'Server error' });
@@ -56,31 +51,52 @@ const login = async (req, res) => {
     if (!isMatch) {
       return res.status(400).json({ message: 'Invalid credentials' });
     }
-    // Generate token
-    const token = jwt.sign(
-      { userId: user._id },
-      process.env.JWT_SECRET,
-      { expiresIn: '15m' }
-    );
+    // With 2FA the session starts once the code is checked (loginTwoFactor)
+    if (user.twoFactor.enabled) {
+      return res.json({ twoFactorRequired: true, challengeToken: createLoginChallenge(user) });
+    }
+    // Start a session: short-lived access token plus refresh token
+    const tokens = await createSession(user._id, sessionContext(req));
+    res.json(sessionResponse(user, tokens));
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+// Second login step: a code from the authenticator app, or a recovery code
+const loginTwoFactor = async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+    const userId = readLoginChallenge(challengeToken);
+    const user = userId && await User.findById(userId);
+    if (!user) {
+      return res.status(401).json({ message: 'Login expired. Please sign in again.' });
+    }
+    if (!code && !recoveryCode) {
+      return res.status(400).json({ message: 'Enter the code from your authenticator app or a recovery code' });
+    }
+    const result = await verifyTwoFactor(user, { code, recoveryCode });
+    if (result.locked) {
+      return res.status(429).json({ message: 'Too many wrong codes. Try again in 15 minutes.' });
+    }
+    if (!result.valid) {
+      return res.status(400).json({ message: 'Invalid code' });
+    }
+    const tokens = await createSession(user._id, sessionContext(req));
     res.json({
-      token,
-      user: {
-        id: user._id,
-        email: user.email,
-        name: user.name,
-        plan: user.plan,
-        planUsage: user.planUsage
-      }
+      ...sessionResponse(user, tokens),
+      // Warn when signing in with the last recovery codes
+      ...(result.method === 'recovery_code' && { recoveryCodesLeft: result.recoveryCodesLeft })
     });
   } catch (error) {
-    console.error('Login error:', error);
+    console.error('Two-factor login error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 };
 // Get user profile
 const getProfile = async (req, res) => {
   try {
-    const user = await User.findById(req.user.userId).select('-password');
+    const user = await User.findById(req.user.userId).select('-password -twoFactor');
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
     }
@@ -93,29 +109,157 @@ const getProfile = async (req, res) => {
 // Update user profile
 const updateProfile = async (req, res) => {
   try {
-    const { name, email } = req.body;
+    const { name, email, timezone, currentPassword } = req.body;
     const user = await User.findById(req.user.userId);
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
     }
+    if (timezone && !isValidTimeZone(timezone)) {
+      return res.status(400).json({ message: `Unknown time zone: ${timezone}` });
+    }
+    const newEmail = typeof email === 'string' ? email.trim().toLowerCase() : '';
+    const emailChanged = Boolean(newEmail) && newEmail !== user.email;
+    // Changing the login email takes the password, and an address nobody uses
+    if (emailChanged) {
+      if (!(await user.comparePassword(currentPassword || ''))) {
+        return res.status(400).json({ message: 'Enter your current password to change your email' });
+      }
+      if (await User.exists({ email: newEmail, _id: { $ne: user._id } })) {
+        return res.status(409).json({ message: 'This email is already in use' });
+      }
+    }
     if (name) user.name = name;
-    if (email) user.email = email;
-    await user.save();
+    if (timezone !== undefined) user.timezone = timezone || null;
+    // A new address has to be verified again
+    if (emailChanged) {
+      user.email = newEmail;
+      user.emailVerified = false;
+      user.emailVerifiedAt = null;
+    }
+    try {
+      await user.save();
+    } catch (error) {
+      // Taken by another account since the check above
+      if (error.code === 11000) {
+        return res.status(409).json({ message: 'This email is already in use' });
+      }
+      throw error;
+    }
+    if (emailChanged) {
+      sendVerificationEmail(user).catch(error => console.error('Verification email error:', error));
+    }
     res.json({
       id: user._id,
       email: user.email,
       name: user.name,
+      emailVerified: user.emailVerified,
       plan: user.plan,
-      planUsage: user.planUsage
+      planUsage: user.planUsage,
+      timezone: user.timezone
     });
   } catch (error) {
     console.error('Update profile error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 };
+// Exchange a refresh token for a new access token and refresh token
+const refresh = async (req, res) => {
+  try {
+    const result = await refreshSession(req.body.refreshToken, sessionContext(req));
+    if (!result) {
+      return res.status(401).json({ message: 'Session expired. Please log in again.' });
+    }
+    // refreshToken is null when another tab already rotated this one
+    res.json({ token: result.accessToken, refreshToken: result.refreshToken });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+// Log out this device
+const logout = async (req, res) => {
+  try {
+    await revokeSession(req.user.userId, req.user.sessionId, 'logout');
+    res.json({ message: 'Logged out' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+// Log out every device, this one included
+const logoutAll = async (req, res) => {
+  try {
+    const count = await revokeAllSessions(req.user.userId);
+    res.json({ message: `Logged out of ${count} session${count === 1 ? '' : 's'}`, count });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+// Devices I am signed in on
+const getSessions = async (req, res) => {
+  try {
+    const sessions = await listSessions(req.user.userId);
+    res.json(sessions.map(session => ({
+      id: session._id,
+      userAgent: session.userAgent,
+      ip: session.ip,
+      createdAt: session.createdAt,
+      lastUsedAt: session.lastUsedAt,
+      expiresAt: session.expiresAt,
+      current: session._id.toString() === req.user.sessionId.toString()
+    })));
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+// Sign out one of my devices
+const deleteSession = async (req, res) => {
+  try {
+    const revoked = await revokeSession(req.user.userId, req.params.sessionId, 'revoked');
+    if (!revoked) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+    res.json({ message: 'Session revoked' });
+  } catch (error) {
+    console.error('Delete session error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+// Helper function to build the response of a login or signup
+function sessionResponse(user, { accessToken, refreshToken }) {
+  return {
+    token: accessToken,
+    refreshToken,
+    user: {
+      id: user._id,
+      email: user.email,
+      name: user.name,
+      emailVerified: user.emailVerified,
+      plan: user.plan,
+      planUsage: user.planUsage,
+      timezone: user.timezone,
+      twoFactorEnabled: user.twoFactor.enabled
+    }
+  };
+}
+// Helper function to describe the device a session is started from
+function sessionContext(req) {
+  return {
+    userAgent: req.headers['user-agent'] || '',
+    ip: req.ip || ''
+  };
+}
 module.exports = {
   register,
   login,
+  loginTwoFactor,
   getProfile,
-  updateProfile
+  updateProfile,
+  refresh,
+  logout,
+  logoutAll,
+  getSessions,
+  deleteSession
 };
\ No newline at end of file
@@ -0,0 +1,111 @@
+const {
+  BillingError,
+  WebhookSignatureError,
+  getBillingStatus,
+  createCheckout,
+  createPortal,
+  handleBillingWebhook,
+  completeFakeCheckout,
+  cancelFakeSubscription
+} = require('../services/billing.service');
+
+const clientUrl = () => process.env.CLIENT_URL || 'http://localhost:5173';
+
+// My plan and subscription
+const getBilling = async (req, res) => {
+  try {
+    res.json(await getBillingStatus(req.user.userId));
+  } catch (error) {
+    if (error instanceof BillingError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Get billing error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Start subscribing to a paid plan; the client goes to the returned URL
+const startCheckout = async (req, res) => {
+  try {
+    const session = await createCheckout(req.user.userId, req.body.plan, {
+      successUrl: `${clientUrl()}/profile?billing=success`,
+      cancelUrl: `${clientUrl()}/profile?billing=cancelled`
+    });
+    res.json(session);
+  } catch (error) {
+    if (error instanceof BillingError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Start checkout error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Link to the provider's customer portal
+const openPortal = async (req, res) => {
+  try {
+    res.json(await createPortal(req.user.userId, { returnUrl: `${clientUrl()}/profile` }));
+  } catch (error) {
+    if (error instanceof BillingError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Open billing portal error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Subscription events from the provider. The body is raw (see server.js)
+// because the signature covers the exact bytes
+const receiveWebhook = async (req, res) => {
+  try {
+    const result = await handleBillingWebhook(req.body, req.get('Stripe-Signature'));
+    res.json(result);
+  } catch (error) {
+    if (error instanceof WebhookSignatureError) {
+      console.warn('⚠️ Rejected billing webhook:', error.message);
+      return res.status(400).json({ message: error.message });
+    }
+    if (error instanceof BillingError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    // A 500 makes the provider deliver the event again later
+    console.error('Billing webhook error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Fake provider: pay on the test checkout page
+const completeFakeCheckoutSession = async (req, res) => {
+  try {
+    res.json(await completeFakeCheckout(req.user.userId, req.params.sessionId));
+  } catch (error) {
+    if (error instanceof BillingError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Complete fake checkout error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Fake provider: cancel from the test portal page
+const cancelFakeSubscriptionNow = async (req, res) => {
+  try {
+    await cancelFakeSubscription(req.user.userId);
+    res.json({ message: 'Subscription cancelled' });
+  } catch (error) {
+    if (error instanceof BillingError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Cancel fake subscription error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+module.exports = {
+  getBilling,
+  startCheckout,
+  openPortal,
+  receiveWebhook,
+  completeFakeCheckoutSession,
+  cancelFakeSubscriptionNow
+};
@@ -0,0 +1,128 @@
+const EvergreenItem = require('../models/evergreenItem.model');
+
+// Get the workspace's evergreen library
+const getEvergreenItems = async (req, res) => {
+  try {
+    const { platform, category, active } = req.query;
+    const query = { workspaceId: req.workspace.id };
+
+    if (platform) {
+      query.platform = { $in: [null, platform] };
+    }
+    if (category) {
+      query.category = category;
+    }
+    if (active === 'true') {
+      query.active = true;
+    } else if (active === 'false') {
+      query.active = false;
+    }
+
+    const items = await EvergreenItem.find(query).sort({ lastPublishedAt: 1, createdAt: 1 });
+    res.json({
+      items: items.map(item => ({
+        ...item.toObject(),
+        coolingDown: item.isCoolingDown()
+      }))
+    });
+  } catch (error) {
+    console.error('Get evergreen items error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Add an item to the evergreen library
+const createEvergreenItem = async (req, res) => {
+  try {
+    const { content, mediaFiles, platform, category, cooldownDays } = req.body;
+
+    if (!content || content.trim().length === 0) {
+      return res.status(400).json({ message: 'Content is required' });
+    }
+
+    const item = new EvergreenItem({
+      userId: req.user.userId,
+      workspaceId: req.workspace.id,
+      content: content.trim(),
+      mediaFiles: mediaFiles || [],
+      platform: platform || null,
+      category,
+      cooldownDays
+    });
+
+    await item.save();
+    res.status(201).json(item);
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Create evergreen item error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Update an evergreen library item
+const updateEvergreenItem = async (req, res) => {
+  try {
+    const { itemId } = req.params;
+    const { content, mediaFiles, platform, category, cooldownDays, active } = req.body;
+
+    const item = await EvergreenItem.findOne({
+      _id: itemId,
+      workspaceId: req.workspace.id
+    });
+
+    if (!item) {
+      return res.status(404).json({ message: 'Evergreen item not found' });
+    }
+
+    if (content !== undefined) {
+      if (content.trim().length === 0) {
+        return res.status(400).json({ message: 'Content cannot be empty' });
+      }
+      item.content = content.trim();
+    }
+    if (mediaFiles) item.mediaFiles = mediaFiles;
+    if (platform !== undefined) item.platform = platform || null;
+    if (category !== undefined) item.category = category;
+    if (cooldownDays !== undefined) item.cooldownDays = cooldownDays;
+    if (active !== undefined) item.active = active;
+
+    await item.save();
+    res.json(item);
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Update evergreen item error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Remove an item from the evergreen library
+const deleteEvergreenItem = async (req, res) => {
+  try {
+    const { itemId } = req.params;
+
+    const result = await EvergreenItem.deleteOne({
+      _id: itemId,
+      workspaceId: req.workspace.id
+    });
+
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ message: 'Evergreen item not found' });
+    }
+
+    res.json({ message: 'Evergreen item deleted successfully' });
+  } catch (error) {
+    console.error('Delete evergreen item error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+module.exports = {
+  getEvergreenItems,
+  createEvergreenItem,
+  updateEvergreenItem,
+  deleteEvergreenItem
+};
@@ -1,27 +1,37 @@
 const Idea = require('../models/idea.model');
 const User = require('../models/user.model');
+const Account = require('../models/account.model');
+const { workspaceScope } = require('../middleware/workspace.middleware');
+const { quotaExceeded } = require('../middleware/quota.middleware');
+const { QuotaExceededError } = require('../services/usage.service');
 const { generateContentIdeas } = require('../services/gemini.service');
 
 // Generate content ideas using Gemini AI
 const generateIdeas = async (req, res) => {
   try {
     const { prompt, platform, count } = req.body;
-    
-    // Check user's plan limits
-    const user = await User.findById(req.user.userId);
-    if (user.planUsage.ideas.used >= user.planUsage.ideas.total) {
-      return res.status(403).json({ message: 'Idea generation limit reached for your plan' });
+
+    // Count the generation up front, so parallel requests can't go over the plan
+    if (!(await User.reserveIdeas(req.user.userId))) {
+      return quotaExceeded(res, new QuotaExceededError('ideas'));
     }
     
     // Generate ideas using Gemini AI
-    const result = await generateContentIdeas(
-      prompt,
-      platform,
-      count || 4
-    );
+    let result;
+    try {
+      result = await generateContentIdeas(
+        prompt,
+        platform,
+        count || 4
+      );
+    } catch (error) {
+      await User.releaseIdeas(req.user.userId);
+      throw error;
+    }
     
     // Check if there was an error or if we need to handle retry
     if (result.error && result.retryAfter) {
+      await User.releaseIdeas(req.user.userId);
       return res.status(429).json({ 
         message: result.message,
         retryAfter: result.retryAfter,
@@ -38,6 +48,7 @@ const generateIdeas = async (req, res) => {
     for (const text of generatedIdeas) {
       const idea = new Idea({
         userId: req.user.userId,
+        workspaceId: req.workspace.id,
         platform,
         prompt,
         generatedText: text,
@@ -48,10 +59,6 @@ const generateIdeas = async (req, res) => {
       savedIdeas.push(idea);
     }
     
-    // Update user's idea usage
-    user.planUsage.ideas.used += 1;
-    await user.save();
-    
     res.json({
       ideas: savedIdeas,
       source: result.source,
@@ -64,11 +71,11 @@ const generateIdeas = async (req, res) => {
   }
 };
 
-// Get saved ideas for a user
+// Get saved ideas of the workspace
 const getSavedIdeas = async (req, res) => {
   try {
     const { platform, liked } = req.query;
-    const query = { userId: req.user.userId };
+    const query = { workspaceId: req.workspace.id };
     
     if (platform) {
       query.platform = platform;
@@ -94,9 +101,10 @@ const updateIdeaFeedback = async (req, res) => {
     const { ideaId } = req.params;
     const { liked, disliked } = req.body;
     
+    // Contributors rate their own ideas, editors anyone's
     const idea = await Idea.findOne({
       _id: ideaId,
-      userId: req.user.userId
+      ...workspaceScope(req, 'content:publish')
     });
     
     if (!idea) {
@@ -127,17 +135,33 @@ const convertIdeaToPost = async (req, res) => {
     
     const idea = await Idea.findOne({
       _id: ideaId,
-      userId: req.user.userId
+      workspaceId: req.workspace.id
     });
     
     if (!idea) {
       return res.status(404).json({ message: 'Idea not found' });
     }
+
+    const account = await Account.findOne({ _id: accountId, workspaceId: req.workspace.id });
+    if (!account) {
+      return res.status(404).json({ message: 'Account not found' });
+    }
+
+    // The idea is scheduled right away, without review
+    if (req.workspace.requireApproval) {
+      return res.status(400).json({ message: 'Posts in this workspace must be approved. Write a post from the idea and submit it for review.' });
+    }
+
+    // Reserve the post against the plan; it counts as used once published
+    if (!(await User.reservePosts(req.user.userId))) {
+      return quotaExceeded(res, new QuotaExceededError('posts'));
+    }
     
     // Create a new post from this idea
     const Post = require('../models/post.model');
     const newPost = new Post({
       userId: req.user.userId,
+      workspaceId: req.workspace.id,
       accountId,
       platform: idea.platform,
       content: idea.generatedText,
@@ -146,18 +170,18 @@ const convertIdeaToPost = async (req, res) => {
       status: 'scheduled'
     });
     
-    await newPost.save();
+    try {
+      await newPost.save();
+    } catch (error) {
+      await User.releasePosts(req.user.userId);
+      throw error;
+    }
     
     // Update the idea to mark as converted
     idea.convertedToPost = true;
     idea.postId = newPost._id;
     await idea.save();
     
-    // Update user's post usage
-    const user = await User.findById(req.user.userId);
-    user.planUsage.posts.used += 1;
-    await user.save();
-    
     res.json({
       idea,
       post: newPost
@@ -175,7 +199,7 @@ const deleteIdea = async (req, res) => {
     
     const result = await Idea.deleteOne({
       _id: ideaId,
-      userId: req.user.userId
+      ...workspaceScope(req, 'content:publish')
     });
     
     if (result.deletedCount === 0) {
@@ -1,6 +1,8 @@
 const multer = require('multer');
 const { cloudinary, UPLOAD_CONFIG, PLATFORM_FOLDERS, getUploadOptions } = require('../config/cloudinary');
 const User = require('../models/user.model');
+const { getPlan } = require('../utils/plans');
+const { getPlatform, hasPlatform, listPlatforms } = require('../services/platforms');
 
 // Configure multer for file upload with size limits
 const upload = multer({
@@ -20,52 +22,46 @@ const upload = multer({
       'video/mov',
       'video/avi',
       'video/webm',
-      'video/quicktime'
+      'video/quicktime',
+      'application/pdf'
     ];
 
     if (allowedTypes.includes(file.mimetype)) {
       cb(null, true);
     } else {
-      cb(new Error('Invalid file type. Only images and videos are allowed.'), false);
+      cb(new Error('Invalid file type. Only images, videos and PDF documents are allowed.'), false);
     }
   }
 });
 
+// Media type of an uploaded file: image, video or document (PDF)
+const getMediaType = (file) => {
+  if (file.mimetype === 'application/pdf') return 'document';
+  return file.mimetype.startsWith('video/') ? 'video' : 'image';
+};
+
+// Cloudinary stores documents as raw files
+const getCloudinaryResourceType = (mediaType) =>
+  mediaType === 'document' ? 'raw' : mediaType;
+
 // Platform-specific file validations
 const validateFileForPlatform = (file, platform) => {
-  const maxSizes = {
-    twitter: {
-      image: 5 * 1024 * 1024,
-      video: 512 * 1024 * 1024
-    },
-    instagram: {
-      image: 8 * 1024 * 1024,
-      video: 100 * 1024 * 1024
-    },
-    facebook: {
-      image: 4 * 1024 * 1024,
-      video: 1024 * 1024 * 1024
-    },
-    linkedin: {
-      image: 20 * 1024 * 1024,
-      video: 200 * 1024 * 1024
-    }
-  };
-
-  const platformLimits = maxSizes[platform?.toLowerCase()];
-  if (!platformLimits) {
+  if (!hasPlatform(platform)) {
     return { valid: false, message: 'Unsupported platform' };
   }
 
-  const isVideo = file.mimetype.startsWith('video/');
-  const maxSize = isVideo ? platformLimits.video : platformLimits.image;
+  const fileType = getMediaType(file);
+  const maxSizeMB = getPlatform(platform).limits.mediaSizeMB[fileType];
+
+  // Platforms without a size limit for a media type do not take it (e.g. documents)
+  if (!maxSizeMB) {
+    return { valid: false, message: `${fileType} files are not supported on ${platform}` };
+  }
 
-  if (file.size > maxSize) {
-    const sizeLimit = (maxSize / (1024 * 1024)).toFixed(0);
-    const fileType = isVideo ? 'video' : 'image';
+  if (file.size > maxSizeMB * 1024 * 1024) {
     return {
       valid: false,
-      message: `${fileType} files for ${platform} must be under ${sizeLimit}MB`
+      message: `${fileType} files for ${platform} must be under ${maxSizeMB}MB`
     };
   }
 
@@ -94,14 +90,7 @@ const uploadMedia = async (req, res) => {
       return res.status(404).json({ message: 'User not found' });
     }
 
-    const maxFiles = {
-      twitter: 4,
-      instagram: 10,
-      facebook: 10,
-      linkedin: 1
-    };
-
-    const maxFileCount = maxFiles[platform?.toLowerCase()] || 1;
+    const maxFileCount = hasPlatform(platform) ? getPlatform(platform).limits.maxMedia : 1;
 
     if (req.files.length > maxFileCount) {
       return res.status(400).json({
@@ -121,27 +110,29 @@ const uploadMedia = async (req, res) => {
           throw new Error(validation.message);
         }
 
-        const isVideo = file.mimetype.startsWith('video/');
-        const resourceType = isVideo ? 'video' : 'image';
+        const mediaType = getMediaType(file);
+        const isVideo = mediaType === 'video';
+        const isDocument = mediaType === 'document';
 
         // Direct upload using the file buffer
         const uploadResult = await cloudinary.uploader.upload(
           `data:${file.mimetype};base64,${file.buffer.toString('base64')}`, {
             upload_preset: uploadOptions.preset,
             folder: `${uploadOptions.folder}/${req.user.userId}`,
-            resource_type: resourceType,
-            quality: uploadOptions.quality || 'auto:good',
-            flags: uploadOptions.flags,
-            transformation: isVideo ? [] : [
+            resource_type: getCloudinaryResourceType(mediaType),
+            quality: isDocument ? undefined : uploadOptions.quality || 'auto:good',
+            flags: isDocument ? undefined : uploadOptions.flags,
+            transformation: isVideo || isDocument ? [] : [
               { width: 2048, height: 2048, crop: 'limit' },
               { quality: 'auto:good' }
             ],
             context: {
               userId: req.user.userId,
+              workspaceId: req.workspace.id.toString(),
               platform: platform,
               uploadedAt: new Date().toISOString()
             },
-            eager: !isVideo ? [
+            eager: !isVideo && !isDocument ? [
               { width: 400, height: 400, crop: 'fill', quality: 'auto:good' },
               { width: 800, height: 600, crop: 'fill', quality: 'auto:good' }
             ] : undefined
@@ -154,8 +145,8 @@ const uploadMedia = async (req, res) => {
           data: {
             url: uploadResult.secure_url,
             publicId: uploadResult.public_id,
-            resourceType: uploadResult.resource_type,
-            format: uploadResult.format,
+            resourceType: mediaType,
+            format: uploadResult.format || file.originalname.split('.').pop().toLowerCase(),
             width: uploadResult.width,
             height: uploadResult.height,
             bytes: uploadResult.bytes,
@@ -184,24 +175,24 @@ const uploadMedia = async (req, res) => {
 
     const results = await Promise.all(uploadPromises);
 
+    let uploadedBytes = 0;
     results.forEach(result => {
       if (result.success) {
         uploadResults.push(result.data);
-        const fileSizeMB = result.data.bytes / (1024 * 1024);
-        user.storageUsed = (user.storageUsed || 0) + fileSizeMB;
+        uploadedBytes += result.data.bytes || 0;
       } else {
         errors.push(result.error);
       }
     });
 
-    await user.save();
+    await User.addStorage(user._id, uploadedBytes);
 
     const response = {
       success: uploadResults.length > 0,
       message: `${uploadResults.length} file(s) uploaded successfully`,
       files: uploadResults,
       errors: errors.length > 0 ? errors : undefined,
-      storageUsed: user.storageUsed
+      storageUsed: (user.planUsage.storage.used + uploadedBytes) / (1024 * 1024)
     };
 
     res.json(response);
@@ -239,25 +230,21 @@ const getUploadConfig = async (req, res) => {
       cloudName: process.env.CLOUDINARY_CLOUD_NAME,
       uploadPreset: uploadOptions.preset,
       folder: uploadOptions.folder,
-      maxFileSize: {
-        twitter: { image: 5, video: 512 },
-        instagram: { image: 8, video: 100 },
-        facebook: { image: 4, video: 1024 },
-        linkedin: { image: 20, video: 200 }
-      },
-      maxFiles: {
-        twitter: 4,
-        instagram: 10,
-        facebook: 10,
-        linkedin: 1
-      },
+      maxFileSize: Object.fromEntries(
+        listPlatforms().map(adapter => [adapter.name, adapter.limits.mediaSizeMB])
+      ),
+      maxFiles: Object.fromEntries(
+        listPlatforms().map(adapter => [adapter.name, adapter.limits.maxMedia])
+      ),
       supportedFormats: {
         image: ['jpg', 'jpeg', 'png', 'gif', 'webp'],
-        video: ['mp4', 'mov', 'avi', 'webm']
+        video: ['mp4', 'mov', 'avi', 'webm'],
+        document: ['pdf']
       },
+      // In MB; the limit comes from the plan
       userStorage: {
-        used: user?.storageUsed || 0,
-        limit: user?.storageLimit || 1000
+        used: (user?.planUsage.storage.used || 0) / (1024 * 1024),
+        limit: getPlan(user?.plan).limits.storageMB
       }
     });
   } catch (error) {
@@ -282,18 +269,17 @@ const deleteMedia = async (req, res) => {
       return res.status(404).json({ message: 'User not found' });
     }
 
+    // Look up the size first: destroy doesn't report it
+    const cloudinaryType = getCloudinaryResourceType(resourceType);
+    const resource = await cloudinary.api.resource(publicId, { resource_type: cloudinaryType }).catch(() => null);
+
     // Delete from Cloudinary and get deletion info
     const result = await cloudinary.uploader.destroy(publicId, {
-      resource_type: resourceType
+      resource_type: cloudinaryType
     });
 
     if (result.result === 'ok') {
-      const fileBytes = result.bytes;
-      if (fileBytes > 0) {
-        const fileSizeMB = fileBytes / (1024 * 1024);
-        user.storageUsed = Math.max(0, (user.storageUsed || 0) - fileSizeMB);
-        await user.save();
-      }
+      await User.addStorage(user._id, -(resource?.bytes || 0));
 
       res.json({
         success: true,
@@ -311,12 +297,12 @@ const deleteMedia = async (req, res) => {
   }
 };
 
-// Get user's uploaded media
+// Get media uploaded to the workspace
 const getUserMedia = async (req, res) => {
   try {
     const { platform, limit = 20, nextCursor } = req.query;
 
-    let searchExpression = `context.userId:${req.user.userId}`;
+    let searchExpression = `context.workspaceId:${req.workspace.id}`;
     if (platform) {
       searchExpression += ` AND context.platform:${platform}`;
     }
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+const {
+  listNotifications,
+  markNotificationRead,
+  markAllNotificationsRead
+} = require('../services/notification.service');
+
+// My notifications, newest first; ?unread=true for unread ones only
+const getNotifications = async (req, res) => {
+  try {
+    const notifications = await listNotifications(req.user.userId, {
+      unreadOnly: req.query.unread === 'true'
+    });
+    res.json(notifications);
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Mark one notification as read
+const readNotification = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.notificationId)) {
+      return res.status(400).json({ message: 'Invalid notification ID' });
+    }
+
+    const notification = await markNotificationRead(req.user.userId, req.params.notificationId);
+    if (!notification) {
+      return res.status(404).json({ message: 'Notification not found' });
+    }
+    res.json(notification);
+  } catch (error) {
+    console.error('Read notification error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Mark every notification as read
+const readAllNotifications = async (req, res) => {
+  try {
+    const updated = await markAllNotificationsRead(req.user.userId);
+    res.json({ message: `${updated} notification(s) marked as read`, updated });
+  } catch (error) {
+    console.error('Read all notifications error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+module.exports = {
+  getNotifications,
+  readNotification,
+  readAllNotifications
+};
@@ -1,18 +1,57 @@
 const Post = require("../models/post.model");
 const Account = require("../models/account.model");
 const User = require("../models/user.model");
+const PostSeries = require("../models/postSeries.model");
+const PostGroup = require("../models/postGroup.model");
 const {
   getStats,
   resetStats,
   manualTrigger,
 } = require("../services/scheduler.service");
-const { getConnectionStatus } = require("../services/social-media.service");
+const {
+  getConnectionStatus,
+  publishFirstComment,
+  fetchPostMetrics,
+} = require("../services/social-media.service");
+const { getPlatform, hasPlatform } = require("../services/platforms");
+const {
+  parseRRule,
+  toRRule,
+  validateRecurrence,
+  getNextOccurrence,
+  clearFutureOccurrences,
+  expandSeries,
+} = require("../services/recurrence.service");
+const {
+  getFreeSlots,
+  getQueuedPosts,
+  addToQueue,
+  reflowQueue,
+  reorderQueue,
+} = require("../services/queue-slot.service");
+const { resolveSchedule, formatWallClock } = require("../utils/timezone");
+const { can } = require("../utils/permissions");
+const { workspaceScope } = require("../middleware/workspace.middleware");
+const { isOperator } = require("../middleware/auth.middleware");
+const { quotaExceeded } = require("../middleware/quota.middleware");
+const { QuotaExceededError } = require("../services/usage.service");
+const {
+  resolveReviewer,
+  submitForReview,
+  requestReReview,
+} = require("../services/approval.service");
+const {
+  TWEET_LIMIT,
+  MAX_THREAD_SEGMENTS,
+  splitIntoThread,
+} = require("../utils/thread");
 
 // Get all scheduled posts for a user
 const getPosts = async (req, res) => {
   try {
-    const { platform, status, limit = 50, offset = 0 } = req.query;
-    const query = { userId: req.user.userId };
+    const { platform, status, limit = 50, offset = 0, expand, from, to } =
+      req.query;
+    const query = { workspaceId: req.workspace.id };
 
     if (platform) {
       query.platform = platform;
@@ -22,168 +61,216 @@ const getPosts = async (req, res) => {
     }
 
     const posts = await Post.find(query)
-      .populate(
-        "accountId",
-        "platform username connected apiKey apiSecret accessToken accessTokenSecret facebookAppId facebookAppSecret"
-      ) // Include ALL required fields
+      .populate("accountId", Account.WITHOUT_SECRETS)
       .sort({ scheduledDate: 1 })
       .limit(parseInt(limit))
       .skip(parseInt(offset));
 
-    // Add connection status to each post
-    const postsWithConnectionStatus = await Promise.all(
-      posts.map(async (post) => {
-        let connectionHealthy = false;
-
-        if (post.accountId && post.accountId.connected) {
-          try {
-            // Use the correct credentials based on platform
-            const connectionStatus = await getConnectionStatus(
-              post.accountId.platform,
-              post.accountId.apiKey || post.accountId.facebookAppId,
-              post.accountId.apiSecret || post.accountId.facebookAppSecret,
-              post.accountId.accessToken,
-              post.accountId.accessTokenSecret
-            );
-            connectionHealthy = connectionStatus.connected;
-          } catch (error) {
-            console.error(
-              `Connection check failed for account ${post.accountId._id}:`,
-              error.message
-            );
-          }
-        }
+    // Connection status of each post's account, as last checked (see
+    // getConnectionHealth); listing posts doesn't load credentials
+    const postsWithConnectionStatus = posts.map((post) => {
+      const connectionHealthy = Boolean(post.accountId?.connected);
 
-        return {
-          ...post.toObject(),
-          connectionHealthy,
-          canPublish:
-            post.accountId?.connected &&
-            connectionHealthy &&
-            post.status === "scheduled",
-        };
-      })
-    );
+      return {
+        ...post.toObject(),
+        connectionHealthy,
+        canPublish: connectionHealthy && post.status === "scheduled",
+      };
+    });
 
-    res.json({
+    const response = {
       posts: postsWithConnectionStatus,
       pagination: {
         limit: parseInt(limit),
         offset: parseInt(offset),
         total: await Post.countDocuments(query),
       },
-    });
+    };
+
+    // Expand recurring series into their upcoming occurrences for the calendar
+    if (expand === "true" && (!status || status === "scheduled")) {
+      response.occurrences = await expandSeries(req.workspace.id, {
+        platform,
+        from: from ? new Date(from) : new Date(),
+        to: to ? new Date(to) : undefined,
+      });
+    }
+
+    res.json(response);
   } catch (error) {
     console.error("Get posts error:", error);
     res.status(500).json({ message: "Server error" });
   }
 };
 
-// Create a new scheduled post with enhanced validation
+// Create a new scheduled post with enhanced validation.
+// Drafts skip the connection check and the date, and reserve no quota
 const createPost = async (req, res) => {
   try {
-    const { accountId, content, mediaUrls, scheduledDate, platform } = req.body;
-
-    // Validate required fields
-    if (!accountId || !content || !scheduledDate || !platform) {
+    const { accountId, content, scheduledDate, localDateTime, platform } = req.body;
+    const queuePost = req.body.addToQueue === true;
+    const saveAsDraft = req.body.status === "draft";
+    const hasContent = content || (Array.isArray(req.body.thread) && req.body.thread.length > 0);
+    const hasDate = Boolean(scheduledDate || localDateTime);
+
+    // Validate required fields - queued posts get their date from the next free slot
+    if (!accountId || !hasContent || (!hasDate && !queuePost && !saveAsDraft) || !platform) {
       return res.status(400).json({
         message:
-          "Missing required fields: accountId, content, scheduledDate, and platform are required",
+          "Missing required fields: accountId, content, scheduledDate (or localDateTime/addToQueue), and platform are required",
       });
     }
 
-    // Validate account ownership and connection
+    // Validate account ownership
     const account = await Account.findOne({
       _id: accountId,
-      userId: req.user.userId,
+      workspaceId: req.workspace.id,
     });
 
     if (!account) {
       return res.status(404).json({ message: "Account not found" });
     }
 
-    if (!account.connected) {
+    // Validate platform matches account
+    if (platform.toLowerCase() !== account.platform.toLowerCase()) {
       return res.status(400).json({
         message:
-          "Account is disconnected. Please reconnect your account before scheduling posts.",
+          "Platform mismatch. Selected account does not match the specified platform.",
       });
     }
 
-    // Validate account connection health
-    try {
-      const connectionStatus = await getConnectionStatus(
-        account.platform,
-        account.apiKey,
-        account.apiSecret,
-        account.accessToken,
-        account.accessTokenSecret
-      );
-
-      if (!connectionStatus.connected) {
-        return res.status(400).json({
-          message:
-            "Account connection is unhealthy. Please check your account settings.",
-          connectionError: connectionStatus.message,
-        });
-      }
-    } catch (error) {
+    // Drafts and posts sent to a reviewer are not scheduled until they are approved
+    const sendForReview = Boolean(req.body.reviewerId || req.body.reviewerEmail);
+    if (queuePost && (saveAsDraft || sendForReview)) {
       return res.status(400).json({
-        message:
-          "Unable to verify account connection. Please reconnect your account.",
-        connectionError: error.message,
+        message: "Queued posts are scheduled right away and cannot be drafts or go through review",
       });
     }
 
-    // Validate platform matches account
-    if (platform.toLowerCase() !== account.platform.toLowerCase()) {
-      return res.status(400).json({
-        message:
-          "Platform mismatch. Selected account does not match the specified platform.",
+    // Contributors write drafts and submit them for review; editors schedule
+    if (!saveAsDraft && !sendForReview && !can(req.workspace.role, "content:publish")) {
+      return res.status(403).json({
+        message: "Your role can save drafts or submit posts for review, but not schedule them",
       });
     }
 
-    // Validate scheduled date
-    const scheduleDate = new Date(scheduledDate);
-    const now = new Date();
-
-    if (scheduleDate <= now) {
+    // Workspaces requiring approval only publish reviewed posts
+    if (!saveAsDraft && !sendForReview && req.workspace.requireApproval) {
       return res.status(400).json({
-        message: "Scheduled date must be in the future",
+        message: "Posts in this workspace must be approved. Submit the post for review or save it as a draft.",
       });
     }
 
-    // Validate content for platform
-    const contentValidation = validateContentForPlatform(content, platform);
-    if (!contentValidation.valid) {
-      return res.status(400).json({
-        message: contentValidation.message,
-      });
+    // Validate account connection - drafts can be written while an account is down
+    if (!saveAsDraft) {
+      const connectionError = await checkAccountConnection(account);
+      if (connectionError) {
+        return res.status(400).json(connectionError);
+      }
     }
 
-    // Check user's plan limits
-    const user = await User.findById(req.user.userId);
-    if (user.planUsage.posts.used >= user.planUsage.posts.total) {
-      return res.status(403).json({
-        message:
-          "Post limit reached for your plan. Please upgrade to schedule more posts.",
-      });
+    // Validate scheduled date - wall-clock times are read in the post's zone,
+    // falling back to the user's profile zone
+    let schedule = null;
+    if (!queuePost && hasDate) {
+      try {
+        schedule = resolveSchedule(req.body, req.user.timezone);
+      } catch (error) {
+        return res.status(400).json({ message: error.message });
+      }
+
+      if (!saveAsDraft && schedule.scheduledDate <= new Date()) {
+        return res.status(400).json({
+          message: "Scheduled date must be in the future",
+        });
+      }
+    }
+
+    // Threads are validated per segment, single posts as a whole
+    let thread;
+    try {
+      thread = buildThread(req.body, platform);
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    // Draft content may still be over the limit; it is checked when the draft is scheduled
+    if (!thread && !saveAsDraft) {
+      const contentValidation = validateContentForPlatform(content, platform, req.body.contentWarning);
+      if (!contentValidation.valid) {
+        return res.status(400).json({
+          message: contentValidation.message,
+        });
+      }
+    }
+
+    const commentValidation = validateFirstComment(req.body.firstComment, platform);
+    if (!commentValidation.valid) {
+      return res.status(400).json({ message: commentValidation.message });
+    }
+
+    const optionsValidation = validateStatusOptions(req.body, platform);
+    if (!optionsValidation.valid) {
+      return res.status(400).json({ message: optionsValidation.message });
+    }
+
+    let reviewer = null;
+    if (sendForReview) {
+      try {
+        reviewer = await resolveReviewer(req.body, req.user.userId, req.workspace.id);
+      } catch (error) {
+        return res.status(400).json({ message: error.message });
+      }
     }
 
     // Create new post
     const newPost = new Post({
       userId: req.user.userId,
+      workspaceId: req.workspace.id,
       accountId: req.body.accountId,
       platform: req.body.platform,
-      content: req.body.content,
-      scheduledDate: req.body.scheduledDate,
-      mediaFiles: req.body.mediaFiles || [], 
+      content: thread ? thread[0].content : req.body.content,
+      scheduledDate: schedule?.scheduledDate,
+      timezone: schedule?.timezone || req.body.timezone || req.user.timezone || undefined,
+      mediaFiles: thread
+        ? thread.flatMap((segment) => segment.mediaFiles)
+        : req.body.mediaFiles || [], 
+      thread: thread || undefined,
+      firstComment: req.body.firstComment?.trim() || undefined,
+      contentWarning: req.body.contentWarning?.trim() || undefined,
+      visibility: req.body.visibility || undefined,
+      replyControl: req.body.replyControl || undefined,
     });
 
-    await newPost.save();
+    if (reviewer) {
+      submitForReview(newPost, reviewer);
+    } else if (saveAsDraft) {
+      newPost.status = "draft";
+    }
+
+    // Reserve the post against the plan; it counts as used once published
+    const reserved = newPost.holdsQuota();
+    if (reserved && !(await User.reservePosts(req.user.userId))) {
+      return quotaExceeded(res, new QuotaExceededError("posts"));
+    }
+
+    if (queuePost) {
+      try {
+        await addToQueue(newPost, account);
+      } catch (error) {
+        await User.releasePosts(req.user.userId);
+        return res.status(400).json({ message: error.message });
+      }
+    }
 
-    // Update user's post usage
-    user.planUsage.posts.used += 1;
-    await user.save();
+    try {
+      await newPost.save();
+    } catch (error) {
+      if (reserved) {
+        await User.releasePosts(req.user.userId);
+      }
+      throw error;
+    }
 
     // Return post with account info
     const populatedPost = await Post.findById(newPost._id).populate(
@@ -193,80 +280,259 @@ const createPost = async (req, res) => {
 
     res.status(201).json({
       ...populatedPost.toObject(),
-      canPublish: true, // Just validated connection
+      canPublish: populatedPost.status === "scheduled", // Just validated connection
     });
   } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({ message: error.message });
+    }
     console.error("Create post error:", error);
     res.status(500).json({ message: "Server error" });
   }
 };
 
-// Update a scheduled post with connection validation
+// Update a scheduled post with connection validation.
+// `status: "scheduled"` schedules a draft, `status: "draft"` unschedules a post
 const updatePost = async (req, res) => {
   try {
     const { postId } = req.params;
-    const { content, mediaUrls, scheduledDate } = req.body;
+    const { content, mediaUrls, scheduledDate, localDateTime, timezone } = req.body;
 
     const post = await Post.findOne({
       _id: postId,
-      userId: req.user.userId,
+      ...workspaceScope(req, "content:publish"),
     }).populate("accountId");
 
     if (!post) {
       return res.status(404).json({ message: "Post not found" });
     }
 
-    // Only allow updates to scheduled posts
-    if (post.status !== "scheduled") {
+    // Only allow updates to posts that have not been published yet
+    if (!post.isUnpublished()) {
       return res.status(400).json({
         message: "Cannot update published or failed posts",
       });
     }
 
+    const scheduleDraft = post.status === "draft" && req.body.status === "scheduled";
+    const unschedule = post.status === "scheduled" && req.body.status === "draft";
+    // Drafts are not checked against the platform until they are scheduled
+    const keepsDraft = post.status === "draft" && !scheduleDraft;
+
+    if (scheduleDraft && (post.approval?.status !== "none" || req.workspace.requireApproval)) {
+      return res.status(400).json({
+        message: "This post goes through review. Submit it for review to schedule it.",
+      });
+    }
+
+    if (scheduleDraft && !can(req.workspace.role, "content:publish")) {
+      return res.status(403).json({
+        message: "Your role cannot schedule posts. Submit this draft for review instead.",
+      });
+    }
+
     // Validate account is still connected if updating
-    if (post.accountId && !post.accountId.connected) {
+    if (!keepsDraft && !unschedule && post.accountId && !post.accountId.connected) {
       return res.status(400).json({
         message:
           "Associated account is disconnected. Please reconnect the account before updating the post.",
       });
     }
 
-    // Validate content if provided
-    if (content) {
+    let contentChanged = false;
+
+    // Replace the thread segments, or re-split the content
+    if (req.body.thread !== undefined || req.body.autoSplit) {
+      let thread;
+      try {
+        thread = buildThread(
+          {
+            content: content ?? post.content,
+            thread: req.body.thread,
+            autoSplit: req.body.autoSplit,
+            mediaFiles: post.mediaFiles,
+          },
+          post.platform
+        );
+      } catch (error) {
+        return res.status(400).json({ message: error.message });
+      }
+
+      if (thread) {
+        post.thread = thread;
+        post.content = thread[0].content;
+        post.mediaFiles = thread.flatMap((segment) => segment.mediaFiles);
+      } else {
+        post.thread = undefined;
+      }
+      contentChanged = true;
+    } else if (content && post.isThread()) {
+      return res.status(400).json({
+        message: "This post is a thread. Send its segments in `thread` (or use autoSplit) to edit it.",
+      });
+    }
+
+    // Validate content if provided - a draft's content is checked when it is scheduled
+    if (content && !post.isThread()) {
       const contentValidation = validateContentForPlatform(
         content,
-        post.platform
+        post.platform,
+        req.body.contentWarning ?? post.contentWarning
       );
-      if (!contentValidation.valid) {
+      if (!contentValidation.valid && !keepsDraft) {
         return res.status(400).json({
           message: contentValidation.message,
         });
       }
       post.content = content.trim();
+      contentChanged = true;
     }
 
     // Validate scheduled date if provided
-    if (scheduledDate) {
-      const scheduleDate = new Date(scheduledDate);
-      const now = new Date();
+    const reschedule = Boolean(scheduledDate || localDateTime || timezone);
+    if (reschedule && !scheduledDate && !localDateTime && !post.scheduledDate) {
+      // An undated draft only records its zone
+      post.timezone = timezone;
+    } else if (reschedule) {
+      let schedule;
+      try {
+        schedule = resolveSchedule({
+          scheduledDate,
+          // Changing only the zone keeps the wall-clock time
+          localDateTime:
+            localDateTime ||
+            (!scheduledDate
+              ? post.localScheduledTime || formatWallClock(post.scheduledDate, post.timezone)
+              : undefined),
+          timezone: timezone || post.timezone,
+        });
+      } catch (error) {
+        return res.status(400).json({ message: error.message });
+      }
 
-      if (scheduleDate <= now) {
+      if (!keepsDraft && schedule.scheduledDate <= new Date()) {
         return res.status(400).json({
           message: "Scheduled date must be in the future",
         });
       }
-      post.scheduledDate = scheduleDate;
+      post.scheduledDate = schedule.scheduledDate;
+      post.timezone = schedule.timezone;
+
+      // An approved post that missed its date is scheduled once it gets a new one
+      if (post.status === "approved") {
+        post.status = "scheduled";
+      }
     }
 
     if (mediaUrls) {
       post.mediaUrls = mediaUrls;
+      contentChanged = true;
+    }
+
+    // Thread media lives on the segments
+    if (Array.isArray(req.body.mediaFiles) && !post.isThread()) {
+      post.mediaFiles = req.body.mediaFiles;
+      contentChanged = true;
+    }
+
+    if (req.body.firstComment !== undefined) {
+      const commentValidation = validateFirstComment(req.body.firstComment, post.platform);
+      if (!commentValidation.valid) {
+        return res.status(400).json({ message: commentValidation.message });
+      }
+      post.firstComment = req.body.firstComment?.trim() || undefined;
+      contentChanged = true;
+    }
+
+    if (
+      req.body.contentWarning !== undefined ||
+      req.body.visibility !== undefined ||
+      req.body.replyControl !== undefined
+    ) {
+      const optionsValidation = validateStatusOptions(req.body, post.platform);
+      if (!optionsValidation.valid) {
+        return res.status(400).json({ message: optionsValidation.message });
+      }
+      if (req.body.contentWarning !== undefined) {
+        post.contentWarning = req.body.contentWarning?.trim() || undefined;
+      }
+      if (req.body.visibility !== undefined) {
+        post.visibility = req.body.visibility || undefined;
+      }
+      if (req.body.replyControl !== undefined) {
+        post.replyControl = req.body.replyControl || undefined;
+      }
+      contentChanged = true;
+    }
+
+    // Edits to a reviewed post need another approval before it can go out
+    if (contentChanged) {
+      requestReReview(post);
+    }
+
+    // Scheduling a draft runs the checks it skipped and reserves its quota
+    if (scheduleDraft) {
+      if (!post.scheduledDate || post.scheduledDate <= new Date()) {
+        return res.status(400).json({
+          message: "Pick a date in the future to schedule this draft",
+        });
+      }
+
+      if (!post.isThread()) {
+        const contentValidation = validateContentForPlatform(post.content, post.platform, post.contentWarning);
+        if (!contentValidation.valid) {
+          return res.status(400).json({ message: contentValidation.message });
+        }
+      }
+
+      const connectionError = post.accountId
+        ? await checkAccountConnection(post.accountId)
+        : { message: "Account not found" };
+      if (connectionError) {
+        return res.status(400).json(connectionError);
+      }
+
+      if (!(await User.reservePosts(post.userId))) {
+        return quotaExceeded(res, new QuotaExceededError("posts"));
+      }
+      post.status = "scheduled";
+    }
+
+    if (unschedule) {
+      post.status = "draft";
+    }
+
+    // An explicit date takes the post out of the queue; the rest moves up
+    const leftQueue = Boolean((reschedule || unschedule) && post.queued);
+    if (leftQueue) {
+      post.queued = false;
+      post.queuePosition = undefined;
     }
 
     post.updatedAt = new Date();
-    await post.save();
+    try {
+      await post.save();
+    } catch (error) {
+      if (scheduleDraft) {
+        await User.releasePosts(post.userId);
+      }
+      throw error;
+    }
+
+    // Back to draft gives the reserved quota back
+    if (unschedule) {
+      await User.releasePosts(post.userId);
+    }
+
+    if (leftQueue) {
+      await reflowQueue(post.accountId);
+    }
 
     res.json(post);
   } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({ message: error.message });
+    }
     console.error("Update post error:", error);
     res.status(500).json({ message: "Server error" });
   }
@@ -279,23 +545,34 @@ const deletePost = async (req, res) => {
 
     const post = await Post.findOne({
       _id: postId,
-      userId: req.user.userId,
+      ...workspaceScope(req, "content:publish"),
     });
 
     if (!post) {
       return res.status(404).json({ message: "Post not found" });
     }
 
-    // If post was scheduled but not yet published, refund the usage
-    if (post.status === "scheduled") {
-      const user = await User.findById(req.user.userId);
-      if (user.planUsage.posts.used > 0) {
-        user.planUsage.posts.used -= 1;
-        await user.save();
-      }
+    if (post.status === "publishing") {
+      return res.status(409).json({
+        message: "Post is being published right now and cannot be deleted",
+      });
+    }
+
+    // Give back the quota reserved by a post that was never published
+    if (post.holdsQuota()) {
+      await User.releasePosts(post.userId);
     }
 
     await Post.deleteOne({ _id: postId });
+
+    // Close the gap left in the account queue
+    if (post.queued && post.status === "scheduled") {
+      const account = await Account.findById(post.accountId);
+      if (account) {
+        await reflowQueue(account);
+      }
+    }
+
     res.json({ message: "Post deleted successfully" });
   } catch (error) {
     console.error("Delete post error:", error);
@@ -303,6 +580,47 @@ const deletePost = async (req, res) => {
   }
 };
 
+// Post the first comment of a published post again, e.g. after it failed
+const retryFirstComment = async (req, res) => {
+  try {
+    const post = await Post.findOne({
+      _id: req.params.postId,
+      workspaceId: req.workspace.id,
+    }).populate("accountId");
+
+    if (!post) {
+      return res.status(404).json({ message: "Post not found" });
+    }
+
+    if (post.status !== "published" || !post.firstComment) {
+      return res.status(400).json({
+        message: "Only published posts with a first comment can be retried",
+      });
+    }
+
+    if (post.firstCommentId) {
+      return res.status(409).json({ message: "The first comment was already posted" });
+    }
+
+    try {
+      const comment = await publishFirstComment(post, post.accountId);
+      post.firstCommentId = comment.externalId;
+      post.firstCommentPostedAt = comment.postedAt;
+      post.firstCommentError = undefined;
+    } catch (error) {
+      post.firstCommentError = error.message;
+      await post.save();
+      return res.status(502).json({ message: error.message });
+    }
+
+    await post.save();
+    res.json(post);
+  } catch (error) {
+    console.error("Retry first comment error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
 // Get analytics for a specific post
 const getPostAnalytics = async (req, res) => {
   try {
@@ -310,7 +628,7 @@ const getPostAnalytics = async (req, res) => {
 
     const post = await Post.findOne({
       _id: postId,
-      userId: req.user.userId,
+      workspaceId: req.workspace.id,
     }).populate("accountId");
 
     if (!post) {
@@ -327,14 +645,7 @@ const getPostAnalytics = async (req, res) => {
     // For published posts, try to refresh analytics from social media API
     if (post.externalPostId && post.accountId?.connected) {
       try {
-        const updatedAnalytics = await fetchPostAnalytics(
-          post.platform,
-          post.externalPostId,
-          post.accountId.apiKey,
-          post.accountId.apiSecret,
-          post.accountId.accessToken,
-          post.accountId.accessTokenSecret
-        );
+        const updatedAnalytics = await fetchPostMetrics(post, post.accountId);
 
         post.analytics = updatedAnalytics;
         post.analyticsUpdatedAt = new Date();
@@ -359,11 +670,11 @@ const getPostAnalytics = async (req, res) => {
 // Get scheduler status and statistics
 const getSchedulerStatus = async (req, res) => {
   try {
-    const stats = getStats();
+    const stats = await getStats();
 
     // Get posts by status for the user
     const postStats = await Post.aggregate([
-      { $match: { userId: req.user.userId } },
+      { $match: { workspaceId: req.workspace.id } },
       { $group: { _id: "$status", count: { $sum: 1 } } },
     ]);
 
@@ -374,20 +685,22 @@ const getSchedulerStatus = async (req, res) => {
 
     // Get upcoming scheduled posts
     const upcomingPosts = await Post.countDocuments({
-      userId: req.user.userId,
+      workspaceId: req.workspace.id,
       status: "scheduled",
       scheduledDate: { $gte: new Date() },
     });
 
     // Get overdue posts (scheduled but not published)
     const overduePosts = await Post.countDocuments({
-      userId: req.user.userId,
+      workspaceId: req.workspace.id,
       status: "scheduled",
       scheduledDate: { $lt: new Date() },
     });
 
     res.json({
       schedulerStats: stats,
+      // Whether the user may start, stop and trigger the scheduler
+      canControl: isOperator(req.user),
       userPostStats: {
         ...postsByStatus,
         upcoming: upcomingPosts,
@@ -403,11 +716,7 @@ const getSchedulerStatus = async (req, res) => {
 // Manual trigger for scheduler (admin/testing)
 const triggerScheduler = async (req, res) => {
   try {
-    // This endpoint should be protected for admin users only
-    if (!req.user.isAdmin) {
-      return res.status(403).json({ message: "Admin access required" });
-    }
-
+    // Limited to operators in scheduler.routes.js
     const stats = await manualTrigger();
 
     res.json({
@@ -424,10 +733,8 @@ const triggerScheduler = async (req, res) => {
 const getConnectionHealth = async (req, res) => {
   try {
     const accounts = await Account.find({
-      userId: req.user.userId,
-    }).select(
-      "platform username connected apiKey apiSecret accessToken accessTokenSecret"
-    );
+      workspaceId: req.workspace.id,
+    }).select(Account.WITHOUT_SECRETS);
 
     const healthChecks = await Promise.all(
       accounts.map(async (account) => {
@@ -438,13 +745,8 @@ const getConnectionHealth = async (req, res) => {
 
         if (account.connected) {
           try {
-            connectionStatus = await getConnectionStatus(
-              account.platform,
-              account.apiKey,
-              account.apiSecret,
-              account.accessToken,
-              account.accessTokenSecret
-            );
+            // Credentials are loaded only for the adapter's check
+            connectionStatus = await getConnectionStatus(await Account.findById(account._id));
           } catch (error) {
             connectionStatus = {
               connected: false,
@@ -487,66 +789,858 @@ const getConnectionHealth = async (req, res) => {
   }
 };
 
-// Helper function to validate content for platform
-function validateContentForPlatform(content, platform) {
-  if (!content || content.trim().length === 0) {
-    return { valid: false, message: "Content cannot be empty" };
-  }
+// Get recurring series for a user
+const getSeries = async (req, res) => {
+  try {
+    const { platform, status } = req.query;
+    const query = { workspaceId: req.workspace.id };
+
+    if (platform) {
+      query.platform = platform;
+    }
+    if (status) {
+      query.status = status;
+    }
 
-  const trimmedContent = content.trim();
+    const seriesList = await PostSeries.find(query)
+      .populate("accountId", "platform username connected")
+      .sort({ createdAt: -1 });
 
-  switch (platform.toLowerCase()) {
-    case "twitter":
-      if (trimmedContent.length > 280) {
-        return {
-          valid: false,
-          message: `Twitter posts must be 280 characters or less (current: ${trimmedContent.length})`,
-        };
-      }
-      break;
-    case "instagram":
-      if (trimmedContent.length > 2200) {
-        return {
-          valid: false,
-          message: `Instagram captions must be 2200 characters or less (current: ${trimmedContent.length})`,
-        };
-      }
-      break;
-    case "facebook":
-      if (trimmedContent.length > 63206) {
-        return {
-          valid: false,
-          message: `Facebook posts must be 63206 characters or less (current: ${trimmedContent.length})`,
-        };
-      }
-      break;
-    default:
-      return { valid: false, message: "Unsupported platform" };
+    res.json({
+      series: seriesList.map((series) => formatSeries(series)),
+    });
+  } catch (error) {
+    console.error("Get series error:", error);
+    res.status(500).json({ message: "Server error" });
   }
+};
 
-  return { valid: true, message: "Content is valid" };
-}
+// Create a recurring series
+const createSeries = async (req, res) => {
+  try {
+    const {
+      accountId,
+      platform,
+      content,
+      mediaFiles,
+      startDate,
+      localStartDate,
+      timezone,
+      source = "fixed",
+      evergreenCategory,
+    } = req.body;
+
+    if (!accountId || !platform || (!startDate && !localStartDate)) {
+      return res.status(400).json({
+        message:
+          "Missing required fields: accountId, platform and startDate (or localStartDate) are required",
+      });
+    }
 
-// Helper function (in a real app, this would be in a service file)
-async function fetchPostAnalytics(
-  platform,
-  externalPostId,
-  apiKey,
-  apiSecret,
-  accessToken,
-  accessTokenSecret
-) {
-  // This is a mock function - in a real app, this would fetch real analytics
-  // from the social media platform's API
-  return {
-    likes: Math.floor(Math.random() * 500) + 10,
-    comments: Math.floor(Math.random() * 50) + 1,
-    shares: Math.floor(Math.random() * 100) + 1,
-    impressions: Math.floor(Math.random() * 5000) + 100,
-    engagementRate: (Math.random() * 10 + 0.5).toFixed(2),
-    reach: Math.floor(Math.random() * 3000) + 50,
-    clicks: Math.floor(Math.random() * 100) + 5,
-  };
+    // Series posts are scheduled without review
+    if (req.workspace.requireApproval) {
+      return res.status(400).json({
+        message: "Posts in this workspace must be approved, so they can't be scheduled as a series",
+      });
+    }
+
+    const account = await Account.findOne({
+      _id: accountId,
+      workspaceId: req.workspace.id,
+    });
+
+    if (!account) {
+      return res.status(404).json({ message: "Account not found" });
+    }
+
+    if (platform.toLowerCase() !== account.platform.toLowerCase()) {
+      return res.status(400).json({
+        message:
+          "Platform mismatch. Selected account does not match the specified platform.",
+      });
+    }
+
+    // Occurrences are generated on the series' wall clock, so its zone matters
+    let start;
+    try {
+      start = resolveSchedule(
+        { scheduledDate: startDate, localDateTime: localStartDate, timezone },
+        req.user.timezone
+      );
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    const firstOccurrence = start.scheduledDate;
+    if (firstOccurrence <= new Date()) {
+      return res.status(400).json({
+        message: "Start date must be a valid date in the future",
+      });
+    }
+
+    if (source === "fixed") {
+      const contentValidation = validateContentForPlatform(content, platform);
+      if (!contentValidation.valid) {
+        return res.status(400).json({ message: contentValidation.message });
+      }
+    }
+
+    let recurrence;
+    try {
+      recurrence = parseRecurrenceInput(req.body, start.timezone);
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    const recurrenceValidation = validateRecurrence(recurrence, firstOccurrence);
+    if (!recurrenceValidation.valid) {
+      return res.status(400).json({ message: recurrenceValidation.message });
+    }
+
+    const series = new PostSeries({
+      userId: req.user.userId,
+      workspaceId: req.workspace.id,
+      accountId,
+      platform: platform.toLowerCase(),
+      source,
+      content: content?.trim(),
+      mediaFiles: mediaFiles || [],
+      evergreenCategory,
+      startDate: firstOccurrence,
+      timezone: start.timezone,
+      recurrence,
+    });
+
+    await series.save();
+    await series.populate("accountId", "platform username connected");
+
+    res.status(201).json(formatSeries(series));
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error("Create series error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+// Update a recurring series - pending occurrences are regenerated
+const updateSeries = async (req, res) => {
+  try {
+    const { seriesId } = req.params;
+    const { content, mediaFiles, status, evergreenCategory } = req.body;
+
+    const series = await PostSeries.findOne({
+      _id: seriesId,
+      workspaceId: req.workspace.id,
+    });
+
+    if (!series) {
+      return res.status(404).json({ message: "Series not found" });
+    }
+
+    if (series.status === "completed") {
+      return res.status(400).json({
+        message: "Cannot update a completed series",
+      });
+    }
+
+    if (content !== undefined) {
+      if (series.source === "fixed") {
+        const contentValidation = validateContentForPlatform(
+          content,
+          series.platform
+        );
+        if (!contentValidation.valid) {
+          return res.status(400).json({ message: contentValidation.message });
+        }
+      }
+      series.content = content.trim();
+    }
+
+    if (mediaFiles) {
+      series.mediaFiles = mediaFiles;
+    }
+
+    if (evergreenCategory !== undefined) {
+      series.evergreenCategory = evergreenCategory;
+    }
+
+    if (req.body.recurrence || req.body.rrule) {
+      let recurrence;
+      try {
+        recurrence = parseRecurrenceInput(req.body, series.timezone);
+      } catch (error) {
+        return res.status(400).json({ message: error.message });
+      }
+
+      const recurrenceValidation = validateRecurrence(
+        recurrence,
+        series.startDate
+      );
+      if (!recurrenceValidation.valid) {
+        return res.status(400).json({ message: recurrenceValidation.message });
+      }
+      series.recurrence = recurrence;
+    }
+
+    if (status) {
+      if (!["active", "paused"].includes(status)) {
+        return res.status(400).json({
+          message: "Status must be either active or paused",
+        });
+      }
+      series.status = status;
+    }
+
+    await series.save();
+
+    // Drop unpublished occurrences so the scheduler recreates them from the new settings
+    await clearFutureOccurrences(series);
+    series.materializedUntil = null;
+
+    await series.populate("accountId", "platform username connected");
+    res.json(formatSeries(series));
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error("Update series error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+// Delete a recurring series and its unpublished occurrences
+const deleteSeries = async (req, res) => {
+  try {
+    const { seriesId } = req.params;
+
+    const series = await PostSeries.findOne({
+      _id: seriesId,
+      workspaceId: req.workspace.id,
+    });
+
+    if (!series) {
+      return res.status(404).json({ message: "Series not found" });
+    }
+
+    const removedPosts = await clearFutureOccurrences(series);
+    await PostSeries.deleteOne({ _id: seriesId });
+
+    res.json({ message: "Series deleted successfully", removedPosts });
+  } catch (error) {
+    console.error("Delete series error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+// Get the post queue of an account with its upcoming free slots
+const getPostQueue = async (req, res) => {
+  try {
+    const { accountId } = req.query;
+
+    if (!accountId) {
+      return res.status(400).json({ message: "accountId is required" });
+    }
+
+    const account = await Account.findOne({
+      _id: accountId,
+      workspaceId: req.workspace.id,
+    });
+
+    if (!account) {
+      return res.status(404).json({ message: "Account not found" });
+    }
+
+    const [posts, freeSlots] = await Promise.all([
+      getQueuedPosts(account._id),
+      getFreeSlots(account, parseInt(req.query.slots) || 5),
+    ]);
+
+    res.json({
+      accountId: account._id,
+      timezone: account.timezone,
+      slots: account.queueSlots,
+      posts,
+      freeSlots,
+    });
+  } catch (error) {
+    console.error("Get post queue error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+// Reorder the post queue of an account - slot assignments follow the new order
+const updateQueueOrder = async (req, res) => {
+  try {
+    const { accountId, postIds } = req.body;
+
+    if (!accountId || !Array.isArray(postIds)) {
+      return res.status(400).json({
+        message: "accountId and an ordered postIds array are required",
+      });
+    }
+
+    const account = await Account.findOne({
+      _id: accountId,
+      workspaceId: req.workspace.id,
+    });
+
+    if (!account) {
+      return res.status(404).json({ message: "Account not found" });
+    }
+
+    let posts;
+    try {
+      posts = await reorderQueue(account, postIds);
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    res.json({ message: "Queue reordered successfully", posts });
+  } catch (error) {
+    console.error("Reorder queue error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+// Get cross-post groups with the status of every target
+const getGroups = async (req, res) => {
+  try {
+    const { limit = 20, offset = 0 } = req.query;
+
+    const groups = await PostGroup.find({ workspaceId: req.workspace.id })
+      .sort({ scheduledDate: -1 })
+      .limit(parseInt(limit))
+      .skip(parseInt(offset));
+
+    const posts = await Post.find({
+      groupId: { $in: groups.map((group) => group._id) },
+    }).select("groupId accountId platform status externalPostId publishError publishedAt");
+
+    res.json({
+      groups: groups.map((group) =>
+        formatGroup(
+          group,
+          posts.filter((post) => post.groupId.equals(group._id))
+        )
+      ),
+    });
+  } catch (error) {
+    console.error("Get groups error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+// Get one cross-post group
+const getGroup = async (req, res) => {
+  try {
+    const group = await PostGroup.findOne({
+      _id: req.params.groupId,
+      workspaceId: req.workspace.id,
+    });
+
+    if (!group) {
+      return res.status(404).json({ message: "Post group not found" });
+    }
+
+    const posts = await Post.find({ groupId: group._id });
+    res.json(formatGroup(group, posts));
+  } catch (error) {
+    console.error("Get group error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+// Schedule one composition to several accounts at once
+const createGroup = async (req, res) => {
+  try {
+    const { content, mediaFiles = [], targets } = req.body;
+    const accountIds = [
+      ...new Set(
+        (Array.isArray(targets) ? targets : []).map((target) =>
+          String(target?.accountId || target)
+        )
+      ),
+    ];
+
+    if (!content || accountIds.length === 0 || (!req.body.scheduledDate && !req.body.localDateTime)) {
+      return res.status(400).json({
+        message:
+          "Missing required fields: content, targets and scheduledDate (or localDateTime) are required",
+      });
+    }
+
+    // Group posts are scheduled without review
+    if (req.workspace.requireApproval) {
+      return res.status(400).json({
+        message: "Posts in this workspace must be approved. Submit each post for review instead.",
+      });
+    }
+
+    let schedule;
+    let overrides;
+    try {
+      schedule = resolveSchedule(req.body, req.user.timezone);
+      overrides = parseGroupOverrides(req.body.overrides);
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    if (schedule.scheduledDate <= new Date()) {
+      return res.status(400).json({
+        message: "Scheduled date must be in the future",
+      });
+    }
+
+    const accounts = await Account.find({
+      _id: { $in: accountIds },
+      workspaceId: req.workspace.id,
+    });
+
+    if (accounts.length !== accountIds.length) {
+      return res.status(404).json({ message: "One or more target accounts were not found" });
+    }
+
+    const group = new PostGroup({
+      userId: req.user.userId,
+      workspaceId: req.workspace.id,
+      content: content.trim(),
+      mediaFiles,
+      overrides,
+      firstComment: req.body.firstComment?.trim() || undefined,
+      scheduledDate: schedule.scheduledDate,
+      timezone: schedule.timezone,
+      targets: accounts.map((account) => ({
+        accountId: account._id,
+        platform: account.platform.toLowerCase(),
+      })),
+    });
+
+    // Validate every target up front so a group is created complete or not at all
+    const targetErrors = [];
+    for (const account of accounts) {
+      const platform = account.platform.toLowerCase();
+      const connectionError = await getAccountConnectionError(account);
+      const contentValidation = validateContentForPlatform(group.contentFor(platform), platform);
+
+      if (connectionError) {
+        targetErrors.push({ accountId: account._id, platform, message: connectionError });
+      } else if (!contentValidation.valid) {
+        targetErrors.push({ accountId: account._id, platform, message: contentValidation.message });
+      } else if (getPlatform(platform).limits.requiresMedia && mediaFiles.length === 0) {
+        targetErrors.push({
+          accountId: account._id,
+          platform,
+          message: `${getPlatform(platform).label} posts require at least one image or video`,
+        });
+      }
+    }
+
+    if (targetErrors.length > 0) {
+      return res.status(400).json({
+        message: `${targetErrors.length} target(s) cannot be scheduled`,
+        targetErrors,
+      });
+    }
+
+    // Every target reserves one post of the plan
+    if (!(await User.reservePosts(req.user.userId, accounts.length))) {
+      return quotaExceeded(
+        res,
+        new QuotaExceededError("posts", {
+          message: `Scheduling ${accounts.length} posts would exceed your plan's post limit. Please upgrade to schedule more posts.`,
+        })
+      );
+    }
+
+    let posts;
+    try {
+      await group.save();
+      posts = await Post.create(
+        group.targets.map((target) => ({
+          userId: req.user.userId,
+          workspaceId: req.workspace.id,
+          accountId: target.accountId,
+          platform: target.platform,
+          content: group.contentFor(target.platform),
+          mediaFiles: group.mediaFiles,
+          firstComment: group.firstCommentFor(target.platform),
+          scheduledDate: group.scheduledDate,
+          timezone: group.timezone,
+          groupId: group._id,
+        }))
+      );
+    } catch (error) {
+      await User.releasePosts(req.user.userId, accounts.length);
+      throw error;
+    }
+
+    posts.forEach((post, index) => {
+      group.targets[index].postId = post._id;
+    });
+    await group.save();
+
+    console.log(`📣 Created post group ${group._id} with ${posts.length} target(s)`);
+    res.status(201).json(formatGroup(group, posts));
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error("Create group error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+// Update a group - changes apply to targets that have not been published yet
+const updateGroup = async (req, res) => {
+  try {
+    const { content, mediaFiles, scheduledDate, localDateTime, timezone } = req.body;
+
+    const group = await PostGroup.findOne({
+      _id: req.params.groupId,
+      workspaceId: req.workspace.id,
+    });
+
+    if (!group) {
+      return res.status(404).json({ message: "Post group not found" });
+    }
+
+    if (content !== undefined) {
+      group.content = content.trim();
+    }
+    if (mediaFiles) {
+      group.mediaFiles = mediaFiles;
+    }
+    if (req.body.firstComment !== undefined) {
+      group.firstComment = req.body.firstComment?.trim() || undefined;
+    }
+
+    try {
+      if (req.body.overrides !== undefined) {
+        group.overrides = parseGroupOverrides(req.body.overrides);
+      }
+      if (scheduledDate || localDateTime || timezone) {
+        const schedule = resolveSchedule({
+          scheduledDate,
+          localDateTime:
+            localDateTime ||
+            (!scheduledDate ? formatWallClock(group.scheduledDate, group.timezone) : undefined),
+          timezone: timezone || group.timezone,
+        });
+        if (schedule.scheduledDate <= new Date()) {
+          return res.status(400).json({
+            message: "Scheduled date must be in the future",
+          });
+        }
+        group.scheduledDate = schedule.scheduledDate;
+        group.timezone = schedule.timezone;
+      }
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    const posts = await Post.find({ groupId: group._id });
+    const pending = posts.filter((post) => post.status === "scheduled");
+
+    for (const post of pending) {
+      const contentValidation = validateContentForPlatform(
+        group.contentFor(post.platform),
+        post.platform
+      );
+      if (!contentValidation.valid) {
+        return res.status(400).json({
+          message: `${getPlatform(post.platform).label}: ${contentValidation.message}`,
+        });
+      }
+    }
+
+    await group.save();
+
+    for (const post of pending) {
+      post.content = group.contentFor(post.platform);
+      post.mediaFiles = group.mediaFiles;
+      post.firstComment = group.firstCommentFor(post.platform);
+      post.scheduledDate = group.scheduledDate;
+      post.timezone = group.timezone;
+      await post.save();
+    }
+
+    res.json(formatGroup(group, posts));
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error("Update group error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+// Delete a group and cancel its unpublished targets
+const deleteGroup = async (req, res) => {
+  try {
+    const group = await PostGroup.findOne({
+      _id: req.params.groupId,
+      workspaceId: req.workspace.id,
+    });
+
+    if (!group) {
+      return res.status(404).json({ message: "Post group not found" });
+    }
+
+    const posts = await Post.find({ groupId: group._id });
+    if (posts.some((post) => post.status === "publishing")) {
+      return res.status(409).json({
+        message: "A target of this group is being published right now and cannot be deleted",
+      });
+    }
+
+    const pendingIds = posts
+      .filter((post) => post.status === "scheduled")
+      .map((post) => post._id);
+
+    if (pendingIds.length > 0) {
+      const { deletedCount } = await Post.deleteMany({ _id: { $in: pendingIds }, status: "scheduled" });
+      await User.releasePosts(group.userId, deletedCount);
+    }
+
+    // Published and failed targets stay as regular posts
+    await Post.updateMany({ groupId: group._id }, { $unset: { groupId: 1 } });
+    await PostGroup.deleteOne({ _id: group._id });
+
+    res.json({ message: "Post group deleted successfully", removedPosts: pendingIds.length });
+  } catch (error) {
+    console.error("Delete group error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+// Helper function to read a recurrence from either an object or an RRULE string.
+// A wall-clock `until` is read in the series' zone
+function parseRecurrenceInput(body, timeZone = "UTC") {
+  if (body.rrule) {
+    return parseRRule(body.rrule);
+  }
+  if (!body.recurrence) {
+    throw new Error("A recurrence or rrule is required");
+  }
+
+  const { frequency, interval, byWeekday, byMonthDay, until, count } =
+    body.recurrence;
+  const recurrence = { frequency };
+  if (interval !== undefined) recurrence.interval = parseInt(interval);
+  if (byWeekday?.length) recurrence.byWeekday = byWeekday.map((day) => parseInt(day));
+  if (byMonthDay !== undefined) recurrence.byMonthDay = parseInt(byMonthDay);
+  if (until) recurrence.until = resolveSchedule({ scheduledDate: until }, timeZone).scheduledDate;
+  if (count !== undefined) recurrence.count = parseInt(count);
+  return recurrence;
+}
+
+// Helper function to add the RRULE and next occurrence to a series response
+function formatSeries(series) {
+  return {
+    ...series.toObject(),
+    rrule: toRRule(series.recurrence),
+    nextOccurrence:
+      series.status === "active" ? getNextOccurrence(series, new Date()) : null,
+  };
+}
+
+// Helper function to read group overrides from { platform: { content, hashtags } } or an array
+function parseGroupOverrides(overrides) {
+  if (!overrides) return [];
+
+  const entries = Array.isArray(overrides)
+    ? overrides
+    : Object.entries(overrides).map(([platform, value]) => ({
+        platform,
+        ...(typeof value === "string" ? { content: value } : value),
+      }));
+
+  return entries
+    .filter((entry) => entry && (entry.content?.trim() || entry.hashtags?.trim()))
+    .map((entry) => {
+      const platform = String(entry.platform || "").toLowerCase();
+      if (!hasPlatform(platform)) {
+        throw new Error(`Unsupported platform in overrides: ${entry.platform}`);
+      }
+      return {
+        platform,
+        content: entry.content?.trim() || undefined,
+        hashtags: entry.hashtags?.trim() || undefined,
+      };
+    });
+}
+
+// Helper function to add the per-target and overall status to a group response
+function formatGroup(group, posts) {
+  const targets = group.targets.map((target) => {
+    const post = posts.find(
+      (item) => target.postId && item._id.equals(target.postId)
+    );
+    return {
+      accountId: target.accountId,
+      platform: target.platform,
+      postId: target.postId,
+      // A target whose post was deleted on its own counts as cancelled
+      status: post ? post.status : "cancelled",
+      externalPostId: post?.externalPostId,
+      publishError: post?.publishError,
+      publishedAt: post?.publishedAt,
+    };
+  });
+
+  return {
+    ...group.toObject(),
+    targets,
+    status: PostGroup.summarizeStatus(
+      targets.map((target) => target.status).filter((status) => status !== "cancelled")
+    ),
+  };
+}
+
+// Helper function to check that an account can publish right now
+async function getAccountConnectionError(account) {
+  if (!account.connected) {
+    return "Account is disconnected. Please reconnect your account before scheduling posts.";
+  }
+
+  try {
+    const connectionStatus = await getConnectionStatus(account);
+    return connectionStatus.connected
+      ? null
+      : `Account connection is unhealthy: ${connectionStatus.message}`;
+  } catch (error) {
+    return `Unable to verify account connection: ${error.message}`;
+  }
+}
+
+// Helper function to build Twitter thread segments, either from explicit
+// `thread` segments or by splitting long `content` at sentence boundaries
+// (`autoSplit`). Returns null for a single tweet; throws on invalid segments
+function buildThread({ content, thread, autoSplit, mediaFiles }, platform) {
+  const explicit = Array.isArray(thread) && thread.length > 0;
+  if (!explicit && !autoSplit) return null;
+
+  if (!getPlatform(platform).supportsThreads) {
+    throw new Error("Threads are only supported for Twitter");
+  }
+
+  const segments = explicit
+    ? thread.map((segment) =>
+        typeof segment === "string" ? { content: segment } : segment
+      )
+    : splitIntoThread(content).map((text, index) => ({
+        content: text,
+        // Media of an auto-split post goes on the first tweet
+        mediaFiles: index === 0 ? mediaFiles || [] : [],
+      }));
+
+  // Auto-split content that fits in one tweet stays a single tweet
+  if (!explicit && segments.length === 1) return null;
+
+  if (segments.length > MAX_THREAD_SEGMENTS) {
+    throw new Error(`Threads can have at most ${MAX_THREAD_SEGMENTS} tweets (got ${segments.length})`);
+  }
+
+  return segments.map((segment, index) => {
+    const text = segment.content?.trim();
+    if (!text) {
+      throw new Error(`Thread tweet ${index + 1} is empty`);
+    }
+    if (text.length > TWEET_LIMIT) {
+      throw new Error(`Thread tweet ${index + 1} must be ${TWEET_LIMIT} characters or less (current: ${text.length})`);
+    }
+    if ((segment.mediaFiles || []).length > 4) {
+      throw new Error(`Thread tweet ${index + 1} can have at most 4 media files`);
+    }
+    return { content: text, mediaFiles: segment.mediaFiles || [] };
+  });
+}
+
+// Helper function to validate a first comment - only some platforms support it
+function validateFirstComment(firstComment, platform) {
+  if (!firstComment || !firstComment.trim()) {
+    return { valid: true };
+  }
+  const adapter = getPlatform(platform);
+  if (!adapter.supportsFirstComment) {
+    return { valid: false, message: `First comments are not supported for ${adapter.label}` };
+  }
+  // Threads posts the first comment as a reply, so it has the post length limit
+  const maxLength = Math.min(2200, adapter.limits.maxLength || 2200);
+  if (firstComment.trim().length > maxLength) {
+    return {
+      valid: false,
+      message: `First comments must be ${maxLength} characters or less (current: ${firstComment.trim().length})`,
+    };
+  }
+  return { valid: true };
+}
+
+// Helper function to validate the content warning, visibility and reply control
+// of a post - only platforms offering them (Mastodon, Threads) accept them
+function validateStatusOptions({ contentWarning, visibility, replyControl }, platform) {
+  const adapter = getPlatform(platform);
+  if (contentWarning?.trim() && !adapter.supportsContentWarning) {
+    return { valid: false, message: `Content warnings are not supported for ${adapter.label}` };
+  }
+  if (visibility && !adapter.visibilityOptions.includes(visibility)) {
+    return {
+      valid: false,
+      message: adapter.visibilityOptions.length > 0
+        ? `Visibility must be one of: ${adapter.visibilityOptions.join(", ")}`
+        : `Visibility is not supported for ${adapter.label}`,
+    };
+  }
+  if (replyControl && !adapter.replyControlOptions.includes(replyControl)) {
+    return {
+      valid: false,
+      message: adapter.replyControlOptions.length > 0
+        ? `Reply control must be one of: ${adapter.replyControlOptions.join(", ")}`
+        : `Reply control is not supported for ${adapter.label}`,
+    };
+  }
+  return { valid: true };
+}
+
+// Helper function to check an account can publish right now.
+// Returns the error response body, or null when the connection is healthy
+async function checkAccountConnection(account) {
+  if (!account.connected) {
+    return {
+      message:
+        "Account is disconnected. Please reconnect your account before scheduling posts.",
+    };
+  }
+
+  try {
+    const connectionStatus = await getConnectionStatus(account);
+
+    if (!connectionStatus.connected) {
+      return {
+        message:
+          "Account connection is unhealthy. Please check your account settings.",
+        connectionError: connectionStatus.message,
+      };
+    }
+  } catch (error) {
+    return {
+      message:
+        "Unable to verify account connection. Please reconnect your account.",
+      connectionError: error.message,
+    };
+  }
+
+  return null;
+}
+
+// Helper function to validate content for platform
+function validateContentForPlatform(content, platform, contentWarning) {
+  if (!hasPlatform(platform)) {
+    return { valid: false, message: "Unsupported platform" };
+  }
+  return getPlatform(platform).validateText(content, contentWarning);
 }
 
 module.exports = {
@@ -555,7 +1649,19 @@ module.exports = {
   updatePost,
   deletePost,
   getPostAnalytics,
+  retryFirstComment,
   getSchedulerStatus,
   triggerScheduler,
   getConnectionHealth,
+  getSeries,
+  createSeries,
+  updateSeries,
+  deleteSeries,
+  getPostQueue,
+  updateQueueOrder,
+  getGroups,
+  getGroup,
+  createGroup,
+  updateGroup,
+  deleteGroup,
 };
@@ -0,0 +1,122 @@
+const User = require('../models/user.model');
+const {
+  getTwoFactorStatus,
+  beginTwoFactorSetup,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  verifyTwoFactor
+} = require('../services/two-factor.service');
+
+// Whether 2FA is on and how many recovery codes are left
+const getTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    res.json(getTwoFactorStatus(user));
+  } catch (error) {
+    console.error('Get two-factor status error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Start enrollment: QR code and secret for the authenticator app
+const setupTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    try {
+      res.json(await beginTwoFactorSetup(user));
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Confirm enrollment with a first code; the recovery codes are only shown here
+const confirmTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    let recoveryCodes;
+    try {
+      recoveryCodes = await enableTwoFactor(user, req.body.code);
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
+    res.json({ ...getTwoFactorStatus(user), recoveryCodes });
+  } catch (error) {
+    console.error('Enable two-factor error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Turn 2FA off; needs the password and a code (or recovery code)
+const removeTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+    if (!(await user.comparePassword(req.body.password || ''))) {
+      return res.status(400).json({ message: 'Incorrect password' });
+    }
+
+    const check = await checkCode(user, req.body, res);
+    if (!check) return;
+
+    await disableTwoFactor(user);
+    res.json(getTwoFactorStatus(user));
+  } catch (error) {
+    console.error('Disable two-factor error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Replace the recovery codes, e.g. after using some; needs a current code
+const createRecoveryCodes = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    const check = await checkCode(user, req.body, res);
+    if (!check) return;
+
+    // Reload: verification updated the stored recovery codes and attempts
+    const fresh = await User.findById(user._id);
+    const recoveryCodes = await regenerateRecoveryCodes(fresh);
+    res.json({ ...getTwoFactorStatus(fresh), recoveryCodes });
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Helper function to check the code of a request, answering when it is wrong
+async function checkCode(user, { code, recoveryCode }, res) {
+  if (!code && !recoveryCode) {
+    res.status(400).json({ message: 'Enter the code from your authenticator app or a recovery code' });
+    return null;
+  }
+
+  const result = await verifyTwoFactor(user, { code, recoveryCode });
+  if (result.locked) {
+    res.status(429).json({ message: 'Too many wrong codes. Try again in 15 minutes.' });
+    return null;
+  }
+  if (!result.valid) {
+    res.status(400).json({ message: 'Invalid code' });
+    return null;
+  }
+  return result;
+}
+
+module.exports = {
+  getTwoFactor,
+  setupTwoFactor,
+  confirmTwoFactor,
+  removeTwoFactor,
+  createRecoveryCodes
+};
@@ -0,0 +1,22 @@
+const { getUsageReport } = require('../services/usage.service');
+const { PLANS } = require('../utils/plans');
+
+// My plan, billing period and usage of each limit in the current workspace
+const getUsage = async (req, res) => {
+  try {
+    res.json(await getUsageReport(req.user.userId, req.workspace));
+  } catch (error) {
+    console.error('Get usage error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// The plan catalog, to compare plans
+const getPlans = async (req, res) => {
+  res.json(Object.entries(PLANS).map(([name, plan]) => ({ name, ...plan })));
+};
+
+module.exports = {
+  getUsage,
+  getPlans
+};
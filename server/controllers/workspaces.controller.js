@@ -0,0 +1,412 @@
+const mongoose = require('mongoose');
+const Workspace = require('../models/workspace.model');
+const Invitation = require('../models/invitation.model');
+const User = require('../models/user.model');
+const { ROLES, hasRole, can } = require('../utils/permissions');
+const { notifyUser } = require('../services/notification.service');
+const { sendInvitationEmail } = require('../services/account-email.service');
+
+// Workspaces I am a member of, with my role in each
+const getWorkspaces = async (req, res) => {
+  try {
+    // Make sure the personal workspace exists before listing
+    await Workspace.ensurePersonal({ _id: req.user.userId, name: req.user.name });
+
+    const workspaces = await Workspace.find({ 'members.userId': req.user.userId })
+      .sort({ personal: -1, name: 1 });
+
+    res.json(workspaces.map(workspace => ({
+      id: workspace._id,
+      name: workspace.name,
+      personal: workspace.personal,
+      requireTwoFactor: workspace.requireTwoFactor,
+      requireApproval: workspace.requireApproval,
+      role: workspace.roleOf(req.user.userId),
+      memberCount: workspace.members.length
+    })));
+  } catch (error) {
+    console.error('Get workspaces error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Create a workspace owned by me
+const createWorkspace = async (req, res) => {
+  try {
+    const name = req.body.name?.trim();
+    if (!name) {
+      return res.status(400).json({ message: 'Workspace name is required' });
+    }
+
+    const workspace = await Workspace.create({
+      name,
+      ownerId: req.user.userId,
+      members: [{ userId: req.user.userId, role: 'owner' }]
+    });
+
+    res.status(201).json({
+      id: workspace._id,
+      name: workspace.name,
+      personal: false,
+      requireTwoFactor: false,
+      requireApproval: false,
+      role: 'owner',
+      memberCount: 1
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Create workspace error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Rename the workspace
+const updateWorkspace = async (req, res) => {
+  try {
+    const name = req.body.name?.trim();
+    if (!name) {
+      return res.status(400).json({ message: 'Workspace name is required' });
+    }
+
+    const workspace = await Workspace.findByIdAndUpdate(
+      req.workspace.id,
+      { $set: { name } },
+      { new: true, runValidators: true }
+    );
+
+    res.json({
+      id: workspace._id,
+      name: workspace.name,
+      personal: workspace.personal,
+      requireTwoFactor: workspace.requireTwoFactor,
+      requireApproval: workspace.requireApproval,
+      role: req.workspace.role,
+      memberCount: workspace.members.length
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Update workspace error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Require two-factor authentication of every member, or stop requiring it
+const updateSecurity = async (req, res) => {
+  try {
+    const requireTwoFactor = Boolean(req.body.requireTwoFactor);
+    // Otherwise the admin would lock themselves out
+    if (requireTwoFactor && !req.user.twoFactorEnabled) {
+      return res.status(400).json({ message: 'Enable two-factor authentication on your account first' });
+    }
+
+    const workspace = await Workspace.findByIdAndUpdate(
+      req.workspace.id,
+      { $set: { requireTwoFactor } },
+      { new: true }
+    ).populate('members.userId', 'twoFactor.enabled');
+
+    const membersWithoutTwoFactor = workspace.members
+      .filter(member => member.userId && !member.userId.twoFactor.enabled)
+      .length;
+
+    console.log(`🔐 Workspace ${workspace._id} ${requireTwoFactor ? 'requires' : 'no longer requires'} two-factor authentication`);
+    res.json({ requireTwoFactor, membersWithoutTwoFactor });
+  } catch (error) {
+    console.error('Update workspace security error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Require approval of every post before it is published, or stop requiring it
+const updateApproval = async (req, res) => {
+  try {
+    const requireApproval = Boolean(req.body.requireApproval);
+    await Workspace.updateOne({ _id: req.workspace.id }, { $set: { requireApproval } });
+
+    console.log(`📝 Workspace ${req.workspace.id} ${requireApproval ? 'requires' : 'no longer requires'} post approval`);
+    res.json({ requireApproval });
+  } catch (error) {
+    console.error('Update workspace approval error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Members of the workspace; pending invitations for those who manage members
+const getMembers = async (req, res) => {
+  try {
+    const workspace = await Workspace.findById(req.workspace.id)
+      .populate('members.userId', 'name email twoFactor.enabled');
+
+    const members = workspace.members
+      .filter(member => member.userId)
+      .map(member => ({
+        userId: member.userId._id,
+        name: member.userId.name,
+        email: member.userId.email,
+        role: member.role,
+        twoFactorEnabled: member.userId.twoFactor.enabled,
+        joinedAt: member.joinedAt
+      }));
+
+    let invitations = [];
+    if (can(req.workspace.role, 'members:manage')) {
+      invitations = await Invitation.find({
+        workspaceId: req.workspace.id,
+        acceptedAt: null,
+        expiresAt: { $gt: new Date() }
+      })
+        .populate('invitedBy', 'name email')
+        .sort({ createdAt: -1 });
+    }
+
+    res.json({
+      workspace: req.workspace,
+      members,
+      invitations
+    });
+  } catch (error) {
+    console.error('Get workspace members error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Invite someone by email. The invite link carries the token, which is
+// only returned here
+const inviteMember = async (req, res) => {
+  try {
+    const email = req.body.email?.trim().toLowerCase();
+    const { role } = req.body;
+
+    if (!email) {
+      return res.status(400).json({ message: 'Email is required' });
+    }
+    if (!ROLES.includes(role) || role === 'owner') {
+      return res.status(400).json({ message: 'Invalid role' });
+    }
+    if (!hasRole(req.workspace.role, role)) {
+      return res.status(403).json({ message: 'You cannot invite members with a role above your own' });
+    }
+
+    const workspace = await Workspace.findById(req.workspace.id);
+    const invitee = await User.findOne({ email });
+    if (invitee && workspace.roleOf(invitee._id)) {
+      return res.status(409).json({ message: 'This user is already a member of the workspace' });
+    }
+
+    // A new invitation replaces pending ones for the same email
+    await Invitation.deleteMany({ workspaceId: workspace._id, email, acceptedAt: null });
+    const { invitation, token } = await Invitation.createWithToken({
+      workspaceId: workspace._id,
+      email,
+      role,
+      invitedBy: req.user.userId
+    });
+
+    const inviteUrl = `${process.env.CLIENT_URL || 'http://localhost:5173'}/invitations/${token}`;
+    console.log(`✉️ Invited ${email} to workspace ${workspace._id} as ${role}`);
+
+    // The link is also returned, to share another way if the email doesn't arrive
+    let emailSent = true;
+    try {
+      await sendInvitationEmail({
+        email,
+        inviterName: req.user.name,
+        workspaceName: workspace.name,
+        role,
+        inviteUrl
+      });
+    } catch (error) {
+      emailSent = false;
+      console.error('Invitation email error:', error);
+    }
+
+    if (invitee) {
+      await notifyUser(invitee._id, {
+        type: 'workspace_invite',
+        title: `${req.user.name} invited you to ${workspace.name}`,
+        message: `You were invited as ${role}. Accept the invitation: ${inviteUrl}`
+      });
+    }
+
+    res.status(201).json({ invitation, inviteUrl, emailSent });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Invite member error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Revoke a pending invitation
+const revokeInvitation = async (req, res) => {
+  try {
+    const { invitationId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(invitationId)) {
+      return res.status(404).json({ message: 'Invitation not found' });
+    }
+
+    const result = await Invitation.deleteOne({
+      _id: invitationId,
+      workspaceId: req.workspace.id,
+      acceptedAt: null
+    });
+
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ message: 'Invitation not found' });
+    }
+
+    res.json({ message: 'Invitation revoked' });
+  } catch (error) {
+    console.error('Revoke invitation error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Join a workspace with an invitation token sent to my email
+const acceptInvitation = async (req, res) => {
+  try {
+    const { token } = req.body;
+    if (!token) {
+      return res.status(400).json({ message: 'Invitation token is required' });
+    }
+
+    const invitation = await Invitation.findOne({ tokenHash: Invitation.hashToken(token) });
+    if (!invitation || !invitation.isPending()) {
+      return res.status(400).json({ message: 'This invitation is invalid or has expired' });
+    }
+    if (invitation.email !== req.user.email.toLowerCase()) {
+      return res.status(403).json({ message: `This invitation was sent to ${invitation.email}` });
+    }
+
+    // Joining twice keeps the existing membership
+    await Workspace.updateOne(
+      { _id: invitation.workspaceId, 'members.userId': { $ne: req.user.userId } },
+      { $push: { members: { userId: req.user.userId, role: invitation.role } } }
+    );
+
+    invitation.acceptedAt = new Date();
+    invitation.acceptedBy = req.user.userId;
+    await invitation.save();
+
+    const workspace = await Workspace.findById(invitation.workspaceId);
+    if (!workspace) {
+      return res.status(404).json({ message: 'Workspace not found' });
+    }
+
+    console.log(`🏢 User ${req.user.userId} joined workspace ${workspace._id}`);
+    res.json({
+      id: workspace._id,
+      name: workspace.name,
+      personal: workspace.personal,
+      requireTwoFactor: workspace.requireTwoFactor,
+      requireApproval: workspace.requireApproval,
+      role: workspace.roleOf(req.user.userId),
+      memberCount: workspace.members.length
+    });
+  } catch (error) {
+    console.error('Accept invitation error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Change a member's role. Giving the owner role hands the workspace over;
+// the previous owner stays as admin
+const updateMemberRole = async (req, res) => {
+  try {
+    const { role } = req.body;
+    const actorRole = req.workspace.role;
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ message: 'Invalid role' });
+    }
+
+    const workspace = await Workspace.findById(req.workspace.id);
+    const member = findMember(workspace, req.params.userId);
+    if (!member) {
+      return res.status(404).json({ message: 'Member not found' });
+    }
+
+    if (role === 'owner') {
+      if (actorRole !== 'owner') {
+        return res.status(403).json({ message: 'Only the owner can hand over the workspace' });
+      }
+      if (workspace.personal) {
+        return res.status(400).json({ message: 'Personal workspaces cannot be handed over' });
+      }
+      if (member.role === 'owner') {
+        return res.json({ message: 'Member role updated' });
+      }
+
+      findMember(workspace, workspace.ownerId).role = 'admin';
+      member.role = 'owner';
+      workspace.ownerId = member.userId;
+    } else {
+      if (member.role === 'owner') {
+        return res.status(400).json({ message: 'Hand over the workspace to change the owner\'s role' });
+      }
+      if (!hasRole(actorRole, member.role) || !hasRole(actorRole, role)) {
+        return res.status(403).json({ message: 'You cannot manage members with a role above your own' });
+      }
+      member.role = role;
+    }
+
+    await workspace.save();
+    res.json({ message: 'Member role updated' });
+  } catch (error) {
+    console.error('Update member role error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Remove a member, or leave the workspace. Their content stays in the workspace
+const removeMember = async (req, res) => {
+  try {
+    const workspace = await Workspace.findById(req.workspace.id);
+    const member = findMember(workspace, req.params.userId);
+    if (!member) {
+      return res.status(404).json({ message: 'Member not found' });
+    }
+
+    const leaving = member.userId.toString() === req.user.userId.toString();
+    if (member.role === 'owner') {
+      return res.status(400).json({
+        message: 'The owner cannot leave the workspace. Hand it over to another member first.'
+      });
+    }
+    if (!leaving && (!can(req.workspace.role, 'members:manage') || !hasRole(req.workspace.role, member.role))) {
+      return res.status(403).json({ message: 'You cannot remove this member' });
+    }
+
+    workspace.members = workspace.members.filter(item => item !== member);
+    await workspace.save();
+
+    res.json({ message: leaving ? 'You left the workspace' : 'Member removed' });
+  } catch (error) {
+    console.error('Remove member error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Helper function to find a member of a workspace by user ID
+function findMember(workspace, userId) {
+  return workspace.members.find(member => member.userId.toString() === String(userId));
+}
+
+module.exports = {
+  getWorkspaces,
+  createWorkspace,
+  updateWorkspace,
+  updateSecurity,
+  updateApproval,
+  getMembers,
+  inviteMember,
+  revokeInvitation,
+  acceptInvitation,
+  updateMemberRole,
+  removeMember
+};
@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/user.model');
+const Session = require('../models/session.model');
 const authenticateToken = async (req, res, next) => {
   try {
     const authHeader = req.headers['authorization'];
@@ -8,15 +9,29 @@ const authenticateToken = async (req, res, next) => {
       return res.status(401).json({ message: 'Authentication token required' });
     }
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.userId);
+    // Tokens name their session, which is checked so logging out takes effect at once
+    if (!decoded.sid) {
+      return res.status(401).json({ message: 'Session expired' });
+    }
+    const [user, session] = await Promise.all([
+      User.findById(decoded.userId),
+      Session.findActive(decoded.sid, decoded.userId)
+    ]);
     if (!user) {
       return res.status(401).json({ message: 'User not found' });
     }
+    if (!session) {
+      return res.status(401).json({ message: 'Session expired' });
+    }
     req.user = {
       userId: user._id,
+      sessionId: session._id,
       email: user.email,
       name: user.name,
-      plan: user.plan
+      emailVerified: user.emailVerified,
+      plan: user.plan,
+      timezone: user.timezone,
+      twoFactorEnabled: user.twoFactor.enabled
     };
     next();
   } catch (error) {
@@ -30,4 +45,24 @@ const authenticateToken = async (req, res, next) => {
     res.status(500).json({ message: 'Internal server error' });
   }
 };
-module.exports = { authenticateToken };
\ No newline at end of file
+
+// Operators run the server, whose scheduler publishes for every workspace.
+// They are listed by email in OPERATOR_EMAILS (comma-separated) and must
+// have verified that email
+const isOperator = (user) => {
+  const emails = (process.env.OPERATOR_EMAILS || '')
+    .split(',')
+    .map(email => email.trim().toLowerCase())
+    .filter(Boolean);
+  return Boolean(user?.emailVerified) && emails.includes(user.email);
+};
+
+// Reject requests from users who are not operators. Runs after authenticateToken
+const requireOperator = (req, res, next) => {
+  if (!isOperator(req.user)) {
+    return res.status(403).json({ message: 'Only server operators can do this' });
+  }
+  next();
+};
+
+module.exports = { authenticateToken, isOperator, requireOperator };
\ No newline at end of file
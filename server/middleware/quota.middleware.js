@@ -0,0 +1,120 @@
+const mongoose = require('mongoose');
+const User = require('../models/user.model');
+const Workspace = require('../models/workspace.model');
+const { assertQuota, QuotaExceededError } = require('../services/usage.service');
+
+// Answer a request that would go over a plan limit
+function quotaExceeded(res, error) {
+  return res.status(403).json({
+    message: error.message,
+    code: 'quota_exceeded',
+    resource: error.resource,
+    used: error.used,
+    limit: error.limit
+  });
+}
+
+// Start a new billing period for the user when the last one has ended, so
+// monthly limits are counted from zero. Runs after authenticateToken
+const syncUsage = async (req, res, next) => {
+  try {
+    await User.syncUsagePeriod(req.user.userId);
+    next();
+  } catch (error) {
+    console.error('Sync usage error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+// Throw a QuotaExceededError when `amount` more of a resource would go over
+// the plan limit. 0 still refuses users who are already over the limit
+// (e.g. after a downgrade)
+const checkQuota = (req, resource, amount, workspace = req.workspace) =>
+  assertQuota(resource, {
+    userId: req.user.userId,
+    workspace,
+    email: req.body?.email?.trim().toLowerCase()
+  }, amount);
+
+// Drafts hold no quota until they are scheduled
+const draftOr = count => req => (req.body?.status === 'draft' ? 0 : count);
+
+// Every request that uses up part of a plan, with how much it needs. Posts
+// and ideas are reserved again atomically when they are created; this
+// refuses requests that can't fit before any work is done
+const QUOTA_ROUTES = [
+  // Scheduled posts
+  { method: 'POST', path: '/api/scheduler', resource: 'posts', amount: draftOr(1) },
+  { method: 'PUT', path: '/api/scheduler/:postId', resource: 'posts', amount: 0 },
+  { method: 'POST', path: '/api/scheduler/groups', resource: 'posts', amount: req => (Array.isArray(req.body?.targets) ? req.body.targets.length : 1) },
+  { method: 'PUT', path: '/api/scheduler/groups/:groupId', resource: 'posts', amount: 0 },
+  { method: 'POST', path: '/api/scheduler/series', resource: 'posts', amount: 1 },
+  { method: 'PUT', path: '/api/scheduler/series/:seriesId', resource: 'posts', amount: 0 },
+  { method: 'POST', path: '/api/approvals/:postId/submit', resource: 'posts', amount: 0 },
+  { method: 'POST', path: '/api/evergreen', resource: 'posts', amount: 0 },
+  { method: 'POST', path: '/api/ideas/:ideaId/convert', resource: 'posts', amount: 1 },
+
+  // AI generation
+  { method: 'POST', path: '/api/ideas/generate', resource: 'ideas', amount: 1 },
+
+  // Uploads, by the size of the request body (the files are not parsed yet)
+  { method: 'POST', path: '/api/media/upload', resource: 'storage', amount: req => Number(req.headers['content-length']) || 0 },
+
+  // Connecting is refused once the workspace is over its account limit; each
+  // new account is checked again when it is saved
+  { method: 'POST', path: '/api/accounts/connect', resource: 'accounts', amount: 0 },
+  { method: 'GET', path: '/api/accounts/linkedin/auth-url', resource: 'accounts', amount: 0 },
+  { method: 'GET', path: '/api/accounts/mastodon/auth-url', resource: 'accounts', amount: 0 },
+  { method: 'GET', path: '/api/accounts/oauth/:platform/auth-url', resource: 'accounts', amount: 0 },
+
+  // Each invited person takes a seat of the owner's plan
+  { method: 'POST', path: '/api/workspaces/:workspaceId/invitations', resource: 'seats', amount: 1 }
+].map(route => ({
+  ...route,
+  pattern: new RegExp(`^${route.path.replace(/:(\w+)/g, '(?<$1>[^/]+)')}/?$`)
+}));
+
+function findQuotaRoute(req) {
+  const path = req.originalUrl.split('?')[0];
+  for (const route of QUOTA_ROUTES) {
+    const match = route.method === req.method && path.match(route.pattern);
+    if (match) return { route, params: match.groups || {} };
+  }
+  return null;
+}
+
+// The workspace of a /api/workspaces/:workspaceId route, which resolves its
+// workspace per route; null when the user is not a member (the route answers)
+async function workspaceFromPath(req, workspaceId) {
+  if (!mongoose.Types.ObjectId.isValid(workspaceId)) return null;
+  const workspace = await Workspace.findOne({ _id: workspaceId, 'members.userId': req.user.userId }).select('ownerId');
+  return workspace && { id: workspace._id, ownerId: workspace.ownerId };
+}
+
+// Apply the QUOTA_ROUTES limits. Mounted once in server.js, after
+// authenticateToken, syncUsage and (where the mount has it) resolveWorkspace
+const enforceQuotas = async (req, res, next) => {
+  try {
+    const found = findQuotaRoute(req);
+    if (!found) return next();
+
+    const { route, params } = found;
+    let workspace = req.workspace;
+    if (!workspace && params.workspaceId) {
+      workspace = await workspaceFromPath(req, params.workspaceId);
+      if (!workspace) return next();
+    }
+
+    const amount = typeof route.amount === 'function' ? route.amount(req) : route.amount;
+    await checkQuota(req, route.resource, amount, workspace);
+    next();
+  } catch (error) {
+    if (error instanceof QuotaExceededError) {
+      return quotaExceeded(res, error);
+    }
+    console.error('Quota check error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+module.exports = { syncUsage, enforceQuotas, quotaExceeded, QUOTA_ROUTES };
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+const Workspace = require('../models/workspace.model');
+const { can } = require('../utils/permissions');
+
+// Select the workspace of the request: the :workspaceId route parameter, the
+// X-Workspace-Id header, or else the user's personal workspace.
+// Runs after authenticateToken
+const resolveWorkspace = async (req, res, next) => {
+  try {
+    const workspaceId = req.params.workspaceId || req.headers['x-workspace-id'];
+    let workspace;
+
+    if (workspaceId) {
+      if (!mongoose.Types.ObjectId.isValid(workspaceId)) {
+        return res.status(404).json({ message: 'Workspace not found' });
+      }
+      workspace = await Workspace.findOne({ _id: workspaceId, 'members.userId': req.user.userId });
+      if (!workspace) {
+        return res.status(404).json({ message: 'Workspace not found' });
+      }
+    } else {
+      workspace = await Workspace.ensurePersonal({ _id: req.user.userId, name: req.user.name });
+    }
+
+    if (workspace.requireTwoFactor && !req.user.twoFactorEnabled) {
+      return res.status(403).json({
+        message: 'This workspace requires two-factor authentication. Enable it in your profile to continue.',
+        code: 'two_factor_required'
+      });
+    }
+
+    req.workspace = {
+      id: workspace._id,
+      name: workspace.name,
+      ownerId: workspace.ownerId,
+      personal: workspace.personal,
+      requireTwoFactor: workspace.requireTwoFactor,
+      requireApproval: workspace.requireApproval,
+      role: workspace.roleOf(req.user.userId)
+    };
+    next();
+  } catch (error) {
+    console.error('Workspace middleware error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+// Reject requests the member's role does not allow (see utils/permissions)
+const requirePermission = (permission) => (req, res, next) => {
+  if (!can(req.workspace?.role, permission)) {
+    return res.status(403).json({
+      message: `Your role in this workspace (${req.workspace?.role || 'none'}) does not allow this`
+    });
+  }
+  next();
+};
+
+// Query filter for content of the request's workspace. Members without the
+// given permission only get what they created themselves
+const workspaceScope = (req, permission = null) => {
+  const scope = { workspaceId: req.workspace.id };
+  if (permission && !can(req.workspace.role, permission)) {
+    scope.userId = req.user.userId;
+  }
+  return scope;
+};
+
+module.exports = { resolveWorkspace, requirePermission, workspaceScope };
@@ -7,6 +7,12 @@ const mediaFileSchema = new mongoose.Schema({
     required: true,
     index: true
   },
+  workspaceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    default: null,
+    index: true
+  },
   originalName: {
     type: String,
     required: true
@@ -35,7 +41,7 @@ const mediaFileSchema = new mongoose.Schema({
   },
   resourceType: {
     type: String,
-    enum: ['image', 'video'],
+    enum: ['image', 'video', 'document'],
     required: true
   },
   format: {
@@ -88,6 +94,18 @@ const mediaFileSchema = new mongoose.Schema({
     linkedin: {
       suitable: { type: Boolean, default: true },
       reason: String
+    },
+    mastodon: {
+      suitable: { type: Boolean, default: true },
+      reason: String
+    },
+    bluesky: {
+      suitable: { type: Boolean, default: true },
+      reason: String
+    },
+    threads: {
+      suitable: { type: Boolean, default: true },
+      reason: String
     }
   },
   uploadedAt: {
@@ -120,7 +138,10 @@ mediaFileSchema.methods.checkPlatformSuitability = function() {
     twitter: { suitable: true, reason: null },
     instagram: { suitable: true, reason: null },
     facebook: { suitable: true, reason: null },
-    linkedin: { suitable: true, reason: null }
+    linkedin: { suitable: true, reason: null },
+    mastodon: { suitable: true, reason: null },
+    bluesky: { suitable: true, reason: null },
+    threads: { suitable: true, reason: null }
   };
 
   // Twitter specific checks
@@ -176,6 +197,50 @@ mediaFileSchema.methods.checkPlatformSuitability = function() {
     }
   }
 
+  // Mastodon specific checks (mastodon.social defaults)
+  if (this.resourceType === 'video') {
+    if (this.size > 99 * 1024 * 1024) { // 99MB
+      suitability.mastodon = { suitable: false, reason: 'Video exceeds 99MB limit for Mastodon' };
+    }
+  } else if (this.resourceType === 'image') {
+    if (this.size > 16 * 1024 * 1024) { // 16MB
+      suitability.mastodon = { suitable: false, reason: 'Image exceeds 16MB limit for Mastodon' };
+    }
+  }
+
+  // Bluesky takes images only; they are downsized to its 1MB limit when published
+  if (this.resourceType === 'video') {
+    suitability.bluesky = { suitable: false, reason: 'Videos cannot be posted to Bluesky' };
+  } else if (this.resourceType === 'image') {
+    if (this.size > 20 * 1024 * 1024) { // 20MB
+      suitability.bluesky = { suitable: false, reason: 'Image exceeds 20MB limit for Bluesky' };
+    }
+  }
+
+  // Threads specific checks
+  if (this.resourceType === 'video') {
+    if (this.size > 1024 * 1024 * 1024) { // 1GB
+      suitability.threads = { suitable: false, reason: 'Video exceeds 1GB limit for Threads' };
+    }
+    if (this.duration > 300) { // 5 minutes
+      suitability.threads = { suitable: false, reason: 'Video exceeds 5 minute limit for Threads' };
+    }
+  } else if (this.resourceType === 'image') {
+    if (this.size > 8 * 1024 * 1024) { // 8MB
+      suitability.threads = { suitable: false, reason: 'Image exceeds 8MB limit for Threads' };
+    }
+  }
+
+  // Documents (PDF) can only be published on LinkedIn
+  if (this.resourceType === 'document') {
+    ['twitter', 'instagram', 'facebook', 'mastodon', 'bluesky', 'threads'].forEach(platform => {
+      suitability[platform] = { suitable: false, reason: `Documents cannot be posted to ${platform}` };
+    });
+    if (this.size > 100 * 1024 * 1024) { // 100MB
+      suitability.linkedin = { suitable: false, reason: 'Document exceeds 100MB limit for LinkedIn' };
+    }
+  }
+
   // Update the document
   this.platformMetadata = suitability;
   return suitability;
@@ -256,7 +321,7 @@ mediaFileSchema.pre('remove', async function(next) {
   try {
     const cloudinary = require('cloudinary').v2;
     await cloudinary.uploader.destroy(this.cloudinaryPublicId, {
-      resource_type: this.resourceType
+      resource_type: this.resourceType === 'document' ? 'raw' : this.resourceType
     });
   } catch (error) {
     console.error('Failed to delete from Cloudinary:', error);
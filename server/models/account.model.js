@@ -1,4 +1,20 @@
 const mongoose = require('mongoose');
+const { getPlatform, hasPlatform, platformNames } = require('../services/platforms');
+const { SECRET_FIELDS, encryptCredential } = require('../utils/credentialCrypto');
+
+// Credential fields are required for the platforms whose adapter lists them
+// (OAuth-connected accounts may need fewer)
+const requiredFor = (key) => function() {
+  return hasPlatform(this.platform) &&
+    getPlatform(this.platform).requiredCredentialFields(this).some(field => field.key === key);
+};
+
+function removeSecrets(doc, ret) {
+  for (const field of SECRET_FIELDS) {
+    delete ret[field];
+  }
+  return ret;
+}
 
 const accountSchema = new mongoose.Schema({
   userId: {
@@ -6,10 +22,17 @@ const accountSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  // Workspace the account belongs to; userId is who connected it
+  workspaceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    default: null,
+    index: true
+  },
   platform: {
     type: String,
     required: true,
-    enum: ['twitter', 'facebook', 'instagram']
+    enum: platformNames()
   },
   username: {
     type: String,
@@ -38,15 +61,11 @@ const accountSchema = new mongoose.Schema({
   // Twitter requires all 4 credentials
   apiKey: {
     type: String,
-    required: function() {
-      return this.platform === 'twitter';
-    }
+    required: requiredFor('apiKey')
   },
   apiSecret: {
     type: String,
-    required: function() {
-      return this.platform === 'twitter';
-    }
+    required: requiredFor('apiSecret')
   },
   accessToken: {
     type: String,
@@ -54,28 +73,58 @@ const accountSchema = new mongoose.Schema({
   },
   accessTokenSecret: {
     type: String,
-    required: function() {
-      return this.platform === 'twitter';
-    }
+    required: requiredFor('accessTokenSecret')
   },
   // Facebook/Instagram Graph API credentials (shared)
   facebookAppId: {
     type: String,
-    required: function() {
-      return ['facebook', 'instagram'].includes(this.platform);
-    }
+    required: requiredFor('facebookAppId')
   },
   facebookAppSecret: {
     type: String,
-    required: function() {
-      return ['facebook', 'instagram'].includes(this.platform);
-    }
+    required: requiredFor('facebookAppSecret')
+  },
+  // Mastodon: origin of the server the account lives on, e.g. https://mastodon.social
+  instanceUrl: {
+    type: String,
+    required: requiredFor('instanceUrl')
+  },
+  // Bluesky app password, used to log in again when the session expires
+  appPassword: {
+    type: String,
+    required: requiredFor('appPassword')
+  },
+  // Facebook Page token used to publish as the page (Facebook/Instagram)
+  pageAccessToken: {
+    type: String,
+    default: null
   },
-  // Token expiry for Facebook/Instagram
+  // How the credentials were obtained: pasted by the user or through an OAuth flow
+  authType: {
+    type: String,
+    enum: ['credentials', 'oauth1', 'oauth2'],
+    default: 'credentials'
+  },
+  // OAuth refresh token (LinkedIn and Twitter OAuth 2.0)
+  refreshToken: {
+    type: String,
+    default: null
+  },
+  // Token expiry for Facebook/Instagram/LinkedIn
   tokenExpiresAt: {
     type: Date,
     default: null
   },
+  // Background token refresh (see token-refresh.service)
+  tokenRefresh: {
+    checkedAt: Date,
+    refreshedAt: Date,
+    // After this date the tokens can't be renewed without the user logging in again
+    refreshableUntil: Date,
+    error: String,
+    // Deadline the user was last warned about, so each one is announced once
+    noticeSentFor: Date
+  },
   connected: {
     type: Boolean,
     default: false
@@ -103,7 +152,15 @@ const accountSchema = new mongoose.Schema({
     biography: String,
     website: String,
     pageUrl: String,
-    instagramBusinessAccount: String // For Facebook pages with Instagram business account
+    instagramBusinessAccount: String, // For Facebook pages with Instagram business account
+    // Facebook Page picked during Facebook Login (also the page linked to an Instagram account)
+    pageId: String,
+    pageName: String,
+    // LinkedIn: the author URN is stored in `id`
+    accountType: {
+      type: String,
+      enum: ['person', 'organization']
+    }
   },
   stats: {
     followers: {
@@ -137,54 +194,65 @@ const accountSchema = new mongoose.Schema({
   },
   syncStatus: {
     type: String,
-    enum: ['success', 'failed', 'pending', 'disconnected'],
+    enum: ['success', 'failed', 'pending', 'disconnected', 'needs_reconnection'],
     default: 'pending'
   },
   syncError: {
     type: String,
     default: ''
-  }
+  },
+  // False when publishing or a token refresh found the credentials unusable
+  connectionHealthy: {
+    type: Boolean,
+    default: true
+  },
+  // IANA time zone the posting schedule is defined in
+  timezone: {
+    type: String,
+    default: 'UTC'
+  },
+  // Weekly queue slots - "add to queue" posts fill the next free one
+  queueSlots: [{
+    weekday: {
+      type: Number,
+      min: 0,
+      max: 6,
+      required: true
+    },
+    time: {
+      type: String,
+      required: true,
+      match: /^([01]\d|2[0-3]):[0-5]\d$/
+    },
+    _id: false
+  }]
 }, {
-  timestamps: true
+  timestamps: true,
+  // Credentials never leave the server, even as ciphertext (API responses, populated posts, logs)
+  toJSON: { transform: removeSecrets },
+  toObject: { transform: removeSecrets }
 });
 
 // Optimized indexes for the three platforms
 accountSchema.index({ userId: 1, platform: 1, username: 1 });
 accountSchema.index({ userId: 1, connected: 1 });
+accountSchema.index({ workspaceId: 1, platform: 1, username: 1 });
 accountSchema.index({ platform: 1, connected: 1 });
 accountSchema.index({ lastSyncedAt: 1 });
 accountSchema.index({ tokenExpiresAt: 1 });
 
 // Virtual for profile URL
 accountSchema.virtual('profileUrl').get(function() {
-  const baseUrls = {
-    twitter: 'https://twitter.com/',
-    facebook: 'https://facebook.com/',
-    instagram: 'https://instagram.com/'
-  };
-  
-  // Handle Facebook page URLs
-  if (this.platform === 'facebook' && this.profileData?.pageUrl) {
-    return this.profileData.pageUrl;
-  }
-  
-  return baseUrls[this.platform] + this.username;
+  return getPlatform(this.platform).profileUrl(this);
 });
 
-// Method to check if account needs sync (optimized intervals)
+// Method to check if account needs sync (intervals follow each platform's API rate limits)
 accountSchema.methods.needsSync = function() {
   const now = new Date();
   const lastSync = this.lastSyncedAt || new Date(0);
   const hoursSinceSync = (now - lastSync) / (1000 * 60 * 60);
   
-  // Sync intervals optimized for API rate limits
-  const syncIntervals = {
-    twitter: 1,     // 1 hour (Twitter API v2 has good rate limits)
-    facebook: 2,    // 2 hours (Graph API rate limits)
-    instagram: 2    // 2 hours (Uses Facebook Graph API)
-  };
-  
-  return hoursSinceSync > syncIntervals[this.platform];
+  return hoursSinceSync > getPlatform(this.platform).limits.syncIntervalHours;
 };
 
 // Method to check if token is expired
@@ -212,6 +280,16 @@ accountSchema.methods.getConnectionHealth = function() {
   if (this.syncStatus === 'disconnected') {
     issues.push('Account manually disconnected');
   }
+
+  if (this.syncStatus === 'needs_reconnection') {
+    issues.push(`Needs reconnection: ${this.syncError}`);
+  }
+  
+  // Tokens that can't be renewed much longer (Facebook/Instagram)
+  const refreshableUntil = this.tokenRefresh?.refreshableUntil;
+  if (refreshableUntil && refreshableUntil - Date.now() < 7 * 24 * 60 * 60 * 1000) {
+    issues.push(`Access expires on ${refreshableUntil.toDateString()} - reconnect the account`);
+  }
   
   // Check for missing required credentials
   const missingCredentials = this.getMissingCredentials();
@@ -231,25 +309,7 @@ accountSchema.methods.getConnectionHealth = function() {
 
 // Method to get missing credentials based on platform
 accountSchema.methods.getMissingCredentials = function() {
-  const missing = [];
-  
-  switch (this.platform) {
-    case 'twitter':
-      if (!this.apiKey) missing.push('API Key');
-      if (!this.apiSecret) missing.push('API Secret');
-      if (!this.accessToken) missing.push('Access Token');
-      if (!this.accessTokenSecret) missing.push('Access Token Secret');
-      break;
-      
-    case 'facebook':
-    case 'instagram':
-      if (!this.facebookAppId) missing.push('Facebook App ID');
-      if (!this.facebookAppSecret) missing.push('Facebook App Secret');
-      if (!this.accessToken) missing.push('Access Token');
-      break;
-  }
-  
-  return missing;
+  return getPlatform(this.platform).getMissingCredentials(this);
 };
 
 // Method to validate required credentials
@@ -268,6 +328,13 @@ accountSchema.methods.getSyncStatus = function() {
   };
 };
 
+// New accounts must fit the plan of the workspace owner (see utils/plans.js)
+accountSchema.pre('save', async function() {
+  if (!this.isNew || !this.workspaceId) return;
+  const { assertAccountQuota } = require('../services/usage.service');
+  await assertAccountQuota(this.workspaceId);
+});
+
 // Pre-save middleware to update sync status and profile data
 accountSchema.pre('save', function(next) {
   // Update sync info when stats or profile data changes
@@ -293,32 +360,120 @@ accountSchema.pre('save', function(next) {
     this.profileData.verified = this.verified;
   }
   
-  // For Facebook/Instagram, store Facebook credentials in the legacy fields for backward compatibility
-  if (['facebook', 'instagram'].includes(this.platform)) {
-    if (this.facebookAppId && !this.apiKey) {
-      this.apiKey = this.facebookAppId;
+  // Store credentials in their legacy fields too (e.g. Facebook App ID in apiKey) for backward compatibility
+  for (const field of getPlatform(this.platform).credentialFields) {
+    for (const alias of field.aliases || []) {
+      if (this[field.key] && !this[alias]) {
+        this[alias] = this[field.key];
+      }
     }
-    if (this.facebookAppSecret && !this.apiSecret) {
-      this.apiSecret = this.facebookAppSecret;
+  }
+
+  // Encrypt credentials at rest; already encrypted values are left alone
+  for (const field of SECRET_FIELDS) {
+    if (this.isModified(field) && this[field]) {
+      this[field] = encryptCredential(this[field]);
     }
   }
   
   next();
 });
 
+// Projection leaving out the credentials, for queries whose accounts are
+// not handed to a platform adapter
+accountSchema.statics.WITHOUT_SECRETS = SECRET_FIELDS.map(field => `-${field}`).join(' ');
+
+// Create or update a workspace account from its credentials and profile
+// (connect flows, admin imports). Matched by username or profile ID
+accountSchema.statics.saveConnection = async function({ userId, workspaceId }, platform, { credentials, profile }) {
+  // Get username - priority: API response > existing data
+  const accountUsername = profile.username || profile.displayName || 'Unknown';
+
+  // Check if account already exists (by platform and username or profile ID).
+  // Only known values are matched: an undefined ID would cast to {} and
+  // match every account of the platform
+  const matchers = [];
+  if (profile.username || profile.displayName) {
+    matchers.push({ username: accountUsername });
+  }
+  if (profile.id !== undefined && profile.id !== null && profile.id !== '') {
+    matchers.push({ 'profileData.id': profile.id });
+  }
+  const existingAccount = matchers.length > 0
+    ? await this.findOne({ workspaceId, platform, $or: matchers })
+    : null;
+
+  const accountData = {
+    userId,
+    workspaceId,
+    platform,
+    username: accountUsername,
+    displayName: profile.displayName || profile.name || accountUsername,
+    description: profile.description || profile.biography || '',
+    location: profile.location || '',
+    profileImageUrl: profile.profileImageUrl || '',
+    verified: profile.verified || false,
+    connected: true,
+    connectionHealthy: true,
+    authType: 'credentials',
+    // New tokens: the refresh job checks them again on its next run
+    tokenRefresh: {},
+    stats: {
+      followers: profile.followers || 0,
+      following: profile.following || 0,
+      posts: profile.posts || 0,
+      engagement: profile.engagement || 0,
+      impressions: profile.impressions || 0,
+      reach: profile.reach || 0
+    },
+    profileData: {
+      id: profile.id,
+      username: accountUsername,
+      displayName: profile.displayName || profile.name,
+      description: profile.description || profile.biography,
+      location: profile.location,
+      profileImageUrl: profile.profileImageUrl,
+      verified: profile.verified,
+      createdAt: profile.createdAt,
+      followers: profile.followers,
+      following: profile.following,
+      posts: profile.posts,
+      engagement: profile.engagement,
+      // Platform-specific data
+      name: profile.name,
+      biography: profile.biography,
+      website: profile.website,
+      pageUrl: profile.pageUrl,
+      instagramBusinessAccount: profile.instagramBusinessAccount,
+      pageId: profile.pageId,
+      pageName: profile.pageName
+    },
+    syncStatus: 'success',
+    syncError: '',
+    lastSyncedAt: new Date()
+  };
+
+  // Add platform-specific credentials
+  Object.assign(accountData, credentials);
+
+  // Set token expiry if provided
+  if (profile.tokenExpiresAt) {
+    accountData.tokenExpiresAt = new Date(profile.tokenExpiresAt);
+  }
+
+  const account = existingAccount || new this();
+  Object.assign(account, accountData);
+  await account.save();
+
+  return { account, created: !existingAccount };
+};
+
 // Method to refresh profile data from API
 accountSchema.methods.refreshProfile = async function() {
   try {
     const { syncSocialMediaStats } = require('../services/social-media.service');
     
-    const credentials = this.getApiCredentials();
-    const profileData = await syncSocialMediaStats(
-      this.platform,
-      credentials.apiKey,
-      credentials.apiSecret,
-      credentials.accessToken,
-      credentials.accessTokenSecret
-    );
+    const profileData = await syncSocialMediaStats(this.platform, this._id);
     
     // Update account fields
     if (profileData.username) this.username = profileData.username;
@@ -357,7 +512,10 @@ accountSchema.methods.refreshProfile = async function() {
       biography: profileData.biography || profileData.description,
       website: profileData.website,
       pageUrl: profileData.pageUrl,
-      instagramBusinessAccount: profileData.instagramBusinessAccount
+      instagramBusinessAccount: profileData.instagramBusinessAccount || this.profileData?.instagramBusinessAccount,
+      pageId: this.profileData?.pageId,
+      pageName: this.profileData?.pageName,
+      accountType: this.profileData?.accountType
     };
     
     this.connected = true;
@@ -376,24 +534,4 @@ accountSchema.methods.refreshProfile = async function() {
   }
 };
 
-// Helper method to get API credentials in the format expected by services
-accountSchema.methods.getApiCredentials = function() {
-  if (this.platform === 'twitter') {
-    return {
-      apiKey: this.apiKey,
-      apiSecret: this.apiSecret,
-      accessToken: this.accessToken,
-      accessTokenSecret: this.accessTokenSecret
-    };
-  } else {
-    // Facebook/Instagram
-    return {
-      apiKey: this.facebookAppId || this.apiKey,
-      apiSecret: this.facebookAppSecret || this.apiSecret,
-      accessToken: this.accessToken,
-      accessTokenSecret: null
-    };
-  }
-};
-
 module.exports = mongoose.model('Account', accountSchema);
\ No newline at end of file
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// Single-use token sent by email, to verify an address or reset a password.
+// The link carries a signed JWT naming this record (see services/account-token.service.js)
+const authTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  purpose: {
+    type: String,
+    enum: ['verify_email', 'reset_password'],
+    required: true
+  },
+  // Address the token was sent to; it stops working if the email changes
+  email: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Expired tokens are removed by MongoDB
+authTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('AuthToken', authTokenSchema);
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+const postMediaSchema = require('./postMedia.schema');
+const { platformNames } = require('../services/platforms');
+
+const evergreenItemSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true
+    },
+    workspaceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Workspace',
+      default: null,
+      index: true
+    },
+    // Limit the item to one platform, or leave empty to use it anywhere
+    platform: {
+      type: String,
+      enum: [...platformNames(), null],
+      default: null
+    },
+    category: {
+      type: String,
+      trim: true
+    },
+    content: {
+      type: String,
+      required: true,
+      maxlength: 65000
+    },
+    mediaFiles: [postMediaSchema],
+    // Minimum time between two publications of this item
+    cooldownDays: {
+      type: Number,
+      default: 30,
+      min: 0
+    },
+    active: {
+      type: Boolean,
+      default: true
+    },
+    lastScheduledAt: Date,
+    lastPublishedAt: Date,
+    timesPublished: {
+      type: Number,
+      default: 0
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+evergreenItemSchema.index({ userId: 1, active: 1, lastPublishedAt: 1 });
+
+// Check whether the item may be used for an occurrence at the given date
+evergreenItemSchema.methods.isCoolingDown = function(date = new Date()) {
+  const cooldownMs = this.cooldownDays * 24 * 60 * 60 * 1000;
+  const lastUsed = [this.lastPublishedAt, this.lastScheduledAt]
+    .filter(Boolean)
+    .map(d => d.getTime());
+
+  return lastUsed.some(time => Math.abs(date.getTime() - time) < cooldownMs);
+};
+
+const EvergreenItem = mongoose.model('EvergreenItem', evergreenItemSchema);
+module.exports = EvergreenItem;
@@ -6,6 +6,12 @@ const ideaSchema = new mongoose.Schema(
       ref: 'User',
       required: true,
     },
+    workspaceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Workspace',
+      default: null,
+      index: true,
+    },
     platform: {
       type: String,
       enum: ['twitter', 'instagram', 'facebook'],
@@ -0,0 +1,80 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { ROLES } = require('../utils/permissions');
+
+// Invitation to join a workspace, accepted with the token sent to the invitee.
+// Only a hash of the token is stored
+const invitationSchema = new mongoose.Schema({
+  workspaceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    required: true,
+    index: true
+  },
+  email: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true
+  },
+  // Ownership is handed over, not invited to
+  role: {
+    type: String,
+    enum: ROLES.filter(role => role !== 'owner'),
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  acceptedAt: {
+    type: Date,
+    default: null
+  },
+  acceptedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform(doc, ret) {
+      delete ret.tokenHash;
+      return ret;
+    }
+  }
+});
+
+invitationSchema.index({ workspaceId: 1, email: 1, acceptedAt: 1 });
+
+invitationSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+// New invitation with its token; the token is only available here
+invitationSchema.statics.createWithToken = async function(data, ttlDays = 7) {
+  const token = crypto.randomBytes(32).toString('hex');
+  const invitation = await this.create({
+    ...data,
+    tokenHash: this.hashToken(token),
+    expiresAt: new Date(Date.now() + ttlDays * 24 * 60 * 60 * 1000)
+  });
+  return { invitation, token };
+};
+
+invitationSchema.methods.isPending = function() {
+  return !this.acceptedAt && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model('Invitation', invitationSchema);
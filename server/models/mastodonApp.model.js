@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// OAuth app registered on a Mastodon server. Every server is its own OAuth
+// provider, so the app is registered once per server and reused
+const mastodonAppSchema = new mongoose.Schema({
+  instanceUrl: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  redirectUri: {
+    type: String,
+    required: true
+  },
+  clientId: {
+    type: String,
+    required: true
+  },
+  clientSecret: {
+    type: String,
+    required: true
+  },
+  scopes: {
+    type: String,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+mastodonAppSchema.index({ instanceUrl: 1, redirectUri: 1 }, { unique: true });
+
+module.exports = mongoose.model('MastodonApp', mastodonAppSchema);
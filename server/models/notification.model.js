@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// In-app messages for a user, e.g. an account that must be reconnected soon
+const notificationSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['token_expiring', 'token_invalid', 'workspace_invite'],
+    required: true
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  message: {
+    type: String,
+    default: ''
+  },
+  // Account the notification is about, if any
+  accountId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account',
+    default: null
+  },
+  readAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+notificationSchema.index({ userId: 1, readAt: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -1,33 +1,53 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
+const postMediaSchema = require('./postMedia.schema');
+const { platformNames } = require('../services/platforms');
+const { isValidTimeZone, formatWallClock } = require('../utils/timezone');
+const { extractContentMetadata } = require('../utils/contentMetadata');
 
-const postMediaSchema = new mongoose.Schema({
-  url: {
+// One tweet of a Twitter thread. The tweet ID is recorded as soon as the
+// segment is published so a failed thread can resume where it stopped
+const threadSegmentSchema = new mongoose.Schema({
+  content: {
     type: String,
-    required: true
-  },
-  publicId: {
-    type: String,
-    required: true
+    required: true,
+    maxlength: 280
   },
-  resourceType: {
-    type: String,
-    enum: ['image', 'video'],
+  mediaFiles: [postMediaSchema],
+  externalPostId: String,
+  publishedAt: Date,
+  error: String
+}, { _id: false });
+
+threadSegmentSchema.virtual('mediaUrls').get(function() {
+  return this.mediaFiles?.map(file => file.url) || [];
+});
+
+// Discussion between the author and the reviewer of a post
+const reviewCommentSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
     required: true
   },
-  format: {
+  authorName: String,
+  text: {
     type: String,
-    required: true
+    required: true,
+    maxlength: 2000
   },
-  width: Number,
-  height: Number,
-  bytes: Number,
-  originalName: String,
-  // Reference to MediaFile if it exists in our database
-  mediaFileId: {
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'MediaFile'
+  createdAt: {
+    type: Date,
+    default: Date.now
   }
-}, { _id: false });
+});
+
+// Statuses a post can be edited or deleted in - it has not been handed to a platform yet
+const UNPUBLISHED_STATUSES = ['draft', 'pending_review', 'approved', 'scheduled'];
+// Statuses that don't need a scheduled date
+const UNSCHEDULED_STATUSES = ['draft', 'pending_review', 'approved'];
+// Statuses that hold no reservation against the plan's post quota
+const QUOTA_FREE_STATUSES = ['draft', 'published', 'cancelled'];
 
 const postSchema = new mongoose.Schema(
   {
@@ -37,6 +57,12 @@ const postSchema = new mongoose.Schema(
       required: true,
       index: true
     },
+    workspaceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Workspace',
+      default: null,
+      index: true
+    },
     accountId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Account',
@@ -44,7 +70,7 @@ const postSchema = new mongoose.Schema(
     },
     platform: {
       type: String,
-      enum: ['twitter', 'instagram', 'facebook', 'linkedin'],
+      enum: platformNames(),
       required: true,
       index: true
     },
@@ -55,18 +81,88 @@ const postSchema = new mongoose.Schema(
     },
     // Media structure with full metadata
     mediaFiles: [postMediaSchema],
+
+    // Twitter threads: ordered segments published as chained replies.
+    // `content` holds the first segment for listings and reconciliation
+    thread: {
+      type: [threadSegmentSchema],
+      default: undefined
+    },
+    // Index of the segment that failed in the last attempt
+    threadFailedSegment: Number,
+
+    // Review step. 'none' means the post was scheduled without review;
+    // a rejected post goes back to draft until it is submitted again
+    approval: {
+      status: {
+        type: String,
+        enum: ['none', 'pending', 'approved', 'rejected'],
+        default: 'none'
+      },
+      reviewerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      requestedAt: Date,
+      decidedAt: Date,
+      rejectionReason: {
+        type: String,
+        maxlength: 1000
+      }
+    },
+    reviewComments: [reviewCommentSchema],
+
+    // Instagram/Facebook: comment posted right after the post goes live
+    // (commonly the hashtag block). Its outcome is tracked separately from
+    // the publish result because the post is live even if the comment fails
+    firstComment: {
+      type: String,
+      maxlength: 2200
+    },
+    firstCommentId: String,
+    firstCommentPostedAt: Date,
+    firstCommentError: String,
+
+    // Mastodon: content warning shown in place of the text until expanded,
+    // and who can see the status
+    contentWarning: {
+      type: String,
+      maxlength: 500
+    },
+    visibility: {
+      type: String,
+      enum: ['public', 'unlisted', 'private']
+    },
+    // Threads: who may reply
+    replyControl: {
+      type: String,
+      enum: ['everyone', 'accounts_you_follow', 'mentioned_only']
+    },
     
+    // Drafts and posts in review may not have a date yet
     scheduledDate: {
       type: Date,
-      required: true,
+      required: function() {
+        return !UNSCHEDULED_STATUSES.includes(this.status);
+      },
       index: true
     },
     status: {
       type: String,
-      enum: ['scheduled', 'published', 'failed', 'cancelled'],
+      // Reviewed posts go draft -> pending_review -> approved -> scheduled.
+      // 'publishing' is held while a platform call is in flight, so a crash
+      // before the result is saved leaves a marker that reconciliation can find
+      enum: ['draft', 'pending_review', 'approved', 'scheduled', 'publishing', 'published', 'failed', 'cancelled'],
       default: 'scheduled',
       index: true
     },
+    // Unique key of the current publish attempt
+    idempotencyKey: {
+      type: String,
+      default: null
+    },
+    publishingStartedAt: Date,
+    reconciledAt: Date,
     // Enhanced analytics structure
     analytics: {
       likes: { type: Number, default: 0 },
@@ -120,9 +216,40 @@ const postSchema = new mongoose.Schema(
     // Scheduling metadata
     timezone: {
       type: String,
-      default: 'UTC'
+      default: 'UTC',
+      validate: {
+        validator: isValidTimeZone,
+        message: props => `Unknown time zone: ${props.value}`
+      }
     },
+    // Wall-clock time ("YYYY-MM-DDTHH:mm") the post was scheduled for in `timezone`
+    localScheduledTime: String,
     originalScheduledDate: Date, // Store original date in case of rescheduling
+
+    // Recurring series this post was materialized from
+    seriesId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PostSeries'
+    },
+    occurrenceDate: Date,
+    evergreenItemId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'EvergreenItem'
+    },
+
+    // Cross-post group this post is one target of
+    groupId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PostGroup',
+      index: true
+    },
+
+    // Posts added to the account queue take their date from the next free slot
+    queued: {
+      type: Boolean,
+      default: false
+    },
+    queuePosition: Number,
     
     // Content metadata
     hashtags: [String],
@@ -133,6 +260,7 @@ const postSchema = new mongoose.Schema(
     processingTime: Number, // Time taken to publish in milliseconds
     publishAttempts: [{
       attemptedAt: { type: Date, default: Date.now },
+      idempotencyKey: String,
       success: Boolean,
       error: String,
       responseTime: Number
@@ -147,9 +275,19 @@ const postSchema = new mongoose.Schema(
 postSchema.index({ userId: 1, status: 1 });
 postSchema.index({ userId: 1, platform: 1, status: 1 });
 postSchema.index({ userId: 1, scheduledDate: 1 });
+postSchema.index({ workspaceId: 1, status: 1 });
+postSchema.index({ workspaceId: 1, scheduledDate: 1 });
 postSchema.index({ status: 1, scheduledDate: 1 }); // For scheduler queries
 postSchema.index({ accountId: 1, status: 1 });
+postSchema.index({ accountId: 1, queued: 1, queuePosition: 1 });
 postSchema.index({ externalPostId: 1 }, { sparse: true });
+postSchema.index({ status: 1, publishingStartedAt: 1 }); // For reconciliation
+postSchema.index({ 'approval.reviewerId': 1, status: 1 }); // For the approvals inbox
+// One post per series occurrence, even with several scheduler instances
+postSchema.index(
+  { seriesId: 1, occurrenceDate: 1 },
+  { unique: true, partialFilterExpression: { seriesId: { $exists: true } } }
+);
 
 // Virtual for determining if post is overdue
 postSchema.virtual('isOverdue').get(function() {
@@ -180,16 +318,10 @@ postSchema.virtual('mediaUrls').get(function() {
 
 // Method to extract content metadata
 postSchema.methods.extractContentMetadata = function() {
-  const content = this.content;
-  
-  // Extract hashtags
-  this.hashtags = [...new Set((content.match(/#[\w]+/g) || []).map(tag => tag.toLowerCase()))];
-  
-  // Extract mentions
-  this.mentions = [...new Set((content.match(/@[\w]+/g) || []).map(mention => mention.toLowerCase()))];
-  
-  // Extract links
-  this.links = [...new Set(content.match(/https?:\/\/[^\s]+/g) || [])];
+  const { hashtags, mentions, links } = extractContentMetadata(this.content);
+  this.hashtags = hashtags;
+  this.mentions = mentions;
+  this.links = links;
   
   return this;
 };
@@ -200,6 +332,7 @@ postSchema.methods.addPublishAttempt = function(success, error = null, responseT
   
   this.publishAttempts.push({
     attemptedAt: new Date(),
+    idempotencyKey: this.idempotencyKey,
     success,
     error,
     responseTime
@@ -237,17 +370,84 @@ postSchema.methods.prepareForRetry = function() {
   this.retryCount += 1;
   this.lastRetryAt = new Date();
   this.publishError = null;
-  this.errorCode = null;
+  this.errorCode = undefined; // null is not one of the error codes
+  // Published thread segments keep their tweet IDs so the retry resumes after them
+  if (this.isThread()) {
+    this.thread.forEach(segment => { segment.error = undefined; });
+    this.threadFailedSegment = undefined;
+  }
   return this;
 };
 
+postSchema.statics.UNPUBLISHED_STATUSES = UNPUBLISHED_STATUSES;
+
+// Whether the post has not been handed to a platform yet
+postSchema.methods.isUnpublished = function() {
+  return UNPUBLISHED_STATUSES.includes(this.status);
+};
+
+// Whether the post holds a reservation against the plan's post quota.
+// Reserved when scheduled or sent for review, used once published
+postSchema.methods.holdsQuota = function() {
+  return !QUOTA_FREE_STATUSES.includes(this.status);
+};
+
+// Whether the post is published as a Twitter thread
+postSchema.methods.isThread = function() {
+  return Array.isArray(this.thread) && this.thread.length > 0;
+};
+
+// Query filter for scheduled posts that may be published. Posts under review
+// never are, and workspaces requiring approval only publish approved posts
+postSchema.statics.publishableFilter = async function() {
+  const Workspace = require('./workspace.model');
+  const reviewedWorkspaceIds = await Workspace.find({ requireApproval: true }).distinct('_id');
+  return {
+    status: 'scheduled',
+    $or: [
+      { 'approval.status': 'approved' },
+      { 'approval.status': { $nin: ['pending', 'rejected'] }, workspaceId: { $nin: reviewedWorkspaceIds } }
+    ]
+  };
+};
+
+// Static method to atomically move a scheduled post into the publishing state.
+// Returns the idempotency key of the new attempt, or null if another worker
+// already started publishing the post, or it may not be published (see
+// publishableFilter)
+postSchema.statics.beginPublishing = async function(postId) {
+  const idempotencyKey = `${postId.toString()}:${crypto.randomUUID()}`;
+  const result = await this.updateOne(
+    { _id: postId, ...(await this.publishableFilter()) },
+    {
+      $set: {
+        status: 'publishing',
+        idempotencyKey,
+        publishingStartedAt: new Date()
+      }
+    }
+  );
+  return result.modifiedCount > 0 ? idempotencyKey : null;
+};
+
+// Static method to get posts stuck in the publishing state
+postSchema.statics.getPostsAwaitingReconciliation = function(olderThanMs, limit = 50) {
+  return this.find({
+    status: 'publishing',
+    publishingStartedAt: { $lte: new Date(Date.now() - olderThanMs) }
+  })
+  .populate('accountId')
+  .sort({ publishingStartedAt: 1 })
+  .limit(limit);
+};
+
 // Method to mark as published
 postSchema.methods.markAsPublished = function(externalPostId, publishedAt = new Date()) {
   this.status = 'published';
   this.externalPostId = externalPostId;
   this.publishedAt = publishedAt;
   this.publishError = null;
-  this.errorCode = null;
+  this.errorCode = undefined; // null is not one of the error codes
   return this;
 };
 
@@ -259,17 +459,6 @@ postSchema.methods.markAsFailed = function(error, errorCode = 'UNKNOWN') {
   return this;
 };
 
-// Static method to get posts ready for publishing
-postSchema.statics.getPostsReadyForPublishing = function(limit = 50) {
-  return this.find({
-    status: 'scheduled',
-    scheduledDate: { $lte: new Date() }
-  })
-  .populate('accountId', 'platform username connected apiKey apiSecret accessToken accessTokenSecret')
-  .sort({ scheduledDate: 1 })
-  .limit(limit);
-};
-
 // Static method to get user's post statistics
 postSchema.statics.getUserStats = function(userId, days = 30) {
   const startDate = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
@@ -297,6 +486,13 @@ postSchema.pre('save', function(next) {
     this.extractContentMetadata();
   }
   
+  // Keep the wall-clock time in sync with the UTC instant
+  if (!this.scheduledDate) {
+    this.localScheduledTime = undefined;
+  } else if (this.isModified('scheduledDate') || this.isModified('timezone') || !this.localScheduledTime) {
+    this.localScheduledTime = formatWallClock(this.scheduledDate, this.timezone);
+  }
+
   // Set original scheduled date if not set
   if (this.isNew && !this.originalScheduledDate) {
     this.originalScheduledDate = this.scheduledDate;
@@ -0,0 +1,128 @@
+const mongoose = require('mongoose');
+const postMediaSchema = require('./postMedia.schema');
+const { getPlatform, platformNames } = require('../services/platforms');
+
+const PLATFORMS = platformNames();
+
+// Per-platform variant of the shared text, e.g. a shorter tweet or an Instagram hashtag block
+const overrideSchema = new mongoose.Schema({
+  platform: {
+    type: String,
+    enum: PLATFORMS,
+    required: true
+  },
+  // Replaces the shared content when set
+  content: String,
+  // Appended below the content as its own paragraph
+  hashtags: String
+}, { _id: false });
+
+const targetSchema = new mongoose.Schema({
+  accountId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account',
+    required: true
+  },
+  platform: {
+    type: String,
+    enum: PLATFORMS,
+    required: true
+  },
+  postId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post'
+  }
+}, { _id: false });
+
+/**
+ * One composition cross-posted to several accounts.
+ *
+ * Every target is published as a regular Post (with `groupId` set), so the
+ * scheduler needs no special handling; the group keeps the shared content and
+ * the per-platform overrides, and its status is derived from the target posts.
+ */
+const postGroupSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true
+    },
+    workspaceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Workspace',
+      default: null,
+      index: true
+    },
+    content: {
+      type: String,
+      required: true,
+      maxlength: 65000
+    },
+    mediaFiles: [postMediaSchema],
+    overrides: [overrideSchema],
+    // Posted as the first comment on the Instagram and Facebook targets
+    firstComment: {
+      type: String,
+      maxlength: 2200
+    },
+    targets: {
+      type: [targetSchema],
+      validate: {
+        validator: targets => targets.length > 0,
+        message: 'A post group needs at least one target account'
+      }
+    },
+    scheduledDate: {
+      type: Date,
+      required: true
+    },
+    timezone: {
+      type: String,
+      default: 'UTC'
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+postGroupSchema.index({ userId: 1, scheduledDate: -1 });
+
+// Text to publish on a platform: its override if there is one, else the shared content
+postGroupSchema.methods.contentFor = function(platform) {
+  const override = (this.overrides || []).find(item => item.platform === platform);
+  const content = (override?.content?.trim() || this.content || '').trim();
+  const hashtags = override?.hashtags?.trim();
+  return hashtags ? `${content}\n\n${hashtags}` : content;
+};
+
+/**
+ * Overall status from the statuses of the target posts:
+ * scheduled -> publishing -> published | partially_published | failed
+ */
+postGroupSchema.statics.summarizeStatus = function(statuses) {
+  const total = statuses.length;
+  const count = status => statuses.filter(item => item === status).length;
+  const published = count('published');
+  const scheduled = count('scheduled');
+  const pending = scheduled + count('publishing');
+
+  if (total === 0) return 'cancelled';
+  if (scheduled === total) return 'scheduled';
+  if (pending > 0) return 'publishing';
+  if (published === total) return 'published';
+  if (published > 0) return 'partially_published';
+  return 'failed';
+};
+
+// First comment for a target - only platforms supporting first comments get one
+postGroupSchema.methods.firstCommentFor = function(platform) {
+  return getPlatform(platform).supportsFirstComment && this.firstComment?.trim()
+    ? this.firstComment.trim()
+    : undefined;
+};
+
+const PostGroup = mongoose.model('PostGroup', postGroupSchema);
+module.exports = PostGroup;
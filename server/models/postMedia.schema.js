@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+// Media attached to posts, recurring series and evergreen library items
+const postMediaSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: true
+  },
+  publicId: {
+    type: String,
+    required: true
+  },
+  resourceType: {
+    type: String,
+    enum: ['image', 'video', 'document'],
+    required: true
+  },
+  format: {
+    type: String,
+    required: true
+  },
+  width: Number,
+  height: Number,
+  bytes: Number,
+  originalName: String,
+  // Image description for screen readers (published on Mastodon and Bluesky)
+  altText: {
+    type: String,
+    maxlength: 1500
+  },
+  // Reference to MediaFile if it exists in our database
+  mediaFileId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MediaFile'
+  }
+}, { _id: false });
+
+module.exports = postMediaSchema;
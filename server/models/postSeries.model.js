@@ -0,0 +1,118 @@
+const mongoose = require('mongoose');
+const postMediaSchema = require('./postMedia.schema');
+const { platformNames } = require('../services/platforms');
+
+// RRULE-style recurrence (FREQ, INTERVAL, BYDAY, BYMONTHDAY, UNTIL, COUNT)
+const recurrenceSchema = new mongoose.Schema({
+  frequency: {
+    type: String,
+    enum: ['daily', 'weekly', 'monthly'],
+    required: true
+  },
+  interval: {
+    type: Number,
+    default: 1,
+    min: 1,
+    max: 365
+  },
+  // Weekly only - 0 (Sunday) to 6 (Saturday)
+  byWeekday: [{
+    type: Number,
+    min: 0,
+    max: 6
+  }],
+  // Monthly only - day of month, -1 for the last day
+  byMonthDay: {
+    type: Number,
+    min: -1,
+    max: 31
+  },
+  until: Date,
+  count: {
+    type: Number,
+    min: 1
+  }
+}, { _id: false });
+
+const postSeriesSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true
+    },
+    workspaceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Workspace',
+      default: null,
+      index: true
+    },
+    accountId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Account',
+      required: true
+    },
+    platform: {
+      type: String,
+      enum: platformNames(),
+      required: true
+    },
+    // 'fixed' repeats the content below, 'evergreen' pulls the next item
+    // from the user's evergreen library for every occurrence
+    source: {
+      type: String,
+      enum: ['fixed', 'evergreen'],
+      default: 'fixed'
+    },
+    content: {
+      type: String,
+      maxlength: 65000
+    },
+    mediaFiles: [postMediaSchema],
+    evergreenCategory: {
+      type: String,
+      trim: true
+    },
+    // First occurrence - also sets the time of day of every occurrence
+    startDate: {
+      type: Date,
+      required: true
+    },
+    timezone: {
+      type: String,
+      default: 'UTC'
+    },
+    recurrence: {
+      type: recurrenceSchema,
+      required: true
+    },
+    status: {
+      type: String,
+      enum: ['active', 'paused', 'completed'],
+      default: 'active',
+      index: true
+    },
+    // Occurrences up to this date already exist as posts
+    materializedUntil: Date,
+    occurrencesCreated: {
+      type: Number,
+      default: 0
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+postSeriesSchema.index({ status: 1, materializedUntil: 1 });
+
+postSeriesSchema.pre('validate', function(next) {
+  if (this.source === 'fixed' && (!this.content || this.content.trim().length === 0)) {
+    this.invalidate('content', 'Content is required unless the series uses the evergreen library');
+  }
+  next();
+});
+
+const PostSeries = mongoose.model('PostSeries', postSeriesSchema);
+module.exports = PostSeries;
@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+
+const publishJobSchema = new mongoose.Schema(
+  {
+    postId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Post',
+      required: true,
+      index: true
+    },
+    accountId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Account',
+      required: true
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    platform: {
+      type: String,
+      required: true
+    },
+    // One job per post + scheduled date, so concurrent enqueues from several
+    // server instances collapse into a single document
+    dedupeKey: {
+      type: String,
+      required: true,
+      unique: true
+    },
+    status: {
+      type: String,
+      enum: ['queued', 'leased', 'completed', 'dead'],
+      default: 'queued'
+    },
+    runAt: {
+      type: Date,
+      required: true,
+      default: Date.now
+    },
+    // Lease information - a job is owned by exactly one worker while leased
+    leaseOwner: {
+      type: String,
+      default: null
+    },
+    leaseExpiresAt: {
+      type: Date,
+      default: null
+    },
+    // Per-account concurrency slot, unique among leased jobs of an account
+    slot: {
+      type: Number,
+      default: null
+    },
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    maxAttempts: {
+      type: Number,
+      default: 3
+    },
+    // What happened to the post once the job finished
+    outcome: {
+      type: String,
+      enum: ['published', 'failed', 'rescheduled', 'skipped', null],
+      default: null
+    },
+    errorCategory: {
+      type: String,
+      default: null
+    },
+    lastError: {
+      type: String,
+      maxlength: 1000
+    },
+    startedAt: Date,
+    finishedAt: Date
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Claiming due jobs
+publishJobSchema.index({ status: 1, runAt: 1 });
+// Crash recovery - finding leases that were never released
+publishJobSchema.index({ status: 1, leaseExpiresAt: 1 });
+// Reporting
+publishJobSchema.index({ status: 1, outcome: 1, finishedAt: 1 });
+// Enforces per-account worker concurrency across every server instance
+publishJobSchema.index(
+  { accountId: 1, slot: 1 },
+  { unique: true, partialFilterExpression: { status: 'leased' } }
+);
+
+// Build the dedupe key for a post at its current scheduled date
+publishJobSchema.statics.buildDedupeKey = function(post) {
+  return `${post._id.toString()}:${new Date(post.scheduledDate).getTime()}`;
+};
+
+// Check whether the job lease is still valid
+publishJobSchema.methods.isLeaseActive = function() {
+  return this.status === 'leased' &&
+         this.leaseExpiresAt &&
+         this.leaseExpiresAt > new Date();
+};
+
+const PublishJob = mongoose.model('PublishJob', publishJobSchema);
+module.exports = PublishJob;
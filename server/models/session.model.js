@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+// A signed-in device. Access tokens name their session, so revoking it
+// signs the device out; the refresh token is rotated on every use and only
+// its hash is stored
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  tokenHash: {
+    type: String,
+    required: true
+  },
+  // Token replaced by the last rotation, accepted for a few seconds so
+  // tabs refreshing at the same time don't look like a stolen token
+  previousTokenHash: {
+    type: String,
+    default: null
+  },
+  rotatedAt: {
+    type: Date,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  ip: {
+    type: String,
+    default: ''
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'logout_all', 'revoked', 'token_reuse', 'password_reset'],
+    default: undefined
+  }
+}, {
+  timestamps: true
+});
+
+// Expired sessions are removed by MongoDB
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+sessionSchema.statics.findActive = function(sessionId, userId) {
+  return this.findOne({ _id: sessionId, userId, revokedAt: null, expiresAt: { $gt: new Date() } });
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -1,5 +1,8 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { PLAN_NAMES, DEFAULT_PLAN, getPlan, billingPeriod } = require('../utils/plans');
+
+const defaultLimits = getPlan(DEFAULT_PLAN).limits;
 const userSchema = new mongoose.Schema(
   {
     email: {
@@ -17,20 +20,76 @@ const userSchema = new mongoose.Schema(
       type: String,
       required: true,
     },
+    // Set once the user opens the link emailed to them; reset when the email changes
+    emailVerified: {
+      type: Boolean,
+      default: false,
+    },
+    emailVerifiedAt: {
+      type: Date,
+      default: null,
+    },
+    // See utils/plans.js for what each plan includes
     plan: {
       type: String,
-      enum: ['free', 'pro', 'enterprise'],
-      default: 'free',
+      enum: PLAN_NAMES,
+      default: DEFAULT_PLAN,
+    },
+    // Monthly billing periods start on this date's day of the month;
+    // the signup date unless set by billing
+    billingAnchor: {
+      type: Date,
+      default: null,
+    },
+    // IANA zone used for scheduling and display; null means "use the browser's zone"
+    timezone: {
+      type: String,
+      default: null,
     },
+    // Monthly counters are reset when the billing period ends. The totals
+    // are the plan's limits unless set for this user (socialgrow users plan)
     planUsage: {
       posts: {
         used: { type: Number, default: 0 },
-        total: { type: Number, default: 10 },
+        total: { type: Number, default: defaultLimits.posts },
+        // Scheduled but not yet published posts; drafts hold no reservation
+        reserved: { type: Number, default: 0 },
       },
       ideas: {
         used: { type: Number, default: 0 },
-        total: { type: Number, default: 20 },
+        total: { type: Number, default: defaultLimits.ideas },
+      },
+      // Bytes of media uploaded; not reset with the period
+      storage: {
+        used: { type: Number, default: 0 },
       },
+      periodStart: { type: Date, default: null },
+      periodEnd: { type: Date, default: null },
+    },
+    // Subscription with the billing provider (see services/billing.service.js),
+    // kept in sync by its webhooks
+    billing: {
+      customerId: { type: String, default: null },
+      subscriptionId: { type: String, default: null },
+      status: { type: String, default: null },
+      currentPeriodEnd: { type: Date, default: null },
+      cancelAtPeriodEnd: { type: Boolean, default: false },
+      // Creation time of the last applied event; older deliveries are ignored
+      lastEventAt: { type: Date, default: null },
+    },
+    // TOTP two-factor authentication (see services/two-factor.service.js).
+    // The secret is encrypted like account credentials; recovery codes are hashed
+    twoFactor: {
+      enabled: { type: Boolean, default: false },
+      secret: { type: String, default: null },
+      // Secret being enrolled, until the first code confirms it
+      pendingSecret: { type: String, default: null },
+      recoveryCodes: { type: [String], default: [] },
+      // Time step of the last accepted code, so a code can't be used twice
+      lastUsedStep: { type: Number, default: null },
+      failedAttempts: { type: Number, default: 0 },
+      lockedUntil: { type: Date, default: null },
+      enabledAt: { type: Date, default: null },
     },
   },
   {
@@ -52,5 +111,139 @@ userSchema.pre('save', async function (next) {
 userSchema.methods.comparePassword = async function (candidatePassword) {
   return bcrypt.compare(candidatePassword, this.password);
 };
+
+/**
+ * Post quota. Scheduling a post reserves one post of the plan; the
+ * reservation turns into usage when the post is published and is released
+ * when an unpublished post is deleted or sent back to draft.
+ */
+
+// Atomically reserve posts; false when the plan has no room left
+userSchema.statics.reservePosts = async function (userId, count = 1) {
+  // Background jobs reserve too, outside requests that start the new period
+  await this.syncUsagePeriod(userId);
+  const result = await this.updateOne(
+    {
+      _id: userId,
+      $expr: {
+        $lte: [
+          { $add: ['$planUsage.posts.used', { $ifNull: ['$planUsage.posts.reserved', 0] }, count] },
+          '$planUsage.posts.total',
+        ],
+      },
+    },
+    { $inc: { 'planUsage.posts.reserved': count } }
+  );
+  return result.modifiedCount > 0;
+};
+
+userSchema.statics.releasePosts = async function (userId, count = 1) {
+  if (count <= 0) return;
+  await this.updateOne({ _id: userId }, [
+    {
+      $set: {
+        'planUsage.posts.reserved': {
+          $max: [0, { $subtract: [{ $ifNull: ['$planUsage.posts.reserved', 0] }, count] }],
+        },
+      },
+    },
+  ]);
+};
+
+// Move the reservation of a published post into usage
+userSchema.statics.commitPublishedPost = async function (userId) {
+  await this.syncUsagePeriod(userId);
+  await this.updateOne({ _id: userId }, [
+    {
+      $set: {
+        'planUsage.posts.used': { $add: ['$planUsage.posts.used', 1] },
+        'planUsage.posts.reserved': {
+          $max: [0, { $subtract: [{ $ifNull: ['$planUsage.posts.reserved', 0] }, 1] }],
+        },
+      },
+    },
+  ]);
+};
+
+// Switch plan; the post and idea totals become the new plan's limits
+userSchema.methods.applyPlan = function (plan) {
+  const { name, limits } = getPlan(plan);
+  this.plan = name;
+  this.planUsage.posts.total = limits.posts;
+  this.planUsage.ideas.total = limits.ideas;
+  return this;
+};
+
+/**
+ * Start a new billing period when the current one has ended, resetting the
+ * monthly counters. Conditional on the stored period so concurrent requests
+ * reset once. Returns the up-to-date user
+ */
+userSchema.statics.syncUsagePeriod = async function (userOrId, now = new Date()) {
+  const user = userOrId instanceof this ? userOrId : await this.findById(userOrId);
+  if (!user) return null;
+
+  const { periodEnd } = user.planUsage;
+  if (periodEnd && periodEnd > now) return user;
+
+  const { start, end } = billingPeriod(user.billingAnchor || user.createdAt || now, now);
+  const update = { 'planUsage.periodStart': start, 'planUsage.periodEnd': end };
+  // Accounts from before billing periods keep their counts for the first one
+  if (periodEnd) {
+    update['planUsage.posts.used'] = 0;
+    update['planUsage.ideas.used'] = 0;
+  }
+
+  const updated = await this.findOneAndUpdate(
+    { _id: user._id, 'planUsage.periodEnd': periodEnd || null },
+    { $set: update },
+    { new: true }
+  );
+  return updated || this.findById(user._id);
+};
+
+// Count idea generations if they fit the plan; false when they don't.
+// Conditional on the limit so concurrent requests can't go over it
+userSchema.statics.reserveIdeas = async function (userId, count = 1) {
+  await this.syncUsagePeriod(userId);
+  const result = await this.updateOne(
+    {
+      _id: userId,
+      $expr: { $lte: [{ $add: ['$planUsage.ideas.used', count] }, '$planUsage.ideas.total'] },
+    },
+    { $inc: { 'planUsage.ideas.used': count } }
+  );
+  return result.modifiedCount > 0;
+};
+
+// Give back reserved generations that produced no ideas
+userSchema.statics.releaseIdeas = async function (userId, count = 1) {
+  if (count <= 0) return;
+  await this.updateOne({ _id: userId }, [
+    {
+      $set: {
+        'planUsage.ideas.used': { $max: [0, { $subtract: ['$planUsage.ideas.used', count] }] },
+      },
+    },
+  ]);
+};
+
+// Add (or with negative bytes, remove) uploaded media
+userSchema.statics.addStorage = async function (userId, bytes) {
+  if (!bytes) return;
+  await this.updateOne({ _id: userId }, [
+    {
+      $set: {
+        'planUsage.storage.used': {
+          $max: [0, { $add: [{ $ifNull: ['$planUsage.storage.used', 0] }, bytes] }],
+        },
+      },
+    },
+  ]);
+};
+
+// Billing webhooks find the user by the provider's customer ID
+userSchema.index({ 'billing.customerId': 1 });
+
 const User = mongoose.model('User', userSchema);
 module.exports = User;
\ No newline at end of file
@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+const { ROLES } = require('../utils/permissions');
+
+const DUPLICATE_KEY_ERROR = 11000;
+
+const memberSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  role: {
+    type: String,
+    enum: ROLES,
+    required: true
+  },
+  joinedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Organization owning social accounts and content, shared by its members
+const workspaceSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  ownerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Every user has one, holding what they created before joining others
+  personal: {
+    type: Boolean,
+    default: false
+  },
+  members: [memberSchema],
+  // Members must have two-factor authentication enabled to work in the workspace
+  requireTwoFactor: {
+    type: Boolean,
+    default: false
+  },
+  // Posts must be approved by a reviewer before they are published
+  requireApproval: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+workspaceSchema.index({ 'members.userId': 1 });
+workspaceSchema.index({ ownerId: 1 }, { unique: true, partialFilterExpression: { personal: true } });
+
+// Role of a user in the workspace, null for non-members
+workspaceSchema.methods.roleOf = function(userId) {
+  const member = this.members.find(item => item.userId.toString() === userId.toString());
+  return member ? member.role : null;
+};
+
+/**
+ * The user's personal workspace, created on first use. Content the user
+ * created before workspaces existed is moved into it
+ */
+workspaceSchema.statics.ensurePersonal = async function(user) {
+  const existing = await this.findOne({ ownerId: user._id, personal: true });
+  if (existing) return existing;
+
+  let workspace;
+  try {
+    workspace = await this.create({
+      name: `${user.name}'s workspace`,
+      ownerId: user._id,
+      personal: true,
+      members: [{ userId: user._id, role: 'owner' }]
+    });
+  } catch (error) {
+    // Created by a concurrent request
+    if (error.code === DUPLICATE_KEY_ERROR) {
+      return this.findOne({ ownerId: user._id, personal: true });
+    }
+    throw error;
+  }
+
+  const contentModels = [
+    require('./account.model'),
+    require('./post.model'),
+    require('./idea.model'),
+    require('./MediaFile'),
+    require('./evergreenItem.model'),
+    require('./postSeries.model'),
+    require('./postGroup.model')
+  ];
+  for (const Model of contentModels) {
+    await Model.updateMany({ userId: user._id, workspaceId: null }, { $set: { workspaceId: workspace._id } });
+  }
+
+  console.log(`🏢 Created personal workspace for user ${user._id}`);
+  return workspace;
+};
+
+module.exports = mongoose.model('Workspace', workspaceSchema);
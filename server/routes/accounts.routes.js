@@ -5,22 +5,52 @@ const {
   disconnectAccount, 
   getAccounts, 
   syncAccount, 
-  deleteAccount 
+  deleteAccount,
+  getPostingSchedule,
+  updatePostingSchedule,
+  getLinkedInAuthUrl,
+  completeLinkedInAuth,
+  connectLinkedInAccounts,
+  getMastodonAuthUrl,
+  completeMastodonAuth,
+  getOAuthUrl,
+  completeOAuth,
+  connectOAuthAccounts
 } = require('../controllers/accounts.controller'); 
+const { requirePermission } = require('../middleware/workspace.middleware');
 
 // Get all connected accounts for authenticated user
-router.get('/', getAccounts);
+router.get('/', requirePermission('content:read'), getAccounts);
 
 // Connect a new social media account
-router.post('/connect', connectAccount);
+router.post('/connect', requirePermission('accounts:manage'), connectAccount);
+
+// LinkedIn OAuth: consent URL, callback, then pick profile/pages to connect
+router.get('/linkedin/auth-url', requirePermission('accounts:manage'), getLinkedInAuthUrl);
+router.post('/linkedin/callback', requirePermission('accounts:manage'), completeLinkedInAuth);
+router.post('/linkedin/connect', requirePermission('accounts:manage'), connectLinkedInAccounts);
+
+// Mastodon OAuth: consent URL on the user's server, then the callback
+router.get('/mastodon/auth-url', requirePermission('accounts:manage'), getMastodonAuthUrl);
+router.post('/mastodon/callback', requirePermission('accounts:manage'), completeMastodonAuth);
+
+// OAuth connect (Twitter, Facebook, Instagram): consent URL, callback, then
+// pick the pages to connect for Facebook Login
+router.get('/oauth/:platform/auth-url', requirePermission('accounts:manage'), getOAuthUrl);
+router.post('/oauth/:platform/callback', requirePermission('accounts:manage'), completeOAuth);
+router.post('/oauth/:platform/connect', requirePermission('accounts:manage'), connectOAuthAccounts);
 
 // Disconnect a connected account
-router.post('/:accountId/disconnect', disconnectAccount);
+router.post('/:accountId/disconnect', requirePermission('accounts:manage'), disconnectAccount);
 
 // Manually sync stats for a connected account
-router.post('/:accountId/sync', syncAccount);
+router.post('/:accountId/sync', requirePermission('content:publish'), syncAccount);
+
+// Weekly queue slots for "add to queue" posts
+router.get('/:accountId/schedule', requirePermission('content:read'), getPostingSchedule);
+router.put('/:accountId/schedule', requirePermission('accounts:manage'), updatePostingSchedule);
 
 // Delete a social media account
-router.delete('/:accountId', deleteAccount);
+router.delete('/:accountId', requirePermission('accounts:manage'), deleteAccount);
 
 module.exports = router;
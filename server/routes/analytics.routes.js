@@ -8,6 +8,10 @@ const {
   getAudienceDemographics,
   getComparisonAnalytics
 } = require('../controllers/analytics.controller');
+const { requirePermission } = require('../middleware/workspace.middleware');
+
+// Every member of the workspace can see its analytics
+router.use(requirePermission('content:read'));
 
 // Dashboard overview - get comprehensive analytics
 router.get('/dashboard', getDashboardAnalytics);
@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getApprovals,
+  submitPost,
+  approvePost,
+  rejectPost,
+  getComments,
+  createComment
+} = require('../controllers/approval.controller');
+const { requirePermission } = require('../middleware/workspace.middleware');
+
+router.get('/', requirePermission('content:read'), getApprovals);
+router.post('/:postId/submit', requirePermission('content:create'), submitPost);
+router.post('/:postId/approve', requirePermission('content:publish'), approvePost);
+router.post('/:postId/reject', requirePermission('content:publish'), rejectPost);
+router.get('/:postId/comments', requirePermission('content:read'), getComments);
+router.post('/:postId/comments', requirePermission('content:create'), createComment);
+
+module.exports = router;
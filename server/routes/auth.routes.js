@@ -1,13 +1,58 @@
 const express = require('express');
 const router = express.Router();
-const { register, login, getProfile, updateProfile } = require('../controllers/auth.controller');
+const {
+  register,
+  login,
+  loginTwoFactor,
+  getProfile,
+  updateProfile,
+  refresh,
+  logout,
+  logoutAll,
+  getSessions,
+  deleteSession
+} = require('../controllers/auth.controller');
+const {
+  getTwoFactor,
+  setupTwoFactor,
+  confirmTwoFactor,
+  removeTwoFactor,
+  createRecoveryCodes
+} = require('../controllers/twoFactor.controller');
+const {
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword
+} = require('../controllers/accountEmail.controller');
 const { authenticateToken } = require('../middleware/auth.middleware');
 
 router.post('/register', register);
 router.post('/login', login);
+router.post('/login/2fa', loginTwoFactor);
+router.post('/refresh', refresh);
+router.post('/logout', authenticateToken, logout);
+router.post('/logout-all', authenticateToken, logoutAll);
 router.get('/profile', authenticateToken, getProfile);
 router.put('/profile', authenticateToken, updateProfile);
 
+// Email verification and password reset, with the tokens sent by email
+router.post('/email/verify', verifyEmail);
+router.post('/email/resend', authenticateToken, resendVerification);
+router.post('/password/forgot', forgotPassword);
+router.post('/password/reset', resetPassword);
+
+// Signed-in devices
+router.get('/sessions', authenticateToken, getSessions);
+router.delete('/sessions/:sessionId', authenticateToken, deleteSession);
+
+// Two-factor authentication: status, enrollment (setup then enable), recovery codes
+router.get('/2fa', authenticateToken, getTwoFactor);
+router.post('/2fa/setup', authenticateToken, setupTwoFactor);
+router.post('/2fa/enable', authenticateToken, confirmTwoFactor);
+router.post('/2fa/disable', authenticateToken, removeTwoFactor);
+router.post('/2fa/recovery-codes', authenticateToken, createRecoveryCodes);
+
 // ✅ Add this line to support /auth/verify from frontend
 router.get('/verify', authenticateToken, (req, res) => {
   res.json({ user: req.user });
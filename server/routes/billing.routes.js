@@ -0,0 +1,31 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getBilling,
+  startCheckout,
+  openPortal,
+  receiveWebhook,
+  completeFakeCheckoutSession,
+  cancelFakeSubscriptionNow
+} = require('../controllers/billing.controller');
+const { checkBillingConfiguration } = require('../services/billing.service');
+const { authenticateToken } = require('../middleware/auth.middleware');
+
+// Called by the billing provider, authenticated by its signature
+router.post('/webhook', receiveWebhook);
+
+router.get('/', authenticateToken, getBilling);
+router.post('/checkout', authenticateToken, startCheckout);
+router.post('/portal', authenticateToken, openPortal);
+
+// Throws at startup when the provider is misconfigured, e.g. the fake
+// provider in production or without a webhook secret
+const billingProvider = checkBillingConfiguration();
+
+// Test checkout and portal, only when the fake provider is explicitly chosen
+if (billingProvider === 'fake') {
+  router.post('/fake/checkout/:sessionId', authenticateToken, completeFakeCheckoutSession);
+  router.post('/fake/cancel', authenticateToken, cancelFakeSubscriptionNow);
+}
+
+module.exports = router;
@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getEvergreenItems,
+  createEvergreenItem,
+  updateEvergreenItem,
+  deleteEvergreenItem
+} = require('../controllers/evergreen.controller');
+const { requirePermission } = require('../middleware/workspace.middleware');
+
+router.get('/', requirePermission('content:read'), getEvergreenItems);
+router.post('/', requirePermission('content:publish'), createEvergreenItem);
+router.put('/:itemId', requirePermission('content:publish'), updateEvergreenItem);
+router.delete('/:itemId', requirePermission('content:publish'), deleteEvergreenItem);
+
+module.exports = router;
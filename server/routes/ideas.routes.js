@@ -7,9 +7,10 @@ const {
   convertIdeaToPost,
   deleteIdea
 } = require('../controllers/ideas.controller');
-router.post('/generate', generateIdeas);
-router.get('/', getSavedIdeas);
-router.put('/:ideaId/feedback', updateIdeaFeedback);
-router.post('/:ideaId/convert', convertIdeaToPost);
-router.delete('/:ideaId', deleteIdea);
+const { requirePermission } = require('../middleware/workspace.middleware');
+router.post('/generate', requirePermission('content:create'), generateIdeas);
+router.get('/', requirePermission('content:read'), getSavedIdeas);
+router.put('/:ideaId/feedback', requirePermission('content:create'), updateIdeaFeedback);
+router.post('/:ideaId/convert', requirePermission('content:publish'), convertIdeaToPost);
+router.delete('/:ideaId', requirePermission('content:create'), deleteIdea);
 module.exports = router;
\ No newline at end of file
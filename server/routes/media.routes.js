@@ -7,18 +7,25 @@ const {
   deleteMedia 
 } = require('../controllers/media.controller');
 const { cloudinary } = require('../config/cloudinary'); // Moved this require to the top
+const User = require('../models/user.model');
+const { requirePermission } = require('../middleware/workspace.middleware');
 
 // Upload media files
-router.post('/upload', upload.array('files', 10), uploadMedia);
+router.post(
+  '/upload',
+  requirePermission('content:create'),
+  upload.array('files', 10),
+  uploadMedia
+);
 
 // Get upload configuration for platform
-router.get('/config', getUploadConfig);
+router.get('/config', requirePermission('content:read'), getUploadConfig);
 
 // Delete media from Cloudinary
-router.delete('/', deleteMedia);
+router.delete('/', requirePermission('content:create'), deleteMedia);
 
 // Bulk delete media
-router.delete('/bulk', async (req, res) => {
+router.delete('/bulk', requirePermission('content:create'), async (req, res) => {
   try {
     const { publicIds } = req.body;
     
@@ -28,6 +35,11 @@ router.delete('/bulk', async (req, res) => {
       });
     }
 
+    // Sizes of the files, to give their storage back once deleted
+    const resources = await Promise.all(
+      publicIds.map(publicId => cloudinary.api.resource(publicId).catch(() => null))
+    );
+
     // Delete multiple resources
     const deleteResults = await Promise.allSettled(
       publicIds.map(publicId => 
@@ -35,7 +47,10 @@ router.delete('/bulk', async (req, res) => {
       )
     );
 
-    const successful = deleteResults.filter(r => r.status === 'fulfilled' && r.value.result === 'ok').length;
+    const deleted = deleteResults.map(r => r.status === 'fulfilled' && r.value.result === 'ok');
+    const successful = deleted.filter(Boolean).length;
+    const freedBytes = resources.reduce((sum, resource, index) => sum + (deleted[index] ? resource?.bytes || 0 : 0), 0);
+    await User.addStorage(req.user.userId, -freedBytes);
     const failed = deleteResults.length - successful;
 
     res.json({
@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getNotifications,
+  readNotification,
+  readAllNotifications
+} = require('../controllers/notifications.controller');
+
+router.get('/', getNotifications);
+router.post('/read-all', readAllNotifications);
+router.post('/:notificationId/read', readNotification);
+
+module.exports = router;
@@ -6,26 +6,59 @@ const {
   updatePost, 
   deletePost,
   getPostAnalytics,
+  retryFirstComment,
   getSchedulerStatus,
   triggerScheduler,
-  getConnectionHealth
+  getConnectionHealth,
+  getSeries,
+  createSeries,
+  updateSeries,
+  deleteSeries,
+  getPostQueue,
+  updateQueueOrder,
+  getGroups,
+  getGroup,
+  createGroup,
+  updateGroup,
+  deleteGroup
 } = require('../controllers/scheduler.controller');
+const { requirePermission, workspaceScope } = require('../middleware/workspace.middleware');
+const { requireOperator } = require('../middleware/auth.middleware');
+
+// Account posting queue
+router.get('/queue', requirePermission('content:read'), getPostQueue);
+router.put('/queue/order', requirePermission('content:publish'), updateQueueOrder);
+
+// Recurring series
+router.get('/series', requirePermission('content:read'), getSeries);
+router.post('/series', requirePermission('content:publish'), createSeries);
+router.put('/series/:seriesId', requirePermission('content:publish'), updateSeries);
+router.delete('/series/:seriesId', requirePermission('content:publish'), deleteSeries);
+
+// Cross-post groups
+router.get('/groups', requirePermission('content:read'), getGroups);
+router.post('/groups', requirePermission('content:publish'), createGroup);
+router.get('/groups/:groupId', requirePermission('content:read'), getGroup);
+router.put('/groups/:groupId', requirePermission('content:publish'), updateGroup);
+router.delete('/groups/:groupId', requirePermission('content:publish'), deleteGroup);
 
 // Post CRUD operations
-router.get('/', getPosts);
-router.post('/', createPost);
-router.put('/:postId', updatePost);
-router.delete('/:postId', deletePost);
-router.get('/:postId/analytics', getPostAnalytics);
+router.get('/', requirePermission('content:read'), getPosts);
+router.post('/', requirePermission('content:create'), createPost);
+router.put('/:postId', requirePermission('content:create'), updatePost);
+router.delete('/:postId', requirePermission('content:create'), deletePost);
+router.get('/:postId/analytics', requirePermission('content:read'), getPostAnalytics);
+router.post('/:postId/first-comment', requirePermission('content:publish'), retryFirstComment);
 
 // Scheduler management endpoints (missing from your routes)
-router.get('/stats', getSchedulerStatus);
-router.get('/status', getSchedulerStatus); // Alias for stats
-router.post('/trigger', triggerScheduler);
-router.get('/health', getConnectionHealth);
+router.get('/stats', requirePermission('content:read'), getSchedulerStatus);
+router.get('/status', requirePermission('content:read'), getSchedulerStatus); // Alias for stats
+// Triggering, starting and stopping act on publishing for every workspace
+router.post('/trigger', requireOperator, triggerScheduler);
+router.get('/health', requirePermission('content:read'), getConnectionHealth);
 
 // Additional endpoints your frontend expects
-router.post('/start', async (req, res) => {
+router.post('/start', requireOperator, async (req, res) => {
   try {
     const { startScheduler } = require('../services/scheduler.service');
     await startScheduler();
@@ -35,7 +68,7 @@ router.post('/start', async (req, res) => {
   }
 });
 
-router.post('/stop', async (req, res) => {
+router.post('/stop', requireOperator, async (req, res) => {
   try {
     const { stopScheduler } = require('../services/scheduler.service');
     await stopScheduler();
@@ -45,25 +78,25 @@ router.post('/stop', async (req, res) => {
   }
 });
 
-router.get('/report', async (req, res) => {
+router.get('/report', requirePermission('content:read'), async (req, res) => {
   try {
     const { getPublishingReport } = require('../services/scheduler.service');
     const hours = parseInt(req.query.hours) || 24;
-    const report = await getPublishingReport(hours);
+    const report = await getPublishingReport(req.workspace.id, hours);
     res.json(report);
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
 });
 
-router.post('/:postId/retry', async (req, res) => {
+router.post('/:postId/retry', requirePermission('content:publish'), async (req, res) => {
   try {
     const { postId } = req.params;
     const Post = require('../models/post.model');
     
     const post = await Post.findOne({
       _id: postId,
-      userId: req.user.userId,
+      ...workspaceScope(req),
       status: 'failed'
     });
 
@@ -71,13 +104,19 @@ router.post('/:postId/retry', async (req, res) => {
       return res.status(404).json({ message: 'Failed post not found' });
     }
 
-    // Reset post to scheduled status
-    post.status = 'scheduled';
+    // Manual retries count against the same limit as automatic ones
+    if (!post.canRetry()) {
+      return post.retryCount >= 3
+        ? res.status(409).json({ message: 'This post has reached the retry limit' })
+        : res.status(429).json({ message: 'Wait a few minutes before retrying this post again' });
+    }
+
+    // Reset post to scheduled status; a thread resumes after its last published segment
+    post.prepareForRetry();
     post.scheduledDate = new Date();
-    post.publishError = '';
     post.failedAt = null;
-    post.retryCount = (post.retryCount || 0) + 1;
-    
+    post.queued = false; // Retried right away rather than in a queue slot
+
     await post.save();
     res.json(post);
   } catch (error) {
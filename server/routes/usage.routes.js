@@ -0,0 +1,8 @@
+const express = require('express');
+const router = express.Router();
+const { getUsage, getPlans } = require('../controllers/usage.controller');
+
+router.get('/', getUsage);
+router.get('/plans', getPlans);
+
+module.exports = router;
@@ -0,0 +1,38 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getWorkspaces,
+  createWorkspace,
+  updateWorkspace,
+  updateSecurity,
+  updateApproval,
+  getMembers,
+  inviteMember,
+  revokeInvitation,
+  acceptInvitation,
+  updateMemberRole,
+  removeMember
+} = require('../controllers/workspaces.controller');
+const { resolveWorkspace, requirePermission } = require('../middleware/workspace.middleware');
+
+// My workspaces, and new ones owned by me
+router.get('/', getWorkspaces);
+router.post('/', createWorkspace);
+
+// Join a workspace with the token of an invitation sent to my email
+router.post('/invitations/accept', acceptInvitation);
+
+router.put('/:workspaceId', resolveWorkspace, requirePermission('workspace:manage'), updateWorkspace);
+router.put('/:workspaceId/security', resolveWorkspace, requirePermission('members:manage'), updateSecurity);
+router.put('/:workspaceId/approval', resolveWorkspace, requirePermission('workspace:manage'), updateApproval);
+
+// Members and invitations
+router.get('/:workspaceId/members', resolveWorkspace, requirePermission('content:read'), getMembers);
+router.post('/:workspaceId/invitations', resolveWorkspace, requirePermission('members:manage'), inviteMember);
+router.delete('/:workspaceId/invitations/:invitationId', resolveWorkspace, requirePermission('members:manage'), revokeInvitation);
+router.put('/:workspaceId/members/:userId', resolveWorkspace, requirePermission('members:manage'), updateMemberRole);
+
+// Anyone can leave; removing others is checked in the controller
+router.delete('/:workspaceId/members/:userId', resolveWorkspace, requirePermission('content:read'), removeMember);
+
+module.exports = router;
@@ -12,9 +12,17 @@ const analyticsRoutes = require('./routes/analytics.routes');
 const ideasRoutes = require('./routes/ideas.routes');
 const { authenticateToken } = require('./middleware/auth.middleware');
 const { initScheduler } = require('./services/scheduler.service');
-const { getConnectionStatus, validateSocialMediaCredentials } = require('./services/social-media.service');
+const { getConnectionStatus } = require('./services/social-media.service');
 const Account = require('./models/account.model');
 const mediaRoutes = require('./routes/media.routes');
+const evergreenRoutes = require('./routes/evergreen.routes');
+const approvalRoutes = require('./routes/approval.routes');
+const notificationsRoutes = require('./routes/notifications.routes');
+const workspacesRoutes = require('./routes/workspaces.routes');
+const usageRoutes = require('./routes/usage.routes');
+const billingRoutes = require('./routes/billing.routes');
+const { resolveWorkspace, requirePermission } = require('./middleware/workspace.middleware');
+const { syncUsage, enforceQuotas } = require('./middleware/quota.middleware');
 
 
 const app = express();
@@ -26,6 +34,9 @@ app.use(cors({
   credentials: true
 }));
 
+// Billing webhooks are verified against the exact bytes sent, so they
+// skip the JSON parser
+app.use('/api/billing/webhook', express.raw({ type: 'application/json' }));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
@@ -62,43 +73,6 @@ async function connectToDatabase() {
   }
 }
 
-// Enhanced account validation functions
-function validateAccountCredentials(account) {
-  const platform = account.platform.toLowerCase();
-  
-  switch (platform) {
-    case 'twitter':
-      return !!(account.apiKey && account.apiSecret && account.accessToken && account.accessTokenSecret);
-    case 'instagram':
-    case 'facebook':
-      return !!(account.accessToken && (account.apiKey || account.facebookAppId));
-    default:
-      return false;
-  }
-}
-
-function getMissingCredentials(account) {
-  const platform = account.platform.toLowerCase();
-  const missing = [];
-  
-  switch (platform) {
-    case 'twitter':
-      if (!account.apiKey) missing.push('API Key');
-      if (!account.apiSecret) missing.push('API Secret');
-      if (!account.accessToken) missing.push('Access Token');
-      if (!account.accessTokenSecret) missing.push('Access Token Secret');
-      break;
-    case 'instagram':
-    case 'facebook':
-      if (!account.accessToken) missing.push('Access Token');
-      if (!account.apiKey && !account.facebookAppId) missing.push('App ID');
-      if (!account.apiSecret && !account.facebookAppSecret) missing.push('App Secret');
-      break;
-  }
-  
-  return missing;
-}
-
 ///scheduler initialization 
 async function initializeScheduler() {
   console.log('\n Initializing Social Media Scheduler...');
@@ -113,6 +87,10 @@ async function initializeScheduler() {
     // Then auto-manage based on account status
     await autoManageScheduler();
 
+    // Renew Facebook/Instagram tokens in the background
+    const { startTokenRefresh } = require('./services/token-refresh.service');
+    startTokenRefresh();
+
     // Fetch connected accounts
     const accounts = await Account.find({ connected: true }).lean();
 
@@ -134,16 +112,10 @@ async function initializeScheduler() {
  
 const accounts = await Account.find({});
 for (const account of accounts) {
-  const hasRequiredCredentials = validateAccountCredentials(account);
+  const hasRequiredCredentials = account.hasRequiredCredentials();
   if (hasRequiredCredentials) {
     try {
-      const connectionStatus = await getConnectionStatus(
-        account.platform,
-        account.apiKey || account.facebookAppId,
-        account.apiSecret || account.facebookAppSecret,
-        account.accessToken,
-        account.accessTokenSecret
-      );
+      const connectionStatus = await getConnectionStatus(account);
       account.connected = connectionStatus.connected;
       account.syncStatus = connectionStatus.connected ? 'success' : 'failed';
       account.syncError = connectionStatus.connected ? '' : connectionStatus.message;
@@ -163,11 +135,21 @@ for (const account of accounts) {
 
 // Routes
 app.use('/api/auth', authRoutes);
-app.use('/api/accounts', authenticateToken, accountsRoutes);
-app.use('/api/scheduler', authenticateToken, schedulerRoutes);
-app.use('/api/analytics', authenticateToken, analyticsRoutes);
-app.use('/api/ideas', authenticateToken, ideasRoutes);
-app.use('/api/media', authenticateToken, mediaRoutes);
+// Content routes act on the workspace selected by the X-Workspace-Id header.
+// syncUsage starts a new billing period when the last one ended, and
+// enforceQuotas applies the plan limits of QUOTA_ROUTES
+const contentMiddleware = [authenticateToken, syncUsage, resolveWorkspace, enforceQuotas];
+app.use('/api/accounts', contentMiddleware, accountsRoutes);
+app.use('/api/scheduler', contentMiddleware, schedulerRoutes);
+app.use('/api/analytics', contentMiddleware, analyticsRoutes);
+app.use('/api/ideas', contentMiddleware, ideasRoutes);
+app.use('/api/media', contentMiddleware, mediaRoutes);
+app.use('/api/evergreen', contentMiddleware, evergreenRoutes);
+app.use('/api/approvals', contentMiddleware, approvalRoutes);
+app.use('/api/usage', contentMiddleware, usageRoutes);
+app.use('/api/notifications', authenticateToken, notificationsRoutes);
+app.use('/api/workspaces', authenticateToken, syncUsage, enforceQuotas, workspacesRoutes);
+app.use('/api/billing', billingRoutes);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -207,14 +189,18 @@ app.get('/api/status', async (req, res) => {
   }
 });
 
+// Debug endpoints act on the accounts of the selected workspace, for members
+// who may manage them
+const debugMiddleware = [authenticateToken, resolveWorkspace, requirePermission('accounts:manage')];
+
 // Enhanced debug endpoint
-app.get('/api/debug/accounts', authenticateToken, async (req, res) => {
+app.get('/api/debug/accounts', debugMiddleware, async (req, res) => {
   try {
-    const accounts = await Account.find({ userId: req.user.userId }).select('-__v');
+    const accounts = await Account.find({ workspaceId: req.workspace.id }).select('-__v');
     
     const accountDetails = accounts.map(account => {
-      const hasRequiredCredentials = validateAccountCredentials(account);
-      const missingCredentials = getMissingCredentials(account);
+      const hasRequiredCredentials = account.hasRequiredCredentials();
+      const missingCredentials = account.getMissingCredentials();
       
       return {
         id: account._id,
@@ -234,7 +220,7 @@ app.get('/api/debug/accounts', authenticateToken, async (req, res) => {
     });
     
     res.json({
-      userId: req.user.userId,
+      workspaceId: req.workspace.id,
       summary: {
         totalAccounts: accounts.length,
         connectedAccounts: accounts.filter(acc => acc.connected).length,
@@ -251,18 +237,18 @@ app.get('/api/debug/accounts', authenticateToken, async (req, res) => {
   }
 });
 
-app.post('/api/debug/test-connections', authenticateToken, async (req, res) => {
+app.post('/api/debug/test-connections', debugMiddleware, async (req, res) => {
   try {
-    const accounts = await Account.find({ userId: req.user.userId });
+    const accounts = await Account.find({ workspaceId: req.workspace.id });
     const connectionResults = [];
     
     console.log(`🔍 Testing connections for ${accounts.length} account(s)...`);
     
     for (const account of accounts) {
-      const hasRequiredCredentials = validateAccountCredentials(account);
+      const hasRequiredCredentials = account.hasRequiredCredentials();
       
       if (!hasRequiredCredentials) {
-        const missingCreds = getMissingCredentials(account);
+        const missingCreds = account.getMissingCredentials();
         connectionResults.push({
           accountId: account._id,
           platform: account.platform,
@@ -278,13 +264,7 @@ app.post('/api/debug/test-connections', authenticateToken, async (req, res) => {
       try {
         console.log(`   Testing ${account.platform} (@${account.username})...`);
         
-        const connectionStatus = await getConnectionStatus(
-          account.platform,
-          account.apiKey || account.facebookAppId,
-          account.apiSecret || account.facebookAppSecret,
-          account.accessToken,
-          account.accessTokenSecret
-        );
+        const connectionStatus = await getConnectionStatus(account);
         
         connectionResults.push({
           accountId: account._id,
@@ -347,19 +327,19 @@ app.post('/api/debug/test-connections', authenticateToken, async (req, res) => {
 });
 
 // Enhanced account fixing endpoint
-app.post('/api/debug/fix-accounts', authenticateToken, async (req, res) => {
+app.post('/api/debug/fix-accounts', debugMiddleware, async (req, res) => {
   try {
     const { action = 'auto' } = req.body;
-    const accounts = await Account.find({ userId: req.user.userId });
+    const accounts = await Account.find({ workspaceId: req.workspace.id });
     const fixedAccounts = [];
     const actions = [];
     
     for (const account of accounts) {
-      const hasRequiredCredentials = validateAccountCredentials(account);
+      const hasRequiredCredentials = account.hasRequiredCredentials();
       
       // Fix accounts marked as connected but missing credentials
       if (!hasRequiredCredentials && account.connected) {
-        const missingCredentials = getMissingCredentials(account);
+        const missingCredentials = account.getMissingCredentials();
         
         account.connected = false;
         account.syncStatus = 'disconnected';
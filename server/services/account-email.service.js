@@ -0,0 +1,101 @@
+const { sendMail } = require("./mailer.service");
+const { issueAccountToken } = require("./account-token.service");
+
+function clientUrl(pathname) {
+  return `${process.env.CLIENT_URL || "http://localhost:5173"}${pathname}`;
+}
+
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+}
+
+// Text and HTML versions of a short email with one link
+function renderEmail({ greeting, paragraphs, link, action, footer }) {
+  const text = [greeting, ...paragraphs, `${action}: ${link}`, footer].filter(Boolean).join("\n\n");
+  const html = [
+    `<p>${escapeHtml(greeting)}</p>`,
+    ...paragraphs.map((paragraph) => `<p>${escapeHtml(paragraph)}</p>`),
+    `<p><a href="${escapeHtml(link)}">${escapeHtml(action)}</a></p>`,
+    footer && `<p style="color:#6b7280;font-size:12px">${escapeHtml(footer)}</p>`,
+  ]
+    .filter(Boolean)
+    .join("\n");
+  return { text, html };
+}
+
+/**
+ * Emails about the user's account: address verification, password reset
+ * and workspace invitations. Links point to the client (CLIENT_URL)
+ */
+class AccountEmailService {
+  async sendVerification(user) {
+    const token = await issueAccountToken(user, "verify_email");
+    return sendMail({
+      to: user.email,
+      subject: "Verify your email address",
+      ...renderEmail({
+        greeting: `Hi ${user.name},`,
+        paragraphs: ["Please confirm that this is your email address for SocialGrow."],
+        link: clientUrl(`/verify-email?token=${encodeURIComponent(token)}`),
+        action: "Verify email address",
+        footer: "The link is valid for 48 hours. If you didn't create an account, ignore this email.",
+      }),
+    });
+  }
+
+  async sendPasswordReset(user) {
+    const token = await issueAccountToken(user, "reset_password");
+    return sendMail({
+      to: user.email,
+      subject: "Reset your password",
+      ...renderEmail({
+        greeting: `Hi ${user.name},`,
+        paragraphs: ["Someone asked to reset the password of your SocialGrow account."],
+        link: clientUrl(`/reset-password?token=${encodeURIComponent(token)}`),
+        action: "Choose a new password",
+        footer: "The link is valid for 1 hour and works once. If it wasn't you, ignore this email.",
+      }),
+    });
+  }
+
+  async sendPasswordChanged(user) {
+    return sendMail({
+      to: user.email,
+      subject: "Your password was changed",
+      ...renderEmail({
+        greeting: `Hi ${user.name},`,
+        paragraphs: [
+          "The password of your SocialGrow account was just reset, and all devices were signed out.",
+          "If this wasn't you, reset your password again right away.",
+        ],
+        link: clientUrl("/login"),
+        action: "Sign in",
+      }),
+    });
+  }
+
+  async sendInvitation({ email, inviterName, workspaceName, role, inviteUrl }) {
+    return sendMail({
+      to: email,
+      subject: `${inviterName} invited you to ${workspaceName} on SocialGrow`,
+      ...renderEmail({
+        greeting: "Hi,",
+        paragraphs: [`${inviterName} invited you to join the ${workspaceName} workspace as ${role}.`],
+        link: inviteUrl,
+        action: "Accept the invitation",
+        footer: `Sign in or create an account with ${email} to join. The invitation expires in 7 days.`,
+      }),
+    });
+  }
+}
+
+// Create singleton instance
+const accountEmailService = new AccountEmailService();
+
+module.exports = {
+  AccountEmailService,
+  sendVerificationEmail: accountEmailService.sendVerification.bind(accountEmailService),
+  sendPasswordResetEmail: accountEmailService.sendPasswordReset.bind(accountEmailService),
+  sendPasswordChangedEmail: accountEmailService.sendPasswordChanged.bind(accountEmailService),
+  sendInvitationEmail: accountEmailService.sendInvitation.bind(accountEmailService),
+};
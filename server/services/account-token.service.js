@@ -0,0 +1,83 @@
+const jwt = require("jsonwebtoken");
+const mongoose = require("mongoose");
+const AuthToken = require("../models/authToken.model");
+
+const TOKEN_TTL_MS = {
+  verify_email: 48 * 60 * 60 * 1000,
+  reset_password: 60 * 60 * 1000,
+};
+// Emails of one kind are sent at most this often to the same user
+const RESEND_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Tokens emailed to users for email verification and password reset. The
+ * token is a JWT (signature and expiry) naming a stored record, which makes
+ * it single-use and lets a newer email replace older ones
+ */
+class AccountTokenService {
+  // New token for the user's current email; unused older ones stop working
+  async issue(user, purpose) {
+    const ttl = TOKEN_TTL_MS[purpose];
+    if (!ttl) {
+      throw new Error(`Unknown token purpose: ${purpose}`);
+    }
+
+    await AuthToken.deleteMany({ userId: user._id, purpose, usedAt: null });
+    const record = await AuthToken.create({
+      userId: user._id,
+      purpose,
+      email: user.email,
+      expiresAt: new Date(Date.now() + ttl),
+    });
+
+    return jwt.sign({ sub: String(user._id), purpose }, process.env.JWT_SECRET, {
+      jwtid: String(record._id),
+      expiresIn: Math.floor(ttl / 1000),
+    });
+  }
+
+  // Whether a token of this kind was sent a moment ago
+  async recentlyIssued(userId, purpose) {
+    const recent = await AuthToken.exists({
+      userId,
+      purpose,
+      usedAt: null,
+      createdAt: { $gt: new Date(Date.now() - RESEND_INTERVAL_MS) },
+    });
+    return Boolean(recent);
+  }
+
+  /**
+   * Use up a token. Returns the { userId, email } it was sent for, or null
+   * when it is invalid, expired, replaced or already used
+   */
+  async consume(token, purpose) {
+    let decoded;
+    try {
+      decoded = jwt.verify(String(token || ""), process.env.JWT_SECRET);
+    } catch {
+      return null;
+    }
+    if (decoded.purpose !== purpose || !mongoose.isValidObjectId(decoded.jti)) {
+      return null;
+    }
+
+    // Conditional update, so the same link can't be used twice at once
+    const record = await AuthToken.findOneAndUpdate(
+      { _id: decoded.jti, userId: decoded.sub, purpose, usedAt: null, expiresAt: { $gt: new Date() } },
+      { $set: { usedAt: new Date() } },
+      { new: true }
+    );
+    return record ? { userId: record.userId, email: record.email } : null;
+  }
+}
+
+// Create singleton instance
+const accountTokenService = new AccountTokenService();
+
+module.exports = {
+  AccountTokenService,
+  issueAccountToken: accountTokenService.issue.bind(accountTokenService),
+  recentlyIssuedAccountToken: accountTokenService.recentlyIssued.bind(accountTokenService),
+  consumeAccountToken: accountTokenService.consume.bind(accountTokenService),
+};
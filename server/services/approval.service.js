@@ -0,0 +1,142 @@
+const mongoose = require('mongoose');
+const User = require('../models/user.model');
+const Workspace = require('../models/workspace.model');
+const { can } = require('../utils/permissions');
+
+/**
+ * Review step between writing a post and scheduling it.
+ *
+ * draft -> pending_review -> approved -> scheduled. The author submits a post
+ * to a reviewer; approving it schedules it right away when its date is still
+ * in the future, otherwise it waits in 'approved' until the author picks a new
+ * date. Rejecting sends it back to draft with the reviewer's reason.
+ * Methods change the post in memory and throw user-facing errors; callers save.
+ */
+class ApprovalService {
+  /**
+   * Find the reviewer by ID or email: a member of the workspace who may
+   * publish. Authors cannot review their own posts
+   */
+  async resolveReviewer({ reviewerId, reviewerEmail }, authorId, workspaceId) {
+    let reviewer = null;
+    if (reviewerId) {
+      if (!mongoose.Types.ObjectId.isValid(reviewerId)) {
+        throw new Error('Invalid reviewer');
+      }
+      reviewer = await User.findById(reviewerId).select('name email');
+    } else if (reviewerEmail) {
+      reviewer = await User.findOne({ email: reviewerEmail.trim().toLowerCase() }).select('name email');
+    } else {
+      throw new Error('A reviewer is required to submit a post for review');
+    }
+
+    if (!reviewer) {
+      throw new Error('Reviewer not found');
+    }
+    if (reviewer._id.toString() === authorId.toString()) {
+      throw new Error('You cannot review your own post');
+    }
+
+    const workspace = await Workspace.findById(workspaceId);
+    if (!can(workspace?.roleOf(reviewer._id), 'content:publish')) {
+      throw new Error('The reviewer must be an editor, admin or owner of this workspace');
+    }
+    return reviewer;
+  }
+
+  /**
+   * Hand a post to a reviewer. Edited approved posts come back through here too
+   */
+  submitForReview(post, reviewer) {
+    if (!['draft', 'approved', 'scheduled'].includes(post.status)) {
+      throw new Error(`A ${post.status.replace('_', ' ')} post cannot be submitted for review`);
+    }
+    // Queue slots only hold scheduled posts, so a queued post would silently lose its slot
+    if (post.queued) {
+      throw new Error('Remove the post from the queue before submitting it for review');
+    }
+
+    post.status = 'pending_review';
+    post.approval = {
+      status: 'pending',
+      reviewerId: reviewer._id,
+      requestedAt: new Date()
+    };
+    return post;
+  }
+
+  /**
+   * Send a previously approved post back to its reviewer after it was edited
+   */
+  requestReReview(post) {
+    if (post.approval?.status !== 'approved') return false;
+
+    post.status = 'pending_review';
+    post.approval.status = 'pending';
+    post.approval.requestedAt = new Date();
+    post.approval.decidedAt = undefined;
+    return true;
+  }
+
+  approve(post, reviewerId) {
+    this.assertReviewer(post, reviewerId);
+
+    post.approval.status = 'approved';
+    post.approval.decidedAt = new Date();
+    post.approval.rejectionReason = undefined;
+    // A post whose date passed during review needs a new date before it can be scheduled
+    post.status = post.scheduledDate > new Date() ? 'scheduled' : 'approved';
+    return post;
+  }
+
+  reject(post, reviewerId, reason) {
+    this.assertReviewer(post, reviewerId);
+
+    const rejectionReason = reason?.trim();
+    if (!rejectionReason) {
+      throw new Error('A reason is required to reject a post');
+    }
+
+    post.status = 'draft';
+    post.approval.status = 'rejected';
+    post.approval.decidedAt = new Date();
+    post.approval.rejectionReason = rejectionReason;
+    return post;
+  }
+
+  addComment(post, user, text) {
+    const comment = text?.trim();
+    if (!comment) {
+      throw new Error('Comment text is required');
+    }
+
+    post.reviewComments.push({
+      userId: user.userId,
+      authorName: user.name,
+      text: comment
+    });
+    return post.reviewComments[post.reviewComments.length - 1];
+  }
+
+  assertReviewer(post, reviewerId) {
+    if (post.status !== 'pending_review') {
+      throw new Error('Post is not waiting for review');
+    }
+    if (post.approval?.reviewerId?.toString() !== reviewerId.toString()) {
+      throw new Error('Only the assigned reviewer can review this post');
+    }
+  }
+}
+
+// Create singleton instance
+const approvalService = new ApprovalService();
+
+module.exports = {
+  ApprovalService,
+  resolveReviewer: approvalService.resolveReviewer.bind(approvalService),
+  submitForReview: approvalService.submitForReview.bind(approvalService),
+  requestReReview: approvalService.requestReReview.bind(approvalService),
+  approve: approvalService.approve.bind(approvalService),
+  reject: approvalService.reject.bind(approvalService),
+  addComment: approvalService.addComment.bind(approvalService)
+};
@@ -0,0 +1,276 @@
+const User = require("../models/user.model");
+const StripeProvider = require("./billing/stripe.provider");
+const FakeBillingProvider = require("./billing/fake.provider");
+const { WebhookSignatureError } = require("./billing/signature");
+const { DEFAULT_PLAN, getPlan, isPlan } = require("../utils/plans");
+
+// Subscription statuses that keep the paid plan; Stripe retries failed
+// payments while past_due
+const PAID_STATUSES = ["active", "trialing", "past_due"];
+
+const SUBSCRIPTION_EVENTS = [
+  "customer.subscription.created",
+  "customer.subscription.updated",
+  "customer.subscription.deleted",
+];
+
+class BillingError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "BillingError";
+    this.status = status;
+  }
+}
+
+/**
+ * Paid plans. Checkout and the customer portal are hosted by the billing
+ * provider, and its subscription webhooks (Stripe's event format) change
+ * the user's plan. Providers are registered by name and chosen with
+ * BILLING_PROVIDER (stripe or fake); without it, Stripe is used when
+ * STRIPE_SECRET_KEY is set and billing is off otherwise. A provider has
+ * a `name`, assertConfigured(), priceFor(plan), planFor(priceId),
+ * createCustomer, createCheckoutSession, createPortalSession and
+ * constructEvent(rawBody, signature)
+ */
+class BillingService {
+  constructor() {
+    this.providers = new Map();
+  }
+
+  registerProvider(provider) {
+    if (!provider?.name || typeof provider.constructEvent !== "function" || typeof provider.assertConfigured !== "function") {
+      throw new Error("Billing provider must have a name, assertConfigured and constructEvent methods");
+    }
+    this.providers.set(provider.name, provider);
+    return provider;
+  }
+
+  // Name of the configured provider; null when billing is off
+  providerName() {
+    return process.env.BILLING_PROVIDER || (process.env.STRIPE_SECRET_KEY ? "stripe" : null);
+  }
+
+  getProvider() {
+    const name = this.providerName();
+    if (!name) {
+      throw new BillingError("Billing is not set up on this server", 503);
+    }
+    const provider = this.providers.get(name);
+    if (!provider) {
+      throw new Error(`Unknown billing provider: ${name}`);
+    }
+    provider.assertConfigured();
+    return provider;
+  }
+
+  // Check the configuration at startup; returns the provider name or null
+  checkConfiguration() {
+    return this.providerName() ? this.getProvider().name : null;
+  }
+
+  // The user's customer ID with the provider, created on first checkout
+  async ensureCustomer(user) {
+    if (user.billing.customerId) {
+      return user.billing.customerId;
+    }
+
+    const customer = await this.getProvider().createCustomer({
+      email: user.email,
+      name: user.name,
+      userId: String(user._id),
+    });
+    const result = await User.updateOne(
+      { _id: user._id, "billing.customerId": null },
+      { $set: { "billing.customerId": customer.id } }
+    );
+    if (result.modifiedCount === 0) {
+      // Another checkout created one first
+      return (await User.findById(user._id).select("billing.customerId")).billing.customerId;
+    }
+    return customer.id;
+  }
+
+  async status(userId) {
+    const user = await User.findById(userId).select("plan billing");
+    if (!user) {
+      throw new BillingError("User not found", 404);
+    }
+    const plan = getPlan(user.plan);
+    return {
+      provider: this.providerName(),
+      plan: { name: plan.name, label: plan.label },
+      subscription: user.billing.subscriptionId
+        ? {
+            status: user.billing.status,
+            currentPeriodEnd: user.billing.currentPeriodEnd,
+            cancelAtPeriodEnd: user.billing.cancelAtPeriodEnd,
+          }
+        : null,
+      canManage: Boolean(user.billing.customerId),
+    };
+  }
+
+  // Hosted checkout page for subscribing to a paid plan
+  async createCheckout(userId, plan, { successUrl, cancelUrl }) {
+    const provider = this.getProvider();
+    if (!isPlan(plan) || plan === DEFAULT_PLAN || !provider.priceFor(plan)) {
+      throw new BillingError("This plan cannot be bought");
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      throw new BillingError("User not found", 404);
+    }
+    if (user.billing.subscriptionId && PAID_STATUSES.includes(user.billing.status)) {
+      throw new BillingError("You already have a subscription. Change plans from the billing portal.", 409);
+    }
+
+    const customerId = await this.ensureCustomer(user);
+    const session = await provider.createCheckoutSession({
+      customerId,
+      plan,
+      userId: String(user._id),
+      successUrl,
+      cancelUrl,
+    });
+    console.log(`💳 Checkout for ${plan} started by user ${user._id}`);
+    return { url: session.url };
+  }
+
+  // Hosted portal for changing the plan, payment details or cancelling
+  async createPortal(userId, { returnUrl }) {
+    const user = await User.findById(userId).select("billing");
+    if (!user?.billing.customerId) {
+      throw new BillingError("You have no billing account yet");
+    }
+    const session = await this.getProvider().createPortalSession({
+      customerId: user.billing.customerId,
+      returnUrl,
+    });
+    return { url: session.url };
+  }
+
+  /**
+   * Verify and apply a webhook delivery. Throws WebhookSignatureError for
+   * deliveries that aren't signed by the provider; unknown events are ignored
+   */
+  async handleWebhook(rawBody, signature) {
+    const provider = this.getProvider();
+    const event = provider.constructEvent(rawBody, signature);
+
+    if (!SUBSCRIPTION_EVENTS.includes(event.type)) {
+      return { received: true, handled: false };
+    }
+    const handled = await this.applySubscription(provider, event);
+    return { received: true, handled };
+  }
+
+  // Bring the user's plan and subscription in line with a subscription event
+  async applySubscription(provider, event) {
+    const subscription = event.data.object;
+    const user =
+      (await User.findOne({ "billing.customerId": subscription.customer })) ||
+      (subscription.metadata?.userId && (await User.findById(subscription.metadata.userId).catch(() => null)));
+    if (!user) {
+      console.warn(`⚠️ Billing event ${event.id} for unknown customer ${subscription.customer}`);
+      return false;
+    }
+
+    // Deliveries can arrive out of order
+    const eventAt = new Date(event.created * 1000);
+    if (user.billing.lastEventAt && user.billing.lastEventAt > eventAt) {
+      console.log(`⏭️ Skipping stale billing event ${event.id} for user ${user._id}`);
+      return false;
+    }
+    // An older subscription being cancelled doesn't end the current one
+    const replaced = user.billing.subscriptionId && user.billing.subscriptionId !== subscription.id;
+    if (replaced && event.type !== "customer.subscription.created") {
+      console.log(`⏭️ Skipping billing event ${event.id} for a replaced subscription`);
+      return false;
+    }
+
+    const ended = event.type === "customer.subscription.deleted" || !PAID_STATUSES.includes(subscription.status);
+    const priceId = subscription.items?.data?.[0]?.price?.id;
+    const plan = ended ? DEFAULT_PLAN : provider.planFor(priceId);
+    if (!plan) {
+      console.warn(`⚠️ Billing event ${event.id} has unknown price ${priceId}`);
+      return false;
+    }
+
+    const periodStart = subscription.current_period_start ?? subscription.items?.data?.[0]?.current_period_start;
+    const periodEnd = subscription.current_period_end ?? subscription.items?.data?.[0]?.current_period_end;
+
+    // A new subscription starts the billing periods over, on its own dates;
+    // usage so far is kept
+    if (!ended && subscription.id !== user.billing.subscriptionId && periodStart && periodEnd) {
+      user.billingAnchor = new Date(periodStart * 1000);
+      user.planUsage.periodStart = new Date(periodStart * 1000);
+      user.planUsage.periodEnd = new Date(periodEnd * 1000);
+    }
+
+    user.applyPlan(plan);
+    user.billing.customerId = subscription.customer;
+    user.billing.subscriptionId = ended ? null : subscription.id;
+    user.billing.status = subscription.status;
+    user.billing.currentPeriodEnd = !ended && periodEnd ? new Date(periodEnd * 1000) : null;
+    user.billing.cancelAtPeriodEnd = !ended && Boolean(subscription.cancel_at_period_end);
+    user.billing.lastEventAt = eventAt;
+    await user.save();
+
+    console.log(`💳 User ${user._id} is on the ${plan} plan (${event.type})`);
+    return true;
+  }
+
+  // Fake provider only: pay a checkout session of the user
+  async completeFakeCheckout(userId, sessionId) {
+    const provider = this.getFakeProvider();
+    const user = await User.findById(userId).select("billing");
+    const session = provider.getSession(sessionId);
+    if (!session || session.customerId !== user?.billing.customerId) {
+      throw new BillingError("Checkout session not found", 404);
+    }
+
+    const { payload, signature, redirectUrl } = provider.completeCheckout(sessionId);
+    await this.handleWebhook(Buffer.from(payload), signature);
+    return { redirectUrl };
+  }
+
+  // Fake provider only: cancel the user's subscription
+  async cancelFakeSubscription(userId) {
+    const provider = this.getFakeProvider();
+    const user = await User.findById(userId).select("billing");
+    if (!user?.billing.subscriptionId) {
+      throw new BillingError("You have no subscription");
+    }
+
+    const { payload, signature } = provider.cancelSubscription(user.billing.customerId);
+    await this.handleWebhook(Buffer.from(payload), signature);
+  }
+
+  getFakeProvider() {
+    const provider = this.getProvider();
+    if (provider.name !== "fake") {
+      throw new BillingError("Not found", 404);
+    }
+    return provider;
+  }
+}
+
+// Create singleton instance with the built-in providers
+const billingService = new BillingService();
+billingService.registerProvider(new StripeProvider());
+billingService.registerProvider(new FakeBillingProvider());
+
+module.exports = {
+  BillingService,
+  BillingError,
+  WebhookSignatureError,
+  registerBillingProvider: billingService.registerProvider.bind(billingService),
+  checkBillingConfiguration: billingService.checkConfiguration.bind(billingService),
+  getBillingStatus: billingService.status.bind(billingService),
+  createCheckout: billingService.createCheckout.bind(billingService),
+  createPortal: billingService.createPortal.bind(billingService),
+  handleBillingWebhook: billingService.handleWebhook.bind(billingService),
+  completeFakeCheckout: billingService.completeFakeCheckout.bind(billingService),
+  cancelFakeSubscription: billingService.cancelFakeSubscription.bind(billingService),
+};
@@ -0,0 +1,128 @@
+const crypto = require("crypto");
+const { DEFAULT_PLAN, PLAN_NAMES } = require("../../utils/plans");
+const { signPayload, verifySignature } = require("./signature");
+
+const PERIOD_SECONDS = 30 * 24 * 60 * 60;
+
+/**
+ * A local stand-in for Stripe, for development and tests. Checkout and the
+ * portal are pages of the client (/billing/fake-checkout); completing them
+ * produces the webhook events Stripe would send, signed with
+ * BILLING_WEBHOOK_SECRET. Only used with BILLING_PROVIDER=fake, never in
+ * production, since it lets users pick their plan for free. State is kept
+ * in memory
+ */
+class FakeBillingProvider {
+  constructor() {
+    this.name = "fake";
+    this.sessions = new Map();
+    // Current subscription of each customer
+    this.subscriptions = new Map();
+  }
+
+  get webhookSecret() {
+    return process.env.BILLING_WEBHOOK_SECRET;
+  }
+
+  // Throws when the provider can't be used in this environment
+  assertConfigured() {
+    if (process.env.NODE_ENV === "production") {
+      throw new Error("The fake billing provider cannot be used in production");
+    }
+    if (!this.webhookSecret) {
+      throw new Error("BILLING_WEBHOOK_SECRET must be set for the fake billing provider");
+    }
+  }
+
+  priceFor(plan) {
+    return plan !== DEFAULT_PLAN && PLAN_NAMES.includes(plan) ? `price_fake_${plan}` : null;
+  }
+
+  planFor(priceId) {
+    return PLAN_NAMES.find((plan) => this.priceFor(plan) === priceId) || null;
+  }
+
+  async createCustomer() {
+    return { id: fakeId("cus") };
+  }
+
+  async createCheckoutSession({ customerId, plan, userId, successUrl, cancelUrl }) {
+    const id = fakeId("cs");
+    this.sessions.set(id, { id, customerId, plan, userId, successUrl, cancelUrl });
+    return { id, url: `${clientUrl()}/billing/fake-checkout?session=${id}` };
+  }
+
+  // The page acts for the signed-in user, so it needs no customer
+  async createPortalSession() {
+    return { url: `${clientUrl()}/billing/fake-checkout` };
+  }
+
+  constructEvent(rawBody, signature) {
+    verifySignature(rawBody, signature, this.webhookSecret);
+    return JSON.parse(rawBody.toString("utf8"));
+  }
+
+  getSession(sessionId) {
+    return this.sessions.get(sessionId) || null;
+  }
+
+  // Pay for a checkout session: the customer's subscription is created, or
+  // moved to the session's plan. Returns the signed webhook delivery
+  completeCheckout(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      throw new Error("Checkout session not found");
+    }
+    this.sessions.delete(sessionId);
+
+    const existing = this.subscriptions.get(session.customerId);
+    const now = Math.floor(Date.now() / 1000);
+    const subscription = {
+      id: existing?.id || fakeId("sub"),
+      object: "subscription",
+      customer: session.customerId,
+      status: "active",
+      cancel_at_period_end: false,
+      current_period_start: existing?.current_period_start || now,
+      current_period_end: existing?.current_period_end || now + PERIOD_SECONDS,
+      items: { data: [{ price: { id: this.priceFor(session.plan) } }] },
+      metadata: { userId: String(session.userId) },
+    };
+    this.subscriptions.set(session.customerId, subscription);
+
+    const type = existing ? "customer.subscription.updated" : "customer.subscription.created";
+    return { ...this.signedEvent(type, subscription), redirectUrl: session.successUrl };
+  }
+
+  // Cancel the customer's subscription right away, as from the portal
+  cancelSubscription(customerId) {
+    const subscription = this.subscriptions.get(customerId);
+    if (!subscription) {
+      throw new Error("No active subscription");
+    }
+    this.subscriptions.delete(customerId);
+    return this.signedEvent("customer.subscription.deleted", { ...subscription, status: "canceled" });
+  }
+
+  // A webhook delivery: the event's JSON and its signature header
+  signedEvent(type, object) {
+    const payload = JSON.stringify({
+      id: fakeId("evt"),
+      object: "event",
+      type,
+      created: Math.floor(Date.now() / 1000),
+      data: { object },
+    });
+    return { payload, signature: signPayload(payload, this.webhookSecret) };
+  }
+}
+
+function fakeId(prefix) {
+  return `${prefix}_fake_${crypto.randomBytes(8).toString("hex")}`;
+}
+
+function clientUrl() {
+  return process.env.CLIENT_URL || "http://localhost:5173";
+}
+
+module.exports = FakeBillingProvider;
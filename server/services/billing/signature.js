@@ -0,0 +1,58 @@
+const crypto = require("crypto");
+
+// How old a signed webhook may be, in seconds (as Stripe's libraries)
+const DEFAULT_TOLERANCE = 300;
+
+class WebhookSignatureError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "WebhookSignatureError";
+  }
+}
+
+function computeSignature(payload, secret, timestamp) {
+  return crypto.createHmac("sha256", secret).update(`${timestamp}.${payload}`, "utf8").digest("hex");
+}
+
+/**
+ * Signature header for a webhook payload, in Stripe's format:
+ * `t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<payload>">`
+ */
+function signPayload(payload, secret, timestamp = Math.floor(Date.now() / 1000)) {
+  return `t=${timestamp},v1=${computeSignature(payload, secret, timestamp)}`;
+}
+
+// Throw a WebhookSignatureError unless one of the header's v1 signatures matches
+function verifySignature(payload, header, secret, tolerance = DEFAULT_TOLERANCE) {
+  if (!secret) {
+    throw new WebhookSignatureError("Webhook signing secret is not set");
+  }
+  if (!header) {
+    throw new WebhookSignatureError("Missing signature header");
+  }
+
+  const parts = header.split(",").map((part) => part.trim().split("="));
+  const timestamp = Number(parts.find(([key]) => key === "t")?.[1]);
+  const signatures = parts.filter(([key]) => key === "v1").map(([, value]) => value);
+  if (!timestamp || signatures.length === 0) {
+    throw new WebhookSignatureError("Malformed signature header");
+  }
+
+  const expected = Buffer.from(computeSignature(payload.toString("utf8"), secret, timestamp));
+  const matches = signatures.some((signature) => {
+    const received = Buffer.from(signature);
+    return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+  });
+  if (!matches) {
+    throw new WebhookSignatureError("Signature does not match the payload");
+  }
+  if (Math.abs(Date.now() / 1000 - timestamp) > tolerance) {
+    throw new WebhookSignatureError("Signature timestamp is outside the tolerance");
+  }
+}
+
+module.exports = {
+  WebhookSignatureError,
+  signPayload,
+  verifySignature,
+};
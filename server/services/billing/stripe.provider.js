@@ -0,0 +1,98 @@
+const axios = require("axios");
+const { verifySignature } = require("./signature");
+
+const API_URL = "https://api.stripe.com/v1";
+
+/**
+ * Stripe Billing: Checkout for new subscriptions, the customer portal for
+ * changing or cancelling them. Needs STRIPE_SECRET_KEY,
+ * STRIPE_WEBHOOK_SECRET and a price ID per paid plan in
+ * STRIPE_PRICE_<PLAN> (e.g. STRIPE_PRICE_PRO)
+ */
+class StripeProvider {
+  constructor() {
+    this.name = "stripe";
+  }
+
+  // Throws when the provider can't be used in this environment
+  assertConfigured() {
+    for (const name of ["STRIPE_SECRET_KEY", "STRIPE_WEBHOOK_SECRET"]) {
+      if (!process.env[name]) {
+        throw new Error(`${name} must be set for Stripe billing`);
+      }
+    }
+  }
+
+  priceFor(plan) {
+    return process.env[`STRIPE_PRICE_${plan.toUpperCase()}`] || null;
+  }
+
+  planFor(priceId) {
+    const prefix = "STRIPE_PRICE_";
+    const key = Object.keys(process.env).find((name) => name.startsWith(prefix) && process.env[name] === priceId);
+    return key ? key.slice(prefix.length).toLowerCase() : null;
+  }
+
+  async request(path, params) {
+    if (!process.env.STRIPE_SECRET_KEY) {
+      throw new Error("STRIPE_SECRET_KEY is not set");
+    }
+    try {
+      const response = await axios.post(`${API_URL}${path}`, new URLSearchParams(toForm(params)).toString(), {
+        headers: {
+          Authorization: `Bearer ${process.env.STRIPE_SECRET_KEY}`,
+          "Content-Type": "application/x-www-form-urlencoded",
+        },
+      });
+      return response.data;
+    } catch (error) {
+      const message = error.response?.data?.error?.message || error.message;
+      throw new Error(`Stripe ${path} failed: ${message}`);
+    }
+  }
+
+  async createCustomer({ email, name, userId }) {
+    const customer = await this.request("/customers", { email, name, metadata: { userId } });
+    return { id: customer.id };
+  }
+
+  async createCheckoutSession({ customerId, plan, userId, successUrl, cancelUrl }) {
+    const session = await this.request("/checkout/sessions", {
+      mode: "subscription",
+      customer: customerId,
+      client_reference_id: userId,
+      line_items: [{ price: this.priceFor(plan), quantity: 1 }],
+      subscription_data: { metadata: { userId } },
+      success_url: successUrl,
+      cancel_url: cancelUrl,
+    });
+    return { id: session.id, url: session.url };
+  }
+
+  async createPortalSession({ customerId, returnUrl }) {
+    const session = await this.request("/billing_portal/sessions", { customer: customerId, return_url: returnUrl });
+    return { url: session.url };
+  }
+
+  // The event of a signed webhook delivery
+  constructEvent(rawBody, signature) {
+    verifySignature(rawBody, signature, process.env.STRIPE_WEBHOOK_SECRET);
+    return JSON.parse(rawBody.toString("utf8"));
+  }
+}
+
+// Stripe's form encoding of nested params: line_items[0][price]=...
+function toForm(params, prefix = "", fields = []) {
+  for (const [key, value] of Object.entries(params)) {
+    if (value === undefined || value === null) continue;
+    const name = prefix ? `${prefix}[${key}]` : key;
+    if (typeof value === "object") {
+      toForm(value, name, fields);
+    } else {
+      fields.push([name, String(value)]);
+    }
+  }
+  return fields;
+}
+
+module.exports = StripeProvider;
@@ -0,0 +1,362 @@
+const axios = require("axios");
+const { getOptimizedUrl } = require("../config/cloudinary");
+const { findContentEntities } = require("../utils/contentMetadata");
+
+const POST_LIMIT = 300; // graphemes
+const MAX_IMAGES = 4;
+const MAX_BLOB_BYTES = 1000000;
+// Longest side of the image rendition we download from Cloudinary to stay under the blob limit
+const IMAGE_MAX_SIDE = 2000;
+// Embeds that carry images or video
+const MEDIA_EMBEDS = ["app.bsky.embed.images", "app.bsky.embed.video", "app.bsky.embed.recordWithMedia"];
+
+const SERVICE_URL = process.env.BLUESKY_SERVICE_URL || "https://bsky.social";
+
+/**
+ * Bluesky (AT Protocol) publishing.
+ *
+ * Accounts connect with their handle and an app password. A session is
+ * created from them when needed and kept in memory until it expires; the
+ * account's DID is stored in `profileData.id`. Requests go to the account's
+ * own PDS, taken from the session's DID document.
+ */
+class BlueskyService {
+  constructor() {
+    this.sessions = new Map();
+  }
+
+  /**
+   * Log in with the handle and app password
+   */
+  async createSession(identifier, appPassword) {
+    try {
+      const response = await axios.post(
+        `${SERVICE_URL}/xrpc/com.atproto.server.createSession`,
+        { identifier: this.normalizeHandle(identifier), password: appPassword },
+        { timeout: 10000 }
+      );
+      const session = response.data;
+      return {
+        did: session.did,
+        handle: session.handle,
+        accessJwt: session.accessJwt,
+        refreshJwt: session.refreshJwt,
+        serviceUrl: this.getPdsUrl(session.didDoc) || SERVICE_URL,
+        expiresAt: this.getTokenExpiry(session.accessJwt),
+      };
+    } catch (error) {
+      if (error.response?.status === 401) {
+        throw new Error("Invalid Bluesky handle or app password");
+      }
+      throw new Error(`Bluesky login failed: ${this.errorMessage(error)}`);
+    }
+  }
+
+  /**
+   * Session of an account, logging in again once the access token expires
+   */
+  async getSession(account) {
+    const key = this.normalizeHandle(account.username);
+    const cached = this.sessions.get(key);
+    // Keep a minute of margin so a token doesn't expire mid-request
+    if (cached && cached.expiresAt - 60000 > Date.now()) {
+      return cached;
+    }
+
+    const session = await this.createSession(account.username, account.appPassword);
+    this.sessions.set(key, session);
+    return session;
+  }
+
+  /**
+   * Connect an account: check the app password and load the profile
+   */
+  async connect({ username, appPassword }) {
+    const session = await this.createSession(username, appPassword);
+    this.sessions.set(this.normalizeHandle(session.handle), session);
+
+    const credentials = {
+      username: session.handle,
+      appPassword,
+      accessToken: session.accessJwt,
+      refreshToken: session.refreshJwt,
+    };
+    const profile = await this.getStats(credentials);
+    return { credentials, profile };
+  }
+
+  async validateCredentials(account) {
+    if (!account.username || !account.appPassword) {
+      throw new Error("Missing Bluesky handle or app password");
+    }
+    return this.getSession(account);
+  }
+
+  /**
+   * Profile and follower counts of the account
+   */
+  async getStats(account) {
+    const session = await this.getSession(account);
+
+    let profile;
+    try {
+      const response = await this.request(session, "get", "app.bsky.actor.getProfile", {
+        params: { actor: session.did },
+      });
+      profile = response.data;
+    } catch (error) {
+      throw new Error(`Bluesky API Error: ${this.errorMessage(error)}`);
+    }
+
+    return {
+      id: profile.did,
+      username: profile.handle,
+      displayName: profile.displayName || profile.handle,
+      description: profile.description || "",
+      profileImageUrl: profile.avatar || "",
+      verified: false,
+      createdAt: profile.createdAt,
+      followers: profile.followersCount || 0,
+      following: profile.followsCount || 0,
+      posts: profile.postsCount || 0,
+      engagement: 0,
+      pageUrl: `https://bsky.app/profile/${profile.handle}`,
+    };
+  }
+
+  /**
+   * Publish a post with its link, mention and hashtag facets and images
+   */
+  async publish(post, account) {
+    try {
+      console.log(`🦋 Publishing to Bluesky account: ${account.username}`);
+      const session = await this.getSession(account);
+
+      const record = {
+        $type: "app.bsky.feed.post",
+        text: post.content,
+        createdAt: new Date().toISOString(),
+      };
+
+      const facets = await this.buildFacets(post.content, session);
+      if (facets.length > 0) {
+        record.facets = facets;
+      }
+
+      const images = [];
+      for (const file of post.mediaFiles || []) {
+        images.push(await this.uploadImage(session, file));
+      }
+      if (images.length > 0) {
+        record.embed = { $type: "app.bsky.embed.images", images };
+      }
+
+      const response = await this.request(session, "post", "com.atproto.repo.createRecord", {
+        data: { repo: session.did, collection: "app.bsky.feed.post", record },
+      });
+      const postId = response.data.uri.split("/").pop();
+
+      console.log(`✅ Bluesky post published successfully: ${response.data.uri}`);
+
+      return {
+        success: true,
+        externalPostId: response.data.uri,
+        publishedAt: new Date(record.createdAt),
+        platformResponse: {
+          platform: "bluesky",
+          postId: response.data.uri,
+          cid: response.data.cid,
+          url: `https://bsky.app/profile/${session.handle}/post/${postId}`,
+        },
+      };
+    } catch (error) {
+      console.error("❌ Bluesky publishing error:", this.errorMessage(error));
+
+      const status = error.response?.status;
+      if (status === 429) {
+        throw new Error("Bluesky rate limit exceeded. Please try again later.");
+      } else if (status === 401) {
+        throw new Error("Bluesky authentication failed. Please reconnect your account.");
+      } else if (status === 400) {
+        throw new Error(`Bluesky rejected the post: ${this.errorMessage(error)}`);
+      }
+      throw new Error(`Bluesky API error: ${this.errorMessage(error)}`);
+    }
+  }
+
+  /**
+   * Rich text facets for the links, mentions and hashtags in the text.
+   * Facet positions are UTF-8 byte offsets; mentions that don't resolve to
+   * an account are left as plain text
+   */
+  async buildFacets(text, session) {
+    const facets = [];
+
+    for (const entity of findContentEntities(text)) {
+      let feature;
+      if (entity.type === "link") {
+        feature = { $type: "app.bsky.richtext.facet#link", uri: entity.value };
+      } else if (entity.type === "hashtag") {
+        feature = { $type: "app.bsky.richtext.facet#tag", tag: entity.value.slice(1) };
+      } else {
+        const did = await this.resolveHandle(session, entity.value.slice(1));
+        if (!did) continue;
+        feature = { $type: "app.bsky.richtext.facet#mention", did };
+      }
+
+      facets.push({
+        index: {
+          byteStart: Buffer.byteLength(text.slice(0, entity.start)),
+          byteEnd: Buffer.byteLength(text.slice(0, entity.end)),
+        },
+        features: [feature],
+      });
+    }
+
+    return facets;
+  }
+
+  async resolveHandle(session, handle) {
+    if (!handle.includes(".")) return null;
+    try {
+      const response = await this.request(session, "get", "com.atproto.identity.resolveHandle", {
+        params: { handle: handle.toLowerCase() },
+      });
+      return response.data.did;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Upload one image from Cloudinary as a blob. The rendition is resized
+   * and recompressed by Cloudinary so it fits in Bluesky's blob limit
+   */
+  async uploadImage(session, file) {
+    const url = file.publicId
+      ? getOptimizedUrl(file.publicId, {
+          width: IMAGE_MAX_SIDE,
+          height: IMAGE_MAX_SIDE,
+          crop: "limit",
+          format: "jpg",
+        })
+      : file.url;
+
+    const download = await axios.get(url, { responseType: "arraybuffer", timeout: 60000 });
+    if (download.data.byteLength > MAX_BLOB_BYTES) {
+      throw new Error(`${file.originalName || "Image"} is larger than Bluesky's 1MB limit`);
+    }
+
+    const response = await this.request(session, "post", "com.atproto.repo.uploadBlob", {
+      data: download.data,
+      headers: { "Content-Type": download.headers["content-type"] || "image/jpeg" },
+      timeout: 60000,
+    });
+
+    const image = { alt: file.altText?.trim() || "", image: response.data.blob };
+    if (file.width && file.height) {
+      image.aspectRatio = { width: file.width, height: file.height };
+    }
+    return image;
+  }
+
+  /**
+   * Likes, reposts and replies of a published post
+   */
+  async getPostMetrics(post, account) {
+    const session = await this.getSession(account);
+    const response = await this.request(session, "get", "app.bsky.feed.getPosts", {
+      params: { uris: post.externalPostId },
+    });
+    const item = response.data.posts?.[0] || {};
+    return {
+      likes: item.likeCount || 0,
+      comments: item.replyCount || 0,
+      shares: (item.repostCount || 0) + (item.quoteCount || 0),
+    };
+  }
+
+  /**
+   * Recent posts of the account, for reconciliation
+   */
+  async getRecentPosts(account, since) {
+    const session = await this.getSession(account);
+    const response = await this.request(session, "get", "app.bsky.feed.getAuthorFeed", {
+      params: { actor: session.did, limit: 20, filter: "posts_no_replies" },
+    });
+
+    return (response.data.feed || [])
+      .map((item) => item.post)
+      .filter((item) => item.author?.did === session.did && new Date(item.record?.createdAt) >= since)
+      .map((item) => ({
+        id: item.uri,
+        text: item.record.text || "",
+        createdAt: item.record.createdAt,
+        hasMedia: MEDIA_EMBEDS.includes(item.record.embed?.$type),
+      }));
+  }
+
+  // Bluesky counts graphemes, so an emoji is one character
+  countCharacters(content) {
+    const segmenter = new Intl.Segmenter();
+    return [...segmenter.segment(content || "")].length;
+  }
+
+  normalizeHandle(handle) {
+    return String(handle || "").trim().replace(/^@/, "").toLowerCase();
+  }
+
+  getPdsUrl(didDoc) {
+    const service = (didDoc?.service || []).find((item) => item.id === "#atproto_pds");
+    return service?.serviceEndpoint;
+  }
+
+  // Expiry from the JWT payload; assume the usual two hours if it can't be read
+  getTokenExpiry(jwt) {
+    try {
+      const payload = JSON.parse(Buffer.from(jwt.split(".")[1], "base64url").toString());
+      if (payload.exp) return payload.exp * 1000;
+    } catch {
+      // Fall through to the default
+    }
+    return Date.now() + 2 * 60 * 60 * 1000;
+  }
+
+  /**
+   * Call an XRPC method on the account's PDS
+   */
+  request(session, method, nsid, { params, data, headers, timeout = 15000 } = {}) {
+    return axios({
+      method,
+      url: `${session.serviceUrl}/xrpc/${nsid}`,
+      params,
+      data,
+      headers: {
+        Authorization: `Bearer ${session.accessJwt}`,
+        ...headers,
+      },
+      timeout,
+    });
+  }
+
+  errorMessage(error) {
+    return error.response?.data?.message || error.response?.data?.error || error.message;
+  }
+}
+
+// Create singleton instance
+const blueskyService = new BlueskyService();
+
+module.exports = {
+  BlueskyService,
+  POST_LIMIT,
+  MAX_IMAGES,
+  MAX_BLOB_BYTES,
+  connectBluesky: blueskyService.connect.bind(blueskyService),
+  validateBlueskyCredentials: blueskyService.validateCredentials.bind(blueskyService),
+  publishToBluesky: blueskyService.publish.bind(blueskyService),
+  getBlueskyStats: blueskyService.getStats.bind(blueskyService),
+  getBlueskyPostMetrics: blueskyService.getPostMetrics.bind(blueskyService),
+  getRecentBlueskyPosts: blueskyService.getRecentPosts.bind(blueskyService),
+  countBlueskyCharacters: blueskyService.countCharacters.bind(blueskyService),
+};
@@ -0,0 +1,340 @@
+const os = require('os');
+const crypto = require('crypto');
+const PublishJob = require('../models/publishJob.model');
+
+const DUPLICATE_KEY_ERROR = 11000;
+
+/**
+ * MongoDB-backed publishing queue with leased locks.
+ *
+ * Jobs are claimed atomically, so any number of server instances can poll the
+ * same collection without publishing a post twice. A claimed job holds a lease
+ * that the worker keeps extending while it runs; if the worker dies the lease
+ * expires and the job becomes visible to other workers again.
+ */
+class JobQueueService {
+  constructor(options = {}) {
+    this.workerId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+    this.visibilityTimeoutMs = options.visibilityTimeoutMs ||
+      parseInt(process.env.QUEUE_VISIBILITY_TIMEOUT_MS) || 5 * 60 * 1000;
+    this.accountConcurrency = options.accountConcurrency ||
+      parseInt(process.env.QUEUE_ACCOUNT_CONCURRENCY) || 1;
+    this.maxAttempts = options.maxAttempts ||
+      parseInt(process.env.QUEUE_MAX_ATTEMPTS) || 3;
+    this.heartbeatIntervalMs = Math.max(5000, Math.floor(this.visibilityTimeoutMs / 3));
+  }
+
+  /**
+   * Enqueue a post for publishing. Safe to call repeatedly for the same post -
+   * only one job exists per post and scheduled date.
+   */
+  async enqueue(post) {
+    const accountId = post.accountId?._id || post.accountId;
+    const dedupeKey = PublishJob.buildDedupeKey(post);
+
+    try {
+      const result = await PublishJob.updateOne(
+        { dedupeKey },
+        {
+          $setOnInsert: {
+            postId: post._id,
+            accountId,
+            userId: post.userId,
+            platform: post.platform,
+            dedupeKey,
+            status: 'queued',
+            runAt: post.scheduledDate,
+            maxAttempts: this.maxAttempts
+          }
+        },
+        { upsert: true }
+      );
+      return result.upsertedCount > 0;
+    } catch (error) {
+      // Another instance inserted the same job between our check and insert
+      if (error.code === DUPLICATE_KEY_ERROR) {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Atomically claim the next due job, respecting per-account concurrency.
+   * Returns null when nothing can be claimed right now.
+   */
+  async claimNext(excludeAccountIds = []) {
+    const excluded = new Set(excludeAccountIds.map(id => id.toString()));
+
+    // Bounded so a burst of contention can never spin forever
+    for (let attempt = 0; attempt < 25; attempt++) {
+      const candidate = await PublishJob.findOne({
+        status: 'queued',
+        runAt: { $lte: new Date() },
+        accountId: { $nin: Array.from(excluded) }
+      })
+        .sort({ runAt: 1 })
+        .lean();
+
+      if (!candidate) {
+        return null;
+      }
+
+      const claimed = await this.tryLeaseCandidate(candidate);
+      if (claimed === 'taken') {
+        // Another worker got there first - look for the next candidate
+        continue;
+      }
+      if (claimed === 'account_busy') {
+        excluded.add(candidate.accountId.toString());
+        continue;
+      }
+      return claimed;
+    }
+
+    return null;
+  }
+
+  /**
+   * Try every concurrency slot of the candidate's account until one is free.
+   */
+  async tryLeaseCandidate(candidate) {
+    for (let slot = 0; slot < this.accountConcurrency; slot++) {
+      try {
+        const now = new Date();
+        const job = await PublishJob.findOneAndUpdate(
+          { _id: candidate._id, status: 'queued' },
+          {
+            $set: {
+              status: 'leased',
+              slot,
+              leaseOwner: this.workerId,
+              leaseExpiresAt: new Date(now.getTime() + this.visibilityTimeoutMs),
+              startedAt: now
+            },
+            $inc: { attempts: 1 }
+          },
+          { new: true }
+        );
+
+        return job || 'taken';
+      } catch (error) {
+        if (error.code === DUPLICATE_KEY_ERROR) {
+          continue; // Slot in use by another leased job for this account
+        }
+        throw error;
+      }
+    }
+
+    return 'account_busy';
+  }
+
+  /**
+   * Extend the lease of a running job. Returns false if the lease was lost.
+   */
+  async extendLease(job) {
+    const result = await PublishJob.updateOne(
+      { _id: job._id, status: 'leased', leaseOwner: this.workerId },
+      { $set: { leaseExpiresAt: new Date(Date.now() + this.visibilityTimeoutMs) } }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  /**
+   * Check whether any worker currently holds a live lease for the post
+   */
+  async hasActiveLease(postId) {
+    const job = await PublishJob.exists({
+      postId,
+      status: 'leased',
+      leaseExpiresAt: { $gt: new Date() }
+    });
+    return !!job;
+  }
+
+  /**
+   * Keep a job's lease alive for as long as the given task runs.
+   */
+  async runWithHeartbeat(job, task) {
+    const heartbeat = setInterval(async () => {
+      try {
+        const extended = await this.extendLease(job);
+        if (!extended) {
+          console.warn(`⚠️ Lost lease on job ${job._id} (post ${job.postId})`);
+        }
+      } catch (error) {
+        console.error(`❌ Failed to extend lease on job ${job._id}:`, error.message);
+      }
+    }, this.heartbeatIntervalMs);
+
+    try {
+      return await task();
+    } finally {
+      clearInterval(heartbeat);
+    }
+  }
+
+  /**
+   * Mark a job as finished with the outcome of the publish attempt
+   */
+  async complete(job, outcome, details = {}) {
+    const update = {
+      status: 'completed',
+      outcome,
+      errorCategory: details.errorCategory || null,
+      leaseOwner: null,
+      leaseExpiresAt: null,
+      slot: null,
+      finishedAt: new Date()
+    };
+    if (details.error) {
+      update.lastError = String(details.error).substring(0, 1000);
+    }
+
+    const result = await PublishJob.updateOne(
+      { _id: job._id, leaseOwner: this.workerId },
+      { $set: update }
+    );
+    if (result.modifiedCount === 0) {
+      console.warn(`⚠️ Job ${job._id} completed after its lease was lost`);
+    }
+  }
+
+  /**
+   * Release a job after an unexpected processing error. The job is retried with
+   * exponential backoff until it runs out of attempts, then it is dead-lettered.
+   */
+  async fail(job, error) {
+    const message = (error?.message || String(error)).substring(0, 1000);
+
+    if (job.attempts >= job.maxAttempts) {
+      await PublishJob.updateOne(
+        { _id: job._id, leaseOwner: this.workerId },
+        {
+          $set: {
+            status: 'dead',
+            outcome: 'failed',
+            lastError: message,
+            leaseOwner: null,
+            leaseExpiresAt: null,
+            slot: null,
+            finishedAt: new Date()
+          }
+        }
+      );
+      return 'dead';
+    }
+
+    const backoffMs = Math.pow(2, job.attempts) * 30 * 1000;
+    await PublishJob.updateOne(
+      { _id: job._id, leaseOwner: this.workerId },
+      {
+        $set: {
+          status: 'queued',
+          runAt: new Date(Date.now() + backoffMs),
+          lastError: message,
+          leaseOwner: null,
+          leaseExpiresAt: null,
+          slot: null
+        }
+      }
+    );
+    return 'requeued';
+  }
+
+  /**
+   * Return jobs whose worker crashed (lease expired) to the queue, or
+   * dead-letter them when they have used up their attempts.
+   * Returns the jobs that were dead-lettered so callers can fail their posts.
+   */
+  async recoverExpiredLeases() {
+    const now = new Date();
+    const expired = await PublishJob.find({
+      status: 'leased',
+      leaseExpiresAt: { $lt: now }
+    }).lean();
+
+    const dead = [];
+    for (const job of expired) {
+      const exhausted = job.attempts >= job.maxAttempts;
+      const result = await PublishJob.updateOne(
+        // Match the lease we observed so a concurrent recovery is a no-op
+        { _id: job._id, status: 'leased', leaseExpiresAt: job.leaseExpiresAt },
+        {
+          $set: exhausted
+            ? {
+                status: 'dead',
+                outcome: 'failed',
+                lastError: 'Worker lease expired too many times',
+                leaseOwner: null,
+                leaseExpiresAt: null,
+                slot: null,
+                finishedAt: now
+              }
+            : {
+                status: 'queued',
+                runAt: now,
+                lastError: `Lease held by ${job.leaseOwner} expired`,
+                leaseOwner: null,
+                leaseExpiresAt: null,
+                slot: null
+              }
+        }
+      );
+
+      if (result.modifiedCount > 0) {
+        console.warn(`♻️ Recovered expired lease on job ${job._id} (post ${job.postId}) - ${exhausted ? 'dead-lettered' : 'requeued'}`);
+        if (exhausted) dead.push(job);
+      }
+    }
+
+    return dead;
+  }
+
+  /**
+   * Aggregate queue state into the counters exposed by the scheduler stats
+   */
+  async getQueueStats(since = null, { accountIds = null } = {}) {
+    // Optionally only the jobs of some accounts (e.g. those of a workspace)
+    const accountMatch = accountIds ? { accountId: { $in: accountIds } } : {};
+    const finishedMatch = since ? { ...accountMatch, finishedAt: { $gte: since } } : accountMatch;
+
+    const [byStatus, byOutcome, byErrorCategory] = await Promise.all([
+      PublishJob.aggregate([
+        { $match: accountMatch },
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+      ]),
+      PublishJob.aggregate([
+        { $match: { outcome: { $ne: null }, ...finishedMatch } },
+        { $group: { _id: '$outcome', count: { $sum: 1 } } }
+      ]),
+      PublishJob.aggregate([
+        { $match: { errorCategory: { $ne: null }, ...finishedMatch } },
+        { $group: { _id: '$errorCategory', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const toMap = (rows) => rows.reduce((acc, row) => {
+      acc[row._id] = row.count;
+      return acc;
+    }, {});
+
+    const status = toMap(byStatus);
+    return {
+      queued: status.queued || 0,
+      leased: status.leased || 0,
+      completed: status.completed || 0,
+      dead: status.dead || 0,
+      outcomes: toMap(byOutcome),
+      errorCategories: toMap(byErrorCategory)
+    };
+  }
+}
+
+// Create singleton instance
+const jobQueueService = new JobQueueService();
+
+module.exports = {
+  JobQueueService,
+  jobQueue: jobQueueService
+};
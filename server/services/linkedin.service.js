@@ -0,0 +1,501 @@
+const axios = require("axios");
+const crypto = require("crypto");
+
+const AUTH_URL = "https://www.linkedin.com/oauth/v2/authorization";
+const TOKEN_URL = "https://www.linkedin.com/oauth/v2/accessToken";
+const API_URL = "https://api.linkedin.com";
+const API_VERSION = "202405";
+
+const SCOPES = [
+  "openid",
+  "profile",
+  "w_member_social",
+  "r_organization_social",
+  "w_organization_social",
+  "rw_organization_admin",
+];
+
+// Characters LinkedIn's "little text" commentary format treats as markup
+const RESERVED_CHARACTERS = /[\\|{}@[\]()<>#*_~]/g;
+
+const COMMENTARY_LIMIT = 3000;
+const MAX_IMAGES = 20;
+
+/**
+ * LinkedIn publishing through the versioned REST API.
+ *
+ * Accounts are connected with OAuth: the callback lists the member profile and
+ * the organization pages the member administers, and the user picks which of
+ * them to connect. Every pick becomes its own Account whose `profileData.id`
+ * is the author URN posts are published as.
+ */
+class LinkedInService {
+  constructor() {
+    this.clientId = process.env.LINKEDIN_CLIENT_ID;
+    this.clientSecret = process.env.LINKEDIN_CLIENT_SECRET;
+    this.redirectUri =
+      process.env.LINKEDIN_REDIRECT_URI ||
+      `${process.env.CLIENT_URL || "http://localhost:5173"}/accounts/linkedin/callback`;
+
+    // OAuth state and authorized-but-not-yet-connected identities. Both are
+    // short-lived, so memory is enough
+    this.pendingStates = new Map();
+    this.pendingConnections = new Map();
+    this.pendingTtlMs = 15 * 60 * 1000;
+  }
+
+  /**
+   * URL of the LinkedIn consent screen for a user
+   */
+  getAuthorizationUrl(userId) {
+    if (!this.clientId || !this.clientSecret) {
+      throw new Error("LinkedIn is not configured. Set LINKEDIN_CLIENT_ID and LINKEDIN_CLIENT_SECRET.");
+    }
+
+    this.prunePending();
+    const state = crypto.randomBytes(16).toString("hex");
+    this.pendingStates.set(state, { userId: userId.toString(), createdAt: Date.now() });
+
+    const params = new URLSearchParams({
+      response_type: "code",
+      client_id: this.clientId,
+      redirect_uri: this.redirectUri,
+      state,
+      scope: SCOPES.join(" "),
+    });
+    return `${AUTH_URL}?${params.toString()}`;
+  }
+
+  /**
+   * Exchange the callback code for a token and list the identities the user
+   * can connect: their profile and the pages they administer
+   */
+  async completeAuthorization(userId, { code, state }) {
+    this.prunePending();
+    const pendingState = this.pendingStates.get(state);
+    this.pendingStates.delete(state);
+    if (!pendingState || pendingState.userId !== userId.toString()) {
+      throw new Error("LinkedIn authorization expired or was started by another user. Please try again.");
+    }
+    if (!code) {
+      throw new Error("LinkedIn did not return an authorization code");
+    }
+
+    let token;
+    try {
+      const response = await axios.post(
+        TOKEN_URL,
+        new URLSearchParams({
+          grant_type: "authorization_code",
+          code,
+          redirect_uri: this.redirectUri,
+          client_id: this.clientId,
+          client_secret: this.clientSecret,
+        }).toString(),
+        { headers: { "Content-Type": "application/x-www-form-urlencoded" }, timeout: 10000 }
+      );
+      token = response.data;
+    } catch (error) {
+      throw new Error(`LinkedIn authorization failed: ${this.errorMessage(error)}`);
+    }
+
+    const credentials = {
+      accessToken: token.access_token,
+      refreshToken: token.refresh_token,
+      tokenExpiresAt: token.expires_in ? new Date(Date.now() + token.expires_in * 1000) : null,
+    };
+
+    const profile = await this.getMemberProfile(credentials.accessToken);
+    const organizations = await this.getAdministeredOrganizations(credentials.accessToken);
+
+    const options = [
+      {
+        id: `urn:li:person:${profile.sub}`,
+        type: "person",
+        name: profile.name,
+        username: profile.name,
+        profileImageUrl: profile.picture || "",
+        pageUrl: null,
+      },
+      ...organizations,
+    ];
+
+    const connectionId = crypto.randomBytes(16).toString("hex");
+    this.pendingConnections.set(connectionId, {
+      userId: userId.toString(),
+      createdAt: Date.now(),
+      credentials,
+      options,
+    });
+
+    return { connectionId, options };
+  }
+
+  /**
+   * Take the credentials and the chosen identities of an authorization.
+   * Each connection can be used once
+   */
+  takePendingConnection(userId, connectionId, selectedIds) {
+    this.prunePending();
+    const pending = this.pendingConnections.get(connectionId);
+    if (!pending || pending.userId !== userId.toString()) {
+      throw new Error("LinkedIn authorization expired. Please connect again.");
+    }
+
+    const selected = pending.options.filter((option) => (selectedIds || []).includes(option.id));
+    if (selected.length === 0) {
+      throw new Error("Select at least one LinkedIn profile or page to connect");
+    }
+
+    this.pendingConnections.delete(connectionId);
+    return { credentials: pending.credentials, selected };
+  }
+
+  prunePending() {
+    const cutoff = Date.now() - this.pendingTtlMs;
+    for (const store of [this.pendingStates, this.pendingConnections]) {
+      for (const [key, value] of store) {
+        if (value.createdAt < cutoff) store.delete(key);
+      }
+    }
+  }
+
+  async getMemberProfile(accessToken) {
+    try {
+      const response = await axios.get(`${API_URL}/v2/userinfo`, {
+        headers: { Authorization: `Bearer ${accessToken}` },
+        timeout: 10000,
+      });
+      return response.data;
+    } catch (error) {
+      throw new Error(`LinkedIn validation failed: ${this.errorMessage(error)}`);
+    }
+  }
+
+  /**
+   * Organization pages the member is an approved administrator of
+   */
+  async getAdministeredOrganizations(accessToken) {
+    let acls;
+    try {
+      const response = await this.request(accessToken, "get", "/rest/organizationAcls", {
+        params: { q: "roleAssignee", role: "ADMINISTRATOR", state: "APPROVED" },
+      });
+      acls = response.data.elements || [];
+    } catch (error) {
+      // Members without page access (or apps without the scope) just get their profile
+      console.warn("⚠️ Could not list LinkedIn organizations:", this.errorMessage(error));
+      return [];
+    }
+
+    const organizations = await Promise.all(
+      acls.map(async (acl) => {
+        const urn = acl.organization;
+        const id = urn.split(":").pop();
+        try {
+          const response = await this.request(accessToken, "get", `/rest/organizations/${id}`);
+          const organization = response.data;
+          return {
+            id: urn,
+            type: "organization",
+            name: organization.localizedName,
+            username: organization.vanityName || organization.localizedName,
+            profileImageUrl: "",
+            pageUrl: `https://www.linkedin.com/company/${organization.vanityName || id}`,
+          };
+        } catch (error) {
+          console.warn(`⚠️ Could not load LinkedIn organization ${urn}:`, this.errorMessage(error));
+          return null;
+        }
+      })
+    );
+
+    return organizations.filter(Boolean);
+  }
+
+  /**
+   * Check that the account token still works
+   */
+  async validateCredentials(accessToken) {
+    if (!accessToken) {
+      throw new Error("Missing LinkedIn access token");
+    }
+    const profile = await this.getMemberProfile(accessToken);
+    if (!profile.sub) {
+      throw new Error("Invalid access token");
+    }
+    return profile;
+  }
+
+  /**
+   * Publish a post as the account's author (member or organization)
+   */
+  async publish(post, account) {
+    const author = account.profileData?.id;
+    if (!author) {
+      throw new Error("LinkedIn author unknown. Please reconnect your account.");
+    }
+    if (account.isTokenExpired()) {
+      throw new Error("LinkedIn authentication failed: access token expired. Please reconnect your account.");
+    }
+
+    try {
+      console.log(`💼 Publishing to LinkedIn as ${account.username} (${author})`);
+
+      const body = {
+        author,
+        commentary: this.formatCommentary(post.content),
+        visibility: "PUBLIC",
+        distribution: {
+          feedDistribution: "MAIN_FEED",
+          targetEntities: [],
+          thirdPartyDistributionChannels: [],
+        },
+        lifecycleState: "PUBLISHED",
+        isReshareDisabledByAuthor: false,
+      };
+
+      const content = await this.buildContent(post.mediaFiles || [], author, account.accessToken);
+      if (content) {
+        body.content = content;
+      }
+
+      const response = await this.request(account.accessToken, "post", "/rest/posts", { data: body });
+      const postUrn = response.headers["x-restli-id"] || response.headers["x-linkedin-id"];
+
+      console.log(`✅ LinkedIn post published successfully: ${postUrn}`);
+
+      return {
+        success: true,
+        externalPostId: postUrn,
+        publishedAt: new Date(),
+        platformResponse: {
+          platform: "linkedin",
+          postId: postUrn,
+          url: `https://www.linkedin.com/feed/update/${postUrn}`,
+        },
+      };
+    } catch (error) {
+      console.error("❌ LinkedIn publishing error:", this.errorMessage(error));
+
+      const status = error.response?.status;
+      if (status === 429) {
+        throw new Error("LinkedIn rate limit exceeded. Please try again later.");
+      } else if (status === 401) {
+        throw new Error("LinkedIn authentication failed. Please reconnect your account.");
+      } else if (status === 403) {
+        throw new Error("LinkedIn access forbidden. Check that the app can post for this profile or page.");
+      }
+      throw new Error(`LinkedIn API error: ${this.errorMessage(error)}`);
+    }
+  }
+
+  /**
+   * Upload the media and describe it for the posts API:
+   * one image, a multi-image post or a single document
+   */
+  async buildContent(mediaFiles, owner, accessToken) {
+    if (mediaFiles.length === 0) return null;
+
+    const documents = mediaFiles.filter((file) => this.isDocument(file));
+    if (documents.length > 0) {
+      if (mediaFiles.length > 1) {
+        throw new Error("A LinkedIn document post can only contain the document");
+      }
+      const document = await this.uploadAsset("documents", documents[0].url, owner, accessToken);
+      return {
+        media: {
+          title: documents[0].originalName || "Document",
+          id: document,
+        },
+      };
+    }
+
+    if (mediaFiles.some((file) => file.resourceType === "video")) {
+      throw new Error("LinkedIn video posts are not supported. Use images or a PDF document.");
+    }
+    if (mediaFiles.length > MAX_IMAGES) {
+      throw new Error(`LinkedIn posts can have at most ${MAX_IMAGES} images`);
+    }
+
+    const images = [];
+    for (const file of mediaFiles) {
+      images.push({
+        id: await this.uploadAsset("images", file.url, owner, accessToken),
+        altText: file.originalName || "",
+      });
+    }
+
+    return images.length === 1
+      ? { media: images[0] }
+      : { multiImage: { images } };
+  }
+
+  /**
+   * Register an image or document with LinkedIn and upload its bytes.
+   * Returns the asset URN
+   */
+  async uploadAsset(kind, url, owner, accessToken) {
+    const init = await this.request(accessToken, "post", `/rest/${kind}`, {
+      params: { action: "initializeUpload" },
+      data: { initializeUploadRequest: { owner } },
+    });
+    const { uploadUrl } = init.data.value;
+    const asset = init.data.value.image || init.data.value.document;
+
+    const file = await axios.get(url, { responseType: "arraybuffer", timeout: 60000 });
+    await axios.put(uploadUrl, file.data, {
+      headers: {
+        Authorization: `Bearer ${accessToken}`,
+        "Content-Type": "application/octet-stream",
+      },
+      maxBodyLength: Infinity,
+      timeout: 120000,
+    });
+
+    return asset;
+  }
+
+  isDocument(file) {
+    return file.resourceType === "document" || file.format === "pdf";
+  }
+
+  /**
+   * Escape LinkedIn markup characters; hashtags become hashtag templates
+   */
+  formatCommentary(text) {
+    const escape = (part) => part.replace(RESERVED_CHARACTERS, (character) => `\\${character}`);
+    const pieces = [];
+    let last = 0;
+
+    for (const match of (text || "").matchAll(/#([\p{L}\p{N}_]+)/gu)) {
+      pieces.push(escape(text.slice(last, match.index)));
+      pieces.push(`{hashtag|\\#|${escape(match[1])}}`);
+      last = match.index + match[0].length;
+    }
+    pieces.push(escape((text || "").slice(last)));
+
+    return pieces.join("");
+  }
+
+  /**
+   * Followers and, for pages, lifetime share statistics
+   */
+  async getStats(account) {
+    const author = account.profileData?.id;
+    const isOrganization = author?.startsWith("urn:li:organization:");
+    const stats = {
+      id: author,
+      username: account.username,
+      displayName: account.displayName,
+      followers: 0,
+      following: 0,
+      posts: account.stats?.posts || 0,
+      engagement: 0,
+      impressions: 0,
+    };
+
+    if (isOrganization) {
+      const [network, shares] = await Promise.all([
+        this.request(account.accessToken, "get", `/rest/networkSizes/${encodeURIComponent(author)}`, {
+          params: { edgeType: "COMPANY_FOLLOWED_BY_MEMBER" },
+        }),
+        this.request(account.accessToken, "get", "/rest/organizationalEntityShareStatistics", {
+          params: { q: "organizationalEntity", organizationalEntity: author },
+        }),
+      ]);
+
+      const totals = shares.data.elements?.[0]?.totalShareStatistics || {};
+      stats.followers = network.data.firstDegreeSize || 0;
+      stats.impressions = totals.impressionCount || 0;
+      stats.engagement = totals.engagement ? Number((totals.engagement * 100).toFixed(2)) : 0;
+    } else {
+      const profile = await this.getMemberProfile(account.accessToken);
+      const followers = await this.request(account.accessToken, "get", "/rest/memberFollowersCount", {
+        params: { q: "me" },
+      });
+
+      stats.displayName = profile.name || stats.displayName;
+      stats.profileImageUrl = profile.picture;
+      stats.followers = followers.data.elements?.[0]?.memberFollowersCount || 0;
+    }
+
+    return stats;
+  }
+
+  /**
+   * Recent posts of the account's author, for reconciliation
+   */
+  async getRecentPosts(account, since) {
+    const response = await this.request(account.accessToken, "get", "/rest/posts", {
+      params: { q: "author", author: account.profileData?.id, count: 20, sortBy: "CREATED" },
+      headers: { "X-RestLi-Method": "FINDER" },
+    });
+
+    return (response.data.elements || [])
+      .filter((item) => !item.createdAt || new Date(item.createdAt) >= since)
+      .map((item) => ({
+        id: item.id,
+        text: item.commentary,
+        createdAt: item.createdAt,
+        hasMedia: Boolean(item.content?.media || item.content?.multiImage),
+      }));
+  }
+
+  /**
+   * Reactions and comments of a published post
+   */
+  async getPostMetrics(post, account) {
+    const response = await this.request(
+      account.accessToken,
+      "get",
+      `/rest/socialActions/${encodeURIComponent(post.externalPostId)}`
+    );
+
+    return {
+      likes: response.data.likesSummary?.totalLikes || 0,
+      comments: response.data.commentsSummary?.aggregatedTotalComments || 0,
+    };
+  }
+
+  /**
+   * Call the versioned REST API
+   */
+  request(accessToken, method, path, { params, data, headers } = {}) {
+    return axios({
+      method,
+      url: `${API_URL}${path}`,
+      params,
+      data,
+      headers: {
+        Authorization: `Bearer ${accessToken}`,
+        "LinkedIn-Version": API_VERSION,
+        "X-Restli-Protocol-Version": "2.0.0",
+        ...headers,
+      },
+      timeout: 15000,
+    });
+  }
+
+  errorMessage(error) {
+    return error.response?.data?.message || error.response?.data?.error_description || error.message;
+  }
+}
+
+// Create singleton instance
+const linkedInService = new LinkedInService();
+
+module.exports = {
+  LinkedInService,
+  COMMENTARY_LIMIT,
+  MAX_IMAGES,
+  getAuthorizationUrl: linkedInService.getAuthorizationUrl.bind(linkedInService),
+  completeAuthorization: linkedInService.completeAuthorization.bind(linkedInService),
+  takePendingConnection: linkedInService.takePendingConnection.bind(linkedInService),
+  validateLinkedInCredentials: linkedInService.validateCredentials.bind(linkedInService),
+  publishToLinkedIn: linkedInService.publish.bind(linkedInService),
+  getLinkedInStats: linkedInService.getStats.bind(linkedInService),
+  getRecentLinkedInPosts: linkedInService.getRecentPosts.bind(linkedInService),
+  getLinkedInPostMetrics: linkedInService.getPostMetrics.bind(linkedInService),
+  formatCommentary: linkedInService.formatCommentary.bind(linkedInService),
+};
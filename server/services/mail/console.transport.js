@@ -0,0 +1,16 @@
+/**
+ * Prints emails to the server log instead of sending them. The default when
+ * no SMTP server is configured, so links in emails work in local development
+ */
+class ConsoleTransport {
+  constructor() {
+    this.name = "console";
+  }
+
+  async send(message) {
+    console.log(`📧 Email to ${message.to}: ${message.subject}\n${message.text}`);
+    return { id: null };
+  }
+}
+
+module.exports = ConsoleTransport;
@@ -0,0 +1,29 @@
+const fs = require("fs/promises");
+const os = require("os");
+const path = require("path");
+const nodemailer = require("nodemailer");
+
+/**
+ * Writes each email as an .eml file (MAIL_DIR, default a temp directory)
+ * that opens in any mail client, for checking emails in development
+ */
+class FileTransport {
+  constructor() {
+    this.name = "file";
+    this.transporter = nodemailer.createTransport({ streamTransport: true, buffer: true });
+  }
+
+  async send(message) {
+    const dir = process.env.MAIL_DIR || path.join(os.tmpdir(), "socialgrow-mail");
+    await fs.mkdir(dir, { recursive: true });
+
+    const info = await this.transporter.sendMail(message);
+    const file = path.join(dir, `${Date.now()}-${String(message.to).replace(/[^\w.@-]/g, "_")}.eml`);
+    await fs.writeFile(file, info.message);
+
+    console.log(`📧 Email to ${message.to} written to ${file}`);
+    return { id: info.messageId };
+  }
+}
+
+module.exports = FileTransport;
@@ -0,0 +1,36 @@
+const nodemailer = require("nodemailer");
+
+/**
+ * Sends email through an SMTP server: SMTP_HOST, SMTP_PORT (default 587),
+ * SMTP_SECURE for implicit TLS, SMTP_USER and SMTP_PASS
+ */
+class SmtpTransport {
+  constructor() {
+    this.name = "smtp";
+    this.transporter = null;
+  }
+
+  // Created on first use, so the server starts without SMTP settings
+  getTransporter() {
+    if (!this.transporter) {
+      if (!process.env.SMTP_HOST) {
+        throw new Error("SMTP_HOST is not set");
+      }
+      const port = Number(process.env.SMTP_PORT) || 587;
+      this.transporter = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port,
+        secure: process.env.SMTP_SECURE === "true" || port === 465,
+        auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+      });
+    }
+    return this.transporter;
+  }
+
+  async send(message) {
+    const info = await this.getTransporter().sendMail(message);
+    return { id: info.messageId };
+  }
+}
+
+module.exports = SmtpTransport;
@@ -0,0 +1,59 @@
+const ConsoleTransport = require("./mail/console.transport");
+const FileTransport = require("./mail/file.transport");
+const SmtpTransport = require("./mail/smtp.transport");
+
+const DEFAULT_FROM = "SocialGrow <no-reply@socialgrow.app>";
+
+/**
+ * Outgoing email. Transports are registered by name and chosen with
+ * MAIL_TRANSPORT (smtp, file or console); without it, SMTP is used when
+ * SMTP_HOST is set and the console otherwise. A transport is any object
+ * with a `name` and `send({ from, to, subject, text, html })`
+ */
+class MailerService {
+  constructor() {
+    this.transports = new Map();
+  }
+
+  registerTransport(transport) {
+    if (!transport?.name || typeof transport.send !== "function") {
+      throw new Error("Mail transport must have a name and a send method");
+    }
+    this.transports.set(transport.name, transport);
+    return transport;
+  }
+
+  getTransport() {
+    const name = process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? "smtp" : "console");
+    const transport = this.transports.get(name);
+    if (!transport) {
+      throw new Error(`Unknown mail transport: ${name}`);
+    }
+    return transport;
+  }
+
+  async send({ to, subject, text, html }) {
+    const transport = this.getTransport();
+    const result = await transport.send({
+      from: process.env.MAIL_FROM || DEFAULT_FROM,
+      to,
+      subject,
+      text,
+      html,
+    });
+    console.log(`✉️ Sent "${subject}" to ${to} (${transport.name})`);
+    return result;
+  }
+}
+
+// Create singleton instance with the built-in transports
+const mailerService = new MailerService();
+mailerService.registerTransport(new ConsoleTransport());
+mailerService.registerTransport(new FileTransport());
+mailerService.registerTransport(new SmtpTransport());
+
+module.exports = {
+  MailerService,
+  registerMailTransport: mailerService.registerTransport.bind(mailerService),
+  sendMail: mailerService.send.bind(mailerService),
+};
@@ -0,0 +1,400 @@
+const axios = require("axios");
+const crypto = require("crypto");
+const MastodonApp = require("../models/mastodonApp.model");
+
+const SCOPES = "read write";
+const APP_NAME = "SocialGrow";
+
+const STATUS_LIMIT = 500;
+const MAX_ATTACHMENTS = 4;
+const ALT_TEXT_LIMIT = 1500;
+const VISIBILITIES = ["public", "unlisted", "private"];
+
+// Every link counts as this many characters, whatever its length
+const URL_LENGTH = 23;
+
+/**
+ * Mastodon (and other servers speaking the Mastodon API) publishing.
+ *
+ * Every server is its own OAuth provider: the first user connecting an
+ * account on a server registers our app there (see MastodonApp), later ones
+ * reuse it. The server origin is stored on the account as `instanceUrl` and
+ * the Mastodon account ID in `profileData.id`.
+ */
+class MastodonService {
+  constructor() {
+    this.redirectUri =
+      process.env.MASTODON_REDIRECT_URI ||
+      `${process.env.CLIENT_URL || "http://localhost:5173"}/accounts/mastodon/callback`;
+
+    // OAuth state is short-lived, so memory is enough
+    this.pendingStates = new Map();
+    this.pendingTtlMs = 15 * 60 * 1000;
+  }
+
+  /**
+   * Turn "mastodon.social", "https://mastodon.social/about" or
+   * "@me@mastodon.social" into the server origin
+   */
+  normalizeInstance(input) {
+    let value = String(input || "").trim().toLowerCase();
+    if (value.includes("@")) {
+      value = value.split("@").pop();
+    }
+    if (!/^https?:\/\//.test(value)) {
+      value = `https://${value}`;
+    }
+
+    let url;
+    try {
+      url = new URL(value);
+    } catch {
+      throw new Error("Enter the address of your Mastodon server, e.g. mastodon.social");
+    }
+    if (!url.hostname.includes(".")) {
+      throw new Error("Enter the address of your Mastodon server, e.g. mastodon.social");
+    }
+    return `https://${url.host}`;
+  }
+
+  /**
+   * The app registered on a server, registering it on first use
+   */
+  async getApp(instanceUrl) {
+    const existing = await MastodonApp.findOne({ instanceUrl, redirectUri: this.redirectUri });
+    if (existing) return existing;
+
+    let registration;
+    try {
+      const response = await axios.post(
+        `${instanceUrl}/api/v1/apps`,
+        {
+          client_name: APP_NAME,
+          redirect_uris: this.redirectUri,
+          scopes: SCOPES,
+          website: process.env.CLIENT_URL,
+        },
+        { timeout: 10000 }
+      );
+      registration = response.data;
+    } catch (error) {
+      throw new Error(`Could not register with ${instanceUrl}: ${this.errorMessage(error)}`);
+    }
+
+    console.log(`🐘 Registered Mastodon app on ${instanceUrl}`);
+    try {
+      return await MastodonApp.create({
+        instanceUrl,
+        redirectUri: this.redirectUri,
+        clientId: registration.client_id,
+        clientSecret: registration.client_secret,
+        scopes: SCOPES,
+      });
+    } catch (error) {
+      // Another request registered the server at the same time
+      if (error.code === 11000) {
+        return MastodonApp.findOne({ instanceUrl, redirectUri: this.redirectUri });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * URL of the consent screen on the user's server
+   */
+  async getAuthorizationUrl(userId, instance) {
+    const instanceUrl = this.normalizeInstance(instance);
+    const app = await this.getApp(instanceUrl);
+
+    this.prunePending();
+    const state = crypto.randomBytes(16).toString("hex");
+    this.pendingStates.set(state, {
+      userId: userId.toString(),
+      instanceUrl,
+      createdAt: Date.now(),
+    });
+
+    const params = new URLSearchParams({
+      response_type: "code",
+      client_id: app.clientId,
+      redirect_uri: this.redirectUri,
+      scope: app.scopes,
+      state,
+    });
+    return `${instanceUrl}/oauth/authorize?${params.toString()}`;
+  }
+
+  /**
+   * Exchange the callback code for a token and load the account it belongs to
+   */
+  async completeAuthorization(userId, { code, state }) {
+    this.prunePending();
+    const pendingState = this.pendingStates.get(state);
+    this.pendingStates.delete(state);
+    if (!pendingState || pendingState.userId !== userId.toString()) {
+      throw new Error("Mastodon authorization expired or was started by another user. Please try again.");
+    }
+    if (!code) {
+      throw new Error("Mastodon did not return an authorization code");
+    }
+
+    const { instanceUrl } = pendingState;
+    const app = await this.getApp(instanceUrl);
+
+    let token;
+    try {
+      const response = await axios.post(
+        `${instanceUrl}/oauth/token`,
+        {
+          grant_type: "authorization_code",
+          code,
+          client_id: app.clientId,
+          client_secret: app.clientSecret,
+          redirect_uri: this.redirectUri,
+          scope: app.scopes,
+        },
+        { timeout: 10000 }
+      );
+      token = response.data;
+    } catch (error) {
+      throw new Error(`Mastodon authorization failed: ${this.errorMessage(error)}`);
+    }
+
+    const credentials = { accessToken: token.access_token, instanceUrl };
+    const profile = await this.getStats(credentials);
+    return { credentials, profile };
+  }
+
+  prunePending() {
+    const cutoff = Date.now() - this.pendingTtlMs;
+    for (const [key, value] of this.pendingStates) {
+      if (value.createdAt < cutoff) this.pendingStates.delete(key);
+    }
+  }
+
+  /**
+   * Check that the account token still works
+   */
+  async validateCredentials(account) {
+    if (!account.accessToken || !account.instanceUrl) {
+      throw new Error("Missing Mastodon access token or server");
+    }
+    try {
+      const response = await this.request(account, "get", "/api/v1/accounts/verify_credentials");
+      return response.data;
+    } catch (error) {
+      throw new Error(`Mastodon validation failed: ${this.errorMessage(error)}`);
+    }
+  }
+
+  /**
+   * Profile and counters of the account
+   */
+  async getStats(account) {
+    let data;
+    try {
+      const response = await this.request(account, "get", "/api/v1/accounts/verify_credentials");
+      data = response.data;
+    } catch (error) {
+      throw new Error(`Mastodon API Error: ${this.errorMessage(error)}`);
+    }
+
+    const host = new URL(account.instanceUrl).host;
+    return {
+      id: data.id,
+      // Handles are only unique together with the server
+      username: `${data.username}@${host}`,
+      displayName: data.display_name || data.username,
+      description: this.toPlainText(data.note),
+      profileImageUrl: data.avatar || "",
+      verified: false,
+      createdAt: data.created_at,
+      followers: data.followers_count || 0,
+      following: data.following_count || 0,
+      posts: data.statuses_count || 0,
+      engagement: 0,
+      pageUrl: data.url,
+    };
+  }
+
+  /**
+   * Publish a status with its media, content warning and visibility
+   */
+  async publish(post, account) {
+    try {
+      console.log(`🐘 Publishing to Mastodon account: ${account.username}`);
+
+      const mediaIds = [];
+      for (const file of post.mediaFiles || []) {
+        mediaIds.push(await this.uploadMedia(account, file));
+      }
+
+      const response = await this.request(account, "post", "/api/v1/statuses", {
+        data: {
+          status: post.content,
+          media_ids: mediaIds,
+          spoiler_text: post.contentWarning || undefined,
+          visibility: post.visibility || "public",
+        },
+        // Mastodon drops a repeated request with the same key instead of posting twice
+        headers: post.idempotencyKey ? { "Idempotency-Key": post.idempotencyKey } : {},
+      });
+
+      console.log(`✅ Mastodon status published successfully: ${response.data.id}`);
+
+      return {
+        success: true,
+        externalPostId: response.data.id,
+        publishedAt: new Date(response.data.created_at || Date.now()),
+        platformResponse: {
+          platform: "mastodon",
+          postId: response.data.id,
+          url: response.data.url,
+        },
+      };
+    } catch (error) {
+      console.error("❌ Mastodon publishing error:", this.errorMessage(error));
+
+      const status = error.response?.status;
+      if (status === 429) {
+        throw new Error("Mastodon rate limit exceeded. Please try again later.");
+      } else if (status === 401) {
+        throw new Error("Mastodon authentication failed. Please reconnect your account.");
+      } else if (status === 403) {
+        throw new Error("Mastodon access forbidden. Please reconnect your account.");
+      } else if (status === 422) {
+        throw new Error(`Mastodon rejected the post: ${this.errorMessage(error)}`);
+      }
+      throw new Error(`Mastodon API error: ${this.errorMessage(error)}`);
+    }
+  }
+
+  /**
+   * Upload one attachment with its alt text and wait until the server has
+   * processed it - statuses can't use media that is still processing
+   */
+  async uploadMedia(account, file) {
+    const download = await axios.get(file.url, {
+      responseType: "arraybuffer",
+      timeout: 60000,
+    });
+
+    const form = new FormData();
+    const type = download.headers["content-type"] || "application/octet-stream";
+    form.append("file", new Blob([download.data], { type }), file.originalName || `upload.${file.format}`);
+    if (file.altText?.trim()) {
+      form.append("description", file.altText.trim());
+    }
+
+    const response = await this.request(account, "post", "/api/v2/media", { data: form, timeout: 120000 });
+    let media = response.data;
+
+    // 202: accepted but still processing (videos and large images)
+    const startTime = Date.now();
+    while (!media.url) {
+      if (Date.now() - startTime > 60000) {
+        throw new Error("Mastodon media processing timed out");
+      }
+      await new Promise((resolve) => setTimeout(resolve, 2000));
+      // 206 while processing, 200 once done
+      const status = await this.request(account, "get", `/api/v1/media/${media.id}`);
+      media = status.data;
+    }
+
+    return media.id;
+  }
+
+  /**
+   * Favourites, boosts and replies of a published status
+   */
+  async getPostMetrics(post, account) {
+    const response = await this.request(account, "get", `/api/v1/statuses/${post.externalPostId}`);
+    return {
+      likes: response.data.favourites_count || 0,
+      comments: response.data.replies_count || 0,
+      shares: response.data.reblogs_count || 0,
+    };
+  }
+
+  /**
+   * Recent statuses of the account, for reconciliation
+   */
+  async getRecentPosts(account, since) {
+    const response = await this.request(account, "get", `/api/v1/accounts/${account.profileData?.id}/statuses`, {
+      params: { limit: 20, exclude_reblogs: true, exclude_replies: true },
+    });
+
+    return (response.data || [])
+      .filter((status) => new Date(status.created_at) >= since)
+      .map((status) => ({
+        id: status.id,
+        text: this.toPlainText(status.content),
+        createdAt: status.created_at,
+        hasMedia: (status.media_attachments || []).length > 0,
+      }));
+  }
+
+  /**
+   * Length of a status as the server counts it: links count as 23
+   * characters and the content warning counts too
+   */
+  countCharacters(content, contentWarning = "") {
+    const text = (content || "").replace(/https?:\/\/\S+/g, "x".repeat(URL_LENGTH));
+    return [...text].length + [...(contentWarning || "")].length;
+  }
+
+  // Statuses and bios come back as HTML
+  toPlainText(html) {
+    return (html || "")
+      .replace(/<br\s*\/?>/gi, "\n")
+      .replace(/<\/p>\s*<p>/gi, "\n\n")
+      .replace(/<[^>]+>/g, "")
+      .replace(/&lt;/g, "<")
+      .replace(/&gt;/g, ">")
+      .replace(/&quot;/g, '"')
+      .replace(/&#39;/g, "'")
+      .replace(/&amp;/g, "&")
+      .trim();
+  }
+
+  /**
+   * Call the account's server
+   */
+  request(account, method, path, { params, data, headers, timeout = 15000 } = {}) {
+    return axios({
+      method,
+      url: `${account.instanceUrl}${path}`,
+      params,
+      data,
+      headers: {
+        Authorization: `Bearer ${account.accessToken}`,
+        ...headers,
+      },
+      timeout,
+    });
+  }
+
+  errorMessage(error) {
+    return error.response?.data?.error || error.message;
+  }
+}
+
+// Create singleton instance
+const mastodonService = new MastodonService();
+
+module.exports = {
+  MastodonService,
+  STATUS_LIMIT,
+  MAX_ATTACHMENTS,
+  ALT_TEXT_LIMIT,
+  VISIBILITIES,
+  normalizeInstance: mastodonService.normalizeInstance.bind(mastodonService),
+  getMastodonAuthorizationUrl: mastodonService.getAuthorizationUrl.bind(mastodonService),
+  completeMastodonAuthorization: mastodonService.completeAuthorization.bind(mastodonService),
+  validateMastodonCredentials: mastodonService.validateCredentials.bind(mastodonService),
+  publishToMastodon: mastodonService.publish.bind(mastodonService),
+  getMastodonStats: mastodonService.getStats.bind(mastodonService),
+  getMastodonPostMetrics: mastodonService.getPostMetrics.bind(mastodonService),
+  getRecentMastodonPosts: mastodonService.getRecentPosts.bind(mastodonService),
+  countMastodonCharacters: mastodonService.countCharacters.bind(mastodonService),
+};
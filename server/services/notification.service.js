@@ -0,0 +1,48 @@
+const Notification = require("../models/notification.model");
+
+/**
+ * Messages to users about things that need their attention. Notifications
+ * are stored and shown in the app (GET /api/notifications)
+ */
+class NotificationService {
+  async notify(userId, { type, title, message = "", accountId = null }) {
+    const notification = await Notification.create({ userId, type, title, message, accountId });
+    console.log(`🔔 Notified user ${userId}: ${title}`);
+    return notification;
+  }
+
+  list(userId, { unreadOnly = false, limit = 50 } = {}) {
+    const query = { userId };
+    if (unreadOnly) {
+      query.readAt = null;
+    }
+    return Notification.find(query)
+      .populate("accountId", "platform username")
+      .sort({ createdAt: -1 })
+      .limit(limit);
+  }
+
+  markRead(userId, notificationId) {
+    return Notification.findOneAndUpdate(
+      { _id: notificationId, userId },
+      { $set: { readAt: new Date() } },
+      { new: true }
+    );
+  }
+
+  async markAllRead(userId) {
+    const result = await Notification.updateMany({ userId, readAt: null }, { $set: { readAt: new Date() } });
+    return result.modifiedCount;
+  }
+}
+
+// Create singleton instance
+const notificationService = new NotificationService();
+
+module.exports = {
+  NotificationService,
+  notifyUser: notificationService.notify.bind(notificationService),
+  listNotifications: notificationService.list.bind(notificationService),
+  markNotificationRead: notificationService.markRead.bind(notificationService),
+  markAllNotificationsRead: notificationService.markAllRead.bind(notificationService),
+};
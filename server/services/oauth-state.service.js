@@ -0,0 +1,93 @@
+const crypto = require("crypto");
+
+/**
+ * Short-lived state of the OAuth connect flows (/api/accounts/oauth/:platform).
+ *
+ * `state` values are single-use nonces bound to the user and platform that
+ * started the flow, so a callback can't be replayed or completed by someone
+ * else. Authorized identities waiting for the user to pick which pages to
+ * connect are kept as pending connections. Both expire after 15 minutes,
+ * so memory is enough.
+ */
+class OAuthStateService {
+  constructor() {
+    this.states = new Map();
+    this.connections = new Map();
+    this.ttlMs = 15 * 60 * 1000;
+  }
+
+  /**
+   * Remember a flow and return its state. `key` replaces the generated
+   * state for providers that echo their own token instead (OAuth 1.0a)
+   */
+  createState(userId, platform, data = {}, key = null) {
+    this.prune();
+    const state = key || crypto.randomBytes(24).toString("hex");
+    this.states.set(state, {
+      userId: userId.toString(),
+      platform,
+      data,
+      createdAt: Date.now(),
+    });
+    return state;
+  }
+
+  /**
+   * Data of a flow started by this user for this platform. Each state can be used once
+   */
+  consumeState(state, userId, platform) {
+    this.prune();
+    const entry = state ? this.states.get(state) : null;
+    if (state) this.states.delete(state);
+
+    if (!entry || entry.userId !== userId.toString() || entry.platform !== platform) {
+      throw new Error("Authorization expired or was started by another user. Please try again.");
+    }
+    return entry.data;
+  }
+
+  /**
+   * Keep authorized identities until the user picks which ones to connect
+   */
+  savePendingConnection(userId, platform, data) {
+    this.prune();
+    const connectionId = crypto.randomBytes(16).toString("hex");
+    this.connections.set(connectionId, {
+      userId: userId.toString(),
+      platform,
+      data,
+      createdAt: Date.now(),
+    });
+    return connectionId;
+  }
+
+  takePendingConnection(connectionId, userId, platform) {
+    this.prune();
+    const entry = this.connections.get(connectionId);
+    if (!entry || entry.userId !== userId.toString() || entry.platform !== platform) {
+      throw new Error("Authorization expired. Please connect again.");
+    }
+    this.connections.delete(connectionId);
+    return entry.data;
+  }
+
+  prune() {
+    const cutoff = Date.now() - this.ttlMs;
+    for (const store of [this.states, this.connections]) {
+      for (const [key, value] of store) {
+        if (value.createdAt < cutoff) store.delete(key);
+      }
+    }
+  }
+}
+
+// Create singleton instance
+const oauthStateService = new OAuthStateService();
+
+module.exports = {
+  OAuthStateService,
+  createOAuthState: oauthStateService.createState.bind(oauthStateService),
+  consumeOAuthState: oauthStateService.consumeState.bind(oauthStateService),
+  savePendingOAuthConnection: oauthStateService.savePendingConnection.bind(oauthStateService),
+  takePendingOAuthConnection: oauthStateService.takePendingConnection.bind(oauthStateService),
+};
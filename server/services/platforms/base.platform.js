@@ -0,0 +1,250 @@
+const { withDecryptedCredentials } = require("../../utils/credentialCrypto");
+
+// Methods that receive an account, with the position of the account argument
+const ACCOUNT_ARGUMENTS = {
+  validate: 0,
+  fetchStats: 0,
+  findRecentPosts: 0,
+  publish: 1,
+  fetchPostMetrics: 1,
+  publishFirstComment: 1,
+  refreshCredentials: 0,
+};
+
+/**
+ * Base class of platform adapters.
+ *
+ * An adapter wraps everything the app needs to know about one social network:
+ * which credentials an account needs, how to check and connect them, content
+ * limits, publishing, account stats and per-post metrics. Adapters are
+ * registered in ./index.js; the rest of the app looks them up by platform name
+ * instead of switching on it.
+ */
+class PlatformAdapter {
+  constructor({ name, label, limits = {}, credentialFields = [], connectMode = "credentials" }) {
+    this.name = name;
+    this.label = label;
+    this.connectMode = connectMode;
+    // Account fields required to publish. `aliases` are legacy fields holding the same value
+    this.credentialFields = credentialFields;
+    this.limits = {
+      maxLength: null,
+      maxMedia: 1,
+      requiresMedia: false,
+      // Upload size limits in MB per media type; a missing type is not supported
+      mediaSizeMB: { image: 5, video: 100 },
+      // Requests per 15 minutes
+      rateLimit: 100,
+      syncIntervalHours: 2,
+      ...limits,
+    };
+    this.supportsThreads = false;
+    this.supportsFirstComment = false;
+    this.supportsContentWarning = false;
+    // Audiences a post can be limited to; empty when the platform has no choice
+    this.visibilityOptions = [];
+    // Who may reply to a post; empty when the platform has no choice
+    this.replyControlOptions = [];
+    // Whether the background token refresh job handles this platform (see refreshCredentials)
+    this.supportsTokenRefresh = false;
+
+    // Credentials are stored encrypted: adapters are the only place they are
+    // decrypted, so every account handed to them is wrapped on the way in
+    for (const [method, index] of Object.entries(ACCOUNT_ARGUMENTS)) {
+      const implementation = this[method];
+      this[method] = (...args) => {
+        args[index] = withDecryptedCredentials(args[index]);
+        return implementation.apply(this, args);
+      };
+    }
+  }
+
+  /**
+   * Credential fields an account needs; may depend on how it was connected
+   */
+  requiredCredentialFields() {
+    return this.credentialFields;
+  }
+
+  /**
+   * Labels of the credentials an account (or connect request) is missing
+   */
+  getMissingCredentials(account) {
+    return this.requiredCredentialFields(account)
+      .filter((field) => !this.getCredential(account, field.key))
+      .map((field) => field.label);
+  }
+
+  getCredential(account, key) {
+    const field = this.credentialFields.find((item) => item.key === key);
+    const keys = [key, ...(field?.aliases || [])];
+    for (const candidate of keys) {
+      if (account?.[candidate]) return account[candidate];
+    }
+    return undefined;
+  }
+
+  /**
+   * Connect an account from user-supplied credentials: check they are
+   * complete and valid, then load the profile.
+   * Returns the account fields to store and the profile stats
+   */
+  async connect(input) {
+    if (this.connectMode !== "credentials") {
+      throw new Error(`${this.label} accounts are connected with "Continue with ${this.label}"`);
+    }
+    return this.importCredentials(input);
+  }
+
+  /**
+   * Same checks as connect for credentials obtained outside the app (admin
+   * imports), so it also works for platforms that connect through OAuth
+   */
+  async importCredentials(input) {
+    const credentials = { platform: this.name };
+    // How the tokens were obtained decides which fields are required (e.g. Twitter OAuth 2.0)
+    if (input.authType) {
+      credentials.authType = input.authType;
+    }
+    for (const field of this.credentialFields) {
+      credentials[field.key] = this.getCredential(input, field.key);
+    }
+
+    const missing = this.getMissingCredentials(credentials);
+    if (missing.length > 0) {
+      throw new Error(`${this.label} requires ${missing.join(", ")}`);
+    }
+
+    await this.validate(credentials);
+    const profile = await this.fetchStats(credentials);
+    return { credentials, profile };
+  }
+
+  /**
+   * OAuth connect flow of the /api/accounts/oauth/:platform routes: the URL
+   * of the provider's consent screen
+   */
+  async getAuthorizationUrl() {
+    throw new Error(`${this.label} accounts cannot be connected through OAuth`);
+  }
+
+  /**
+   * Finish the OAuth flow from the callback parameters. Returns
+   * `{ credentials, profile }` for a single account, or
+   * `{ connectionId, options }` when the user still picks which pages to
+   * connect (see connectSelected)
+   */
+  async completeAuthorization() {
+    throw new Error(`${this.label} accounts cannot be connected through OAuth`);
+  }
+
+  /**
+   * Accounts for the options picked after completeAuthorization, as
+   * `[{ credentials, profile }]`
+   */
+  async connectSelected() {
+    throw new Error(`${this.label} accounts cannot be connected through OAuth`);
+  }
+
+  // Where the provider sends the user back to: the client's callback page
+  oauthRedirectUri() {
+    return (
+      process.env[`${this.name.toUpperCase()}_REDIRECT_URI`] ||
+      `${process.env.CLIENT_URL || "http://localhost:5173"}/accounts/oauth/${this.name}/callback`
+    );
+  }
+
+  /**
+   * Renew the tokens of an account before they expire. Returns
+   * `{ valid: false, message }` when the account must be reconnected, or
+   * `{ valid: true, credentials, tokenExpiresAt, refreshableUntil }` with the
+   * credentials that changed and the date after which they can no longer be renewed
+   */
+  async refreshCredentials() {
+    throw new Error(`Token refresh not supported for platform: ${this.name}`);
+  }
+
+  /**
+   * Check the account's credentials against the platform. Throws when invalid
+   */
+  async validate() {
+    throw new Error(`Credential validation not supported for platform: ${this.name}`);
+  }
+
+  /**
+   * Check the text of a post, e.g. when it is scheduled
+   */
+  validateText(content) {
+    if (!content || content.trim().length === 0) {
+      return { valid: false, message: "Content cannot be empty" };
+    }
+
+    const length = content.trim().length;
+    if (this.limits.maxLength && length > this.limits.maxLength) {
+      return {
+        valid: false,
+        message: `${this.label} posts must be ${this.limits.maxLength} characters or less (current: ${length})`,
+      };
+    }
+
+    return { valid: true, message: "Content is valid" };
+  }
+
+  /**
+   * Check a whole post right before it is published
+   */
+  validatePost(post) {
+    const text = this.validateText(post.content);
+    if (!text.valid) return text;
+
+    if (this.limits.requiresMedia && (post.mediaFiles || []).length === 0) {
+      return { valid: false, message: `${this.label} requires at least one image or video` };
+    }
+
+    return { valid: true };
+  }
+
+  async publish() {
+    throw new Error(`Publishing not supported for platform: ${this.name}`);
+  }
+
+  /**
+   * Profile and audience numbers of the account
+   */
+  async fetchStats() {
+    throw new Error(`Stats not supported for platform: ${this.name}`);
+  }
+
+  /**
+   * Likes, comments, shares, impressions, reach and clicks of a published post
+   */
+  async fetchPostMetrics() {
+    throw new Error(`Post metrics not supported for platform: ${this.name}`);
+  }
+
+  /**
+   * Recent posts of the account as { id, text, createdAt, hasMedia }, used
+   * to reconcile posts whose publish result was never recorded
+   */
+  async findRecentPosts() {
+    throw new Error(`Reconciliation not supported for platform: ${this.name}`);
+  }
+
+  async publishFirstComment() {
+    throw new Error(`First comments are not supported for ${this.name}`);
+  }
+
+  profileUrl(account) {
+    return account.profileData?.pageUrl || "";
+  }
+
+  /**
+   * Engagement rate in percent from raw post metrics
+   */
+  engagementRate({ likes = 0, comments = 0, shares = 0, impressions = 0 }) {
+    if (!impressions) return 0;
+    return parseFloat((((likes + comments + shares) / impressions) * 100).toFixed(2));
+  }
+}
+
+module.exports = PlatformAdapter;
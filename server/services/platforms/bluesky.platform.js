@@ -0,0 +1,114 @@
+const PlatformAdapter = require("./base.platform");
+const {
+  POST_LIMIT,
+  MAX_IMAGES,
+  connectBluesky,
+  validateBlueskyCredentials,
+  publishToBluesky,
+  getBlueskyStats,
+  getBlueskyPostMetrics,
+  getRecentBlueskyPosts,
+  countBlueskyCharacters,
+} = require("../bluesky.service");
+
+/**
+ * Bluesky accounts, connected with the handle and an app password.
+ * Sessions and API calls live in bluesky.service
+ */
+class BlueskyPlatform extends PlatformAdapter {
+  constructor() {
+    super({
+      name: "bluesky",
+      label: "Bluesky",
+      credentialFields: [
+        { key: "username", label: "Handle" },
+        { key: "appPassword", label: "App Password" },
+      ],
+      limits: {
+        maxLength: POST_LIMIT,
+        maxMedia: MAX_IMAGES,
+        // Images are downsized from Cloudinary to Bluesky's 1MB blob limit when published
+        mediaSizeMB: { image: 20 },
+        rateLimit: 300,
+        syncIntervalHours: 1,
+      },
+    });
+  }
+
+  // The session token comes from the app password, not from the user
+  async importCredentials(input) {
+    const missing = this.getMissingCredentials(input);
+    if (missing.length > 0) {
+      throw new Error(`Bluesky requires ${missing.join(", ")}`);
+    }
+    return connectBluesky({ username: input.username, appPassword: input.appPassword });
+  }
+
+  // Bluesky counts graphemes, so an emoji is one character
+  validateText(content) {
+    if (!content || content.trim().length === 0) {
+      return { valid: false, message: "Content cannot be empty" };
+    }
+
+    const length = countBlueskyCharacters(content.trim());
+    if (length > this.limits.maxLength) {
+      return {
+        valid: false,
+        message: `Bluesky posts must be ${this.limits.maxLength} characters or less (current: ${length})`,
+      };
+    }
+
+    return { valid: true, message: "Content is valid" };
+  }
+
+  /**
+   * Up to 4 images; video and documents are not supported
+   */
+  validatePost(post) {
+    const text = this.validateText(post.content);
+    if (!text.valid) return text;
+
+    const media = post.mediaFiles || [];
+    if (media.some((file) => file.resourceType !== "image")) {
+      return { valid: false, message: "Bluesky posts can only include images" };
+    }
+    if (media.length > this.limits.maxMedia) {
+      return { valid: false, message: `Bluesky posts can have at most ${this.limits.maxMedia} images` };
+    }
+
+    return { valid: true };
+  }
+
+  validate(account) {
+    return validateBlueskyCredentials(account);
+  }
+
+  publish(post, account) {
+    return publishToBluesky(post, account);
+  }
+
+  fetchStats(account) {
+    return getBlueskyStats(account);
+  }
+
+  async fetchPostMetrics(post, account) {
+    const metrics = await getBlueskyPostMetrics(post, account);
+    return {
+      ...metrics,
+      impressions: 0,
+      reach: 0,
+      clicks: 0,
+      engagementRate: 0,
+    };
+  }
+
+  findRecentPosts(account, since) {
+    return getRecentBlueskyPosts(account, since);
+  }
+
+  profileUrl(account) {
+    return account.profileData?.pageUrl || `https://bsky.app/profile/${account.username}`;
+  }
+}
+
+module.exports = BlueskyPlatform;
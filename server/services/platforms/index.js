@@ -0,0 +1,66 @@
+const PlatformAdapter = require("./base.platform");
+const TwitterPlatform = require("./twitter.platform");
+const FacebookPlatform = require("./facebook.platform");
+const InstagramPlatform = require("./instagram.platform");
+const LinkedInPlatform = require("./linkedin.platform");
+const MastodonPlatform = require("./mastodon.platform");
+const BlueskyPlatform = require("./bluesky.platform");
+const ThreadsPlatform = require("./threads.platform");
+
+/**
+ * Registry of platform adapters, keyed by platform name.
+ * A new platform is one adapter module registered here.
+ */
+class PlatformRegistry {
+  constructor() {
+    this.adapters = new Map();
+  }
+
+  registerPlatform(adapter) {
+    if (!adapter?.name) {
+      throw new Error("Platform adapter must have a name");
+    }
+    this.adapters.set(adapter.name, adapter);
+    return adapter;
+  }
+
+  getPlatform(name) {
+    const adapter = this.adapters.get(String(name || "").toLowerCase());
+    if (!adapter) {
+      throw new Error(`Unsupported platform: ${name}`);
+    }
+    return adapter;
+  }
+
+  hasPlatform(name) {
+    return this.adapters.has(String(name || "").toLowerCase());
+  }
+
+  listPlatforms() {
+    return [...this.adapters.values()];
+  }
+
+  platformNames() {
+    return [...this.adapters.keys()];
+  }
+}
+
+// Create singleton instance with the built-in platforms
+const platformRegistry = new PlatformRegistry();
+platformRegistry.registerPlatform(new TwitterPlatform());
+platformRegistry.registerPlatform(new FacebookPlatform());
+platformRegistry.registerPlatform(new InstagramPlatform());
+platformRegistry.registerPlatform(new LinkedInPlatform());
+platformRegistry.registerPlatform(new MastodonPlatform());
+platformRegistry.registerPlatform(new BlueskyPlatform());
+platformRegistry.registerPlatform(new ThreadsPlatform());
+
+module.exports = {
+  PlatformRegistry,
+  PlatformAdapter,
+  registerPlatform: platformRegistry.registerPlatform.bind(platformRegistry),
+  getPlatform: platformRegistry.getPlatform.bind(platformRegistry),
+  hasPlatform: platformRegistry.hasPlatform.bind(platformRegistry),
+  listPlatforms: platformRegistry.listPlatforms.bind(platformRegistry),
+  platformNames: platformRegistry.platformNames.bind(platformRegistry),
+};
@@ -0,0 +1,608 @@
+const axios = require("axios");
+const { MetaGraphPlatform, GRAPH_URL } = require("./meta.platform");
+
+/**
+ * Instagram Business Accounts through the Graph API
+ */
+class InstagramPlatform extends MetaGraphPlatform {
+  constructor() {
+    super({
+      name: "instagram",
+      label: "Instagram",
+      connectMode: "oauth",
+      oauthScopes: [
+        "pages_show_list",
+        "pages_read_engagement",
+        "business_management",
+        "instagram_basic",
+        "instagram_content_publish",
+        "instagram_manage_comments",
+        "instagram_manage_insights",
+      ],
+      limits: {
+        maxLength: 2200,
+        maxMedia: 10,
+        requiresMedia: true,
+        mediaSizeMB: { image: 8, video: 100 },
+        rateLimit: 200,
+        syncIntervalHours: 2, // Uses Facebook Graph API
+      },
+    });
+    this.supportsTokenRefresh = true;
+  }
+
+  // Pages with a linked Instagram Business Account; the Instagram account is connected
+  pageOptions(pages) {
+    return pages
+      .filter((page) => page.instagram_business_account?.id)
+      .map((page) => {
+        const instagram = page.instagram_business_account;
+        return {
+          id: instagram.id,
+          type: "instagram",
+          name: instagram.name || instagram.username,
+          username: instagram.username,
+          profileImageUrl: instagram.profile_picture_url || "",
+          pageName: page.name,
+          pageAccessToken: page.access_token,
+          profileData: { pageId: page.id, pageName: page.name, instagramBusinessAccount: instagram.id },
+        };
+      });
+  }
+
+  // Handle both string and object formats for the Instagram Business ID
+  getBusinessAccountId(account) {
+    return typeof account.profileData?.instagramBusinessAccount === "string"
+      ? account.profileData.instagramBusinessAccount
+      : account.profileData?.instagramBusinessAccount?.id;
+  }
+
+  /**
+   * Check the token can reach an Instagram Business Account
+   */
+  async validate(account) {
+    const { accessToken } = account;
+    try {
+      // First validate the access token by getting user info
+      const userResponse = await axios.get(`${GRAPH_URL}/me`, {
+        params: {
+          fields: "id,name",
+          access_token: accessToken,
+        },
+        timeout: 10000,
+      });
+
+      if (!userResponse.data.id) {
+        throw new Error("Invalid access token");
+      }
+
+      // Then check for pages with Instagram Business Accounts
+      const pagesResponse = await axios.get(`${GRAPH_URL}/me/accounts`, {
+        params: {
+          fields: "id,name,instagram_business_account",
+          access_token: accessToken,
+        },
+        timeout: 10000,
+      });
+
+      const pages = pagesResponse.data.data || [];
+      const pagesWithInstagram = pages.filter(
+        (page) => page.instagram_business_account?.id
+      );
+
+      if (pagesWithInstagram.length === 0) {
+        throw new Error(
+          "No Instagram Business Account found. Please connect your Instagram to a Facebook Page and convert it to a Business Account."
+        );
+      }
+
+      return {
+        user: userResponse.data,
+        instagramAccounts: pagesWithInstagram.map((page) => ({
+          pageId: page.id,
+          pageName: page.name,
+          instagramId: page.instagram_business_account.id,
+        })),
+      };
+    } catch (error) {
+      if (error.code === "ECONNABORTED") {
+        throw new Error("Instagram validation timed out. Please try again.");
+      }
+      throw new Error(
+        `Instagram validation failed: ${
+          error.response?.data?.error?.message || error.message
+        }`
+      );
+    }
+  }
+
+  /**
+   * Get Instagram statistics with improved page handling - REAL API CALLS
+   */
+  async fetchStats(account) {
+    const { accessToken, pageAccessToken } = account;
+    const instagramBusinessId = this.getBusinessAccountId(account);
+    try {
+      let instagramAccountId = instagramBusinessId;
+      let effectiveAccessToken = pageAccessToken || accessToken;
+
+      // If we don't have Instagram Business ID, try to get it
+      if (!instagramAccountId) {
+        console.log("🔍 Looking for Instagram Business Account...");
+
+        // First, get user's pages
+        const pagesResponse = await axios.get(`${GRAPH_URL}/me/accounts`, {
+          params: {
+            fields: "name,access_token,instagram_business_account",
+            access_token: accessToken,
+          },
+          timeout: 10000,
+        });
+
+        const pages = pagesResponse.data.data || [];
+        console.log(`Found ${pages.length} Facebook pages`);
+
+        // Find a page with Instagram Business Account
+        for (const page of pages) {
+          if (page.instagram_business_account?.id) {
+            instagramAccountId = page.instagram_business_account.id;
+            effectiveAccessToken = page.access_token;
+            console.log(
+              `✅ Found Instagram Business Account: ${instagramAccountId}`
+            );
+
+            // Remember the business account on stored accounts (string, not object)
+            if (typeof account.save === "function") {
+              account.set("profileData.instagramBusinessAccount", instagramAccountId);
+              await account.save();
+            }
+            break;
+          }
+        }
+
+        if (!instagramAccountId) {
+          throw new Error(
+            "No Instagram Business Account found. Please ensure your Instagram account is connected to a Facebook Page and converted to a Business Account."
+          );
+        }
+      }
+
+      // Get Instagram account info and metrics
+      const accountResponse = await axios.get(
+        `${GRAPH_URL}/${instagramAccountId}`,
+        {
+          params: {
+            fields:
+              "followers_count,follows_count,media_count,profile_picture_url,username,name,biography,website",
+            access_token: effectiveAccessToken,
+          },
+          timeout: 10000,
+        }
+      );
+
+      const accountData = accountResponse.data;
+
+      // Get recent media for engagement calculation
+      let engagementRate = 0;
+      try {
+        const mediaResponse = await axios.get(
+          `${GRAPH_URL}/${instagramAccountId}/media`,
+          {
+            params: {
+              fields: "like_count,comments_count,timestamp,media_type",
+              limit: 10, // Reduced to avoid rate limits
+              access_token: effectiveAccessToken,
+            },
+            timeout: 10000,
+          }
+        );
+
+        const mediaData = mediaResponse.data.data || [];
+
+        if (mediaData.length > 0 && accountData.followers_count > 0) {
+          const totalEngagement = mediaData.reduce((sum, media) => {
+            return sum + (media.like_count || 0) + (media.comments_count || 0);
+          }, 0);
+
+          engagementRate =
+            (totalEngagement / mediaData.length / accountData.followers_count) *
+            100;
+        }
+      } catch (mediaError) {
+        console.warn(
+          "Could not fetch media for engagement calculation:",
+          mediaError.message
+        );
+      }
+
+      console.log(`✅ Instagram stats synced successfully`);
+
+      return {
+        followers: accountData.followers_count || 0,
+        following: accountData.follows_count || 0,
+        posts: accountData.media_count || 0,
+        engagement: parseFloat(engagementRate.toFixed(2)),
+        impressions: 0,
+        reach: 0,
+        verified: false,
+        profileImageUrl: accountData.profile_picture_url || "",
+        description: accountData.biography || "",
+        website: accountData.website || "",
+        username: accountData.username || "",
+        displayName: accountData.name || accountData.username || "",
+        instagramBusinessAccount: instagramAccountId, // Include this for future reference
+      };
+    } catch (error) {
+      console.error(
+        "❌ Instagram API Error:",
+        error.response?.data || error.message
+      );
+
+      if (error.response?.status === 429) {
+        throw new Error(
+          "Instagram rate limit exceeded. Please try again later."
+        );
+      } else if (error.response?.status === 190) {
+        throw new Error(
+          "Instagram access token expired. Please reconnect your account."
+        );
+      } else if (error.response?.data?.error?.code === 100) {
+        throw new Error(
+          "Instagram Business Account not found or not properly connected. Please ensure your Instagram is connected to a Facebook Page."
+        );
+      }
+
+      throw new Error(
+        `Instagram API Error: ${
+          error.response?.data?.error?.message || error.message
+        }`
+      );
+    }
+  }
+
+  /**
+   * Publish to Instagram Business Account - FIXED VERSION
+   */
+  async publish(post, account) {
+    try {
+      console.log(`📸 Publishing to Instagram account: ${account.username}`);
+
+      let instagramBusinessId = this.getBusinessAccountId(account);
+
+      let pageAccessToken = account.pageAccessToken || account.accessToken;
+
+      if (!instagramBusinessId) {
+        // Find Instagram Business Account
+        const pagesResponse = await axios.get(`${GRAPH_URL}/me/accounts`, {
+          params: {
+            fields: "id,name,access_token,instagram_business_account",
+            access_token: account.accessToken,
+          },
+        });
+
+        const pages = pagesResponse.data.data || [];
+        const pageWithInstagram = pages.find(
+          (page) => page.instagram_business_account?.id
+        );
+
+        if (!pageWithInstagram) {
+          throw new Error(
+            "No Instagram Business Account found. Please connect your Instagram to a Facebook Page."
+          );
+        }
+
+        instagramBusinessId = pageWithInstagram.instagram_business_account.id;
+        pageAccessToken = pageWithInstagram.access_token;
+
+        // Fix: Store Instagram Business Account ID as string, not object
+        account.profileData = {
+          ...account.profileData,
+          instagramBusinessAccount: instagramBusinessId, // Store as string directly
+          pageId: pageWithInstagram.id,
+          pageName: pageWithInstagram.name,
+        };
+        account.pageAccessToken = pageAccessToken;
+        await account.save();
+      }
+
+      // Fix: Validate caption length (Instagram limit is 2200 characters)
+      if (post.content && post.content.length > 2200) {
+        throw new Error(`Instagram caption too long (${post.content.length} characters). Maximum is 2200 characters.`);
+      }
+
+      // Handle different content types
+      if (post.mediaUrls && post.mediaUrls.length > 0) {
+        const result = post.mediaUrls.length === 1
+          ? await this.publishSingleMedia(
+              instagramBusinessId,
+              post,
+              pageAccessToken
+            )
+          : await this.publishCarousel(
+              instagramBusinessId,
+              post,
+              pageAccessToken
+            );
+        return await this.attachFirstComment(result, post, pageAccessToken);
+      } else {
+        throw new Error(
+          "Instagram requires at least one image or video to publish"
+        );
+      }
+    } catch (error) {
+      console.error(
+        "❌ Instagram publishing error:",
+        error.response?.data || error.message
+      );
+
+      if (error.response?.status === 429) {
+        throw new Error(
+          "Instagram rate limit exceeded. Please try again later."
+        );
+      } else if (
+        error.response?.status === 190 ||
+        error.response?.data?.error?.code === 190
+      ) {
+        throw new Error(
+          "Instagram access token expired. Please reconnect your account."
+        );
+      } else if (error.response?.data?.error?.code === 100) {
+        throw new Error(
+          "Instagram Business Account access error. Please check your account connection."
+        );
+      }
+
+      throw new Error(
+        `Instagram API error: ${
+          error.response?.data?.error?.message || error.message
+        }`
+      );
+    }
+  }
+
+  /**
+   * Publish single media to Instagram - FIXED VERSION
+   */
+  async publishSingleMedia(
+    instagramBusinessId,
+    post,
+    pageAccessToken
+  ) {
+    try {
+      const mediaUrl = post.mediaUrls[0];
+
+      // Fix: Detect media type (image vs video)
+      const isVideo = this.detectVideoFromUrl(mediaUrl);
+    
+      // Prepare media container parameters
+      const mediaParams = {
+        [isVideo ? 'video_url' : 'image_url']: mediaUrl,
+        caption: post.content,
+        access_token: pageAccessToken,
+      };
+
+      // Add media type for videos
+      if (isVideo) {
+        mediaParams.media_type = 'VIDEO';
+      }
+
+      // Step 1: Create media container
+      const containerResponse = await axios.post(
+        `${GRAPH_URL}/${instagramBusinessId}/media`,
+        mediaParams,
+        { timeout: 15000 }
+      );
+
+      const creationId = containerResponse.data.id;
+      console.log(`📷 Instagram media container created: ${creationId}`);
+
+      // Step 2: Wait for media to be processed (longer timeout for videos)
+      const waitTime = isVideo ? 60000 : 30000; // 60s for video, 30s for image
+      await this.waitForMediaContainer(creationId, pageAccessToken, waitTime);
+
+      // Step 3: Publish the media
+      const publishResponse = await axios.post(
+        `${GRAPH_URL}/${instagramBusinessId}/media_publish`,
+        {
+          creation_id: creationId,
+          access_token: pageAccessToken,
+        },
+        { timeout: 15000 }
+      );
+
+      console.log(
+        `✅ Instagram post published successfully: ${publishResponse.data.id}`
+      );
+
+      return {
+        success: true,
+        externalPostId: publishResponse.data.id,
+        publishedAt: new Date(),
+        platformResponse: {
+          platform: "instagram",
+          postId: publishResponse.data.id,
+          instagramBusinessId: instagramBusinessId,
+          creationId: creationId,
+          mediaType: isVideo ? 'video' : 'image',
+        },
+      };
+    } catch (error) {
+      throw new Error(
+        `Instagram single media publish error: ${
+          error.response?.data?.error?.message || error.message
+        }`
+      );
+    }
+  }
+
+  /**
+   * Publish carousel (multiple media) to Instagram - FIXED VERSION
+   */
+  async publishCarousel(instagramBusinessId, post, pageAccessToken) {
+    try {
+      const mediaContainers = [];
+
+      // Step 1: Create containers for each media item
+      for (const mediaUrl of post.mediaUrls.slice(0, 10)) { // Instagram allows max 10 items
+        try {
+          // Fix: Detect media type for carousel items
+          const isVideo = this.detectVideoFromUrl(mediaUrl);
+        
+          const mediaParams = {
+            [isVideo ? 'video_url' : 'image_url']: mediaUrl,
+            is_carousel_item: true,
+            access_token: pageAccessToken,
+          };
+
+          // Add media type for videos in carousel
+          if (isVideo) {
+            mediaParams.media_type = 'VIDEO';
+          }
+
+          const containerResponse = await axios.post(
+            `${GRAPH_URL}/${instagramBusinessId}/media`,
+            mediaParams
+          );
+
+          mediaContainers.push({
+            id: containerResponse.data.id,
+            isVideo: isVideo
+          });
+          console.log(`📷 Carousel item created: ${containerResponse.data.id}`);
+        } catch (mediaError) {
+          console.warn(
+            `⚠️ Failed to create carousel item for ${mediaUrl}:`,
+            mediaError.message
+          );
+          // Continue with other media
+        }
+      }
+
+      if (mediaContainers.length === 0) {
+        throw new Error("Failed to create any carousel media containers");
+      }
+
+      // Wait for all media items to process (especially important for videos)
+      for (const container of mediaContainers) {
+        const waitTime = container.isVideo ? 60000 : 30000;
+        try {
+          await this.waitForMediaContainer(container.id, pageAccessToken, waitTime);
+        } catch (processError) {
+          console.warn(`⚠️ Media processing warning for ${container.id}:`, processError.message);
+          // Continue - might still work
+        }
+      }
+
+      // Step 2: Create carousel container
+      const carouselResponse = await axios.post(
+        `${GRAPH_URL}/${instagramBusinessId}/media`,
+        {
+          media_type: "CAROUSEL",
+          children: mediaContainers.map(c => c.id).join(","),
+          caption: post.content,
+          access_token: pageAccessToken,
+        }
+      );
+
+      const carouselId = carouselResponse.data.id;
+      console.log(`🎠 Instagram carousel container created: ${carouselId}`);
+
+      // Step 3: Wait for carousel processing
+      await this.waitForMediaContainer(carouselId, pageAccessToken, 30000);
+
+      // Step 4: Publish the carousel
+      const publishResponse = await axios.post(
+        `${GRAPH_URL}/${instagramBusinessId}/media_publish`,
+        {
+          creation_id: carouselId,
+          access_token: pageAccessToken,
+        }
+      );
+
+      console.log(
+        `✅ Instagram carousel published successfully: ${publishResponse.data.id}`
+      );
+
+      return {
+        success: true,
+        externalPostId: publishResponse.data.id,
+        publishedAt: new Date(),
+        platformResponse: {
+          platform: "instagram",
+          postId: publishResponse.data.id,
+          instagramBusinessId: instagramBusinessId,
+          carouselId: carouselId,
+          mediaCount: mediaContainers.length,
+        },
+      };
+    } catch (error) {
+      throw new Error(
+        `Instagram carousel publish error: ${
+          error.response?.data?.error?.message || error.message
+        }`
+      );
+    }
+  }
+
+  /**
+   * Likes and comments plus insights of a published post
+   */
+  async fetchPostMetrics(post, account) {
+    const accessToken = account.pageAccessToken || account.accessToken;
+    const [media, insights] = await Promise.all([
+      axios.get(`${GRAPH_URL}/${post.externalPostId}`, {
+        params: { fields: "like_count,comments_count", access_token: accessToken },
+        timeout: 10000,
+      }),
+      axios.get(`${GRAPH_URL}/${post.externalPostId}/insights`, {
+        params: { metric: "impressions,reach,shares", access_token: accessToken },
+        timeout: 10000,
+      }),
+    ]);
+
+    const insight = (metric) =>
+      insights.data.data?.find((item) => item.name === metric)?.values?.[0]?.value || 0;
+
+    const result = {
+      likes: media.data.like_count || 0,
+      comments: media.data.comments_count || 0,
+      shares: insight("shares"),
+      impressions: insight("impressions"),
+      reach: insight("reach"),
+      clicks: 0,
+    };
+    result.engagementRate = this.engagementRate(result);
+    return result;
+  }
+
+  async findRecentPosts(account, since) {
+    const instagramBusinessId = this.getBusinessAccountId(account);
+    if (!instagramBusinessId) {
+      throw new Error("Instagram Business Account ID unknown - cannot check media");
+    }
+
+    const response = await axios.get(`${GRAPH_URL}/${instagramBusinessId}/media`, {
+      params: {
+        fields: "id,caption,timestamp",
+        limit: 25,
+        access_token: account.pageAccessToken || account.accessToken,
+      },
+      timeout: 10000,
+    });
+
+    return (response.data.data || [])
+      .filter((item) => new Date(item.timestamp) >= since)
+      .map((item) => ({
+        id: item.id,
+        text: item.caption,
+        createdAt: item.timestamp,
+        hasMedia: true,
+      }));
+  }
+
+  profileUrl(account) {
+    return `https://instagram.com/${account.username}`;
+  }
+}
+
+module.exports = InstagramPlatform;
@@ -0,0 +1,95 @@
+const PlatformAdapter = require("./base.platform");
+const {
+  COMMENTARY_LIMIT,
+  MAX_IMAGES,
+  validateLinkedInCredentials,
+  publishToLinkedIn,
+  getLinkedInStats,
+  getRecentLinkedInPosts,
+  getLinkedInPostMetrics,
+} = require("../linkedin.service");
+
+/**
+ * LinkedIn members and company pages. Accounts are connected through
+ * OAuth in linkedin.service, which also does the API calls
+ */
+class LinkedInPlatform extends PlatformAdapter {
+  constructor() {
+    super({
+      name: "linkedin",
+      label: "LinkedIn",
+      connectMode: "oauth",
+      credentialFields: [{ key: "accessToken", label: "Access Token" }],
+      limits: {
+        maxLength: COMMENTARY_LIMIT,
+        maxMedia: MAX_IMAGES,
+        mediaSizeMB: { image: 20, video: 200, document: 100 },
+        rateLimit: 100,
+        syncIntervalHours: 6, // LinkedIn daily application limits
+      },
+    });
+  }
+
+  // The author URN is part of the connection
+  getMissingCredentials(account) {
+    const missing = super.getMissingCredentials(account);
+    if (!account?.profileData?.id) missing.push("LinkedIn Author");
+    return missing;
+  }
+
+  /**
+   * LinkedIn takes up to 20 images or a single PDF document, no video
+   */
+  validatePost(post) {
+    const text = super.validatePost(post);
+    if (!text.valid) return text;
+
+    const media = post.mediaFiles || [];
+    if (media.some((file) => file.resourceType === "video")) {
+      return { valid: false, message: "LinkedIn posts cannot include video" };
+    }
+    if (media.some((file) => file.resourceType === "document") && media.length > 1) {
+      return { valid: false, message: "A LinkedIn document must be the only attachment" };
+    }
+    if (media.length > this.limits.maxMedia) {
+      return { valid: false, message: `LinkedIn posts can have at most ${this.limits.maxMedia} images` };
+    }
+
+    return { valid: true };
+  }
+
+  validate(account) {
+    return validateLinkedInCredentials(account.accessToken);
+  }
+
+  publish(post, account) {
+    return publishToLinkedIn(post, account);
+  }
+
+  fetchStats(account) {
+    return getLinkedInStats(account);
+  }
+
+  async fetchPostMetrics(post, account) {
+    const metrics = await getLinkedInPostMetrics(post, account);
+    return {
+      ...metrics,
+      shares: 0,
+      impressions: 0,
+      reach: 0,
+      clicks: 0,
+      engagementRate: 0,
+    };
+  }
+
+  findRecentPosts(account, since) {
+    return getRecentLinkedInPosts(account, since);
+  }
+
+  // Member vanity names need partner access, so only pages have a URL
+  profileUrl(account) {
+    return account.profileData?.pageUrl || "https://www.linkedin.com/feed/";
+  }
+}
+
+module.exports = LinkedInPlatform;
@@ -0,0 +1,114 @@
+const PlatformAdapter = require("./base.platform");
+const {
+  STATUS_LIMIT,
+  MAX_ATTACHMENTS,
+  ALT_TEXT_LIMIT,
+  VISIBILITIES,
+  validateMastodonCredentials,
+  publishToMastodon,
+  getMastodonStats,
+  getMastodonPostMetrics,
+  getRecentMastodonPosts,
+  countMastodonCharacters,
+} = require("../mastodon.service");
+
+/**
+ * Mastodon and other servers speaking the Mastodon API. Accounts are
+ * connected through OAuth on their own server, see mastodon.service
+ */
+class MastodonPlatform extends PlatformAdapter {
+  constructor() {
+    super({
+      name: "mastodon",
+      label: "Mastodon",
+      connectMode: "oauth",
+      credentialFields: [
+        { key: "accessToken", label: "Access Token" },
+        { key: "instanceUrl", label: "Mastodon Server" },
+      ],
+      limits: {
+        maxLength: STATUS_LIMIT,
+        maxMedia: MAX_ATTACHMENTS,
+        mediaSizeMB: { image: 16, video: 99 },
+        rateLimit: 300,
+        syncIntervalHours: 1,
+      },
+    });
+    this.supportsContentWarning = true;
+    this.visibilityOptions = VISIBILITIES;
+  }
+
+  // Links count as 23 characters whatever their length
+  validateText(content, contentWarning = "") {
+    if (!content || content.trim().length === 0) {
+      return { valid: false, message: "Content cannot be empty" };
+    }
+
+    const length = countMastodonCharacters(content.trim(), contentWarning);
+    if (length > this.limits.maxLength) {
+      return {
+        valid: false,
+        message: `Mastodon posts must be ${this.limits.maxLength} characters or less including the content warning (current: ${length})`,
+      };
+    }
+
+    return { valid: true, message: "Content is valid" };
+  }
+
+  /**
+   * Up to 4 images, or a single video; alt text up to 1500 characters
+   */
+  validatePost(post) {
+    const text = this.validateText(post.content, post.contentWarning);
+    if (!text.valid) return text;
+
+    const media = post.mediaFiles || [];
+    if (media.some((file) => file.resourceType === "document")) {
+      return { valid: false, message: "Mastodon posts cannot include documents" };
+    }
+    if (media.some((file) => file.resourceType === "video") && media.length > 1) {
+      return { valid: false, message: "A Mastodon video must be the only attachment" };
+    }
+    if (media.length > this.limits.maxMedia) {
+      return { valid: false, message: `Mastodon posts can have at most ${this.limits.maxMedia} attachments` };
+    }
+    if (media.some((file) => (file.altText || "").length > ALT_TEXT_LIMIT)) {
+      return { valid: false, message: `Alt text must be ${ALT_TEXT_LIMIT} characters or less` };
+    }
+
+    return { valid: true };
+  }
+
+  validate(account) {
+    return validateMastodonCredentials(account);
+  }
+
+  publish(post, account) {
+    return publishToMastodon(post, account);
+  }
+
+  fetchStats(account) {
+    return getMastodonStats(account);
+  }
+
+  async fetchPostMetrics(post, account) {
+    const metrics = await getMastodonPostMetrics(post, account);
+    return {
+      ...metrics,
+      impressions: 0,
+      reach: 0,
+      clicks: 0,
+      engagementRate: 0,
+    };
+  }
+
+  findRecentPosts(account, since) {
+    return getRecentMastodonPosts(account, since);
+  }
+
+  profileUrl(account) {
+    return account.profileData?.pageUrl || account.instanceUrl || "";
+  }
+}
+
+module.exports = MastodonPlatform;
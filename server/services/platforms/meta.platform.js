@@ -0,0 +1,364 @@
+const axios = require("axios");
+const PlatformAdapter = require("./base.platform");
+const {
+  createOAuthState,
+  consumeOAuthState,
+  savePendingOAuthConnection,
+  takePendingOAuthConnection,
+} = require("../oauth-state.service");
+
+const GRAPH_URL = "https://graph.facebook.com/v18.0";
+const DIALOG_URL = "https://www.facebook.com/v18.0/dialog/oauth";
+
+/**
+ * Shared base of platforms published through Meta's Graph API:
+ * app credentials, Facebook Login with page selection, first comments and
+ * media container polling
+ */
+class MetaGraphPlatform extends PlatformAdapter {
+  constructor(options) {
+    super({
+      credentialFields: [
+        { key: "facebookAppId", aliases: ["apiKey"], label: "Facebook App ID" },
+        { key: "facebookAppSecret", aliases: ["apiSecret"], label: "Facebook App Secret" },
+        { key: "accessToken", label: "Access Token" },
+      ],
+      ...options,
+    });
+    this.supportsFirstComment = true;
+    // Threads has its own Graph host and names the container status field differently
+    this.graphUrl = options.graphUrl || GRAPH_URL;
+    this.containerStatusField = options.containerStatusField || "status_code";
+    // Permissions requested by Facebook Login
+    this.oauthScopes = options.oauthScopes || [];
+    this.appCredentials = {
+      appId: process.env.FACEBOOK_APP_ID,
+      appSecret: process.env.FACEBOOK_APP_SECRET,
+    };
+  }
+
+  /**
+   * URL of the Facebook Login dialog
+   */
+  async getAuthorizationUrl(userId) {
+    if (this.connectMode !== "oauth") {
+      return super.getAuthorizationUrl(userId);
+    }
+    if (!this.appCredentials.appId || !this.appCredentials.appSecret) {
+      throw new Error("Facebook Login is not configured. Set FACEBOOK_APP_ID and FACEBOOK_APP_SECRET.");
+    }
+
+    const params = new URLSearchParams({
+      client_id: this.appCredentials.appId,
+      redirect_uri: this.oauthRedirectUri(),
+      state: createOAuthState(userId, this.name),
+      scope: this.oauthScopes.join(","),
+      response_type: "code",
+    });
+    return `${DIALOG_URL}?${params.toString()}`;
+  }
+
+  /**
+   * Exchange the code for a long-lived user token and list the pages (or
+   * Instagram accounts) the user can connect
+   */
+  async completeAuthorization(userId, { code, state, error, error_description }) {
+    consumeOAuthState(state, userId, this.name);
+    if (error || !code) {
+      throw new Error(error_description || `${this.label} authorization was cancelled`);
+    }
+
+    let userToken;
+    let pages;
+    try {
+      const tokenResponse = await axios.get(`${GRAPH_URL}/oauth/access_token`, {
+        params: {
+          client_id: this.appCredentials.appId,
+          client_secret: this.appCredentials.appSecret,
+          redirect_uri: this.oauthRedirectUri(),
+          code,
+        },
+        timeout: 10000,
+      });
+
+      // Short-lived tokens last an hour; the long-lived one about 60 days,
+      // and page tokens derived from it don't expire
+      userToken = await this.exchangeForLongLivedToken(
+        tokenResponse.data.access_token,
+        this.appCredentials.appId,
+        this.appCredentials.appSecret
+      );
+
+      const pagesResponse = await axios.get(`${GRAPH_URL}/me/accounts`, {
+        params: {
+          fields:
+            "id,name,access_token,picture{url},instagram_business_account{id,username,name,profile_picture_url}",
+          limit: 100,
+          access_token: userToken.access_token,
+        },
+        timeout: 10000,
+      });
+      pages = pagesResponse.data.data || [];
+    } catch (requestError) {
+      throw new Error(
+        `${this.label} authorization failed: ${requestError.response?.data?.error?.message || requestError.message}`
+      );
+    }
+
+    const options = this.pageOptions(pages);
+    if (options.length === 0) {
+      throw new Error(
+        this.name === "instagram"
+          ? "None of your Facebook Pages has an Instagram Business Account. Link one to a Page first."
+          : "No Facebook Pages found. You need to manage a Page to publish on Facebook."
+      );
+    }
+
+    const connectionId = savePendingOAuthConnection(userId, this.name, {
+      accessToken: userToken.access_token,
+      tokenExpiresAt: userToken.expires_in ? new Date(Date.now() + userToken.expires_in * 1000) : null,
+      options,
+    });
+
+    // Page tokens stay on the server
+    return {
+      connectionId,
+      options: options.map(({ pageAccessToken, ...option }) => option),
+    };
+  }
+
+  async exchangeForLongLivedToken(accessToken, appId, appSecret) {
+    const response = await axios.get(`${GRAPH_URL}/oauth/access_token`, {
+      params: {
+        grant_type: "fb_exchange_token",
+        client_id: appId,
+        client_secret: appSecret,
+        fb_exchange_token: accessToken,
+      },
+      timeout: 10000,
+    });
+    return response.data;
+  }
+
+  // Validity and expiry of a token, read with the app token
+  async debugToken(accessToken, appId, appSecret) {
+    const response = await axios.get(`${GRAPH_URL}/debug_token`, {
+      params: { input_token: accessToken, access_token: `${appId}|${appSecret}` },
+      timeout: 10000,
+    });
+    return response.data.data || {};
+  }
+
+  /**
+   * Exchange a short-lived or soon expiring user token for a long-lived one,
+   * and fetch a new page token when the user token changed or the page token
+   * is no longer usable. Long-lived tokens can be renewed until the app's
+   * data access expires (about 90 days after the user last logged in)
+   */
+  async refreshCredentials(account, { refreshBeforeMs }) {
+    const appId = account.facebookAppId || this.appCredentials.appId;
+    const appSecret = account.facebookAppSecret || this.appCredentials.appSecret;
+    if (!appId || !appSecret) {
+      throw new Error("Facebook App ID and App Secret are required to refresh tokens");
+    }
+
+    const userToken = await this.debugToken(account.accessToken, appId, appSecret);
+    if (!userToken.is_valid) {
+      return {
+        valid: false,
+        message: userToken.error?.message || `${this.label} access token is no longer valid. Please reconnect your account.`,
+      };
+    }
+
+    const credentials = {};
+    const toDate = (seconds) => (seconds ? new Date(seconds * 1000) : null);
+    let tokenExpiresAt = toDate(userToken.expires_at);
+
+    if (tokenExpiresAt && tokenExpiresAt.getTime() - Date.now() < refreshBeforeMs) {
+      const exchanged = await this.exchangeForLongLivedToken(account.accessToken, appId, appSecret);
+      credentials.accessToken = exchanged.access_token;
+      tokenExpiresAt = exchanged.expires_in ? new Date(Date.now() + exchanged.expires_in * 1000) : null;
+      console.log(`🔄 ${this.label} user token renewed for ${account.username}`);
+    }
+
+    const pageId = account.profileData?.pageId;
+    if (pageId && (credentials.accessToken || !(await this.isPageTokenUsable(account, appId, appSecret, refreshBeforeMs)))) {
+      const response = await axios.get(`${GRAPH_URL}/${pageId}`, {
+        params: { fields: "access_token", access_token: credentials.accessToken || account.accessToken },
+        timeout: 10000,
+      });
+      credentials.pageAccessToken = response.data.access_token;
+      console.log(`🔄 ${this.label} page token renewed for ${account.username}`);
+    }
+
+    return {
+      valid: true,
+      credentials,
+      tokenExpiresAt,
+      refreshableUntil: toDate(userToken.data_access_expires_at),
+    };
+  }
+
+  async isPageTokenUsable(account, appId, appSecret, refreshBeforeMs) {
+    if (!account.pageAccessToken) return false;
+    const pageToken = await this.debugToken(account.pageAccessToken, appId, appSecret);
+    return Boolean(
+      pageToken.is_valid && (!pageToken.expires_at || pageToken.expires_at * 1000 - Date.now() > refreshBeforeMs)
+    );
+  }
+
+  /**
+   * Options the user can pick from the pages of the Facebook user
+   */
+  pageOptions() {
+    return [];
+  }
+
+  async connectSelected(userId, connectionId, targets) {
+    const pending = takePendingOAuthConnection(connectionId, userId, this.name);
+    const selected = pending.options.filter((option) => (targets || []).includes(option.id));
+    if (selected.length === 0) {
+      throw new Error(`Select at least one ${this.label} account to connect`);
+    }
+
+    const accounts = [];
+    for (const option of selected) {
+      const credentials = {
+        facebookAppId: this.appCredentials.appId,
+        facebookAppSecret: this.appCredentials.appSecret,
+        accessToken: pending.accessToken,
+        pageAccessToken: option.pageAccessToken,
+        tokenExpiresAt: pending.tokenExpiresAt,
+        authType: "oauth2",
+      };
+      const stats = await this.fetchStats({ ...credentials, profileData: option.profileData });
+      accounts.push({
+        credentials,
+        profile: { ...stats, ...option.profileData, id: option.id },
+      });
+    }
+    return accounts;
+  }
+
+  /**
+   * Post the first comment of a freshly published post.
+   * The post itself is already live, so a failed comment never fails the
+   * publish - the outcome is returned separately as `firstComment`.
+   */
+  async attachFirstComment(result, post, accessToken) {
+    if (!result?.success || !post.firstComment?.trim()) {
+      return result;
+    }
+
+    try {
+      const comment = await this.postGraphComment(result.externalPostId, post.firstComment, accessToken);
+      return { ...result, firstComment: { success: true, ...comment } };
+    } catch (error) {
+      const message = error.response?.data?.error?.message || error.message;
+      console.warn(`⚠️ First comment failed for post ${result.externalPostId}:`, message);
+      return { ...result, firstComment: { success: false, error: message } };
+    }
+  }
+
+  /**
+   * Post (or re-post) the first comment of an already published post
+   */
+  async publishFirstComment(post, account) {
+    if (!post.externalPostId) {
+      throw new Error("Post has not been published yet");
+    }
+
+    try {
+      return await this.postGraphComment(
+        post.externalPostId,
+        post.firstComment,
+        account.pageAccessToken || account.accessToken
+      );
+    } catch (error) {
+      throw new Error(
+        `First comment failed: ${error.response?.data?.error?.message || error.message}`
+      );
+    }
+  }
+
+  /**
+   * Create a comment through the Graph API comments edge (works for both
+   * Instagram media and Facebook page posts)
+   */
+  async postGraphComment(objectId, message, accessToken) {
+    const response = await axios.post(
+      `${GRAPH_URL}/${objectId}/comments`,
+      { message, access_token: accessToken },
+      { timeout: 15000 }
+    );
+
+    console.log(`💬 First comment posted on ${objectId}: ${response.data.id}`);
+    return { externalId: response.data.id, postedAt: new Date() };
+  }
+
+  /**
+   * Wait for a media container to finish processing before it is published
+   * (Instagram media and carousels, Threads posts)
+   */
+  async waitForMediaContainer(
+    creationId,
+    pageAccessToken,
+    maxWaitTime = 30000
+  ) {
+    const startTime = Date.now();
+    const checkInterval = 2000; // Check every 2 seconds
+
+    while (Date.now() - startTime < maxWaitTime) {
+      try {
+        const statusResponse = await axios.get(`${this.graphUrl}/${creationId}`, {
+          params: {
+            fields: this.containerStatusField,
+            access_token: pageAccessToken,
+          },
+          timeout: 5000,
+        });
+
+        const statusCode = statusResponse.data[this.containerStatusField];
+
+        if (statusCode === "FINISHED") {
+          console.log(`✅ ${this.label} media processing completed: ${creationId}`);
+          return;
+        } else if (statusCode === "ERROR" || statusCode === "EXPIRED") {
+          throw new Error(`${this.label} media processing failed for ${creationId} (${statusCode})`);
+        }
+
+        // Still processing, wait and retry
+        console.log(`⏳ ${this.label} media still processing (${statusCode})...`);
+        await new Promise((resolve) => setTimeout(resolve, checkInterval));
+      } catch (error) {
+        // Fix: Better error handling - don't assume media is ready on 400 errors
+        if (error.response?.status === 400) {
+          const errorMessage = error.response?.data?.error?.message || error.message;
+        
+          // Only assume ready if it's a specific "not found" type error that indicates completion
+          if (errorMessage.includes('does not exist') || errorMessage.includes('invalid')) {
+            console.log(`⚠️ Status check suggests media may be processed: ${errorMessage}`);
+            return;
+          }
+        
+          // Otherwise, it's likely a real error
+          throw new Error(`Media processing status check failed: ${errorMessage}`);
+        }
+        throw error;
+      }
+    }
+
+    throw new Error(`${this.label} media processing timeout after ${maxWaitTime}ms. The media may still be processing.`);
+  }
+
+  /**
+   * Helper method to detect video from URL
+   */
+  detectVideoFromUrl(mediaUrl) {
+    // Common video file extensions
+    const videoExtensions = /\.(mp4|mov|avi|wmv|flv|webm|m4v|3gp|mkv)(\?.*)?$/i;
+    return videoExtensions.test(mediaUrl);
+  }
+}
+
+module.exports = { MetaGraphPlatform, GRAPH_URL };
@@ -0,0 +1,295 @@
+const axios = require("axios");
+const { MetaGraphPlatform } = require("./meta.platform");
+
+const THREADS_URL = "https://graph.threads.net/v1.0";
+
+// Threads accepts 2 to 20 items in a carousel
+const MAX_CAROUSEL_ITEMS = 20;
+
+/**
+ * Threads profiles through the Threads Graph API. Publishing uses the same
+ * container-then-publish model as Instagram, including container polling
+ */
+class ThreadsPlatform extends MetaGraphPlatform {
+  constructor() {
+    super({
+      name: "threads",
+      label: "Threads",
+      graphUrl: THREADS_URL,
+      containerStatusField: "status",
+      limits: {
+        maxLength: 500,
+        maxMedia: MAX_CAROUSEL_ITEMS,
+        mediaSizeMB: { image: 8, video: 1024 },
+        rateLimit: 200,
+        syncIntervalHours: 2,
+      },
+    });
+    this.replyControlOptions = ["everyone", "accounts_you_follow", "mentioned_only"];
+  }
+
+  // Publishing needs the Threads user ID; "me" resolves it until the first sync
+  getUserId(account) {
+    return account.profileData?.id || "me";
+  }
+
+  validatePost(post) {
+    const text = super.validatePost(post);
+    if (!text.valid) return text;
+
+    const media = post.mediaFiles || [];
+    if (media.some((file) => file.resourceType === "document")) {
+      return { valid: false, message: "Threads posts cannot include documents" };
+    }
+    if (media.length > this.limits.maxMedia) {
+      return { valid: false, message: `Threads carousels can have at most ${this.limits.maxMedia} items` };
+    }
+
+    return { valid: true };
+  }
+
+  /**
+   * Check the Threads access token
+   */
+  async validate(account) {
+    try {
+      const response = await axios.get(`${THREADS_URL}/me`, {
+        params: { fields: "id,username", access_token: account.accessToken },
+        timeout: 10000,
+      });
+
+      if (!response.data.id) {
+        throw new Error("Invalid access token");
+      }
+      return response.data;
+    } catch (error) {
+      if (error.code === "ECONNABORTED") {
+        throw new Error("Threads validation timed out. Please try again.");
+      }
+      throw new Error(
+        `Threads validation failed: ${error.response?.data?.error?.message || error.message}`
+      );
+    }
+  }
+
+  /**
+   * Profile and follower count of the Threads user
+   */
+  async fetchStats(account) {
+    try {
+      const profileResponse = await axios.get(`${THREADS_URL}/me`, {
+        params: {
+          fields: "id,username,name,threads_profile_picture_url,threads_biography",
+          access_token: account.accessToken,
+        },
+        timeout: 10000,
+      });
+      const profile = profileResponse.data;
+
+      let followers = 0;
+      try {
+        const insightsResponse = await axios.get(`${THREADS_URL}/${profile.id}/threads_insights`, {
+          params: { metric: "followers_count", access_token: account.accessToken },
+          timeout: 10000,
+        });
+        followers = insightsResponse.data.data?.[0]?.total_value?.value || 0;
+      } catch (insightsError) {
+        // Needs the threads_manage_insights permission
+        console.warn("Could not fetch Threads follower count:", insightsError.message);
+      }
+
+      console.log(`✅ Threads stats synced successfully`);
+
+      return {
+        id: profile.id,
+        username: profile.username,
+        displayName: profile.name || profile.username,
+        description: profile.threads_biography || "",
+        profileImageUrl: profile.threads_profile_picture_url || "",
+        verified: false,
+        followers,
+        following: 0,
+        posts: 0,
+        engagement: 0,
+        impressions: 0,
+        reach: 0,
+        pageUrl: `https://www.threads.net/@${profile.username}`,
+      };
+    } catch (error) {
+      console.error("❌ Threads API Error:", error.response?.data || error.message);
+
+      if (error.response?.status === 429) {
+        throw new Error("Threads rate limit exceeded. Please try again later.");
+      } else if (error.response?.data?.error?.code === 190) {
+        throw new Error("Threads access token expired. Please reconnect your account.");
+      }
+      throw new Error(`Threads API Error: ${error.response?.data?.error?.message || error.message}`);
+    }
+  }
+
+  /**
+   * Publish a text, image, video or carousel post
+   */
+  async publish(post, account) {
+    try {
+      console.log(`🧵 Publishing to Threads account: ${account.username}`);
+
+      const userId = this.getUserId(account);
+      const media = post.mediaFiles || [];
+      const params = { text: post.content };
+      if (post.replyControl) {
+        params.reply_control = post.replyControl;
+      }
+
+      let creationId;
+      if (media.length === 0) {
+        creationId = await this.createContainer(userId, { ...params, media_type: "TEXT" }, account.accessToken);
+      } else if (media.length === 1) {
+        creationId = await this.createContainer(
+          userId,
+          { ...params, ...this.mediaParams(media[0]) },
+          account.accessToken
+        );
+      } else {
+        creationId = await this.createCarousel(userId, media, params, account.accessToken);
+      }
+
+      // Wait for the container to be processed (longer for videos)
+      const hasVideo = media.some((file) => file.resourceType === "video");
+      await this.waitForMediaContainer(creationId, account.accessToken, hasVideo ? 120000 : 30000);
+
+      const publishResponse = await axios.post(
+        `${THREADS_URL}/${userId}/threads_publish`,
+        { creation_id: creationId, access_token: account.accessToken },
+        { timeout: 15000 }
+      );
+
+      console.log(`✅ Threads post published successfully: ${publishResponse.data.id}`);
+
+      const result = {
+        success: true,
+        externalPostId: publishResponse.data.id,
+        publishedAt: new Date(),
+        platformResponse: {
+          platform: "threads",
+          postId: publishResponse.data.id,
+          creationId,
+          mediaCount: media.length,
+        },
+      };
+      return await this.attachFirstComment(result, post, account.accessToken);
+    } catch (error) {
+      console.error("❌ Threads publishing error:", error.response?.data || error.message);
+
+      if (error.response?.status === 429) {
+        throw new Error("Threads rate limit exceeded. Please try again later.");
+      } else if (error.response?.data?.error?.code === 190) {
+        throw new Error("Threads access token expired. Please reconnect your account.");
+      }
+      throw new Error(`Threads API error: ${error.response?.data?.error?.message || error.message}`);
+    }
+  }
+
+  mediaParams(file) {
+    const isVideo = file.resourceType ? file.resourceType === "video" : this.detectVideoFromUrl(file.url);
+    return isVideo
+      ? { media_type: "VIDEO", video_url: file.url }
+      : { media_type: "IMAGE", image_url: file.url };
+  }
+
+  async createContainer(userId, params, accessToken) {
+    const response = await axios.post(
+      `${THREADS_URL}/${userId}/threads`,
+      { ...params, access_token: accessToken },
+      { timeout: 15000 }
+    );
+    console.log(`🧵 Threads container created: ${response.data.id}`);
+    return response.data.id;
+  }
+
+  /**
+   * Create one container per item, wait for them, then the carousel container
+   */
+  async createCarousel(userId, media, params, accessToken) {
+    const children = [];
+    for (const file of media.slice(0, MAX_CAROUSEL_ITEMS)) {
+      const itemParams = { ...this.mediaParams(file), is_carousel_item: true };
+      const id = await this.createContainer(userId, itemParams, accessToken);
+      children.push(id);
+      await this.waitForMediaContainer(id, accessToken, itemParams.media_type === "VIDEO" ? 120000 : 30000);
+    }
+
+    return this.createContainer(
+      userId,
+      { ...params, media_type: "CAROUSEL", children: children.join(",") },
+      accessToken
+    );
+  }
+
+  /**
+   * Threads has no comments edge: the first comment is a reply to the post
+   */
+  async postGraphComment(objectId, message, accessToken) {
+    const creationId = await this.createContainer(
+      "me",
+      { media_type: "TEXT", text: message, reply_to_id: objectId },
+      accessToken
+    );
+    await this.waitForMediaContainer(creationId, accessToken, 30000);
+
+    const response = await axios.post(
+      `${THREADS_URL}/me/threads_publish`,
+      { creation_id: creationId, access_token: accessToken },
+      { timeout: 15000 }
+    );
+
+    console.log(`💬 First reply posted on ${objectId}: ${response.data.id}`);
+    return { externalId: response.data.id, postedAt: new Date() };
+  }
+
+  /**
+   * Views, likes, replies, reposts and quotes of a published post
+   */
+  async fetchPostMetrics(post, account) {
+    const response = await axios.get(`${THREADS_URL}/${post.externalPostId}/insights`, {
+      params: { metric: "views,likes,replies,reposts,quotes", access_token: account.accessToken },
+      timeout: 10000,
+    });
+
+    const insight = (metric) =>
+      response.data.data?.find((item) => item.name === metric)?.values?.[0]?.value || 0;
+
+    const result = {
+      likes: insight("likes"),
+      comments: insight("replies"),
+      shares: insight("reposts") + insight("quotes"),
+      impressions: insight("views"),
+      reach: 0,
+      clicks: 0,
+    };
+    result.engagementRate = this.engagementRate(result);
+    return result;
+  }
+
+  async findRecentPosts(account, since) {
+    const response = await axios.get(`${THREADS_URL}/${this.getUserId(account)}/threads`, {
+      params: { fields: "id,text,timestamp,media_type", limit: 25, access_token: account.accessToken },
+      timeout: 10000,
+    });
+
+    return (response.data.data || [])
+      .filter((item) => new Date(item.timestamp) >= since)
+      .map((item) => ({
+        id: item.id,
+        text: item.text,
+        createdAt: item.timestamp,
+        hasMedia: Boolean(item.media_type) && item.media_type !== "TEXT_POST",
+      }));
+  }
+
+  profileUrl(account) {
+    return `https://www.threads.net/@${account.username}`;
+  }
+}
+
+module.exports = ThreadsPlatform;
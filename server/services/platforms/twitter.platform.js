@@ -0,0 +1,693 @@
+const axios = require("axios");
+const crypto = require("crypto");
+const OAuth = require("oauth-1.0a");
+const { TwitterApi } = require("twitter-api-v2");
+const PlatformAdapter = require("./base.platform");
+const { createOAuthState, consumeOAuthState } = require("../oauth-state.service");
+
+const SCOPES = ["tweet.read", "tweet.write", "users.read", "media.write", "offline.access"];
+
+/**
+ * Twitter/X through API v2. Accounts connect with OAuth 1.0a, or with
+ * OAuth 2.0 (PKCE) when TWITTER_CLIENT_ID is set; OAuth 2.0 accounts
+ * publish with a refreshable bearer token instead of the app keys
+ */
+class TwitterPlatform extends PlatformAdapter {
+  constructor() {
+    super({
+      name: "twitter",
+      label: "Twitter",
+      connectMode: "oauth",
+      limits: {
+        maxLength: 280,
+        maxMedia: 4,
+        mediaSizeMB: { image: 5, video: 512 },
+        rateLimit: 300, // 300 requests per 15 minutes
+        syncIntervalHours: 1, // Twitter API v2 has good rate limits
+      },
+      credentialFields: [
+        { key: "apiKey", label: "API Key" },
+        { key: "apiSecret", label: "API Secret" },
+        { key: "accessToken", label: "Access Token" },
+        { key: "accessTokenSecret", label: "Access Token Secret" },
+      ],
+    });
+    this.supportsThreads = true;
+
+    // App-wide credentials from the environment, used as fallbacks
+    this.credentials = {
+      apiKey: process.env.TWITTER_API_KEY,
+      apiSecret: process.env.TWITTER_API_SECRET,
+      accessToken: process.env.TWITTER_ACCESS_TOKEN,
+      accessTokenSecret: process.env.TWITTER_ACCESS_TOKEN_SECRET,
+    };
+    this.oauth2Credentials = {
+      clientId: process.env.TWITTER_CLIENT_ID,
+      clientSecret: process.env.TWITTER_CLIENT_SECRET,
+    };
+  }
+
+  usesOAuth2(account) {
+    return account?.authType === "oauth2";
+  }
+
+  // OAuth 2.0 accounts only have a user token, the app keys are not used
+  requiredCredentialFields(account) {
+    return this.usesOAuth2(account)
+      ? this.credentialFields.filter((field) => field.key === "accessToken")
+      : this.credentialFields;
+  }
+
+  /**
+   * URL of the Twitter consent screen. OAuth 2.0 with PKCE when a client ID
+   * is configured, OAuth 1.0a with the app keys otherwise
+   */
+  async getAuthorizationUrl(userId) {
+    const redirectUri = this.oauthRedirectUri();
+
+    if (this.oauth2Credentials.clientId) {
+      const { url, state, codeVerifier } = new TwitterApi(this.oauth2Credentials).generateOAuth2AuthLink(
+        redirectUri,
+        { scope: SCOPES }
+      );
+      createOAuthState(userId, this.name, { codeVerifier }, state);
+      return url;
+    }
+
+    if (!this.credentials.apiKey || !this.credentials.apiSecret) {
+      throw new Error("Twitter is not configured. Set TWITTER_API_KEY and TWITTER_API_SECRET.");
+    }
+    const { url, oauth_token, oauth_token_secret } = await new TwitterApi({
+      appKey: this.credentials.apiKey,
+      appSecret: this.credentials.apiSecret,
+    }).generateAuthLink(redirectUri, { linkMode: "authorize" });
+
+    // OAuth 1.0a has no state parameter: the request token comes back instead
+    createOAuthState(userId, this.name, { oauthTokenSecret: oauth_token_secret }, oauth_token);
+    return url;
+  }
+
+  /**
+   * Exchange the callback parameters for user tokens and load the profile
+   */
+  async completeAuthorization(userId, params) {
+    if (params.denied || params.error) {
+      throw new Error("Twitter authorization was cancelled");
+    }
+
+    let credentials;
+    let twitterUserId;
+    try {
+      if (params.oauth_token) {
+        const { oauthTokenSecret } = consumeOAuthState(params.oauth_token, userId, this.name);
+        const login = await new TwitterApi({
+          appKey: this.credentials.apiKey,
+          appSecret: this.credentials.apiSecret,
+          accessToken: params.oauth_token,
+          accessSecret: oauthTokenSecret,
+        }).login(params.oauth_verifier);
+
+        credentials = {
+          apiKey: this.credentials.apiKey,
+          apiSecret: this.credentials.apiSecret,
+          accessToken: login.accessToken,
+          accessTokenSecret: login.accessSecret,
+          authType: "oauth1",
+        };
+        twitterUserId = login.userId;
+      } else {
+        const { codeVerifier } = consumeOAuthState(params.state, userId, this.name);
+        const login = await new TwitterApi(this.oauth2Credentials).loginWithOAuth2({
+          code: params.code,
+          codeVerifier,
+          redirectUri: this.oauthRedirectUri(),
+        });
+
+        credentials = {
+          accessToken: login.accessToken,
+          refreshToken: login.refreshToken || null,
+          tokenExpiresAt: new Date(Date.now() + login.expiresIn * 1000),
+          authType: "oauth2",
+        };
+        twitterUserId = (await login.client.v2.me()).data.id;
+      }
+    } catch (error) {
+      if (error.message.startsWith("Authorization expired")) throw error;
+      throw new Error(`Twitter authorization failed: ${error.data?.error_description || error.data?.detail || error.message}`);
+    }
+
+    const profile = await this.fetchStats(credentials);
+    return { credentials, profile: { ...profile, id: twitterUserId } };
+  }
+
+  /**
+   * API client of an account, refreshing an expired OAuth 2.0 token first
+   */
+  async getClient(account) {
+    if (!this.usesOAuth2(account)) {
+      return this.createClient(account);
+    }
+
+    const expiresAt = account.tokenExpiresAt ? new Date(account.tokenExpiresAt).getTime() : null;
+    if (account.refreshToken && expiresAt && expiresAt - 60000 < Date.now()) {
+      const { accessToken, refreshToken, expiresIn } = await new TwitterApi(
+        this.oauth2Credentials
+      ).refreshOAuth2Token(account.refreshToken);
+
+      // Refresh tokens are single-use, so the new one must be stored right away
+      account.accessToken = accessToken;
+      account.refreshToken = refreshToken || account.refreshToken;
+      account.tokenExpiresAt = new Date(Date.now() + expiresIn * 1000);
+      if (typeof account.save === "function") {
+        await account.save();
+      }
+      console.log(`🔄 Twitter token refreshed for ${account.username}`);
+    }
+
+    return new TwitterApi(account.accessToken);
+  }
+
+  createClient(account) {
+    return new TwitterApi({
+      appKey: account.apiKey || this.credentials.apiKey,
+      appSecret: account.apiSecret || this.credentials.apiSecret,
+      accessToken: account.accessToken || this.credentials.accessToken,
+      accessSecret: account.accessTokenSecret || this.credentials.accessTokenSecret,
+    });
+  }
+
+  /**
+   * Validate Twitter credentials with timeout
+   */
+  async validate(account) {
+    if (this.usesOAuth2(account)) {
+      try {
+        const client = await this.getClient(account);
+        return (await client.v2.me()).data;
+      } catch (error) {
+        throw new Error(`Twitter validation failed: ${error.data?.detail || error.message}`);
+      }
+    }
+
+    const { apiKey, apiSecret, accessToken, accessTokenSecret } = account;
+    try {
+      const oauth = OAuth({
+        consumer: {
+          key: apiKey,
+          secret: apiSecret,
+        },
+        signature_method: "HMAC-SHA1",
+        hash_function(base_string, key) {
+          return crypto
+            .createHmac("sha1", key)
+            .update(base_string)
+            .digest("base64");
+        },
+      });
+
+      const token = {
+        key: accessToken,
+        secret: accessTokenSecret,
+      };
+
+      const request = {
+        url: "https://api.twitter.com/2/users/me",
+        method: "GET",
+      };
+
+      const response = await axios({
+        url: request.url,
+        method: request.method,
+        headers: {
+          ...oauth.toHeader(oauth.authorize(request, token)),
+          "Content-Type": "application/json",
+        },
+        timeout: 10000,
+      });
+
+      return response.data;
+    } catch (error) {
+      if (error.code === "ECONNABORTED") {
+        throw new Error("Twitter validation timed out. Please try again.");
+      }
+      throw new Error(
+        `Twitter validation failed: ${
+          error.response?.data?.detail || error.message
+        }`
+      );
+    }
+  }
+
+  /**
+   * Threads are checked segment by segment
+   */
+  validatePost(post) {
+    if (post.thread?.length > 0) {
+      const invalidIndex = post.thread.findIndex(segment =>
+        !segment.content?.trim() || segment.content.length > this.limits.maxLength
+      );
+      if (invalidIndex !== -1) {
+        return { valid: false, message: `Thread segment ${invalidIndex + 1} is empty or too long` };
+      }
+      return { valid: true };
+    }
+    return super.validatePost(post);
+  }
+
+  /**
+   * Get Twitter/X statistics with better error handling - REAL API CALLS
+   */
+  async fetchStats(account) {
+    if (this.usesOAuth2(account)) {
+      return this.fetchStatsWithClient(account);
+    }
+
+    const { apiKey, apiSecret, accessToken, accessTokenSecret } = account;
+    try {
+      const oauth = OAuth({
+        consumer: {
+          key: apiKey || this.credentials.apiKey,
+          secret: apiSecret || this.credentials.apiSecret,
+        },
+        signature_method: "HMAC-SHA1",
+        hash_function(base_string, key) {
+          return crypto
+            .createHmac("sha1", key)
+            .update(base_string)
+            .digest("base64");
+        },
+      });
+
+      const token = {
+        key: accessToken || this.credentials.accessToken,
+        secret: accessTokenSecret || this.credentials.accessTokenSecret,
+      };
+
+      // Get user profile data with timeout
+      const userUrl = "https://api.twitter.com/2/users/me";
+      const userParams = {
+        "user.fields":
+          "public_metrics,verified,profile_image_url,description,location,created_at",
+      };
+
+      const userRequest = {
+        url: userUrl,
+        method: "GET",
+        data: userParams,
+      };
+
+      const userResponse = await axios({
+        url: userUrl,
+        method: "GET",
+        params: userParams,
+        headers: {
+          ...oauth.toHeader(oauth.authorize(userRequest, token)),
+          "Content-Type": "application/json",
+        },
+        timeout: 10000, // 10 second timeout
+      });
+
+      const userData = userResponse.data.data;
+      const metrics = userData.public_metrics;
+
+      // Get recent tweets for engagement calculation (with error handling)
+      let engagementRate = 0;
+      try {
+        const tweetsUrl = "https://api.twitter.com/2/users/me/tweets";
+        const tweetsParams = {
+          max_results: 10, // Reduced to avoid rate limits
+          "tweet.fields": "public_metrics,created_at",
+        };
+
+        const tweetsRequest = {
+          url: tweetsUrl,
+          method: "GET",
+          data: tweetsParams,
+        };
+
+        const tweetsResponse = await axios({
+          url: tweetsUrl,
+          method: "GET",
+          params: tweetsParams,
+          headers: {
+            ...oauth.toHeader(oauth.authorize(tweetsRequest, token)),
+            "Content-Type": "application/json",
+          },
+          timeout: 10000,
+        });
+
+        const tweets = tweetsResponse.data.data || [];
+        const totalEngagement = tweets.reduce((sum, tweet) => {
+          const tweetMetrics = tweet.public_metrics;
+          return (
+            sum +
+            tweetMetrics.like_count +
+            tweetMetrics.retweet_count +
+            tweetMetrics.reply_count
+          );
+        }, 0);
+
+        engagementRate =
+          tweets.length > 0 && metrics.followers_count > 0
+            ? (totalEngagement / tweets.length / metrics.followers_count) * 100
+            : 0;
+      } catch (tweetsError) {
+        console.warn(
+          "Could not fetch tweets for engagement calculation:",
+          tweetsError.message
+        );
+      }
+
+      console.log(`✅ Twitter stats synced successfully`);
+
+      return {
+        followers: metrics.followers_count || 0,
+        following: metrics.following_count || 0,
+        posts: metrics.tweet_count || 0,
+        engagement: parseFloat(engagementRate.toFixed(2)),
+        impressions: 0,
+        reach: 0,
+        verified: userData.verified || false,
+        profileImageUrl: userData.profile_image_url || "",
+        description: userData.description || "",
+        location: userData.location || "",
+        createdAt: userData.created_at,
+        displayName: userData.name || "",
+        username: userData.username || "",
+      };
+    } catch (error) {
+      console.error(
+        "❌ Twitter API Error:",
+        error.response?.data || error.message
+      );
+
+      if (error.response?.status === 429) {
+        throw new Error("Twitter rate limit exceeded. Please try again later.");
+      } else if (error.response?.status === 401) {
+        throw new Error(
+          "Twitter authentication failed. Please reconnect your account."
+        );
+      } else if (error.response?.status === 403) {
+        throw new Error(
+          "Twitter access forbidden. Check your app permissions."
+        );
+      }
+
+      throw new Error(
+        `Twitter API Error: ${error.response?.data?.detail || error.message}`
+      );
+    }
+  }
+
+  /**
+   * Profile statistics of an OAuth 2.0 account, in the same shape as fetchStats
+   */
+  async fetchStatsWithClient(account) {
+    try {
+      const client = await this.getClient(account);
+      const { data: userData } = await client.v2.me({
+        "user.fields": ["public_metrics", "verified", "profile_image_url", "description", "location", "created_at"],
+      });
+      const metrics = userData.public_metrics || {};
+
+      console.log(`✅ Twitter stats synced successfully`);
+
+      return {
+        followers: metrics.followers_count || 0,
+        following: metrics.following_count || 0,
+        posts: metrics.tweet_count || 0,
+        engagement: 0,
+        impressions: 0,
+        reach: 0,
+        verified: userData.verified || false,
+        profileImageUrl: userData.profile_image_url || "",
+        description: userData.description || "",
+        location: userData.location || "",
+        createdAt: userData.created_at,
+        displayName: userData.name || "",
+        username: userData.username || "",
+      };
+    } catch (error) {
+      console.error("❌ Twitter API Error:", error.data || error.message);
+
+      if (error.code === 429) {
+        throw new Error("Twitter rate limit exceeded. Please try again later.");
+      } else if (error.code === 401) {
+        throw new Error("Twitter authentication failed. Please reconnect your account.");
+      }
+      throw new Error(`Twitter API Error: ${error.data?.detail || error.message}`);
+    }
+  }
+
+  /**
+   * Publish to Twitter using Twitter API v2
+   */
+  async publish(post, account) {
+    try {
+      console.log(`🐦 Publishing to Twitter account: ${account.username}`);
+
+      const client = await this.getClient(account);
+      const oauth2 = this.usesOAuth2(account);
+
+      if (post.thread?.length > 0) {
+        return await this.publishThread(client, post, oauth2);
+      }
+
+      // Prepare tweet data
+      const tweetData = {
+        text: post.content,
+      };
+
+      // Handle media uploads if present
+      const mediaIds = await this.uploadMediaList(client, post.mediaUrls, oauth2);
+      if (mediaIds.length > 0) {
+        tweetData.media = {
+          media_ids: mediaIds
+        };
+      }
+
+      // Check content length (Twitter's limit is 280 characters)
+      if (tweetData.text.length > 280) {
+        // Option 1: Truncate with ellipsis
+        tweetData.text = tweetData.text.substring(0, 277) + "...";
+      
+        // Option 2: You could also throw an error to force manual editing
+        // throw new Error(`Tweet too long (${tweetData.text.length} characters). Maximum is 280 characters.`);
+      }
+
+      // Publish the tweet
+      const response = await client.v2.tweet(tweetData);
+
+      console.log(`✅ Twitter post published successfully: ${response.data.id}`);
+
+      return {
+        success: true,
+        externalPostId: response.data.id,
+        publishedAt: new Date(),
+        platformResponse: {
+          platform: "twitter",
+          postId: response.data.id,
+          tweetText: response.data.text,
+        },
+      };
+
+    } catch (error) {
+      console.error("❌ Twitter publishing error:", error);
+
+      // Keep track of where a thread stopped in the error shown to the user
+      const prefix = error.threadSegment !== undefined
+        ? `Thread segment ${error.threadSegment + 1}/${post.thread.length} failed: `
+        : "";
+
+      // Handle specific Twitter API errors
+      if (error.code === 429 || error.message?.includes('rate limit')) {
+        throw new Error(`${prefix}Twitter rate limit exceeded. Please try again later.`);
+      } else if (error.code === 401 || error.message?.includes('Unauthorized')) {
+        throw new Error(`${prefix}Twitter authentication failed. Please reconnect your account.`);
+      } else if (error.code === 403 || error.message?.includes('Forbidden')) {
+        throw new Error(`${prefix}Twitter access forbidden. Check your app permissions.`);
+      } else if (error.code === 187 || error.message?.includes('duplicate')) {
+        throw new Error(`${prefix}Duplicate tweet detected. Twitter doesn't allow identical tweets.`);
+      } else if (error.code === 186) {
+        throw new Error(`${prefix}Tweet is too long. Please shorten your message.`);
+      } else if (error.message?.includes('media')) {
+        throw new Error(`${prefix}Media upload failed: ${error.message}`);
+      }
+
+      // Generic error
+      throw new Error(`${prefix}Twitter API error: ${error.message || 'Unknown error occurred'}`);
+    }
+  }
+
+  /**
+   * Publish a thread as a chain of replies. Segments that already have a
+   * tweet ID (from an earlier attempt that failed part-way) are skipped, so a
+   * retry resumes after the last published segment instead of starting over.
+   */
+  async publishThread(client, post, oauth2 = false) {
+    const Post = require("../../models/post.model");
+    const total = post.thread.length;
+    let replyTo = null;
+
+    for (let index = 0; index < total; index++) {
+      const segment = post.thread[index];
+      if (segment.externalPostId) {
+        replyTo = segment.externalPostId;
+        continue;
+      }
+
+      try {
+        const tweetData = { text: segment.content };
+        const mediaIds = await this.uploadMediaList(client, segment.mediaUrls, oauth2);
+        if (mediaIds.length > 0) {
+          tweetData.media = { media_ids: mediaIds };
+        }
+        if (replyTo) {
+          tweetData.reply = { in_reply_to_tweet_id: replyTo };
+        }
+
+        const response = await client.v2.tweet(tweetData);
+        segment.externalPostId = response.data.id;
+        segment.publishedAt = new Date();
+        segment.error = undefined;
+        replyTo = response.data.id;
+
+        // Record progress right away so a later failure or crash never
+        // posts this segment again
+        await Post.updateOne(
+          { _id: post._id },
+          {
+            $set: {
+              [`thread.${index}.externalPostId`]: segment.externalPostId,
+              [`thread.${index}.publishedAt`]: segment.publishedAt,
+            },
+            $unset: { [`thread.${index}.error`]: 1 },
+          }
+        );
+        console.log(`🧵 Thread segment ${index + 1}/${total} published: ${response.data.id}`);
+      } catch (error) {
+        segment.error = error.message;
+        post.threadFailedSegment = index;
+        await Post.updateOne(
+          { _id: post._id },
+          { $set: { [`thread.${index}.error`]: error.message, threadFailedSegment: index } }
+        );
+        console.error(`❌ Thread segment ${index + 1}/${total} failed:`, error.message);
+
+        error.threadSegment = index;
+        throw error;
+      }
+    }
+
+    post.threadFailedSegment = undefined;
+    const tweetIds = post.thread.map((segment) => segment.externalPostId);
+    console.log(`✅ Twitter thread published successfully: ${tweetIds[0]} (${total} tweets)`);
+
+    return {
+      success: true,
+      externalPostId: tweetIds[0],
+      publishedAt: post.thread[0].publishedAt || new Date(),
+      platformResponse: {
+        platform: "twitter",
+        postId: tweetIds[0],
+        tweetIds,
+      },
+    };
+  }
+
+  /**
+   * Upload up to 4 media files for one tweet, skipping files that fail
+   */
+  async uploadMediaList(client, mediaUrls = [], oauth2 = false) {
+    const mediaIds = [];
+
+    // Twitter allows up to 4 images or 1 video per tweet
+    const mediaLimit = 4;
+    for (const mediaUrl of mediaUrls.slice(0, mediaLimit)) {
+      try {
+        console.log(`📎 Uploading media: ${mediaUrl}`);
+        const mediaId = await this.uploadMedia(client, mediaUrl, oauth2);
+        mediaIds.push(mediaId);
+      } catch (mediaError) {
+        console.warn(`⚠️ Failed to upload media ${mediaUrl}:`, mediaError.message);
+        // Continue with other media files
+      }
+    }
+
+    return mediaIds;
+  }
+  
+  // v1.1 media upload only accepts OAuth 1.0a, OAuth 2.0 tokens use the v2 endpoint
+  async uploadMedia(client, mediaUrl, oauth2 = false) {
+    try {
+      // Download media from URL
+      const mediaResponse = await axios.get(mediaUrl, {
+        responseType: "arraybuffer",
+        timeout: 30000,
+        maxContentLength: 5 * 1024 * 1024, // 5MB limit
+      });
+
+      const mediaBuffer = Buffer.from(mediaResponse.data);
+
+      const mimeType = mediaResponse.headers["content-type"] || "image/jpeg";
+
+      // Upload to Twitter
+      const mediaId = oauth2
+        ? await client.v2.uploadMedia(mediaBuffer, { media_type: mimeType })
+        : await client.v1.uploadMedia(mediaBuffer, { mimeType });
+
+      return mediaId;
+    } catch (error) {
+      throw new Error(`Media upload failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Public metrics of a published tweet
+   */
+  async fetchPostMetrics(post, account) {
+    const client = await this.getClient(account);
+    const tweet = await client.v2.singleTweet(post.externalPostId, {
+      "tweet.fields": ["public_metrics"],
+    });
+
+    const metrics = tweet.data.public_metrics || {};
+    const result = {
+      likes: metrics.like_count || 0,
+      comments: metrics.reply_count || 0,
+      shares: metrics.quote_count || 0,
+      retweets: metrics.retweet_count || 0,
+      impressions: metrics.impression_count || 0,
+      reach: 0,
+      clicks: 0,
+    };
+    result.engagementRate = this.engagementRate({
+      ...result,
+      shares: result.shares + result.retweets,
+    });
+    return result;
+  }
+
+  async findRecentPosts(account, since) {
+    const client = await this.getClient(account);
+    const me = await client.v2.me();
+    const timeline = await client.v2.userTimeline(me.data.id, {
+      start_time: since.toISOString(),
+      max_results: 20,
+      "tweet.fields": ["created_at", "attachments"],
+    });
+
+    return (timeline.tweets || []).map((tweet) => ({
+      id: tweet.id,
+      text: tweet.text,
+      createdAt: tweet.created_at,
+      hasMedia: (tweet.attachments?.media_keys || []).length > 0,
+    }));
+  }
+
+  profileUrl(account) {
+    return `https://twitter.com/${account.username}`;
+  }
+}
+
+module.exports = TwitterPlatform;
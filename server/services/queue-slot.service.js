@@ -0,0 +1,258 @@
+const Post = require('../models/post.model');
+const {
+  isValidTimeZone,
+  getZonedParts,
+  zonedTimeToUtc,
+  formatWallClock,
+  addCalendarDays,
+  parseTimeOfDay
+} = require('../utils/timezone');
+
+/**
+ * Per-account weekly posting slots.
+ *
+ * Queued posts don't carry a user-picked date; their scheduledDate is the
+ * n-th free slot of the account, where n is their position in the queue.
+ * Any change to the queue (add, remove, reorder, new slots) reflows the
+ * assignments so the queue never has gaps.
+ */
+class QueueSlotService {
+  constructor() {
+    // Posts due sooner than this are left alone so a reflow never races the scheduler
+    this.minLeadMs = 2 * 60 * 1000;
+    this.maxLookaheadDays = 366;
+  }
+
+  /**
+   * Validate and sort slot definitions. Throws with a user-facing message.
+   */
+  normalizeSlots(slots) {
+    if (!Array.isArray(slots)) {
+      throw new Error('Slots must be an array of { weekday, time }');
+    }
+
+    const seen = new Set();
+    const normalized = [];
+    for (const slot of slots) {
+      const weekday = parseInt(slot.weekday);
+      const time = parseTimeOfDay(slot.time);
+      if (!Number.isInteger(weekday) || weekday < 0 || weekday > 6) {
+        throw new Error(`Invalid weekday: ${slot.weekday}`);
+      }
+      if (!time) {
+        throw new Error(`Invalid time: ${slot.time} (expected HH:mm)`);
+      }
+
+      const formatted = `${String(time.hour).padStart(2, '0')}:${String(time.minute).padStart(2, '0')}`;
+      const key = `${weekday}-${formatted}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+      normalized.push({ weekday, time: formatted });
+    }
+
+    return normalized.sort((a, b) => a.weekday - b.weekday || a.time.localeCompare(b.time));
+  }
+
+  /**
+   * Validate an account time zone
+   */
+  validateTimeZone(timeZone) {
+    if (!isValidTimeZone(timeZone)) {
+      throw new Error(`Unknown time zone: ${timeZone}`);
+    }
+    return timeZone;
+  }
+
+  /**
+   * Walk the account's slot times after `from`, in ascending order
+   */
+  *iterateSlots(account, from = new Date()) {
+    const slots = account.queueSlots || [];
+    if (slots.length === 0) return;
+
+    const timeZone = account.timezone || 'UTC';
+    const slotsByWeekday = new Map();
+    for (const slot of this.normalizeSlots(slots)) {
+      if (!slotsByWeekday.has(slot.weekday)) slotsByWeekday.set(slot.weekday, []);
+      slotsByWeekday.get(slot.weekday).push(parseTimeOfDay(slot.time));
+    }
+
+    const today = getZonedParts(from, timeZone);
+    for (let offset = 0; offset <= this.maxLookaheadDays; offset++) {
+      const day = addCalendarDays(today, offset);
+      for (const time of slotsByWeekday.get(day.weekday) || []) {
+        const date = zonedTimeToUtc({ ...day, ...time }, timeZone);
+        if (date > from) yield date;
+      }
+    }
+  }
+
+  /**
+   * Times already taken by scheduled posts that are not part of the queue
+   */
+  async getOccupiedTimes(accountId) {
+    const posts = await Post.find({
+      accountId,
+      status: 'scheduled',
+      queued: { $ne: true },
+      scheduledDate: { $gte: new Date() }
+    }).select('scheduledDate');
+
+    return new Set(posts.map(post => post.scheduledDate.getTime()));
+  }
+
+  /**
+   * Next free slot times, skipping times already used by other posts
+   */
+  async getFreeSlots(account, count = 10, after = new Date(Date.now() + this.minLeadMs)) {
+    const occupied = await this.getOccupiedTimes(account._id);
+    const queuedTimes = new Set(
+      (await this.getQueuedPosts(account._id)).map(post => post.scheduledDate.getTime())
+    );
+
+    const free = [];
+    for (const date of this.iterateSlots(account, after)) {
+      if (free.length >= count) break;
+      if (occupied.has(date.getTime()) || queuedTimes.has(date.getTime())) continue;
+      free.push(date);
+    }
+    return free;
+  }
+
+  /**
+   * Queued posts of an account that have not been published yet, in queue order
+   */
+  async getQueuedPosts(accountId) {
+    return Post.find({
+      accountId,
+      queued: true,
+      status: 'scheduled'
+    }).sort({ queuePosition: 1, createdAt: 1 });
+  }
+
+  /**
+   * Put a new (unsaved) post at the end of the account queue and give it the
+   * next free slot after the last queued post
+   */
+  async addToQueue(post, account) {
+    if (!account.queueSlots || account.queueSlots.length === 0) {
+      throw new Error('This account has no queue slots. Add posting times to its schedule first.');
+    }
+
+    const queue = await this.getQueuedPosts(account._id);
+    const last = queue[queue.length - 1];
+    const occupied = await this.getOccupiedTimes(account._id);
+    const earliest = new Date(Date.now() + this.minLeadMs);
+    const after = last && last.scheduledDate > earliest ? last.scheduledDate : earliest;
+
+    let slot = null;
+    for (const date of this.iterateSlots(account, after)) {
+      if (!occupied.has(date.getTime())) {
+        slot = date;
+        break;
+      }
+    }
+
+    if (!slot) {
+      throw new Error('No free queue slot found in the next year');
+    }
+
+    post.queued = true;
+    post.queuePosition = last ? (last.queuePosition || 0) + 1 : 0;
+    post.scheduledDate = slot;
+    post.timezone = account.timezone || 'UTC';
+    return post;
+  }
+
+  /**
+   * Reassign slots to every queued post in queue order
+   */
+  async reflowQueue(account) {
+    const queue = await this.getQueuedPosts(account._id);
+    if (queue.length === 0) return [];
+
+    const occupied = await this.getOccupiedTimes(account._id);
+    const earliest = new Date(Date.now() + this.minLeadMs);
+
+    // Posts about to go out keep their slot
+    const movable = [];
+    for (const post of queue) {
+      if (post.scheduledDate <= earliest) {
+        occupied.add(post.scheduledDate.getTime());
+      } else {
+        movable.push(post);
+      }
+    }
+
+    const timezone = account.timezone || 'UTC';
+    const slots = this.iterateSlots(account, earliest);
+    const updates = [];
+
+    movable.forEach((post, index) => {
+      let next = slots.next();
+      while (!next.done && occupied.has(next.value.getTime())) {
+        next = slots.next();
+      }
+
+      // No slots left (e.g. all slots removed) - keep the current date
+      const scheduledDate = next.done ? post.scheduledDate : next.value;
+      if (post.scheduledDate.getTime() !== scheduledDate.getTime() ||
+          post.queuePosition !== index || post.timezone !== timezone) {
+        post.scheduledDate = scheduledDate;
+        post.queuePosition = index;
+        post.timezone = timezone;
+        // bulkWrite skips the save hook, so the wall-clock time is set here
+        const localScheduledTime = formatWallClock(scheduledDate, timezone);
+        updates.push({
+          updateOne: {
+            filter: { _id: post._id, status: 'scheduled' },
+            update: { $set: { scheduledDate, queuePosition: index, timezone, localScheduledTime } }
+          }
+        });
+      }
+    });
+
+    if (updates.length > 0) {
+      await Post.bulkWrite(updates);
+      console.log(`🔀 Reflowed ${updates.length} queued post(s) for account ${account._id}`);
+    }
+
+    return queue;
+  }
+
+  /**
+   * Move queued posts into the given order and reflow their slots
+   */
+  async reorderQueue(account, postIds) {
+    const queue = await this.getQueuedPosts(account._id);
+    const queueIds = queue.map(post => post._id.toString());
+    const requested = postIds.map(id => id.toString());
+
+    if (requested.length !== queueIds.length || !requested.every(id => queueIds.includes(id))) {
+      throw new Error('The new order must contain every queued post exactly once');
+    }
+
+    await Post.bulkWrite(requested.map((id, index) => ({
+      updateOne: {
+        filter: { _id: id, status: 'scheduled' },
+        update: { $set: { queuePosition: index } }
+      }
+    })));
+
+    return this.reflowQueue(account);
+  }
+}
+
+// Create singleton instance
+const queueSlotService = new QueueSlotService();
+
+module.exports = {
+  QueueSlotService,
+  normalizeSlots: queueSlotService.normalizeSlots.bind(queueSlotService),
+  validateTimeZone: queueSlotService.validateTimeZone.bind(queueSlotService),
+  getFreeSlots: queueSlotService.getFreeSlots.bind(queueSlotService),
+  getQueuedPosts: queueSlotService.getQueuedPosts.bind(queueSlotService),
+  addToQueue: queueSlotService.addToQueue.bind(queueSlotService),
+  reflowQueue: queueSlotService.reflowQueue.bind(queueSlotService),
+  reorderQueue: queueSlotService.reorderQueue.bind(queueSlotService)
+};
@@ -0,0 +1,475 @@
+const Post = require('../models/post.model');
+const PostSeries = require('../models/postSeries.model');
+const EvergreenItem = require('../models/evergreenItem.model');
+const User = require('../models/user.model');
+const { getZonedParts, zonedTimeToUtc, addCalendarDays } = require('../utils/timezone');
+
+const DUPLICATE_KEY_ERROR = 11000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RRULE_DAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const RRULE_FREQUENCIES = { DAILY: 'daily', WEEKLY: 'weekly', MONTHLY: 'monthly' };
+
+// Upper bound on recurrence periods walked for a single series (~13 years daily)
+const MAX_PERIODS = 5000;
+
+/**
+ * Recurring posts and evergreen content rotation.
+ *
+ * A PostSeries describes when to post; occurrences inside the materialization
+ * horizon are turned into regular Post documents so the publishing queue can
+ * treat them like any other scheduled post. Occurrences further out are only
+ * expanded on read for the calendar.
+ */
+class RecurrenceService {
+  constructor() {
+    this.horizonMs = (parseInt(process.env.RECURRENCE_HORIZON_HOURS) || 24) * 60 * 60 * 1000;
+    // Occurrences missed by more than this (e.g. while the server was down) are skipped
+    this.missedGraceMs = 60 * 60 * 1000;
+  }
+
+  /**
+   * Parse an RRULE string (e.g. "FREQ=WEEKLY;BYDAY=MO,WE;COUNT=10") into a
+   * recurrence object
+   */
+  parseRRule(rrule) {
+    const recurrence = {};
+    const parts = String(rrule).replace(/^RRULE:/i, '').split(';').filter(Boolean);
+
+    for (const part of parts) {
+      const [key, value] = part.split('=');
+      switch (key.toUpperCase()) {
+        case 'FREQ':
+          recurrence.frequency = RRULE_FREQUENCIES[value.toUpperCase()];
+          if (!recurrence.frequency) {
+            throw new Error(`Unsupported frequency: ${value}`);
+          }
+          break;
+        case 'INTERVAL':
+          recurrence.interval = parseInt(value);
+          break;
+        case 'BYDAY':
+          recurrence.byWeekday = value.split(',').map(day => {
+            const index = RRULE_DAYS.indexOf(day.toUpperCase());
+            if (index === -1) throw new Error(`Invalid weekday: ${day}`);
+            return index;
+          });
+          break;
+        case 'BYMONTHDAY':
+          recurrence.byMonthDay = parseInt(value);
+          break;
+        case 'UNTIL':
+          recurrence.until = this.parseRRuleDate(value);
+          break;
+        case 'COUNT':
+          recurrence.count = parseInt(value);
+          break;
+        default:
+          throw new Error(`Unsupported RRULE part: ${key}`);
+      }
+    }
+
+    return recurrence;
+  }
+
+  /**
+   * Parse RRULE dates (20250131T090000Z) as well as ISO strings
+   */
+  parseRRuleDate(value) {
+    const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/.exec(value);
+    if (!match) {
+      return new Date(value);
+    }
+    const [, y, m, d, h = '23', mi = '59', s = '59'] = match;
+    return new Date(Date.UTC(+y, +m - 1, +d, +h, +mi, +s));
+  }
+
+  /**
+   * Format a recurrence object as an RRULE string
+   */
+  toRRule(recurrence) {
+    const parts = [`FREQ=${recurrence.frequency.toUpperCase()}`];
+    if (recurrence.interval && recurrence.interval > 1) {
+      parts.push(`INTERVAL=${recurrence.interval}`);
+    }
+    if (recurrence.byWeekday?.length) {
+      parts.push(`BYDAY=${recurrence.byWeekday.map(day => RRULE_DAYS[day]).join(',')}`);
+    }
+    if (recurrence.byMonthDay) {
+      parts.push(`BYMONTHDAY=${recurrence.byMonthDay}`);
+    }
+    if (recurrence.until) {
+      parts.push(`UNTIL=${new Date(recurrence.until).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '')}`);
+    }
+    if (recurrence.count) {
+      parts.push(`COUNT=${recurrence.count}`);
+    }
+    return parts.join(';');
+  }
+
+  /**
+   * Validate a recurrence object before saving a series
+   */
+  validateRecurrence(recurrence, startDate) {
+    if (!recurrence || !['daily', 'weekly', 'monthly'].includes(recurrence.frequency)) {
+      return { valid: false, message: 'Recurrence frequency must be daily, weekly or monthly' };
+    }
+    if (recurrence.interval !== undefined && (!Number.isInteger(recurrence.interval) || recurrence.interval < 1)) {
+      return { valid: false, message: 'Recurrence interval must be a positive whole number' };
+    }
+    if (recurrence.byWeekday?.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+      return { valid: false, message: 'Weekdays must be numbers from 0 (Sunday) to 6 (Saturday)' };
+    }
+    if (recurrence.byWeekday?.length && recurrence.frequency !== 'weekly') {
+      return { valid: false, message: 'Weekdays can only be used with weekly recurrence' };
+    }
+    if (recurrence.byMonthDay !== undefined && recurrence.frequency !== 'monthly') {
+      return { valid: false, message: 'Day of month can only be used with monthly recurrence' };
+    }
+    if (recurrence.until && recurrence.count) {
+      return { valid: false, message: 'Use either an end date or an occurrence count, not both' };
+    }
+    if (recurrence.until && new Date(recurrence.until) <= new Date(startDate)) {
+      return { valid: false, message: 'End date must be after the first occurrence' };
+    }
+    if (recurrence.count !== undefined && (!Number.isInteger(recurrence.count) || recurrence.count < 1)) {
+      return { valid: false, message: 'Occurrence count must be a positive whole number' };
+    }
+    return { valid: true };
+  }
+
+  /**
+   * Candidate dates of one recurrence period, in ascending order.
+   *
+   * Dates are computed on the series' wall clock, so a 09:00 post stays at
+   * 09:00 local time across DST changes (see zonedTimeToUtc for gaps/overlaps).
+   */
+  getPeriodCandidates(recurrence, start, offset, timeZone) {
+    const time = { hour: start.hour, minute: start.minute, second: start.second };
+    const at = day => zonedTimeToUtc({ ...day, ...time }, timeZone);
+
+    switch (recurrence.frequency) {
+      case 'daily':
+        return [at(addCalendarDays(start, offset))];
+
+      case 'weekly': {
+        const weekStart = offset * 7 - start.weekday;
+        const weekdays = recurrence.byWeekday?.length
+          ? [...recurrence.byWeekday].sort((a, b) => a - b)
+          : [start.weekday];
+        return weekdays.map(day => at(addCalendarDays(start, weekStart + day)));
+      }
+
+      case 'monthly': {
+        const monthStart = new Date(Date.UTC(start.year, start.month - 1 + offset, 1));
+        const year = monthStart.getUTCFullYear();
+        const month = monthStart.getUTCMonth() + 1;
+        const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+        const day = recurrence.byMonthDay === -1
+          ? daysInMonth
+          : recurrence.byMonthDay || start.day;
+        // Like RRULE, months without the requested day are skipped
+        if (day > daysInMonth) return [];
+        return [at({ year, month, day })];
+      }
+
+      default:
+        return [];
+    }
+  }
+
+  /**
+   * Walk the occurrences of a series in order, honouring UNTIL and COUNT
+   */
+  *iterateOccurrences(series) {
+    const recurrence = series.recurrence;
+    const start = new Date(series.startDate);
+    const timeZone = series.timezone || 'UTC';
+    const localStart = getZonedParts(start, timeZone);
+    const interval = recurrence.interval || 1;
+    let index = 0;
+
+    for (let period = 0; period < MAX_PERIODS; period++) {
+      for (const date of this.getPeriodCandidates(recurrence, localStart, period * interval, timeZone)) {
+        if (date < start) continue;
+        if (recurrence.until && date > new Date(recurrence.until)) return;
+        if (recurrence.count && index >= recurrence.count) return;
+        index++;
+        yield date;
+      }
+    }
+  }
+
+  /**
+   * Occurrences after `from` (exclusive) up to `to` (inclusive)
+   */
+  getOccurrences(series, from, to, limit = 500) {
+    const occurrences = [];
+    for (const date of this.iterateOccurrences(series)) {
+      if (date > to || occurrences.length >= limit) break;
+      if (date > from) occurrences.push(date);
+    }
+    return occurrences;
+  }
+
+  /**
+   * First occurrence after the given date, or null when the series has ended
+   */
+  getNextOccurrence(series, after = new Date()) {
+    for (const date of this.iterateOccurrences(series)) {
+      if (date > after) return date;
+    }
+    return null;
+  }
+
+  /**
+   * Create posts for every active series whose horizon needs extending
+   */
+  async materializeDueSeries() {
+    const horizonEnd = new Date(Date.now() + this.horizonMs);
+    const seriesList = await PostSeries.find({
+      status: 'active',
+      $or: [
+        { materializedUntil: null },
+        { materializedUntil: { $lt: horizonEnd } }
+      ]
+    }).limit(100);
+
+    let created = 0;
+    for (const series of seriesList) {
+      try {
+        created += await this.materializeSeries(series, horizonEnd);
+      } catch (error) {
+        console.error(`❌ Failed to materialize series ${series._id}:`, error.message);
+      }
+    }
+
+    return created;
+  }
+
+  /**
+   * Turn the occurrences of a series up to horizonEnd into scheduled posts
+   */
+  async materializeSeries(series, horizonEnd) {
+    const previousUntil = series.materializedUntil || null;
+
+    // Claim the window so concurrent scheduler instances don't both fill it
+    const claimed = await PostSeries.findOneAndUpdate(
+      { _id: series._id, status: 'active', materializedUntil: previousUntil },
+      { $set: { materializedUntil: horizonEnd } },
+      { new: true }
+    );
+    if (!claimed) return 0;
+
+    const from = previousUntil || new Date(new Date(series.startDate).getTime() - 1);
+    const occurrences = this.getOccurrences(series, from, horizonEnd);
+    const missedCutoff = new Date(Date.now() - this.missedGraceMs);
+    let created = 0;
+
+    for (const occurrenceDate of occurrences) {
+      if (occurrenceDate < missedCutoff) {
+        console.log(`⏭️ Skipping missed occurrence ${occurrenceDate.toISOString()} of series ${series._id}`);
+        continue;
+      }
+
+      if (!(await User.reservePosts(series.userId))) {
+        console.warn(`⚠️ Post limit reached for user ${series.userId}, not materializing series ${series._id}`);
+        break;
+      }
+
+      const postData = await this.buildOccurrencePost(series, occurrenceDate);
+      if (!postData) {
+        await User.releasePosts(series.userId);
+        console.warn(`⚠️ No evergreen content available for series ${series._id} at ${occurrenceDate.toISOString()}`);
+        continue;
+      }
+
+      try {
+        await Post.create(postData);
+        created++;
+      } catch (error) {
+        await User.releasePosts(series.userId);
+        // Occurrence already materialized by another instance
+        if (error.code !== DUPLICATE_KEY_ERROR) throw error;
+      }
+    }
+
+    const update = { $inc: { occurrencesCreated: created } };
+    if (!this.getNextOccurrence(series, horizonEnd)) {
+      update.$set = { status: 'completed' };
+      console.log(`🏁 Series ${series._id} has no more occurrences`);
+    }
+    await PostSeries.updateOne({ _id: series._id }, update);
+
+    if (created > 0) {
+      console.log(`🔁 Materialized ${created} occurrence(s) of series ${series._id}`);
+    }
+    return created;
+  }
+
+  /**
+   * Build the post document for one occurrence of a series
+   */
+  async buildOccurrencePost(series, occurrenceDate) {
+    const base = {
+      userId: series.userId,
+      workspaceId: series.workspaceId,
+      accountId: series.accountId,
+      platform: series.platform,
+      scheduledDate: occurrenceDate,
+      timezone: series.timezone,
+      seriesId: series._id,
+      occurrenceDate
+    };
+
+    if (series.source !== 'evergreen') {
+      return {
+        ...base,
+        content: series.content,
+        mediaFiles: series.mediaFiles || []
+      };
+    }
+
+    const item = await this.pickEvergreenItem(series, occurrenceDate);
+    if (!item) return null;
+
+    return {
+      ...base,
+      content: item.content,
+      mediaFiles: item.mediaFiles || [],
+      evergreenItemId: item._id
+    };
+  }
+
+  /**
+   * Pick the least recently published library item that is not cooling down
+   */
+  async pickEvergreenItem(series, occurrenceDate) {
+    // The workspace library; series created before workspaces use their author's items
+    const query = {
+      ...(series.workspaceId ? { workspaceId: series.workspaceId } : { userId: series.userId }),
+      active: true,
+      platform: { $in: [null, series.platform] }
+    };
+    if (series.evergreenCategory) {
+      query.category = series.evergreenCategory;
+    }
+
+    const items = await EvergreenItem.find(query).sort({ lastPublishedAt: 1, createdAt: 1 });
+
+    for (const item of items) {
+      if (item.isCoolingDown(occurrenceDate)) continue;
+
+      // Reserve the item; fails if another occurrence reserved it meanwhile
+      const result = await EvergreenItem.updateOne(
+        { _id: item._id, lastScheduledAt: item.lastScheduledAt || null },
+        { $set: { lastScheduledAt: occurrenceDate } }
+      );
+      if (result.modifiedCount > 0) {
+        return item;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Record that a post created from the evergreen library went out
+   */
+  async recordEvergreenPublished(post) {
+    if (!post.evergreenItemId) return;
+
+    await EvergreenItem.updateOne(
+      { _id: post.evergreenItemId },
+      {
+        $set: { lastPublishedAt: post.publishedAt || new Date() },
+        $inc: { timesPublished: 1 }
+      }
+    );
+  }
+
+  /**
+   * Remove materialized posts that have not been published yet, so the series
+   * can be re-materialized after it was edited, paused or deleted
+   */
+  async clearFutureOccurrences(series) {
+    const pending = await Post.find({
+      seriesId: series._id,
+      status: 'scheduled'
+    }).select('_id evergreenItemId');
+
+    if (pending.length > 0) {
+      await Post.deleteMany({ _id: { $in: pending.map(post => post._id) } });
+
+      // Release evergreen items reserved for the removed occurrences
+      const itemIds = pending.map(post => post.evergreenItemId).filter(Boolean);
+      if (itemIds.length > 0) {
+        await EvergreenItem.updateMany({ _id: { $in: itemIds } }, { $set: { lastScheduledAt: null } });
+      }
+
+      // Release the quota reserved when the occurrences were materialized
+      await User.releasePosts(series.userId, pending.length);
+    }
+
+    await PostSeries.updateOne({ _id: series._id }, { $set: { materializedUntil: null } });
+    return pending.length;
+  }
+
+  /**
+   * Expand the not-yet-materialized occurrences of a workspace's series for
+   * the calendar. Returned items look like posts but are marked `virtual`.
+   */
+  async expandSeries(workspaceId, { platform, from = new Date(), to, limit = 100 } = {}) {
+    const until = to || new Date(from.getTime() + 30 * DAY_MS);
+    const query = { workspaceId, status: 'active' };
+    if (platform) {
+      query.platform = platform;
+    }
+
+    const seriesList = await PostSeries.find(query).populate('accountId', 'platform username connected');
+    const occurrences = [];
+
+    for (const series of seriesList) {
+      // Occurrences up to materializedUntil already exist as posts
+      const start = series.materializedUntil && series.materializedUntil > from
+        ? series.materializedUntil
+        : from;
+
+      for (const date of this.getOccurrences(series, start, until, limit)) {
+        occurrences.push({
+          _id: `${series._id}:${date.getTime()}`,
+          virtual: true,
+          seriesId: series._id,
+          accountId: series.accountId,
+          platform: series.platform,
+          source: series.source,
+          content: series.source === 'evergreen' ? null : series.content,
+          mediaFiles: series.source === 'evergreen' ? [] : series.mediaFiles,
+          evergreenCategory: series.evergreenCategory,
+          status: 'scheduled',
+          scheduledDate: date,
+          rrule: this.toRRule(series.recurrence)
+        });
+      }
+    }
+
+    return occurrences
+      .sort((a, b) => a.scheduledDate - b.scheduledDate)
+      .slice(0, limit);
+  }
+}
+
+// Create singleton instance
+const recurrenceService = new RecurrenceService();
+
+module.exports = {
+  RecurrenceService,
+  parseRRule: recurrenceService.parseRRule.bind(recurrenceService),
+  toRRule: recurrenceService.toRRule.bind(recurrenceService),
+  validateRecurrence: recurrenceService.validateRecurrence.bind(recurrenceService),
+  getOccurrences: recurrenceService.getOccurrences.bind(recurrenceService),
+  getNextOccurrence: recurrenceService.getNextOccurrence.bind(recurrenceService),
+  materializeDueSeries: recurrenceService.materializeDueSeries.bind(recurrenceService),
+  recordEvergreenPublished: recurrenceService.recordEvergreenPublished.bind(recurrenceService),
+  clearFutureOccurrences: recurrenceService.clearFutureOccurrences.bind(recurrenceService),
+  expandSeries: recurrenceService.expandSeries.bind(recurrenceService)
+};
@@ -1,14 +1,33 @@
 const cron = require('node-cron');
 const Post = require('../models/post.model');
 const Account = require('../models/account.model');
+const User = require('../models/user.model');
+const { jobQueue } = require('./job-queue.service');
+const { materializeDueSeries, recordEvergreenPublished } = require('./recurrence.service');
 const { 
   getConnectionStatus, 
-  validateSocialMediaCredentials,
-  publishToSocialMedia // Import the real publishing service
+  publishToSocialMedia, // Import the real publishing service
+  findPublishedPost
 } = require('./social-media.service');
+const { getPlatform } = require('./platforms');
+
+// Maps publish error categories onto the Post.errorCode enum
+const ERROR_CODES = {
+  rate_limit: 'RATE_LIMIT',
+  authentication: 'TOKEN_EXPIRED',
+  network: 'NETWORK_ERROR',
+  duplicate_content: 'DUPLICATE_CONTENT',
+  content_policy: 'CONTENT_POLICY',
+  permissions: 'CONNECTION_ERROR',
+  connection: 'CONNECTION_ERROR'
+};
 
 /**
- * Enhanced scheduler service with real social media publishing
+ * Enhanced scheduler service with real social media publishing.
+ *
+ * Due posts are pushed into a MongoDB-backed job queue (see job-queue.service)
+ * and published by a pool of workers, so several server instances can run the
+ * scheduler side by side without publishing a post twice.
  */
 class SchedulerService {
   constructor() {
@@ -16,18 +35,19 @@ class SchedulerService {
     this.isInitialized = false;
     this.cronJob = null;
     this.lastRunTime = null;
+    // Publishing counters live in the job queue so they are shared by every
+    // instance; only the local run counter is kept in memory
     this.stats = {
-      totalRuns: 0,
-      postsProcessed: 0,
-      postsPublished: 0,
-      postsFailed: 0,
-      connectionErrors: 0,
-      tokenExpiredErrors: 0,
-      rateLimitErrors: 0,
-      contentPolicyErrors: 0,
-      duplicateContentErrors: 0,
-      networkErrors: 0
+      totalRuns: 0
     };
+    this.statsSince = null;
+    this.activeJobs = new Map(); // Jobs this instance is currently publishing
+    this.workerConcurrency = parseInt(process.env.QUEUE_WORKER_CONCURRENCY) || 5;
+    this.pollIntervalSeconds = parseInt(process.env.SCHEDULER_POLL_SECONDS) || 10;
+    // How long a post may sit in 'publishing' before the platform is checked
+    this.reconcileAfterMs = parseInt(process.env.PUBLISH_RECONCILE_AFTER_MS) || 2 * 60 * 1000;
+    this.lastMaterializedAt = null;
+    this.materializeIntervalMs = 60 * 1000;
     this.connectionCache = new Map(); // Cache connection statuses
     this.cacheTimeout = 5 * 60 * 1000; // 5 minutes cache
   }
@@ -41,10 +61,10 @@ class SchedulerService {
       return;
     }
 
-    // Run every minute to check for posts that need to be published
-    this.cronJob = cron.schedule('* * * * *', async () => {
+    // Poll the queue every few seconds; publishing itself runs in the background
+    // so a slow platform call never delays the next poll
+    this.cronJob = cron.schedule(`*/${this.pollIntervalSeconds} * * * * *`, async () => {
       if (this.isRunning) {
-        console.log('⏭️ Scheduler already running, skipping this cycle');
         return;
       }
 
@@ -53,7 +73,6 @@ class SchedulerService {
         this.lastRunTime = new Date();
         this.stats.totalRuns++;
         
-        console.log(`🔥 [${this.lastRunTime.toISOString()}] Checking for scheduled posts to publish...`);
         await this.processScheduledPosts();
       } catch (error) {
         console.error('❌ Error processing scheduled posts:', error);
@@ -65,7 +84,7 @@ class SchedulerService {
     });
     
     this.isInitialized = true;
-    console.log('✅ Post scheduler initialized (not started)');
+    console.log(`✅ Post scheduler initialized (not started) - worker ${jobQueue.workerId}`);
   }
 
   /**
@@ -123,40 +142,30 @@ class SchedulerService {
   }
 
   /**
-   * Process scheduled posts that are due for publishing
+   * Run one scheduler cycle: recover crashed jobs, enqueue due posts and hand
+   * queued jobs to free workers
    */
   async processScheduledPosts() {
-    const now = new Date();
-    
     try {
-      // Find posts that are scheduled and due for publishing
-      const postsToPublish = await Post.find({
-        status: 'scheduled',
-        scheduledDate: { $lte: now }
-      }).populate({
-        path: 'accountId',
-        match: { connected: true } // Only get posts for connected accounts
-      });
+      const deadJobs = await jobQueue.recoverExpiredLeases();
+      if (deadJobs.length > 0) {
+        await this.failDeadLetteredPosts(deadJobs);
+      }
 
-      // Filter out posts where accountId is null (disconnected accounts)
-      const validPosts = postsToPublish.filter(post => post.accountId !== null);
-      
-      console.log(`📋 Found ${validPosts.length} posts to publish (${postsToPublish.length - validPosts.length} filtered out due to disconnected accounts)`);
-      this.stats.postsProcessed += validPosts.length;
+      await this.reconcilePublishingPosts();
 
-      if (validPosts.length === 0) {
-        return;
+      // Recurring series only need their horizon extended about once a minute
+      if (!this.lastMaterializedAt || Date.now() - this.lastMaterializedAt >= this.materializeIntervalMs) {
+        this.lastMaterializedAt = Date.now();
+        await materializeDueSeries();
       }
 
-      // Group posts by account to batch connection checks
-      const postsByAccount = this.groupPostsByAccount(validPosts);
-      
-      // Process each account's posts
-      for (const [accountId, posts] of Object.entries(postsByAccount)) {
-        await this.processAccountPosts(accountId, posts);
+      const enqueued = await this.enqueueDuePosts();
+      if (enqueued > 0) {
+        console.log(`📥 Enqueued ${enqueued} post(s) for publishing`);
       }
 
-      console.log(`📊 Batch processing complete: ${this.stats.postsPublished} published, ${this.stats.postsFailed} failed`);
+      await this.fillWorkerSlots();
     } catch (error) {
       console.error('❌ Error in processScheduledPosts:', error);
       throw error;
@@ -164,25 +173,285 @@ class SchedulerService {
   }
 
   /**
-   * Group posts by account for efficient processing
+   * Create a queue job for every due post of a connected account
    */
-  groupPostsByAccount(posts) {
-    const grouped = {};
-    
-    posts.forEach(post => {
-      if (!post.accountId || !post.accountId._id) {
-        console.warn(`⚠️ Post ${post._id} has invalid accountId, skipping`);
-        return;
+  async enqueueDuePosts() {
+    const duePosts = await Post.find({
+      ...(await Post.publishableFilter()),
+      scheduledDate: { $lte: new Date() }
+    })
+      .select('_id userId accountId platform scheduledDate')
+      .populate({
+        path: 'accountId',
+        select: 'connected',
+        match: { connected: true } // Only get posts for connected accounts
+      })
+      .sort({ scheduledDate: 1 })
+      .limit(500);
+
+    let enqueued = 0;
+    for (const post of duePosts) {
+      // Posts of disconnected accounts stay scheduled until the account is reconnected
+      if (!post.accountId) continue;
+
+      if (await jobQueue.enqueue(post)) {
+        enqueued++;
       }
-      
-      const accountId = post.accountId._id.toString();
-      if (!grouped[accountId]) {
-        grouped[accountId] = [];
+    }
+
+    return enqueued;
+  }
+
+  /**
+   * Claim queued jobs until every local worker is busy
+   */
+  async fillWorkerSlots() {
+    while (this.activeJobs.size < this.workerConcurrency) {
+      const job = await jobQueue.claimNext();
+      if (!job) break;
+
+      const jobId = job._id.toString();
+      const run = this.runJob(job).finally(() => this.activeJobs.delete(jobId));
+      this.activeJobs.set(jobId, run);
+    }
+  }
+
+  /**
+   * Wait for every job this instance is publishing to finish
+   */
+  async drainActiveJobs() {
+    await Promise.allSettled(Array.from(this.activeJobs.values()));
+  }
+
+  /**
+   * Publish the post behind a leased job and record the outcome in the queue
+   */
+  async runJob(job) {
+    try {
+      const result = await jobQueue.runWithHeartbeat(job, () => this.processJob(job));
+      await jobQueue.complete(job, result.outcome, result);
+    } catch (error) {
+      console.error(`❌ Job ${job._id} for post ${job.postId} crashed:`, error.message);
+      try {
+        const state = await jobQueue.fail(job, error);
+        if (state === 'dead') {
+          await this.failDeadLetteredPosts([job]);
+        }
+      } catch (queueError) {
+        console.error(`❌ Could not release job ${job._id}:`, queueError.message);
+      }
+    }
+  }
+
+  /**
+   * Process a single queued post and describe what happened to it
+   */
+  async processJob(job) {
+    const post = await Post.findById(job.postId).populate('accountId');
+
+    // The post was edited, cancelled or rescheduled since it was enqueued
+    if (!post || post.status !== 'scheduled' || post.scheduledDate > new Date()) {
+      return { outcome: 'skipped' };
+    }
+
+    if (!post.accountId) {
+      await this.markPostsAsFailed([post], 'Account not found', 'CONNECTION_ERROR');
+      return { outcome: 'failed', error: 'Account not found', errorCategory: 'CONNECTION_ERROR' };
+    }
+
+    await this.processAccountPosts(post.accountId._id.toString(), [post]);
+
+    if (post.status === 'published') {
+      return { outcome: 'published' };
+    }
+
+    // Result unknown - reconciliation will check the platform before any retry
+    if (post.status === 'publishing') {
+      return { outcome: 'rescheduled', error: post.publishError, errorCategory: post.errorCode || 'UNKNOWN' };
+    }
+
+    return {
+      outcome: post.status === 'failed' ? 'failed' : 'rescheduled',
+      error: post.publishError,
+      errorCategory: post.errorCode || 'UNKNOWN'
+    };
+  }
+
+  /**
+   * Resolve posts left in 'publishing' by a crash or an ambiguous error: if the
+   * platform already has the content the post is marked published, otherwise
+   * it goes back to the schedule for another attempt
+   */
+  async reconcilePublishingPosts() {
+    const posts = await Post.getPostsAwaitingReconciliation(this.reconcileAfterMs);
+
+    for (const post of posts) {
+      // A worker still holds the job, the attempt is in progress
+      if (await jobQueue.hasActiveLease(post._id)) continue;
+
+      try {
+        await this.reconcilePost(post);
+      } catch (error) {
+        console.error(`❌ Could not reconcile post ${post._id}:`, error.message);
       }
-      grouped[accountId].push(post);
+    }
+  }
+
+  /**
+   * Check the platform for a single post stuck in 'publishing'
+   */
+  async reconcilePost(post) {
+    const account = post.accountId;
+    const attemptKey = post.idempotencyKey;
+
+    if (!account || !account.connected) {
+      // Without a connection the platform cannot be checked, and retrying
+      // blindly could publish twice
+      await this.finishReconciliation(post, attemptKey, {
+        status: 'failed',
+        publishError: 'Publish result unknown and account is not connected - check the platform before retrying',
+        errorCode: 'CONNECTION_ERROR',
+        failedAt: new Date()
+      });
+      return;
+    }
+
+    console.log(`🔍 Reconciling post ${post._id} (attempt ${attemptKey}) with ${account.platform}...`);
+
+    // Allow for clock skew between us and the platform
+    const since = new Date(post.publishingStartedAt.getTime() - 60 * 1000);
+    const result = post.thread?.length > 0
+      ? await this.findPublishedThread(post, account, since)
+      : await findPublishedPost(post, account, since);
+
+    if (result.found) {
+      console.log(`✅ Post ${post._id} was already published as ${result.externalPostId} - not retrying`);
+      const resolved = await this.finishReconciliation(post, attemptKey, {
+        status: 'published',
+        externalPostId: result.externalPostId,
+        publishedAt: result.publishedAt,
+        publishError: '',
+        errorCode: undefined
+      });
+      if (resolved) {
+        await User.commitPublishedPost(post.userId);
+      }
+      post.publishedAt = result.publishedAt;
+      await recordEvergreenPublished(post);
+      return;
+    }
+
+    if (result.ambiguous) {
+      // Retrying could publish twice, so someone has to check
+      await this.finishReconciliation(post, attemptKey, {
+        status: 'failed',
+        publishError: `Publish result unknown and several posts on ${account.platform} could be this one - check the platform before retrying`,
+        errorCode: 'UNKNOWN',
+        failedAt: new Date()
+      });
+      return;
+    }
+
+    if (post.retryCount >= 3) {
+      await this.finishReconciliation(post, attemptKey, {
+        status: 'failed',
+        publishError: 'Publishing did not complete after repeated attempts',
+        errorCode: post.errorCode || 'UNKNOWN',
+        failedAt: new Date()
+      });
+      return;
+    }
+
+    console.log(`🔁 Post ${post._id} not found on ${account.platform} - scheduling a retry`);
+    await this.finishReconciliation(post, attemptKey, {
+      status: 'scheduled',
+      scheduledDate: new Date(),
+      retryCount: post.retryCount + 1,
+      lastRetryAt: new Date()
     });
-    
-    return grouped;
+  }
+
+  /**
+   * Threads record each tweet as it goes out, so only the segment that was in
+   * flight can be unknown. Look it (and any after it) up on the timeline; the
+   * thread counts as published once every segment has a tweet ID, otherwise
+   * the retry resumes after the last known segment.
+   */
+  async findPublishedThread(post, account, since) {
+    for (let index = 0; index < post.thread.length; index++) {
+      const segment = post.thread[index];
+      if (segment.externalPostId) continue;
+
+      const match = await findPublishedPost(
+        { content: segment.content, mediaFiles: segment.mediaFiles },
+        account,
+        since
+      );
+      if (!match.found) {
+        return { found: false, ambiguous: match.ambiguous };
+      }
+
+      segment.externalPostId = match.externalPostId;
+      segment.publishedAt = match.publishedAt;
+      await Post.updateOne(
+        { _id: post._id },
+        {
+          $set: {
+            [`thread.${index}.externalPostId`]: match.externalPostId,
+            [`thread.${index}.publishedAt`]: match.publishedAt
+          }
+        }
+      );
+    }
+
+    return {
+      found: true,
+      externalPostId: post.thread[0].externalPostId,
+      publishedAt: post.thread[0].publishedAt || new Date()
+    };
+  }
+
+  /**
+   * Apply the reconciliation result, but only if no other worker resolved
+   * the same attempt in the meantime. Returns whether the result was applied
+   */
+  async finishReconciliation(post, attemptKey, update) {
+    // Undefined fields are removed (null is not valid for every field)
+    const $set = { reconciledAt: new Date() };
+    const $unset = {};
+    for (const [field, value] of Object.entries(update)) {
+      if (value === undefined) {
+        $unset[field] = '';
+      } else {
+        $set[field] = value;
+      }
+    }
+    const result = await Post.updateOne(
+      { _id: post._id, status: 'publishing', idempotencyKey: attemptKey },
+      Object.keys($unset).length > 0 ? { $set, $unset } : { $set }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  /**
+   * Fail the posts of jobs that ran out of attempts
+   */
+  async failDeadLetteredPosts(jobs) {
+    const posts = await Post.find({
+      _id: { $in: jobs.map(job => job.postId) },
+      status: 'scheduled'
+    });
+
+    if (posts.length > 0) {
+      await this.markPostsAsFailed(posts, 'Publishing did not complete after repeated attempts', 'UNKNOWN');
+    }
+  }
+
+  /**
+   * Map a publish error category to the Post.errorCode enum
+   */
+  toErrorCode(errorCategory) {
+    return ERROR_CODES[errorCategory] || 'UNKNOWN';
   }
 
   /**
@@ -202,13 +471,7 @@ class SchedulerService {
     console.log(`🔧 Testing fresh connection for ${account.username} (${account.platform})...`);
     
     try {
-      const connectionStatus = await getConnectionStatus(
-        account.platform,
-        account.apiKey,
-        account.apiSecret,
-        account.accessToken,
-        account.accessTokenSecret
-      );
+      const connectionStatus = await getConnectionStatus(account);
       
       // Cache the result
       this.connectionCache.set(cacheKey, {
@@ -246,21 +509,21 @@ class SchedulerService {
     // First, validate account exists and basic requirements
     if (!account) {
       console.error(`❌ Account ${accountId} not found`);
-      await this.markPostsAsFailed(posts, 'Account not found');
+      await this.markPostsAsFailed(posts, 'Account not found', 'CONNECTION_ERROR');
       return;
     }
 
     // Check if account is marked as connected
     if (!account.connected) {
       console.error(`❌ Account ${account.username} (${account.platform}) is marked as disconnected`);
-      await this.markPostsAsFailed(posts, 'Account disconnected');
+      await this.markPostsAsFailed(posts, 'Account disconnected', 'CONNECTION_ERROR');
       return;
     }
 
     // Validate account credentials are present
-    if (!this.hasRequiredCredentials(account)) {
+    if (!account.hasRequiredCredentials()) {
       console.error(`❌ Account ${account.username} (${account.platform}) missing required credentials`);
-      await this.markPostsAsFailed(posts, 'Missing API credentials');
+      await this.markPostsAsFailed(posts, 'Missing API credentials', 'CONNECTION_ERROR');
       await this.disconnectAccount(account);
       return;
     }
@@ -296,8 +559,7 @@ class SchedulerService {
     switch (errorCategory) {
       case 'rate_limit':
         console.log(`⏰ Rate limit detected for ${account.username}, postponing posts...`);
-        await this.postponePosts(posts, 'Rate limit - will retry later', 15); // 15 minutes
-        this.stats.rateLimitErrors++;
+        await this.postponePosts(posts, 'Rate limit - will retry later', 15, 'RATE_LIMIT'); // 15 minutes
         break;
         
       case 'authentication':
@@ -305,56 +567,37 @@ class SchedulerService {
         if (account.platform.toLowerCase() === 'facebook' && message.includes('access token')) {
           console.log(`🔄 Facebook token issue - marking for reconnection...`);
           await this.markAccountForReconnection(account, 'Facebook access token expired or invalid');
-          await this.markPostsAsFailed(posts, `Authentication error: ${message}. Please reconnect your Facebook account.`);
+          await this.markPostsAsFailed(posts, `Authentication error: ${message}. Please reconnect your Facebook account.`, 'TOKEN_EXPIRED');
         } else {
-          await this.markPostsAsFailed(posts, `Authentication error: ${message}`);
+          await this.markPostsAsFailed(posts, `Authentication error: ${message}`, 'TOKEN_EXPIRED');
           await this.disconnectAccount(account);
         }
-        this.stats.tokenExpiredErrors++;
         break;
         
       case 'permissions':
         console.log(`🚫 Permission error for ${account.username}`);
         await this.markAccountForReconnection(account, 'Insufficient permissions - requires user action');
-        await this.markPostsAsFailed(posts, `Permission error: ${message}. Please check your account permissions.`);
+        await this.markPostsAsFailed(posts, `Permission error: ${message}. Please check your account permissions.`, 'CONNECTION_ERROR');
         break;
         
       case 'network':
         console.log(`🌐 Network error for ${account.username}, will retry later`);
-        await this.postponePosts(posts, `Network error: ${message}`, 5); // 5 minutes
-        this.stats.networkErrors++;
+        await this.postponePosts(posts, `Network error: ${message}`, 5, 'NETWORK_ERROR'); // 5 minutes
         break;
         
       default:
         console.error(`❌ Unknown connection error for ${account.username}: ${message}`);
-        await this.markPostsAsFailed(posts, `Connection error: ${message}`);
-        this.stats.connectionErrors++;
+        await this.markPostsAsFailed(posts, `Connection error: ${message}`, 'CONNECTION_ERROR');
         break;
     }
   }
 
-  /**
-   * Check if account has required credentials for its platform
-   */
-  hasRequiredCredentials(account) {
-    const { platform, apiKey, apiSecret, accessToken, accessTokenSecret } = account;
-    
-    switch (platform.toLowerCase()) {
-      case 'twitter':
-        return apiKey && apiSecret && accessToken && accessTokenSecret;
-      case 'instagram':
-      case 'facebook':
-        return accessToken; // Facebook/Instagram only need access token
-      default:
-        console.warn(`⚠️ Unknown platform: ${platform}`);
-        return false;
-    }
-  }
-
   /**
    * Process an individual post with REAL social media publishing
    */
   async processIndividualPost(post, account) {
+    let publishResult = null;
+
     try {
       console.log(`📤 Publishing post ${post._id} to ${account.platform} (${account.username})...`);
       
@@ -363,8 +606,21 @@ class SchedulerService {
         throw new Error('Invalid post content');
       }
 
+      // Claim the post before calling the platform so a crash leaves it in
+      // 'publishing' instead of 'scheduled'
+      const idempotencyKey = await Post.beginPublishing(post._id);
+      if (!idempotencyKey) {
+        console.log(`⏭️ Post ${post._id} is already being published or awaits approval, skipping`);
+        return;
+      }
+      post.status = 'publishing';
+      post.idempotencyKey = idempotencyKey;
+
       // Use the REAL publishToSocialMedia service
-      const publishResult = await publishToSocialMedia(post, account);
+      const startedAt = Date.now();
+      publishResult = await publishToSocialMedia(post, account);
+      post.processingTime = Date.now() - startedAt;
+      post.addPublishAttempt(publishResult.success, publishResult.error || null, post.processingTime);
       
       if (publishResult.success) {
         // Update post with published status and external ID
@@ -372,16 +628,27 @@ class SchedulerService {
         post.publishedAt = publishResult.publishedAt || new Date();
         post.externalPostId = publishResult.externalPostId;
         post.publishError = '';
+        post.errorCode = undefined; // null is not one of the error codes
         
         // Store platform response data if available
         if (publishResult.platformResponse) {
           post.platformResponse = publishResult.platformResponse;
         }
+
+        if (publishResult.firstComment) {
+          post.firstCommentId = publishResult.firstComment.externalId;
+          post.firstCommentPostedAt = publishResult.firstComment.postedAt;
+          post.firstCommentError = publishResult.firstComment.error;
+        }
         
         await post.save();
+
+        // Quota is only used once a post is actually out
+        await User.commitPublishedPost(post.userId);
         
         console.log(`✅ Post ${post._id} published successfully to ${account.platform}! External ID: ${publishResult.externalPostId}`);
-        this.stats.postsPublished++;
+
+        await recordEvergreenPublished(post);
         
         // Clear cached connection status on successful publish
         const cacheKey = `${account._id.toString()}-${account.platform}`;
@@ -399,17 +666,22 @@ class SchedulerService {
       } else {
         // Handle specific error types from real API
         const errorCategory = publishResult.errorCategory || this.categorizePublishError(publishResult.error);
-        this.updateErrorStats(errorCategory);
         
         // Handle different types of publishing errors
         await this.handlePublishError(post, account, publishResult.error, errorCategory);
       }
     } catch (error) {
       console.error(`❌ Error publishing post ${post._id}:`, error.message);
+
+      // The platform accepted the post but we could not record it - leave it
+      // in 'publishing' so reconciliation finds it instead of publishing again
+      if (publishResult?.success) {
+        console.error(`⚠️ Post ${post._id} is live as ${publishResult.externalPostId} but could not be saved, leaving it for reconciliation`);
+        return;
+      }
       
       // Categorize and handle the error
       const errorCategory = this.categorizePublishError(error.message);
-      this.updateErrorStats(errorCategory);
       
       await this.handlePublishError(post, account, error.message, errorCategory);
     }
@@ -419,6 +691,8 @@ class SchedulerService {
    * Handle different types of publishing errors with appropriate responses
    */
   async handlePublishError(post, account, errorMessage, errorCategory) {
+    post.errorCode = this.toErrorCode(errorCategory);
+
     switch (errorCategory) {
       case 'rate_limit':
         console.log(`⏰ Rate limit hit for post ${post._id}, postponing...`);
@@ -432,7 +706,6 @@ class SchedulerService {
         post.status = 'failed';
         post.publishError = `Authentication failed: ${errorMessage}. Please reconnect your ${account.platform} account.`;
         post.failedAt = new Date();
-        this.stats.postsFailed++;
         
         // Mark account for reconnection
         await this.markAccountForReconnection(account, errorMessage);
@@ -443,7 +716,6 @@ class SchedulerService {
         post.status = 'failed';
         post.publishError = `Duplicate content: ${errorMessage}`;
         post.failedAt = new Date();
-        this.stats.postsFailed++;
         break;
         
       case 'content_policy':
@@ -451,10 +723,16 @@ class SchedulerService {
         post.status = 'failed';
         post.publishError = `Content policy violation: ${errorMessage}`;
         post.failedAt = new Date();
-        this.stats.postsFailed++;
         break;
         
       case 'network':
+        // The request may have reached the platform before the connection
+        // dropped, so verify before retrying instead of rescheduling directly
+        if (post.status === 'publishing') {
+          console.log(`🌐 Network error for post ${post._id}, will verify with ${account.platform} before retrying...`);
+          post.publishError = 'Network error - checking whether the post went out before retrying';
+          break;
+        }
         console.log(`🌐 Network error for post ${post._id}, will retry...`);
         post.status = 'scheduled';
         post.scheduledDate = new Date(Date.now() + 5 * 60 * 1000); // Retry in 5 minutes
@@ -466,7 +744,6 @@ class SchedulerService {
         post.status = 'failed';
         post.publishError = errorMessage;
         post.failedAt = new Date();
-        this.stats.postsFailed++;
         break;
     }
     
@@ -496,71 +773,21 @@ class SchedulerService {
     return 'unknown';
   }
 
-  /**
-   * Update error statistics based on category
-   */
-  updateErrorStats(errorCategory) {
-    switch (errorCategory) {
-      case 'rate_limit':
-        this.stats.rateLimitErrors++;
-        break;
-      case 'authentication':
-        this.stats.tokenExpiredErrors++;
-        break;
-      case 'duplicate_content':
-        this.stats.duplicateContentErrors++;
-        break;
-      case 'content_policy':
-        this.stats.contentPolicyErrors++;
-        break;
-      case 'network':
-        this.stats.networkErrors++;
-        break;
-      default:
-        this.stats.connectionErrors++;
-        break;
-    }
-  }
-
   /**
    * Validate post content before publishing
    */
   validatePostContent(post, platform = '') {
-    // Check if post has content
-    if (!post.content || post.content.trim().length === 0) {
-      console.warn(`⚠️ Post ${post._id} has no content`);
+    let result;
+    try {
+      result = getPlatform(platform).validatePost(post);
+    } catch (error) {
+      console.warn(`⚠️ ${error.message}`);
       return false;
     }
 
-    // Platform-specific validations
-    const platformLower = platform.toLowerCase();
-    switch (platformLower) {
-      case 'twitter':
-        if (post.content.length > 280) {
-          console.warn(`⚠️ Twitter post ${post._id} exceeds 280 character limit (${post.content.length} chars)`);
-          return false;
-        }
-        break;
-      case 'instagram':
-        if (post.content.length > 2200) {
-          console.warn(`⚠️ Instagram post ${post._id} exceeds 2200 character limit (${post.content.length} chars)`);
-          return false;
-        }
-        // Instagram requires at least one media file
-        if (!post.mediaUrls || post.mediaUrls.length === 0) {
-          console.warn(`⚠️ Instagram post ${post._id} requires at least one image or video`);
-          return false;
-        }
-        break;
-      case 'facebook':
-        if (post.content.length > 63206) {
-          console.warn(`⚠️ Facebook post ${post._id} exceeds character limit (${post.content.length} chars)`);
-          return false;
-        }
-        break;
-      default:
-        console.warn(`⚠️ Unknown platform for validation: ${platform}`);
-        break;
+    if (!result.valid) {
+      console.warn(`⚠️ Post ${post._id} is not valid for ${platform}: ${result.message}`);
+      return false;
     }
 
     return true;
@@ -569,15 +796,15 @@ class SchedulerService {
   /**
    * Mark multiple posts as failed with the same reason
    */
-  async markPostsAsFailed(posts, reason) {
+  async markPostsAsFailed(posts, reason, errorCode = 'UNKNOWN') {
     const failedAt = new Date();
     
     try {
       const updatePromises = posts.map(async (post) => {
         post.status = 'failed';
         post.publishError = reason;
+        post.errorCode = errorCode;
         post.failedAt = failedAt;
-        this.stats.postsFailed++;
         return await post.save();
       });
       
@@ -591,13 +818,14 @@ class SchedulerService {
   /**
    * Postpone posts (for rate limits or temporary issues)
    */
-  async postponePosts(posts, reason, delayMinutes = 15) {
+  async postponePosts(posts, reason, delayMinutes = 15, errorCode = 'UNKNOWN') {
     const postponedUntil = new Date(Date.now() + delayMinutes * 60 * 1000);
     
     try {
       const updatePromises = posts.map(async (post) => {
         post.scheduledDate = postponedUntil;
         post.publishError = reason;
+        post.errorCode = errorCode;
         return await post.save();
       });
       
@@ -661,11 +889,30 @@ class SchedulerService {
   }
 
   /**
-   * Get scheduler statistics with additional metrics
+   * Get scheduler statistics with additional metrics.
+   * Publishing counters are aggregated from the shared job queue, so every
+   * instance reports the same numbers.
    */
-  getStats() {
+  async getStats() {
+    const queue = await jobQueue.getQueueStats(this.statsSince);
+    const outcomes = queue.outcomes;
+    const errors = queue.errorCategories;
+
+    const postsPublished = outcomes.published || 0;
+    const postsFailed = outcomes.failed || 0;
+    const postsProcessed = postsPublished + postsFailed + (outcomes.rescheduled || 0);
+
     return {
       ...this.stats,
+      postsProcessed,
+      postsPublished,
+      postsFailed,
+      connectionErrors: (errors.CONNECTION_ERROR || 0) + (errors.UNKNOWN || 0) + (errors.MEDIA_ERROR || 0),
+      tokenExpiredErrors: errors.TOKEN_EXPIRED || 0,
+      rateLimitErrors: errors.RATE_LIMIT || 0,
+      contentPolicyErrors: errors.CONTENT_POLICY || 0,
+      duplicateContentErrors: errors.DUPLICATE_CONTENT || 0,
+      networkErrors: errors.NETWORK_ERROR || 0,
       isRunning: this.isRunning,
       isInitialized: this.isInitialized,
       schedulerActive: this.cronJob ? this.cronJob.running : false,
@@ -673,27 +920,30 @@ class SchedulerService {
       uptime: this.lastRunTime ? new Date() - this.lastRunTime : 0,
       cacheSize: this.connectionCache.size,
       cacheKeys: Array.from(this.connectionCache.keys()),
-      successRate: this.stats.postsProcessed > 0 ? 
-        ((this.stats.postsPublished / this.stats.postsProcessed) * 100).toFixed(2) + '%' : '0%'
+      successRate: postsProcessed > 0 ? 
+        ((postsPublished / postsProcessed) * 100).toFixed(2) + '%' : '0%',
+      statsSince: this.statsSince,
+      queue: {
+        workerId: jobQueue.workerId,
+        queued: queue.queued,
+        inFlight: queue.leased,
+        completed: queue.completed,
+        dead: queue.dead,
+        activeLocal: this.activeJobs.size,
+        workerConcurrency: this.workerConcurrency,
+        accountConcurrency: jobQueue.accountConcurrency
+      }
     };
   }
 
   /**
-   * Reset scheduler statistics
+   * Reset scheduler statistics - counters restart from now
    */
   resetStats() {
     this.stats = {
-      totalRuns: 0,
-      postsProcessed: 0,
-      postsPublished: 0,
-      postsFailed: 0,
-      connectionErrors: 0,
-      tokenExpiredErrors: 0,
-      rateLimitErrors: 0,
-      contentPolicyErrors: 0,
-      duplicateContentErrors: 0,
-      networkErrors: 0
+      totalRuns: 0
     };
+    this.statsSince = new Date();
   }
 
   /**
@@ -717,10 +967,13 @@ class SchedulerService {
     try {
       this.isRunning = true;
       await this.processScheduledPosts();
-      return this.getStats();
     } finally {
       this.isRunning = false;
     }
+
+    // Wait for the jobs this instance picked up so the stats reflect them
+    await this.drainActiveJobs();
+    return this.getStats();
   }
 
   /**
@@ -787,27 +1040,33 @@ class SchedulerService {
   }
 
   /**
-   * Get detailed publishing report for a specific time period
+   * Get detailed publishing report of a workspace for a specific time period
    */
-  async getPublishingReport(hours = 24) {
+  async getPublishingReport(workspaceId, hours = 24) {
     try {
       const since = new Date(Date.now() - hours * 60 * 60 * 1000);
+      const accountIds = await Account.find({ workspaceId }).distinct('_id');
       
-      const [published, failed, scheduled] = await Promise.all([
+      const [published, failed, scheduled, queue] = await Promise.all([
         Post.find({
+          workspaceId,
           status: 'published',
           publishedAt: { $gte: since }
         }).populate('accountId', 'platform username'),
         
         Post.find({
+          workspaceId,
           status: 'failed',
           failedAt: { $gte: since }
         }).populate('accountId', 'platform username'),
         
         Post.find({
+          workspaceId,
           status: 'scheduled',
           scheduledDate: { $gte: new Date() }
-        }).populate('accountId', 'platform username')
+        }).populate('accountId', 'platform username'),
+
+        jobQueue.getQueueStats(since, { accountIds })
       ]);
 
       return {
@@ -818,6 +1077,13 @@ class SchedulerService {
           scheduled: scheduled.length,
           total: published.length + failed.length + scheduled.length
         },
+        queue: {
+          queued: queue.queued,
+          inFlight: queue.leased,
+          dead: queue.dead,
+          outcomes: queue.outcomes,
+          errorCategories: queue.errorCategories
+        },
         published: published.map(post => ({
           id: post._id,
           content: post.content.substring(0, 100) + (post.content.length > 100 ? '...' : ''),
@@ -864,5 +1130,5 @@ module.exports = {
   manualTrigger: () => schedulerService.manualTrigger(),
   performHealthCheck: () => schedulerService.performHealthCheck(),
   clearCache: () => schedulerService.clearCache(),
-  getPublishingReport: (hours) => schedulerService.getPublishingReport(hours)
+  getPublishingReport: (workspaceId, hours) => schedulerService.getPublishingReport(workspaceId, hours)
 };
\ No newline at end of file
@@ -0,0 +1,142 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const mongoose = require("mongoose");
+const Session = require("../models/session.model");
+
+const ACCESS_TOKEN_TTL = "15m";
+const SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+// Window in which the token replaced by a rotation is still accepted
+const ROTATION_GRACE_MS = 30 * 1000;
+
+function hashToken(secret) {
+  return crypto.createHash("sha256").update(secret).digest("hex");
+}
+
+/**
+ * Sign-in sessions. Each login creates a session and returns a short-lived
+ * access token (JWT naming the session) and a refresh token
+ * `<sessionId>.<secret>`. Refreshing rotates the secret; presenting a secret
+ * that was already rotated means the token was copied, so the session is
+ * revoked and both holders have to sign in again.
+ */
+class SessionService {
+  async createSession(userId, { userAgent = "", ip = "" } = {}) {
+    const secret = crypto.randomBytes(32).toString("hex");
+    const session = await Session.create({
+      userId,
+      tokenHash: hashToken(secret),
+      userAgent: userAgent.slice(0, 300),
+      ip,
+      expiresAt: new Date(Date.now() + SESSION_TTL_MS),
+    });
+
+    return {
+      session,
+      accessToken: this.signAccessToken(session),
+      refreshToken: `${session._id}.${secret}`,
+    };
+  }
+
+  signAccessToken(session) {
+    return jwt.sign({ userId: session.userId, sid: session._id }, process.env.JWT_SECRET, {
+      expiresIn: ACCESS_TOKEN_TTL,
+    });
+  }
+
+  /**
+   * New tokens for a refresh token. `refreshToken` is null when a tab
+   * presented the token another tab just rotated: it gets an access token
+   * and should keep the refresh token the other tab stored.
+   * Returns null for invalid, expired or revoked tokens
+   */
+  async refresh(refreshToken, { userAgent = "", ip = "" } = {}) {
+    const [sessionId, secret] = String(refreshToken || "").split(".");
+    if (!secret || !mongoose.isValidObjectId(sessionId)) return null;
+
+    const session = await Session.findById(sessionId);
+    if (!session || !session.isActive()) return null;
+
+    const hash = hashToken(secret);
+    if (hash !== session.tokenHash) {
+      const inGrace = hash === session.previousTokenHash && Date.now() - session.rotatedAt < ROTATION_GRACE_MS;
+      if (inGrace) {
+        return { session, accessToken: this.signAccessToken(session), refreshToken: null };
+      }
+
+      await this.revoke(session, "token_reuse");
+      console.warn(`🚨 Refresh token reuse detected, revoked session ${session._id} of user ${session.userId}`);
+      return null;
+    }
+
+    const nextSecret = crypto.randomBytes(32).toString("hex");
+    // Compare-and-swap so two refreshes with the same token can't both rotate it
+    const rotated = await Session.findOneAndUpdate(
+      { _id: session._id, tokenHash: hash, revokedAt: null },
+      {
+        $set: {
+          tokenHash: hashToken(nextSecret),
+          previousTokenHash: hash,
+          rotatedAt: new Date(),
+          lastUsedAt: new Date(),
+          expiresAt: new Date(Date.now() + SESSION_TTL_MS),
+          userAgent: userAgent.slice(0, 300) || session.userAgent,
+          ip: ip || session.ip,
+        },
+      },
+      { new: true }
+    );
+    if (!rotated) {
+      return { session, accessToken: this.signAccessToken(session), refreshToken: null };
+    }
+
+    return {
+      session: rotated,
+      accessToken: this.signAccessToken(rotated),
+      refreshToken: `${rotated._id}.${nextSecret}`,
+    };
+  }
+
+  async revoke(session, reason = "revoked") {
+    session.revokedAt = new Date();
+    session.revokedReason = reason;
+    await session.save();
+  }
+
+  // Revoke one of the user's sessions; false when there is no such active session
+  async revokeById(userId, sessionId, reason = "revoked") {
+    if (!mongoose.isValidObjectId(sessionId)) return false;
+    const result = await Session.updateOne(
+      { _id: sessionId, userId, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  // Sign the user out everywhere, optionally except one session
+  async revokeAll(userId, { exceptSessionId = null, reason = "logout_all" } = {}) {
+    const query = { userId, revokedAt: null };
+    if (exceptSessionId) {
+      query._id = { $ne: exceptSessionId };
+    }
+    const result = await Session.updateMany(query, { $set: { revokedAt: new Date(), revokedReason: reason } });
+    return result.modifiedCount;
+  }
+
+  list(userId) {
+    return Session.find({ userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+      .select("userAgent ip createdAt lastUsedAt expiresAt")
+      .sort({ lastUsedAt: -1 });
+  }
+}
+
+// Create singleton instance
+const sessionService = new SessionService();
+
+module.exports = {
+  SessionService,
+  createSession: sessionService.createSession.bind(sessionService),
+  refreshSession: sessionService.refresh.bind(sessionService),
+  revokeSession: sessionService.revokeById.bind(sessionService),
+  revokeAllSessions: sessionService.revokeAll.bind(sessionService),
+  listSessions: sessionService.list.bind(sessionService),
+};
@@ -0,0 +1,189 @@
+const cron = require("node-cron");
+const Account = require("../models/account.model");
+const { getPlatform, listPlatforms } = require("./platforms");
+const { notifyUser } = require("./notification.service");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Background renewal of platform tokens (Facebook and Instagram).
+ *
+ * Every run claims the accounts that were not checked recently and lets their
+ * adapter renew user and page tokens that are short-lived or about to expire.
+ * Claiming is atomic, so several server instances can run the job side by
+ * side. Users are notified before their tokens can no longer be renewed, and
+ * accounts whose tokens were revoked are marked for reconnection.
+ */
+class TokenRefreshService {
+  constructor() {
+    this.cronJob = null;
+    this.isRunning = false;
+    this.schedule = process.env.TOKEN_REFRESH_CRON || "15 * * * *"; // Hourly
+    // How often each account is checked
+    this.checkIntervalMs = (parseInt(process.env.TOKEN_REFRESH_CHECK_HOURS) || 12) * 60 * 60 * 1000;
+    // Renew tokens expiring within this many days
+    this.refreshBeforeDays = parseInt(process.env.TOKEN_REFRESH_BEFORE_DAYS) || 10;
+    // Warn users this many days before their tokens can no longer be renewed
+    this.noticeDays = parseInt(process.env.TOKEN_EXPIRY_NOTICE_DAYS) || 7;
+  }
+
+  start() {
+    if (this.cronJob) {
+      console.log("⚠️ Token refresh already started");
+      return;
+    }
+
+    this.cronJob = cron.schedule(this.schedule, () => this.refreshDueAccounts());
+    console.log(`✅ Token refresh scheduled (${this.schedule})`);
+  }
+
+  stop() {
+    if (this.cronJob) {
+      this.cronJob.stop();
+      this.cronJob = null;
+    }
+  }
+
+  /**
+   * Check every account of a platform with token refresh that is due
+   */
+  async refreshDueAccounts() {
+    if (this.isRunning) return { refreshed: 0, failed: 0 };
+
+    const platforms = listPlatforms()
+      .filter((adapter) => adapter.supportsTokenRefresh)
+      .map((adapter) => adapter.name);
+    const summary = { refreshed: 0, failed: 0 };
+
+    try {
+      this.isRunning = true;
+      let account;
+      while ((account = await this.claimNextAccount(platforms))) {
+        if (await this.refreshAccount(account)) {
+          summary.refreshed++;
+        } else {
+          summary.failed++;
+        }
+      }
+
+      if (summary.refreshed + summary.failed > 0) {
+        console.log(`🔑 Token refresh: ${summary.refreshed} account(s) checked, ${summary.failed} failed`);
+      }
+    } catch (error) {
+      console.error("❌ Error refreshing tokens:", error);
+    } finally {
+      this.isRunning = false;
+    }
+
+    return summary;
+  }
+
+  // Take the next account that is due, marking it checked so no other instance takes it
+  claimNextAccount(platforms) {
+    const now = new Date();
+    return Account.findOneAndUpdate(
+      {
+        platform: { $in: platforms },
+        connected: true,
+        syncStatus: { $ne: "needs_reconnection" },
+        $or: [
+          { "tokenRefresh.checkedAt": null },
+          { "tokenRefresh.checkedAt": { $lt: new Date(now.getTime() - this.checkIntervalMs) } },
+        ],
+      },
+      { $set: { "tokenRefresh.checkedAt": now } },
+      { new: true }
+    );
+  }
+
+  /**
+   * Renew the tokens of one account. Returns false when it failed
+   */
+  async refreshAccount(account) {
+    const adapter = getPlatform(account.platform);
+
+    let result;
+    try {
+      result = await adapter.refreshCredentials(account, {
+        refreshBeforeMs: this.refreshBeforeDays * DAY_MS,
+      });
+    } catch (error) {
+      // Usually temporary (network, rate limits): the next check tries again
+      const message = error.response?.data?.error?.message || error.message;
+      console.warn(`⚠️ Token refresh failed for ${account.username} (${account.platform}):`, message);
+      account.set("tokenRefresh.error", message);
+      await account.save();
+      return false;
+    }
+
+    if (!result.valid) {
+      await this.requireReconnection(account, adapter, result.message);
+      return false;
+    }
+
+    const changed = Object.keys(result.credentials).length > 0;
+    Object.assign(account, result.credentials);
+    account.tokenExpiresAt = result.tokenExpiresAt;
+    account.set({
+      "tokenRefresh.refreshableUntil": result.refreshableUntil,
+      "tokenRefresh.error": "",
+    });
+    if (changed) {
+      account.set("tokenRefresh.refreshedAt", new Date());
+    }
+    await account.save();
+
+    await this.warnBeforeExpiry(account, adapter);
+    return true;
+  }
+
+  /**
+   * Tell the user once per deadline when the tokens can't be renewed much
+   * longer: the earliest of the token expiry and the end of data access
+   */
+  async warnBeforeExpiry(account, adapter) {
+    const deadline = [account.tokenExpiresAt, account.tokenRefresh?.refreshableUntil]
+      .filter(Boolean)
+      .sort((a, b) => a - b)[0];
+    if (!deadline || deadline - Date.now() > this.noticeDays * DAY_MS) return;
+    if (account.tokenRefresh?.noticeSentFor?.getTime() === deadline.getTime()) return;
+
+    await notifyUser(account.userId, {
+      type: "token_expiring",
+      accountId: account._id,
+      title: `Reconnect ${adapter.label} account ${account.username}`,
+      message:
+        `Access to ${account.username} expires on ${deadline.toDateString()} and can't be renewed automatically. ` +
+        `Reconnect the account before then to keep publishing.`,
+    });
+    account.set("tokenRefresh.noticeSentFor", deadline);
+    await account.save();
+  }
+
+  async requireReconnection(account, adapter, message) {
+    account.connectionHealthy = false;
+    account.syncStatus = "needs_reconnection";
+    account.syncError = message;
+    account.set("tokenRefresh.error", message);
+    await account.save();
+
+    console.log(`🔄 Marked account ${account.username} (${account.platform}) for reconnection: ${message}`);
+
+    await notifyUser(account.userId, {
+      type: "token_invalid",
+      accountId: account._id,
+      title: `Reconnect ${adapter.label} account ${account.username}`,
+      message: `${message} Publishing to this account will fail until it is reconnected.`,
+    });
+  }
+}
+
+// Create singleton instance
+const tokenRefreshService = new TokenRefreshService();
+
+module.exports = {
+  TokenRefreshService,
+  startTokenRefresh: tokenRefreshService.start.bind(tokenRefreshService),
+  stopTokenRefresh: tokenRefreshService.stop.bind(tokenRefreshService),
+  refreshDueTokens: tokenRefreshService.refreshDueAccounts.bind(tokenRefreshService),
+};
@@ -0,0 +1,214 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const QRCode = require("qrcode");
+const User = require("../models/user.model");
+const { generateSecret, verifyCode, otpauthUrl } = require("../utils/totp");
+const { encryptCredential, decryptCredential } = require("../utils/credentialCrypto");
+
+const ISSUER = "SocialGrow";
+const RECOVERY_CODE_COUNT = 10;
+// Wrong codes in a row before verification is locked for a while
+const MAX_FAILED_ATTEMPTS = 5;
+const LOCK_MS = 15 * 60 * 1000;
+// Time to enter the code after the password was accepted
+const CHALLENGE_TTL = "5m";
+const CHALLENGE_PURPOSE = "2fa_login";
+
+function hashRecoveryCode(code) {
+  const normalized = String(code).toLowerCase().replace(/[^0-9a-f]/g, "");
+  return crypto.createHash("sha256").update(normalized).digest("hex");
+}
+
+function generateRecoveryCodes() {
+  return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString("hex");
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+}
+
+/**
+ * TOTP two-factor authentication: enrollment with a QR code, verification
+ * of codes at login, and single-use recovery codes for a lost device.
+ * Each code is accepted once, and repeated wrong codes lock verification
+ */
+class TwoFactorService {
+  status(user) {
+    return {
+      enabled: user.twoFactor.enabled,
+      enabledAt: user.twoFactor.enabledAt,
+      recoveryCodesLeft: user.twoFactor.recoveryCodes.length,
+    };
+  }
+
+  // Start enrollment: a new secret, confirmed by the first code (see enable)
+  async beginSetup(user) {
+    if (user.twoFactor.enabled) {
+      throw new Error("Two-factor authentication is already enabled");
+    }
+
+    const secret = generateSecret();
+    user.twoFactor.pendingSecret = encryptCredential(secret);
+    await user.save();
+
+    const url = otpauthUrl({ secret, account: user.email, issuer: ISSUER });
+    return { secret, otpauthUrl: url, qrCode: await QRCode.toDataURL(url) };
+  }
+
+  // Turn 2FA on with a code from the enrolled app. Returns the recovery codes, shown once
+  async enable(user, code) {
+    if (user.twoFactor.enabled) {
+      throw new Error("Two-factor authentication is already enabled");
+    }
+    if (!user.twoFactor.pendingSecret) {
+      throw new Error("Start the two-factor setup first");
+    }
+
+    const step = verifyCode(decryptCredential(user.twoFactor.pendingSecret), code);
+    if (step === null) {
+      throw new Error("Invalid code. Check the time on your device and try again.");
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+    Object.assign(user.twoFactor, {
+      enabled: true,
+      secret: user.twoFactor.pendingSecret,
+      pendingSecret: null,
+      recoveryCodes: recoveryCodes.map(hashRecoveryCode),
+      lastUsedStep: step,
+      failedAttempts: 0,
+      lockedUntil: null,
+      enabledAt: new Date(),
+    });
+    await user.save();
+
+    console.log(`🔐 Two-factor authentication enabled for user ${user._id}`);
+    return recoveryCodes;
+  }
+
+  async disable(user) {
+    Object.assign(user.twoFactor, {
+      enabled: false,
+      secret: null,
+      pendingSecret: null,
+      recoveryCodes: [],
+      lastUsedStep: null,
+      failedAttempts: 0,
+      lockedUntil: null,
+      enabledAt: null,
+    });
+    await user.save();
+    console.log(`🔓 Two-factor authentication disabled for user ${user._id}`);
+  }
+
+  async regenerateRecoveryCodes(user) {
+    const recoveryCodes = generateRecoveryCodes();
+    user.twoFactor.recoveryCodes = recoveryCodes.map(hashRecoveryCode);
+    await user.save();
+    return recoveryCodes;
+  }
+
+  // Token standing for "password accepted", exchanged for a session with a code
+  createLoginChallenge(user) {
+    return jwt.sign({ userId: user._id, purpose: CHALLENGE_PURPOSE }, process.env.JWT_SECRET, {
+      expiresIn: CHALLENGE_TTL,
+    });
+  }
+
+  // User ID of a valid login challenge, or null
+  readLoginChallenge(challengeToken) {
+    try {
+      const decoded = jwt.verify(String(challengeToken || ""), process.env.JWT_SECRET);
+      return decoded.purpose === CHALLENGE_PURPOSE ? decoded.userId : null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Check a code from the app, or a recovery code, which is then used up.
+   * Returns { valid, method, locked, recoveryCodesLeft }
+   */
+  async verify(user, { code, recoveryCode }) {
+    if (!user.twoFactor.enabled) {
+      return { valid: false, locked: false };
+    }
+    if (user.twoFactor.lockedUntil && user.twoFactor.lockedUntil > new Date()) {
+      return { valid: false, locked: true };
+    }
+
+    let valid = false;
+    let method = null;
+    // The user may have been read before a concurrent request locked it
+    const notLocked = {
+      $or: [{ "twoFactor.lockedUntil": null }, { "twoFactor.lockedUntil": { $lte: new Date() } }],
+    };
+
+    // Conditional updates, so concurrent requests can't use the same code twice
+    if (code) {
+      method = "totp";
+      const step = verifyCode(decryptCredential(user.twoFactor.secret), code);
+      if (step !== null) {
+        const result = await User.updateOne(
+          {
+            _id: user._id,
+            $and: [
+              notLocked,
+              { $or: [{ "twoFactor.lastUsedStep": null }, { "twoFactor.lastUsedStep": { $lt: step } }] },
+            ],
+          },
+          { $set: { "twoFactor.lastUsedStep": step } }
+        );
+        valid = result.modifiedCount > 0;
+      }
+    } else if (recoveryCode) {
+      method = "recovery_code";
+      const hash = hashRecoveryCode(recoveryCode);
+      const result = await User.updateOne(
+        { _id: user._id, "twoFactor.recoveryCodes": hash, ...notLocked },
+        { $pull: { "twoFactor.recoveryCodes": hash } }
+      );
+      valid = result.modifiedCount > 0;
+    }
+
+    if (valid) {
+      await User.updateOne({ _id: user._id }, { $set: { "twoFactor.failedAttempts": 0, "twoFactor.lockedUntil": null } });
+      const left = user.twoFactor.recoveryCodes.length - (method === "recovery_code" ? 1 : 0);
+      return { valid, method, locked: false, recoveryCodesLeft: left };
+    }
+
+    // Counted in the database, so concurrent guesses all count
+    const counted = await User.findOneAndUpdate(
+      { _id: user._id, ...notLocked },
+      { $inc: { "twoFactor.failedAttempts": 1 } },
+      { new: true }
+    ).select("twoFactor.failedAttempts");
+    if (!counted) {
+      return { valid: false, method, locked: true };
+    }
+
+    const locked = counted.twoFactor.failedAttempts >= MAX_FAILED_ATTEMPTS;
+    if (locked) {
+      await User.updateOne(
+        { _id: user._id, "twoFactor.failedAttempts": { $gte: MAX_FAILED_ATTEMPTS } },
+        { $set: { "twoFactor.failedAttempts": 0, "twoFactor.lockedUntil": new Date(Date.now() + LOCK_MS) } }
+      );
+      console.warn(`🚨 Two-factor verification locked for user ${user._id} after ${MAX_FAILED_ATTEMPTS} wrong codes`);
+    }
+    return { valid: false, method, locked };
+  }
+}
+
+// Create singleton instance
+const twoFactorService = new TwoFactorService();
+
+module.exports = {
+  TwoFactorService,
+  getTwoFactorStatus: twoFactorService.status.bind(twoFactorService),
+  beginTwoFactorSetup: twoFactorService.beginSetup.bind(twoFactorService),
+  enableTwoFactor: twoFactorService.enable.bind(twoFactorService),
+  disableTwoFactor: twoFactorService.disable.bind(twoFactorService),
+  regenerateRecoveryCodes: twoFactorService.regenerateRecoveryCodes.bind(twoFactorService),
+  verifyTwoFactor: twoFactorService.verify.bind(twoFactorService),
+  createLoginChallenge: twoFactorService.createLoginChallenge.bind(twoFactorService),
+  readLoginChallenge: twoFactorService.readLoginChallenge.bind(twoFactorService),
+};
@@ -0,0 +1,161 @@
+const User = require("../models/user.model");
+const Workspace = require("../models/workspace.model");
+const Account = require("../models/account.model");
+const Invitation = require("../models/invitation.model");
+const { getPlan } = require("../utils/plans");
+
+const MB = 1024 * 1024;
+const RESOURCES = ["posts", "ideas", "storage", "accounts", "seats"];
+
+const QUOTA_MESSAGES = {
+  posts: "Post limit reached for your plan. Please upgrade to schedule more posts.",
+  ideas: "Idea generation limit reached for your plan",
+  storage: "Not enough media storage left on your plan. Delete media or upgrade to upload more.",
+  accounts: "The workspace owner's plan has no room for more social accounts",
+  seats: "The workspace owner's plan has no more team seats",
+};
+
+class QuotaExceededError extends Error {
+  constructor(resource, { used = null, limit = null, message } = {}) {
+    super(message || QUOTA_MESSAGES[resource]);
+    this.name = "QuotaExceededError";
+    this.resource = resource;
+    this.used = used;
+    this.limit = limit;
+  }
+}
+
+/**
+ * How much of their plan limits (utils/plans.js) users have used. Posts,
+ * ideas and storage are counted on the user; accounts and seats over the
+ * workspaces of the workspace owner, against the owner's plan
+ */
+class UsageService {
+  ownedWorkspaceIds(ownerId) {
+    return Workspace.find({ ownerId }).distinct("_id");
+  }
+
+  async countAccounts(ownerId) {
+    const workspaceIds = await this.ownedWorkspaceIds(ownerId);
+    return Account.countDocuments({ workspaceId: { $in: workspaceIds } });
+  }
+
+  // Emails of the people holding a seat: members and pending invitations
+  async seatEmails(ownerId) {
+    const workspaces = await Workspace.find({ ownerId }).select("members.userId");
+    const memberIds = workspaces.flatMap((workspace) => workspace.members.map((member) => member.userId));
+    const [members, invitations] = await Promise.all([
+      User.find({ _id: { $in: memberIds } }).select("email"),
+      Invitation.find({
+        workspaceId: { $in: workspaces.map((workspace) => workspace._id) },
+        acceptedAt: null,
+        expiresAt: { $gt: new Date() },
+      }).select("email"),
+    ]);
+    return new Set([...members, ...invitations].map((item) => item.email));
+  }
+
+  // The user, in their current billing period, and the owner of the workspace
+  async loadUsers(userId, workspace) {
+    const user = await User.syncUsagePeriod(userId);
+    if (!user) {
+      throw new Error("User not found");
+    }
+    const ownerId = workspace?.ownerId;
+    const owner = ownerId && String(ownerId) !== String(user._id) ? await User.findById(ownerId) : null;
+    return { user, owner: owner || user };
+  }
+
+  // { used, limit } of a resource; storage is in bytes, a null limit is unlimited
+  async measure(resource, { user, owner }) {
+    switch (resource) {
+      case "posts":
+        return {
+          used: user.planUsage.posts.used + (user.planUsage.posts.reserved || 0),
+          limit: user.planUsage.posts.total,
+        };
+      case "ideas":
+        return { used: user.planUsage.ideas.used, limit: user.planUsage.ideas.total };
+      case "storage": {
+        const limitMB = getPlan(user.plan).limits.storageMB;
+        return { used: user.planUsage.storage.used, limit: limitMB === null ? null : limitMB * MB };
+      }
+      case "accounts":
+        return { used: await this.countAccounts(owner._id), limit: getPlan(owner.plan).limits.accounts };
+      case "seats":
+        return { used: (await this.seatEmails(owner._id)).size, limit: getPlan(owner.plan).limits.seats };
+      default:
+        throw new Error(`Unknown quota: ${resource}`);
+    }
+  }
+
+  /**
+   * Throw a QuotaExceededError unless `amount` more of the resource fits the
+   * plan. A seat for an `email` that already has one is free
+   */
+  async assertQuota(resource, { userId, workspace, email }, amount = 1) {
+    const users = await this.loadUsers(userId, workspace);
+    if (resource === "seats" && email && (await this.seatEmails(users.owner._id)).has(email)) {
+      return;
+    }
+
+    const { used, limit } = await this.measure(resource, users);
+    if (limit !== null && used + amount > limit) {
+      throw new QuotaExceededError(resource, { used, limit });
+    }
+  }
+
+  // Room for one more account in a workspace (checked when an account is created)
+  async assertAccountQuota(workspaceId) {
+    const workspace = await Workspace.findById(workspaceId).select("ownerId");
+    const owner = workspace && (await User.findById(workspace.ownerId));
+    if (!owner) return;
+
+    const { used, limit } = await this.measure("accounts", { user: owner, owner });
+    if (limit !== null && used + 1 > limit) {
+      throw new QuotaExceededError("accounts", { used, limit });
+    }
+  }
+
+  // Plan, billing period and every limit, for GET /api/usage
+  async report(userId, workspace) {
+    const users = await this.loadUsers(userId, workspace);
+    const { user, owner } = users;
+    const plan = getPlan(user.plan);
+
+    const usage = {};
+    for (const resource of RESOURCES) {
+      usage[resource] = await this.measure(resource, users);
+    }
+    // Scheduled posts hold their quota until published
+    usage.posts = {
+      used: user.planUsage.posts.used,
+      reserved: user.planUsage.posts.reserved || 0,
+      limit: user.planUsage.posts.total,
+    };
+
+    return {
+      plan: { name: plan.name, label: plan.label },
+      period: { start: user.planUsage.periodStart, end: user.planUsage.periodEnd },
+      usage,
+      // Whose plan the workspace limits (accounts, seats) come from
+      workspaceOwner: {
+        self: owner === user,
+        name: owner.name,
+        plan: getPlan(owner.plan).label,
+      },
+    };
+  }
+}
+
+// Create singleton instance
+const usageService = new UsageService();
+
+module.exports = {
+  UsageService,
+  QuotaExceededError,
+  QUOTA_MESSAGES,
+  assertQuota: usageService.assertQuota.bind(usageService),
+  assertAccountQuota: usageService.assertAccountQuota.bind(usageService),
+  getUsageReport: usageService.report.bind(usageService),
+};
@@ -0,0 +1,210 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { stub, query, listen, authHeader } = require('./helpers');
+
+process.env.BILLING_PROVIDER = 'fake';
+process.env.BILLING_WEBHOOK_SECRET = 'whsec_test';
+
+const User = require('../models/user.model');
+const Session = require('../models/session.model');
+const { signPayload } = require('../services/billing/signature');
+const { checkBillingConfiguration } = require('../services/billing.service');
+
+// The billing routes as server.js mounts them, loaded with the current env
+function billingApp() {
+  delete require.cache[require.resolve('../routes/billing.routes')];
+  const app = express();
+  app.use('/api/billing/webhook', express.raw({ type: 'application/json' }));
+  app.use(express.json());
+  app.use('/api/billing', require('../routes/billing.routes'));
+  return app;
+}
+
+// A subscription event delivery, signed like the provider does
+function delivery(type, subscription, { secret = 'whsec_test', created = Math.floor(Date.now() / 1000) } = {}) {
+  const payload = JSON.stringify({ id: `evt_${created}`, type, created, data: { object: subscription } });
+  return { payload, signature: signPayload(payload, secret) };
+}
+
+describe('billing with the fake provider', () => {
+  let user;
+  let server;
+  let restore;
+
+  const request = async (method, path, { body, headers = {} } = {}) => {
+    const response = await fetch(`${server.url}/api/billing${path}`, {
+      method,
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: typeof body === 'string' ? body : body && JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  };
+  const asUser = (method, path, body) => request(method, path, { body, headers: authHeader(user._id) });
+  const sendWebhook = ({ payload, signature }) =>
+    request('POST', '/webhook', { body: payload, headers: { 'Stripe-Signature': signature } });
+
+  before(async () => {
+    restore = [
+      stub(User, {
+        findById: (id) => query(String(id) === String(user._id) ? user : null),
+        findOne: (filter) => query(user.billing.customerId === filter['billing.customerId'] ? user : null),
+        updateOne: async (filter, update) => {
+          if (user.billing.customerId !== null) return { modifiedCount: 0 };
+          user.billing.customerId = update.$set['billing.customerId'];
+          return { modifiedCount: 1 };
+        }
+      }),
+      stub(Session, { findActive: async (sessionId) => ({ _id: sessionId }) })
+    ];
+    server = await listen(billingApp());
+  });
+
+  after(async () => {
+    await server.close();
+    restore.forEach((fn) => fn());
+  });
+
+  beforeEach(() => {
+    user = new User({ email: 'owner@example.com', name: 'Owner', password: 'secret' });
+    user.save = async () => user;
+  });
+
+  it('refuses checkout for the free plan', async () => {
+    const response = await asUser('POST', '/checkout', { plan: 'free' });
+    assert.equal(response.status, 400);
+  });
+
+  it('upgrades the plan when the checkout is paid', async () => {
+    const checkout = await asUser('POST', '/checkout', { plan: 'pro' });
+    assert.equal(checkout.status, 200);
+    const sessionId = new URL(checkout.body.url).searchParams.get('session');
+    assert.ok(sessionId);
+    assert.match(user.billing.customerId, /^cus_fake_/);
+
+    const paid = await asUser('POST', `/fake/checkout/${sessionId}`);
+    assert.equal(paid.status, 200);
+    assert.equal(user.plan, 'pro');
+    assert.equal(user.planUsage.posts.total, 100);
+    assert.equal(user.billing.status, 'active');
+
+    const again = await asUser('POST', '/checkout', { plan: 'enterprise' });
+    assert.equal(again.status, 409);
+  });
+
+  it('links subscribers to the portal and cancels from it', async () => {
+    const noAccount = await asUser('POST', '/portal');
+    assert.equal(noAccount.status, 400);
+
+    const checkout = await asUser('POST', '/checkout', { plan: 'pro' });
+    await asUser('POST', `/fake/checkout/${new URL(checkout.body.url).searchParams.get('session')}`);
+
+    const portal = await asUser('POST', '/portal');
+    assert.equal(portal.status, 200);
+    assert.match(portal.body.url, /\/billing\/fake-checkout$/);
+
+    const cancelled = await asUser('POST', '/fake/cancel');
+    assert.equal(cancelled.status, 200);
+    assert.equal(user.plan, 'free');
+    assert.equal(user.billing.subscriptionId, null);
+  });
+
+  it('does not pay checkout sessions of other customers', async () => {
+    const response = await asUser('POST', '/fake/checkout/cs_fake_unknown');
+    assert.equal(response.status, 404);
+    assert.equal(user.plan, 'free');
+  });
+
+  describe('webhook', () => {
+    const subscription = () => ({
+      id: 'sub_1',
+      customer: 'cus_1',
+      status: 'active',
+      current_period_start: 1767225600,
+      current_period_end: 1769904000,
+      items: { data: [{ price: { id: 'price_fake_enterprise' } }] },
+      metadata: { userId: String(user._id) }
+    });
+
+    it('applies signed subscription events', async () => {
+      const response = await sendWebhook(delivery('customer.subscription.created', subscription()));
+      assert.equal(response.status, 200);
+      assert.deepEqual(response.body, { received: true, handled: true });
+      assert.equal(user.plan, 'enterprise');
+      assert.equal(user.billing.customerId, 'cus_1');
+      assert.equal(user.billingAnchor.toISOString(), '2026-01-01T00:00:00.000Z');
+
+      await sendWebhook(delivery('customer.subscription.deleted', { ...subscription(), status: 'canceled' }));
+      assert.equal(user.plan, 'free');
+    });
+
+    it('rejects events not signed with the webhook secret', async () => {
+      const forged = delivery('customer.subscription.created', subscription(), { secret: 'whsec_fake' });
+      const response = await sendWebhook(forged);
+      assert.equal(response.status, 400);
+      assert.equal(user.plan, 'free');
+
+      const unsigned = await request('POST', '/webhook', { body: forged.payload });
+      assert.equal(unsigned.status, 400);
+    });
+
+    it('rejects payloads changed after signing', async () => {
+      const { payload, signature } = delivery('customer.subscription.created', subscription());
+      const response = await sendWebhook({ payload: payload.replace('enterprise', 'pro'), signature });
+      assert.equal(response.status, 400);
+      assert.equal(user.plan, 'free');
+    });
+
+    it('ignores events older than the last one applied', async () => {
+      const now = Math.floor(Date.now() / 1000);
+      await sendWebhook(delivery('customer.subscription.created', subscription(), { created: now }));
+      const stale = delivery(
+        'customer.subscription.updated',
+        { ...subscription(), items: { data: [{ price: { id: 'price_fake_pro' } }] } },
+        { created: now - 60 }
+      );
+      const response = await sendWebhook(stale);
+      assert.deepEqual(response.body, { received: true, handled: false });
+      assert.equal(user.plan, 'enterprise');
+    });
+
+    it('downgrades when the subscription stops being paid', async () => {
+      await sendWebhook(delivery('customer.subscription.created', subscription()));
+      await sendWebhook(delivery('customer.subscription.updated', { ...subscription(), status: 'unpaid' }));
+      assert.equal(user.plan, 'free');
+    });
+  });
+});
+
+describe('billing configuration', () => {
+  const env = { ...process.env };
+  after(() => {
+    process.env = env;
+  });
+
+  it('is off without a provider, and the fake routes are not mounted', async () => {
+    process.env = { ...env, BILLING_PROVIDER: '', STRIPE_SECRET_KEY: '' };
+    assert.equal(checkBillingConfiguration(), null);
+
+    const server = await listen(billingApp());
+    const response = await fetch(`${server.url}/api/billing/fake/cancel`, { method: 'POST' });
+    await server.close();
+    assert.equal(response.status, 404);
+  });
+
+  it('requires a webhook secret for the fake provider', () => {
+    process.env = { ...env, BILLING_PROVIDER: 'fake', BILLING_WEBHOOK_SECRET: '' };
+    assert.throws(checkBillingConfiguration, /BILLING_WEBHOOK_SECRET/);
+    assert.throws(billingApp, /BILLING_WEBHOOK_SECRET/);
+  });
+
+  it('refuses the fake provider in production', () => {
+    process.env = { ...env, BILLING_PROVIDER: 'fake', NODE_ENV: 'production' };
+    assert.throws(checkBillingConfiguration, /production/);
+  });
+
+  it('requires the Stripe secrets for Stripe', () => {
+    process.env = { ...env, BILLING_PROVIDER: '', STRIPE_SECRET_KEY: 'sk_test', STRIPE_WEBHOOK_SECRET: '' };
+    assert.throws(checkBillingConfiguration, /STRIPE_WEBHOOK_SECRET/);
+  });
+});
@@ -0,0 +1,107 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { stub, query, matches, memoryModel } = require('./helpers');
+
+const Account = require('../models/account.model');
+const User = require('../models/user.model');
+const Workspace = require('../models/workspace.model');
+const socialMedia = require('../services/social-media.service');
+const { getPlatform } = require('../services/platforms');
+
+// Output of a command, collected instead of printed
+const output = () => ({ lines: [], log(message) { this.lines.push(message); } });
+
+describe('socialgrow accounts', () => {
+  const user = new User({ email: 'owner@example.com', name: 'Owner', password: 'secret' });
+  const workspace = new Workspace({ name: 'Acme', ownerId: user._id, members: [{ userId: user._id, role: 'owner' }] });
+  let accounts;
+  let connectionStatus;
+  let commands;
+  let file;
+  let restore;
+
+  // Import a JSON file of accounts into the workspace
+  const importAccounts = (entries) => {
+    fs.writeFileSync(file, JSON.stringify(entries));
+    return commands.import.run({ user: user.email, workspace: String(workspace._id), file }, output());
+  };
+
+  before(() => {
+    file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'socialgrow-')), 'accounts.json');
+    const twitter = getPlatform('twitter');
+    restore = [
+      stub(socialMedia, { getConnectionStatus: async () => connectionStatus }),
+      stub(User, { findOne: () => query(user) }),
+      stub(Workspace, { findOne: () => query(workspace) }),
+      // Twitter OAuth 1.0a profiles have no id
+      stub(twitter, {
+        validate: async () => true,
+        fetchStats: async (credentials) => ({ username: credentials.accessToken.split('-')[0], followers: 1 })
+      }),
+      stub(Account.prototype, {
+        save: async function () {
+          await this.validate();
+          if (!accounts.includes(this)) accounts.push(this);
+          return this;
+        }
+      })
+    ];
+    // The command takes getConnectionStatus when it is loaded
+    ({ commands } = require('../cli/commands/accounts'));
+  });
+
+  after(() => {
+    restore.reverse().forEach((fn) => fn());
+    fs.rmSync(path.dirname(file), { recursive: true });
+  });
+
+  beforeEach(() => {
+    accounts = [];
+    connectionStatus = { connected: true, message: 'Connection healthy' };
+    restore.push(
+      memoryModel(Account, accounts),
+      stub(Account, { find: (filter) => query(accounts.filter((account) => matches(account, filter))) })
+    );
+  });
+
+  const credentials = (username) => ({
+    platform: 'twitter',
+    apiKey: 'key',
+    apiSecret: 'secret',
+    accessToken: `${username}-token`,
+    accessTokenSecret: `${username}-token-secret`
+  });
+
+  it('keeps accounts without a profile id apart', async () => {
+    await importAccounts([credentials('first')]);
+    const result = await importAccounts([credentials('second')]);
+
+    assert.deepEqual(result.results.map((item) => item.status), ['created']);
+    assert.deepEqual(accounts.map((account) => account.username), ['first', 'second']);
+    assert.equal(accounts[0].accessToken, 'first-token');
+  });
+
+  it('updates the account with the same username', async () => {
+    await importAccounts([credentials('first')]);
+    const result = await importAccounts([{ ...credentials('first'), accessTokenSecret: 'rotated' }]);
+
+    assert.deepEqual(result.results.map((item) => item.status), ['updated']);
+    assert.equal(accounts.length, 1);
+    assert.equal(accounts[0].accessTokenSecret, 'rotated');
+  });
+
+  it('records a failed check of a disconnected account', async () => {
+    await importAccounts([credentials('first')]);
+    connectionStatus = { connected: false, message: 'Invalid or expired token' };
+
+    const result = await commands.verify.run({}, output());
+
+    assert.equal(result.failed, 1);
+    assert.equal(accounts[0].connectionHealthy, false);
+    assert.equal(accounts[0].syncStatus, 'failed');
+    assert.equal(accounts[0].syncError, 'Invalid or expired token');
+  });
+});
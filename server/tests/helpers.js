@@ -0,0 +1,154 @@
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+
+// Tests run without MongoDB: model methods are replaced by in-memory stubs
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+// The app logs with emoji, which Node 20's test runner can't pass through
+// from test files; TEST_LOGS=1 shows the logs
+if (!process.env.TEST_LOGS) {
+  for (const level of ['log', 'info', 'warn', 'error']) {
+    console[level] = () => {};
+  }
+}
+
+// Replace methods of an object; returns a function putting them back
+function stub(target, methods) {
+  const originals = {};
+  for (const [name, fn] of Object.entries(methods)) {
+    originals[name] = Object.prototype.hasOwnProperty.call(target, name) ? target[name] : undefined;
+    target[name] = fn;
+  }
+  return () => {
+    for (const [name, fn] of Object.entries(originals)) {
+      if (fn === undefined) {
+        delete target[name];
+      } else {
+        target[name] = fn;
+      }
+    }
+  };
+}
+
+// A query-like result: awaitable, with the chainable methods the code uses
+function query(value) {
+  const result = Promise.resolve(value);
+  result.select = () => result;
+  result.populate = () => result;
+  result.sort = () => result;
+  result.lean = () => result;
+  return result;
+}
+
+// Value of an aggregation expression ($field references, numbers, $add, $ifNull)
+function evaluate(doc, expression) {
+  if (typeof expression === 'string' && expression.startsWith('$')) {
+    return doc.get(expression.slice(1));
+  }
+  if (expression === null || typeof expression !== 'object') {
+    return expression;
+  }
+  const [[operator, args]] = Object.entries(expression);
+  const values = args.map((arg) => evaluate(doc, arg));
+  switch (operator) {
+    case '$add': return values.reduce((sum, value) => sum + value, 0);
+    case '$ifNull': return values[0] ?? values[1];
+    case '$lt': return values[0] < values[1];
+    case '$lte': return values[0] <= values[1];
+    case '$gte': return values[0] >= values[1];
+    default: throw new Error(`Unsupported expression ${operator}`);
+  }
+}
+
+function matchesCondition(value, condition) {
+  if (condition !== null && typeof condition === 'object' && !(condition instanceof Date) && !mongoose.isValidObjectId(condition)) {
+    return Object.entries(condition).every(([operator, operand]) => {
+      switch (operator) {
+        case '$lt': return value !== null && value !== undefined && value < operand;
+        case '$lte': return value !== null && value !== undefined && value <= operand;
+        case '$gt': return value !== null && value !== undefined && value > operand;
+        case '$gte': return value !== null && value !== undefined && value >= operand;
+        case '$ne': return String(value) !== String(operand);
+        case '$in': return operand.some((item) => String(item) === String(value));
+        case '$nin': return !operand.some((item) => String(item) === String(value));
+        default: throw new Error(`Unsupported operator ${operator}`);
+      }
+    });
+  }
+  if (Array.isArray(value)) {
+    return value.some((item) => String(item) === String(condition));
+  }
+  if (condition === null) {
+    return value === null || value === undefined;
+  }
+  return String(value) === String(condition);
+}
+
+// Whether a document matches a query filter (the subset the app uses)
+function matches(doc, filter) {
+  return Object.entries(filter).every(([key, condition]) => {
+    if (key === '$or') return condition.some((part) => matches(doc, part));
+    if (key === '$and') return condition.every((part) => matches(doc, part));
+    if (key === '$expr') return evaluate(doc, condition);
+    return matchesCondition(doc.get(key), condition);
+  });
+}
+
+function applyUpdate(doc, update) {
+  for (const [path, value] of Object.entries(update.$set || {})) doc.set(path, value);
+  for (const [path, value] of Object.entries(update.$inc || {})) doc.set(path, (doc.get(path) || 0) + value);
+  for (const [path, value] of Object.entries(update.$pull || {})) {
+    doc.set(path, doc.get(path).filter((item) => item !== value));
+  }
+}
+
+/**
+ * Back a model with documents in memory. Each update finds and changes its
+ * document without awaiting in between, so it is atomic like in MongoDB.
+ * Returns a function restoring the model
+ */
+function memoryModel(Model, docs) {
+  const find = (filter) => docs.find((doc) => matches(doc, filter)) || null;
+  return stub(Model, {
+    findById: (id) => query(find({ _id: id })),
+    findOne: (filter) => query(find(filter)),
+    updateOne: async (filter, update) => {
+      const doc = find(filter);
+      if (doc) applyUpdate(doc, update);
+      return { matchedCount: doc ? 1 : 0, modifiedCount: doc ? 1 : 0 };
+    },
+    findOneAndUpdate: (filter, update) => {
+      const doc = find(filter);
+      if (doc) applyUpdate(doc, update);
+      return query(doc);
+    }
+  });
+}
+
+// Start an Express app on a free port; resolves to { url, close }
+function listen(app) {
+  return new Promise((resolve) => {
+    const server = app.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        close: () => new Promise((done) => server.close(done))
+      });
+    });
+  });
+}
+
+// Authorization header for a user, with a session the Session stub accepts
+function authHeader(userId, sessionId = new mongoose.Types.ObjectId()) {
+  const token = jwt.sign({ userId: String(userId), sid: String(sessionId) }, process.env.JWT_SECRET);
+  return { Authorization: `Bearer ${token}` };
+}
+
+module.exports = {
+  stub,
+  query,
+  matches,
+  memoryModel,
+  listen,
+  authHeader
+};
@@ -0,0 +1,84 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { stub, query, listen, authHeader } = require('./helpers');
+
+const User = require('../models/user.model');
+const Session = require('../models/session.model');
+const accountEmail = require('../services/account-email.service');
+
+describe('changing the profile email', () => {
+  const verificationsSent = [];
+  let user;
+  let takenEmails;
+  let server;
+  let restore;
+
+  const updateProfile = async (body) => {
+    const response = await fetch(`${server.url}/api/auth/profile`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json', ...authHeader(user._id) },
+      body: JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  before(async () => {
+    // The controller takes sendVerificationEmail when it is loaded
+    restore = [
+      stub(accountEmail, { sendVerificationEmail: async (to) => verificationsSent.push(to.email) }),
+      stub(User, {
+        findById: () => query(user),
+        exists: async (filter) => takenEmails.includes(filter.email)
+      }),
+      stub(Session, { findActive: async (sessionId) => ({ _id: sessionId }) })
+    ];
+    const app = express();
+    app.use(express.json());
+    app.use('/api/auth', require('../routes/auth.routes'));
+    server = await listen(app);
+  });
+
+  after(async () => {
+    await server.close();
+    restore.forEach((fn) => fn());
+  });
+
+  beforeEach(() => {
+    verificationsSent.length = 0;
+    takenEmails = ['taken@example.com'];
+    user = new User({ email: 'old@example.com', name: 'A', password: 'hash', emailVerified: true });
+    user.comparePassword = async (candidate) => candidate === 'secret';
+    user.save = async () => user;
+  });
+
+  it('requires the current password', async () => {
+    const missing = await updateProfile({ email: 'new@example.com' });
+    assert.equal(missing.status, 400);
+    const wrong = await updateProfile({ email: 'new@example.com', currentPassword: 'guess' });
+    assert.equal(wrong.status, 400);
+    assert.equal(user.email, 'old@example.com');
+  });
+
+  it('refuses an email another account uses', async () => {
+    const response = await updateProfile({ email: 'Taken@example.com', currentPassword: 'secret' });
+    assert.equal(response.status, 409);
+    assert.equal(user.email, 'old@example.com');
+  });
+
+  it('has the new address verified again', async () => {
+    const response = await updateProfile({ email: ' New@example.com ', currentPassword: 'secret' });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.email, 'new@example.com');
+    assert.equal(user.emailVerified, false);
+    assert.deepEqual(verificationsSent, ['new@example.com']);
+  });
+
+  it('saves other fields without the password', async () => {
+    const response = await updateProfile({ name: 'B', email: 'old@example.com' });
+    assert.equal(response.status, 200);
+    assert.equal(user.name, 'B');
+    assert.equal(user.emailVerified, true);
+    assert.deepEqual(verificationsSent, []);
+  });
+});
@@ -0,0 +1,63 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { stub, matches, memoryModel } = require('./helpers');
+
+const Post = require('../models/post.model');
+const Workspace = require('../models/workspace.model');
+
+describe('publishing and approval', () => {
+  const openWorkspace = new mongoose.Types.ObjectId();
+  const reviewedWorkspace = new mongoose.Types.ObjectId();
+  const posts = [];
+  let restore;
+
+  const scheduledPost = (workspaceId, approvalStatus) => {
+    const post = new Post({
+      workspaceId,
+      userId: new mongoose.Types.ObjectId(),
+      accountId: new mongoose.Types.ObjectId(),
+      content: 'Hello',
+      platform: 'twitter',
+      status: 'scheduled',
+      approval: { status: approvalStatus }
+    });
+    posts.push(post);
+    return post;
+  };
+
+  // Whether the scheduler enqueues the post, and whether a worker may claim it
+  const publishable = async (post) => ({
+    enqueued: matches(post, await Post.publishableFilter()),
+    claimed: (await Post.beginPublishing(post._id)) !== null
+  });
+
+  before(() => {
+    restore = [
+      memoryModel(Post, posts),
+      stub(Workspace, { find: () => ({ distinct: async () => [reviewedWorkspace] }) })
+    ];
+  });
+
+  after(() => restore.forEach((fn) => fn()));
+
+  it('publishes posts without review where approval is not required', async () => {
+    const post = scheduledPost(openWorkspace, 'none');
+    assert.deepEqual(await publishable(post), { enqueued: true, claimed: true });
+    assert.equal(post.status, 'publishing');
+
+    const pending = scheduledPost(openWorkspace, 'pending');
+    assert.deepEqual(await publishable(pending), { enqueued: false, claimed: false });
+  });
+
+  it('only publishes approved posts where approval is required', async () => {
+    for (const status of ['none', 'pending', 'rejected']) {
+      const post = scheduledPost(reviewedWorkspace, status);
+      assert.deepEqual(await publishable(post), { enqueued: false, claimed: false }, status);
+      assert.equal(post.status, 'scheduled');
+    }
+
+    const approved = scheduledPost(reviewedWorkspace, 'approved');
+    assert.deepEqual(await publishable(approved), { enqueued: true, claimed: true });
+  });
+});
@@ -0,0 +1,128 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const mongoose = require('mongoose');
+const { memoryModel, listen } = require('./helpers');
+
+const User = require('../models/user.model');
+const { enforceQuotas } = require('../middleware/quota.middleware');
+
+// A user in the middle of a billing period, with some of the plan used
+function userWithUsage({ posts = 0, reserved = 0, ideas = 0 } = {}) {
+  const user = new User({ email: 'a@example.com', name: 'A', password: 'secret' });
+  user.planUsage.periodStart = new Date(Date.now() - 86400000);
+  user.planUsage.periodEnd = new Date(Date.now() + 86400000);
+  user.planUsage.posts.used = posts;
+  user.planUsage.posts.reserved = reserved;
+  user.planUsage.ideas.used = ideas;
+  return user;
+}
+
+describe('quota reservations', () => {
+  let user;
+  let restore;
+
+  afterEach(() => restore());
+
+  it('does not let concurrent idea generations go over the plan', async () => {
+    user = userWithUsage({ ideas: 17 });
+    restore = memoryModel(User, [user]);
+
+    const results = await Promise.all(Array.from({ length: 10 }, () => User.reserveIdeas(user._id)));
+    assert.equal(results.filter(Boolean).length, 3);
+    assert.equal(user.planUsage.ideas.used, 20);
+  });
+
+  it('does not let concurrent posts go over the plan', async () => {
+    user = userWithUsage({ posts: 6, reserved: 2 });
+    restore = memoryModel(User, [user]);
+
+    const results = await Promise.all(Array.from({ length: 10 }, () => User.reservePosts(user._id)));
+    assert.equal(results.filter(Boolean).length, 2);
+    assert.equal(user.planUsage.posts.reserved, 4);
+  });
+});
+
+describe('quota routes', () => {
+  let user;
+  let server;
+  let restore;
+
+  const request = async (method, path, body) => {
+    const response = await fetch(`${server.url}${path}`, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: body && JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  before(async () => {
+    // Mounted like server.js does, in front of routes that always succeed
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.user = { userId: user._id };
+      req.workspace = { id: new mongoose.Types.ObjectId(), ownerId: user._id, role: 'owner' };
+      next();
+    });
+    for (const mount of ['/api/scheduler', '/api/ideas', '/api/approvals']) {
+      app.use(mount, enforceQuotas, (req, res) => res.json({ ok: true }));
+    }
+    server = await listen(app);
+  });
+
+  after(() => server.close());
+
+  beforeEach(() => {
+    user = userWithUsage({ posts: 8, reserved: 2, ideas: 20 });
+    restore = memoryModel(User, [user]);
+  });
+
+  afterEach(() => restore());
+
+  it('refuses scheduling posts over the plan', async () => {
+    const response = await request('POST', '/api/scheduler', { content: 'Hello' });
+    assert.equal(response.status, 403);
+    assert.equal(response.body.code, 'quota_exceeded');
+    assert.equal(response.body.resource, 'posts');
+
+    const group = await request('POST', '/api/scheduler/groups', { targets: [{}, {}] });
+    assert.equal(group.status, 403);
+  });
+
+  it('refuses changing or submitting posts once over the plan', async () => {
+    const postId = new mongoose.Types.ObjectId();
+    const atLimit = await request('PUT', `/api/scheduler/${postId}`, { status: 'scheduled' });
+    assert.equal(atLimit.status, 200);
+
+    // e.g. after a downgrade
+    user.planUsage.posts.used = 12;
+    const updated = await request('PUT', `/api/scheduler/${postId}`, { status: 'scheduled' });
+    assert.equal(updated.status, 403);
+    const submitted = await request('POST', `/api/approvals/${postId}/submit`);
+    assert.equal(submitted.status, 403);
+  });
+
+  it('still allows drafts and reading over the plan', async () => {
+    const draft = await request('POST', '/api/scheduler', { content: 'Hello', status: 'draft' });
+    assert.equal(draft.status, 200);
+    const list = await request('GET', '/api/scheduler');
+    assert.equal(list.status, 200);
+  });
+
+  it('refuses idea generation over the plan', async () => {
+    const response = await request('POST', '/api/ideas/generate', { prompt: 'Launch' });
+    assert.equal(response.status, 403);
+    assert.equal(response.body.resource, 'ideas');
+  });
+
+  it('lets requests through while the plan has room', async () => {
+    user.planUsage.posts.used = 5;
+    user.planUsage.ideas.used = 0;
+    const post = await request('POST', '/api/scheduler/', { content: 'Hello' });
+    assert.equal(post.status, 200);
+    const ideas = await request('POST', '/api/ideas/generate', { prompt: 'Launch' });
+    assert.equal(ideas.status, 200);
+  });
+});
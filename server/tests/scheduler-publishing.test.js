@@ -0,0 +1,161 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { stub } = require('./helpers');
+
+const Post = require('../models/post.model');
+const Account = require('../models/account.model');
+const User = require('../models/user.model');
+const socialMedia = require('../services/social-media.service');
+const { getPlatform } = require('../services/platforms');
+
+describe('publishing a post', () => {
+  let scheduler;
+  let publishResult;
+  let restore;
+
+  // A due post; saving validates it like MongoDB would store it
+  const duePost = () => {
+    const post = new Post({
+      workspaceId: new mongoose.Types.ObjectId(),
+      userId: new mongoose.Types.ObjectId(),
+      accountId: new mongoose.Types.ObjectId(),
+      content: 'Hello',
+      platform: 'twitter',
+      status: 'scheduled',
+      scheduledDate: new Date(),
+      firstComment: 'First!'
+    });
+    post.saved = null;
+    post.save = async () => {
+      await post.validate();
+      post.saved = post.toObject();
+      return post;
+    };
+    return post;
+  };
+
+  before(() => {
+    // The scheduler takes publishToSocialMedia when it is loaded
+    restore = [
+      stub(socialMedia, { publishToSocialMedia: async () => publishResult }),
+      stub(Post, { beginPublishing: async (postId) => `${postId}:key` }),
+      stub(User, { commitPublishedPost: async () => {} })
+    ];
+    const { SchedulerService } = require('../services/scheduler.service');
+    scheduler = new SchedulerService();
+  });
+
+  after(() => restore.forEach((fn) => fn()));
+
+  beforeEach(() => {
+    publishResult = {
+      success: true,
+      externalPostId: '1790000000000000000',
+      publishedAt: new Date(),
+      firstComment: { externalId: '1790000000000000001', postedAt: new Date() }
+    };
+  });
+
+  it('saves a post that was published', async () => {
+    const post = duePost();
+    const account = new Account({ platform: 'twitter', username: 'acme', connected: true });
+
+    await scheduler.processIndividualPost(post, account);
+
+    assert.ok(post.saved, 'the post was not saved');
+    assert.equal(post.saved.status, 'published');
+    assert.equal(post.saved.externalPostId, '1790000000000000000');
+    assert.equal(post.saved.firstCommentId, '1790000000000000001');
+    assert.equal(post.saved.errorCode, undefined);
+  });
+
+  it('clears the error code of a post published on retry', async () => {
+    const post = duePost();
+    post.errorCode = 'NETWORK_ERROR';
+    const account = new Account({ platform: 'twitter', username: 'acme', connected: true });
+
+    await scheduler.processIndividualPost(post, account);
+
+    assert.equal(post.saved.status, 'published');
+    assert.equal(post.saved.errorCode, undefined);
+  });
+
+  it('marks posts as published with a valid error code', () => {
+    const post = duePost();
+    post.errorCode = 'RATE_LIMIT';
+    post.markAsPublished('1790000000000000000');
+    assert.equal(post.validateSync(), undefined);
+  });
+});
+
+describe('reconciling a post whose publish result was lost', () => {
+  const startedAt = new Date(Date.now() - 5 * 60 * 1000);
+  let scheduler;
+  let recentPosts;
+  let updates;
+  let restore;
+
+  // A media-only post that was being published when the worker stopped
+  const unknownPost = () => new Post({
+    workspaceId: new mongoose.Types.ObjectId(),
+    userId: new mongoose.Types.ObjectId(),
+    accountId: new Account({ platform: 'twitter', username: 'acme', connected: true }),
+    content: '',
+    mediaFiles: [{ url: 'https://example.com/cat.jpg', publicId: 'cat', resourceType: 'image', format: 'jpg' }],
+    platform: 'twitter',
+    status: 'publishing',
+    scheduledDate: startedAt,
+    publishingStartedAt: startedAt,
+    idempotencyKey: 'attempt-1'
+  });
+
+  const tweet = (id, text, hasMedia) => ({ id, text, hasMedia, createdAt: new Date(startedAt.getTime() + 1000).toISOString() });
+
+  before(() => {
+    restore = [
+      stub(getPlatform('twitter'), { findRecentPosts: async () => recentPosts }),
+      stub(Post, {
+        updateOne: async (filter, update) => {
+          updates.push(update);
+          return { modifiedCount: 1 };
+        }
+      }),
+      stub(User, { commitPublishedPost: async () => {} })
+    ];
+    const { SchedulerService } = require('../services/scheduler.service');
+    scheduler = new SchedulerService();
+  });
+
+  after(() => restore.forEach((fn) => fn()));
+
+  beforeEach(() => {
+    updates = [];
+  });
+
+  it('finds a post without a caption by its media', async () => {
+    recentPosts = [tweet('1', 'Another post', true), tweet('2', '', false), tweet('3', 'https://t.co/abc', true)];
+
+    await scheduler.reconcilePost(unknownPost());
+
+    assert.equal(updates[0].$set.status, 'published');
+    assert.equal(updates[0].$set.externalPostId, '3');
+  });
+
+  it('retries a post without a caption that is not on the platform', async () => {
+    recentPosts = [tweet('1', 'Another post', true)];
+
+    await scheduler.reconcilePost(unknownPost());
+
+    assert.equal(updates[0].$set.status, 'scheduled');
+  });
+
+  it('does not retry when several posts without a caption could be it', async () => {
+    recentPosts = [tweet('1', '', true), tweet('2', '', true)];
+
+    await scheduler.reconcilePost(unknownPost());
+
+    assert.equal(updates[0].$set.status, 'failed');
+    assert.match(updates[0].$set.publishError, /several posts/);
+  });
+});
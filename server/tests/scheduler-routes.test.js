@@ -0,0 +1,133 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const mongoose = require('mongoose');
+const { stub, query, matches, listen } = require('./helpers');
+
+const Post = require('../models/post.model');
+const Account = require('../models/account.model');
+const PublishJob = require('../models/publishJob.model');
+const schedulerRoutes = require('../routes/scheduler.routes');
+
+describe('scheduler routes', () => {
+  const workspaceId = new mongoose.Types.ObjectId();
+  let server;
+  let post;
+  let restore;
+
+  // Requests act as a member with the role in the X-Role header, signed in
+  // with the email in X-Email
+  const request = async (method, path, role, email = 'member@example.com') => {
+    const response = await fetch(`${server.url}/api/scheduler${path}`, {
+      method,
+      headers: { 'X-Role': role, 'X-Email': email }
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  // A failed post; saving validates it like MongoDB would store it
+  const failedPost = (retryCount) => {
+    const failed = new Post({
+      workspaceId,
+      userId: new mongoose.Types.ObjectId(),
+      accountId: new mongoose.Types.ObjectId(),
+      content: 'Hello',
+      platform: 'twitter',
+      status: 'failed',
+      retryCount
+    });
+    failed.save = async () => {
+      await failed.validate();
+      return failed;
+    };
+    return failed;
+  };
+
+  before(async () => {
+    process.env.OPERATOR_EMAILS = 'ops@example.com';
+    restore = stub(Post, { findOne: () => query(post) });
+    const app = express();
+    app.use((req, res, next) => {
+      req.user = { userId: new mongoose.Types.ObjectId(), email: req.get('X-Email'), emailVerified: true };
+      req.workspace = { id: workspaceId, role: req.get('X-Role') };
+      next();
+    });
+    app.use('/api/scheduler', schedulerRoutes);
+    server = await listen(app);
+  });
+
+  after(async () => {
+    await server.close();
+    restore();
+    delete process.env.OPERATOR_EMAILS;
+  });
+
+  it('only lets operators trigger, start or stop publishing', async () => {
+    // Every user owns their personal workspace
+    for (const path of ['/trigger', '/start', '/stop']) {
+      const response = await request('POST', path, 'owner');
+      assert.equal(response.status, 403, path);
+    }
+
+    const stopped = await request('POST', '/stop', 'viewer', 'ops@example.com');
+    assert.equal(stopped.status, 200);
+  });
+
+  it('stops manual retries at the retry limit', async () => {
+    post = failedPost(3);
+
+    const response = await request('POST', `/${post._id}/retry`, 'admin');
+    assert.equal(response.status, 409);
+    assert.equal(post.status, 'failed');
+  });
+
+  it('reschedules a failed post for a manual retry', async () => {
+    post = failedPost(2);
+
+    const response = await request('POST', `/${post._id}/retry`, 'admin');
+    assert.equal(response.status, 200);
+    assert.equal(post.status, 'scheduled');
+    assert.equal(post.retryCount, 3);
+  });
+
+  it('reports only the posts and jobs of the workspace', async () => {
+    const otherWorkspace = new mongoose.Types.ObjectId();
+    const ownAccount = new mongoose.Types.ObjectId();
+    const report = (workspace, status, content) => {
+      const item = failedPost(0);
+      Object.assign(item, { workspaceId: workspace, status, content, publishedAt: new Date(), failedAt: new Date() });
+      return item;
+    };
+    const posts = [
+      report(workspaceId, 'published', 'Ours'),
+      report(otherWorkspace, 'published', 'Theirs'),
+      report(otherWorkspace, 'failed', 'Their failure')
+    ];
+    const jobMatches = [];
+    const restoreReport = [
+      stub(Post, { find: (filter) => query(posts.filter((item) => matches(item, filter))) }),
+      stub(Account, {
+        find: (filter) => ({ distinct: async () => (String(filter.workspaceId) === String(workspaceId) ? [ownAccount] : []) })
+      }),
+      stub(PublishJob, {
+        aggregate: async (pipeline) => {
+          jobMatches.push(pipeline[0].$match);
+          return [];
+        }
+      })
+    ];
+
+    try {
+      const response = await request('GET', '/report', 'viewer');
+      assert.equal(response.status, 200);
+      assert.deepEqual(response.body.published.map((item) => item.content), ['Ours']);
+      assert.deepEqual(response.body.failed, []);
+      assert.equal(jobMatches.length, 3);
+      for (const match of jobMatches) {
+        assert.deepEqual(match.accountId.$in.map(String), [String(ownAccount)]);
+      }
+    } finally {
+      restoreReport.forEach((fn) => fn());
+    }
+  });
+});
@@ -0,0 +1,80 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { stub, memoryModel } = require('./helpers');
+
+const Session = require('../models/session.model');
+const { createSession, refreshSession } = require('../services/session.service');
+
+describe('refresh token rotation', () => {
+  const userId = new mongoose.Types.ObjectId();
+  let sessions;
+  let restore;
+
+  beforeEach(() => {
+    sessions = [];
+    restore = [
+      memoryModel(Session, sessions),
+      stub(Session, {
+        create: async (fields) => {
+          const session = new Session(fields);
+          session.save = async () => session;
+          sessions.push(session);
+          return session;
+        }
+      })
+    ];
+  });
+
+  afterEach(() => restore.reverse().forEach((fn) => fn()));
+
+  it('rotates the refresh token on every use', async () => {
+    const { refreshToken } = await createSession(userId);
+    const first = await refreshSession(refreshToken);
+    assert.ok(first.accessToken);
+    assert.notEqual(first.refreshToken, refreshToken);
+
+    const second = await refreshSession(first.refreshToken);
+    assert.ok(second.refreshToken);
+    assert.equal(sessions[0].revokedAt, null);
+  });
+
+  it('lets another tab use the replaced token for a few seconds', async () => {
+    const { refreshToken } = await createSession(userId);
+    await refreshSession(refreshToken);
+
+    const otherTab = await refreshSession(refreshToken);
+    assert.ok(otherTab.accessToken);
+    assert.equal(otherTab.refreshToken, null);
+    assert.equal(sessions[0].revokedAt, null);
+  });
+
+  it('revokes the session when a replaced token is used again later', async () => {
+    const { refreshToken } = await createSession(userId);
+    const rotated = await refreshSession(refreshToken);
+    sessions[0].rotatedAt = new Date(Date.now() - 60 * 1000);
+
+    assert.equal(await refreshSession(refreshToken), null);
+    assert.ok(sessions[0].revokedAt);
+    assert.equal(sessions[0].revokedReason, 'token_reuse');
+
+    // Both holders have to sign in again
+    assert.equal(await refreshSession(rotated.refreshToken), null);
+  });
+
+  it('rotates once when the same token is refreshed concurrently', async () => {
+    const { refreshToken } = await createSession(userId);
+    const results = await Promise.all(Array.from({ length: 5 }, () => refreshSession(refreshToken)));
+
+    assert.equal(results.filter((result) => result.refreshToken).length, 1);
+    assert.ok(results.every((result) => result.accessToken));
+    assert.equal(sessions[0].revokedAt, null);
+  });
+
+  it('refuses tokens that were never issued, revoking the session they name', async () => {
+    const { session } = await createSession(userId);
+    assert.equal(await refreshSession('not-a-token'), null);
+    assert.equal(await refreshSession(`${session._id}.guessed`), null);
+    assert.equal(sessions[0].revokedReason, 'token_reuse');
+  });
+});
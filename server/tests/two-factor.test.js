@@ -0,0 +1,73 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { memoryModel } = require('./helpers');
+
+process.env.CREDENTIAL_ENCRYPTION_KEY = crypto.randomBytes(32).toString('hex');
+
+const User = require('../models/user.model');
+const { verifyTwoFactor } = require('../services/two-factor.service');
+const { generateSecret, generateCode } = require('../utils/totp');
+const { encryptCredential } = require('../utils/credentialCrypto');
+
+describe('two-factor lockout', () => {
+  let secret;
+  let stored;
+  let restore;
+
+  // The user as a request read it, before other requests changed it
+  const staleCopy = () => new User(stored.toObject());
+  const wrongCode = () => String((Number(generateCode(secret)) + 500000) % 1000000).padStart(6, '0');
+
+  beforeEach(() => {
+    secret = generateSecret();
+    stored = new User({ email: 'a@example.com', name: 'A', password: 'secret' });
+    stored.twoFactor.enabled = true;
+    stored.twoFactor.secret = encryptCredential(secret);
+    restore = memoryModel(User, [stored]);
+  });
+
+  afterEach(() => restore());
+
+  it('accepts a valid code once', async () => {
+    const user = staleCopy();
+    const first = await verifyTwoFactor(user, { code: generateCode(secret) });
+    const second = await verifyTwoFactor(user, { code: generateCode(secret) });
+    assert.equal(first.valid, true);
+    assert.equal(second.valid, false);
+  });
+
+  it('locks after five wrong codes in a row', async () => {
+    for (let attempt = 1; attempt <= 4; attempt++) {
+      const result = await verifyTwoFactor(staleCopy(), { code: wrongCode() });
+      assert.equal(result.locked, false);
+    }
+    const fifth = await verifyTwoFactor(staleCopy(), { code: wrongCode() });
+    assert.equal(fifth.locked, true);
+    assert.ok(stored.twoFactor.lockedUntil > new Date());
+  });
+
+  it('counts concurrent guesses made from the same read of the user', async () => {
+    const user = staleCopy();
+    const results = await Promise.all(
+      Array.from({ length: 20 }, () => verifyTwoFactor(user, { code: wrongCode() }))
+    );
+
+    assert.ok(results.some((result) => result.locked));
+    assert.ok(stored.twoFactor.lockedUntil > new Date());
+
+    // Still locked for a request that read the user before the lock
+    const correct = await verifyTwoFactor(user, { code: generateCode(secret) });
+    assert.deepEqual({ valid: correct.valid, locked: correct.locked }, { valid: false, locked: true });
+  });
+
+  it('refuses recovery codes while locked', async () => {
+    stored.twoFactor.recoveryCodes = [crypto.createHash('sha256').update('abcde12345').digest('hex')];
+    const user = staleCopy();
+    stored.twoFactor.lockedUntil = new Date(Date.now() + 60000);
+
+    const result = await verifyTwoFactor(user, { recoveryCode: 'abcde-12345' });
+    assert.equal(result.valid, false);
+    assert.equal(stored.twoFactor.recoveryCodes.length, 1);
+  });
+});
@@ -0,0 +1,60 @@
+/**
+ * Hashtags, mentions and links in post text. Shared by the post model, which
+ * stores them for search and analytics, and by platforms that need their
+ * positions (e.g. Bluesky facets).
+ */
+
+const HASHTAG_PATTERN = /#[\w]+/g;
+// Dotted handles (@alice.bsky.social) are one mention; a trailing dot is not part of it
+const MENTION_PATTERN = /@[\w]+(?:\.[\w-]+)*/g;
+const LINK_PATTERN = /https?:\/\/[^\s]+/g;
+
+// Every match of a pattern with its character position
+function findMatches(text, pattern) {
+  return [...(text || '').matchAll(pattern)].map(match => ({
+    value: match[0],
+    start: match.index,
+    end: match.index + match[0].length
+  }));
+}
+
+/**
+ * Positioned hashtags, mentions and links, in text order. Matches inside a
+ * link (e.g. the #anchor of a URL) belong to the link and are dropped
+ */
+function findContentEntities(text) {
+  const entities = [
+    ...findMatches(text, HASHTAG_PATTERN).map(match => ({ ...match, type: 'hashtag' })),
+    ...findMatches(text, MENTION_PATTERN).map(match => ({ ...match, type: 'mention' })),
+    ...findMatches(text, LINK_PATTERN).map(match => ({ ...match, type: 'link' }))
+  ].sort((a, b) => a.start - b.start);
+
+  let end = 0;
+  return entities.filter(entity => {
+    if (entity.start < end) return false;
+    end = entity.end;
+    return true;
+  });
+}
+
+/**
+ * Unique hashtags and mentions (lowercased) and links of a text
+ */
+function extractContentMetadata(text) {
+  const unique = (pattern, normalize = value => value) =>
+    [...new Set(findMatches(text, pattern).map(match => normalize(match.value)))];
+
+  return {
+    hashtags: unique(HASHTAG_PATTERN, tag => tag.toLowerCase()),
+    mentions: unique(MENTION_PATTERN, mention => mention.toLowerCase()),
+    links: unique(LINK_PATTERN)
+  };
+}
+
+module.exports = {
+  HASHTAG_PATTERN,
+  MENTION_PATTERN,
+  LINK_PATTERN,
+  findContentEntities,
+  extractContentMetadata
+};
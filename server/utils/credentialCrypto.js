@@ -0,0 +1,178 @@
+/**
+ * Field-level encryption of the platform credentials stored on accounts.
+ *
+ * Values are encrypted with AES-256-GCM and stored as
+ * `enc:v<version>:<iv>:<auth tag>:<ciphertext>` (base64 parts), so each value
+ * records the key it was encrypted with. Keys come from the environment:
+ *
+ *   CREDENTIAL_ENCRYPTION_KEYS="2:<key>,1:<old key>"  (or CREDENTIAL_ENCRYPTION_KEY for a single key)
+ *   CREDENTIAL_ENCRYPTION_KEY_VERSION=2               (defaults to the highest version)
+ *
+ * Keys are 32 bytes, base64 or hex encoded. To rotate, add a new version,
+ * run `socialgrow accounts rotate`, then remove the old key.
+ *
+ * The account model encrypts on save; platform adapters get the account with
+ * its credentials decrypted (see withDecryptedCredentials). Users' two-factor
+ * secrets are encrypted with the same keys.
+ */
+
+const crypto = require('crypto');
+
+// Account fields holding secrets. App IDs and API keys identify the app and are not encrypted
+const SECRET_FIELDS = [
+  'apiSecret',
+  'accessToken',
+  'accessTokenSecret',
+  'facebookAppSecret',
+  'appPassword',
+  'refreshToken',
+  'pageAccessToken'
+];
+
+const PREFIX = 'enc:v';
+const DECRYPTED = Symbol('decryptedCredentials');
+
+let keyring = null;
+let warnedMissingKey = false;
+
+function parseKey(version, value) {
+  const key = /^[0-9a-f]{64}$/i.test(value) ? Buffer.from(value, 'hex') : Buffer.from(value, 'base64');
+  if (key.length !== 32) {
+    throw new Error(`Credential encryption key v${version} must be 32 bytes (base64 or hex)`);
+  }
+  return key;
+}
+
+// Keys by version and the version new values are encrypted with, read once from the environment
+function getKeyring() {
+  if (keyring) return keyring;
+
+  const keys = new Map();
+  const list = process.env.CREDENTIAL_ENCRYPTION_KEYS ||
+    (process.env.CREDENTIAL_ENCRYPTION_KEY ? `1:${process.env.CREDENTIAL_ENCRYPTION_KEY}` : '');
+
+  for (const entry of list.split(',').map(item => item.trim()).filter(Boolean)) {
+    const separator = entry.indexOf(':');
+    const version = parseInt(entry.slice(0, separator), 10);
+    if (separator === -1 || !Number.isInteger(version) || version < 1) {
+      throw new Error('CREDENTIAL_ENCRYPTION_KEYS entries must look like "<version>:<key>"');
+    }
+    keys.set(version, parseKey(version, entry.slice(separator + 1).trim()));
+  }
+
+  const current = process.env.CREDENTIAL_ENCRYPTION_KEY_VERSION
+    ? parseInt(process.env.CREDENTIAL_ENCRYPTION_KEY_VERSION, 10)
+    : Math.max(0, ...keys.keys());
+  if (keys.size > 0 && !keys.has(current)) {
+    throw new Error(`Credential encryption key v${current} is not configured`);
+  }
+
+  keyring = { keys, current: keys.size > 0 ? current : null };
+  return keyring;
+}
+
+function isEncrypted(value) {
+  return typeof value === 'string' && value.startsWith(PREFIX);
+}
+
+function keyVersionOf(value) {
+  return isEncrypted(value) ? parseInt(value.slice(PREFIX.length), 10) : null;
+}
+
+/**
+ * Encrypt a credential with the current key. Already encrypted values are
+ * returned as is. Without a configured key values stay in plain text, which
+ * is only allowed outside production
+ */
+function encryptCredential(value) {
+  if (!value || isEncrypted(value)) return value;
+
+  const { keys, current } = getKeyring();
+  if (!current) {
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('CREDENTIAL_ENCRYPTION_KEY is required to store credentials in production');
+    }
+    if (!warnedMissingKey) {
+      warnedMissingKey = true;
+      console.warn('⚠️ CREDENTIAL_ENCRYPTION_KEY is not set - credentials are stored unencrypted');
+    }
+    return value;
+  }
+
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', keys.get(current), iv);
+  const ciphertext = Buffer.concat([cipher.update(String(value), 'utf8'), cipher.final()]);
+
+  return [
+    `${PREFIX}${current}`,
+    iv.toString('base64'),
+    cipher.getAuthTag().toString('base64'),
+    ciphertext.toString('base64')
+  ].join(':');
+}
+
+/**
+ * Decrypt a stored credential. Plain text values (stored before encryption
+ * was enabled) are returned as is
+ */
+function decryptCredential(value) {
+  if (!isEncrypted(value)) return value;
+
+  const [, , iv, tag, ciphertext] = value.split(':');
+  const version = keyVersionOf(value);
+  const key = getKeyring().keys.get(version);
+  if (!key) {
+    throw new Error(`Credential encryption key v${version} is not configured`);
+  }
+
+  try {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+    return Buffer.concat([
+      decipher.update(Buffer.from(ciphertext, 'base64')),
+      decipher.final()
+    ]).toString('utf8');
+  } catch {
+    throw new Error(`Stored credential could not be decrypted with key v${version}`);
+  }
+}
+
+/**
+ * Whether a stored value should be re-encrypted: plain text, or encrypted
+ * with another key than the current one
+ */
+function needsReencryption(value) {
+  const { current } = getKeyring();
+  return Boolean(value && current && keyVersionOf(value) !== current);
+}
+
+/**
+ * View of an account (document or plain object) whose secret fields read
+ * decrypted. Everything else, including save(), goes to the account itself,
+ * so values set through the view are encrypted again when saved
+ */
+function withDecryptedCredentials(account) {
+  if (!account || typeof account !== 'object' || account[DECRYPTED]) return account;
+
+  return new Proxy(account, {
+    get(target, property) {
+      if (property === DECRYPTED) return true;
+      const value = Reflect.get(target, property, target);
+      if (SECRET_FIELDS.includes(property)) return decryptCredential(value);
+      return typeof value === 'function' ? value.bind(target) : value;
+    },
+    set(target, property, value) {
+      return Reflect.set(target, property, value, target);
+    }
+  });
+}
+
+module.exports = {
+  SECRET_FIELDS,
+  isEncrypted,
+  keyVersionOf,
+  encryptCredential,
+  decryptCredential,
+  needsReencryption,
+  withDecryptedCredentials
+};
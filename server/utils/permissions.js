@@ -0,0 +1,47 @@
+/**
+ * Workspace roles and what they may do. Roles are ordered: each one can do
+ * everything the roles before it can.
+ *
+ *   viewer       sees accounts, posts, ideas and analytics
+ *   contributor  writes drafts, ideas and media, and submits posts for review
+ *   editor       schedules, publishes and reviews anyone's posts
+ *   admin        connects accounts and manages members
+ *   owner        renames the workspace and hands it over
+ */
+
+const ROLES = ['viewer', 'contributor', 'editor', 'admin', 'owner'];
+
+// Lowest role allowed to do each action
+const PERMISSIONS = {
+  'content:read': 'viewer',
+  'content:create': 'contributor',
+  'content:publish': 'editor',
+  'accounts:manage': 'admin',
+  'members:manage': 'admin',
+  'workspace:manage': 'owner'
+};
+
+function isRole(role) {
+  return ROLES.includes(role);
+}
+
+// Whether a role is the same as or above another
+function hasRole(role, minimum) {
+  return isRole(role) && ROLES.indexOf(role) >= ROLES.indexOf(minimum);
+}
+
+function can(role, permission) {
+  const minimum = PERMISSIONS[permission];
+  if (!minimum) {
+    throw new Error(`Unknown permission: ${permission}`);
+  }
+  return hasRole(role, minimum);
+}
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  isRole,
+  hasRole,
+  can
+};
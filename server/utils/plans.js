@@ -0,0 +1,83 @@
+/**
+ * Plans and their limits. null means unlimited (not for posts and ideas,
+ * whose limits are copied to the user's quota totals).
+ *
+ *   posts     published or scheduled posts per billing period
+ *   ideas     idea generations per billing period
+ *   storageMB media the user uploaded
+ *   accounts  social accounts in the workspaces the user owns
+ *   seats     people in the workspaces the user owns (owner included),
+ *             pending invitations count too
+ *
+ * Posts, ideas and storage count what the user does, on their own plan.
+ * Accounts and seats belong to workspaces and come from the owner's plan.
+ *
+ * `price` is the monthly price in USD shown in the app; what is charged is
+ * the billing provider's price for the plan (services/billing.service.js).
+ */
+
+const PLANS = {
+  free: {
+    label: 'Free',
+    price: 0,
+    limits: { posts: 10, ideas: 20, storageMB: 500, accounts: 3, seats: 3 }
+  },
+  pro: {
+    label: 'Pro',
+    price: 19,
+    limits: { posts: 100, ideas: 50, storageMB: 5 * 1024, accounts: 15, seats: 10 }
+  },
+  enterprise: {
+    label: 'Enterprise',
+    price: 99,
+    limits: { posts: 1000, ideas: 500, storageMB: 50 * 1024, accounts: 100, seats: null }
+  }
+};
+
+const PLAN_NAMES = Object.keys(PLANS);
+const DEFAULT_PLAN = 'free';
+
+function isPlan(name) {
+  return PLAN_NAMES.includes(name);
+}
+
+function getPlan(name) {
+  const plan = PLANS[isPlan(name) ? name : DEFAULT_PLAN];
+  return { name: isPlan(name) ? name : DEFAULT_PLAN, ...plan };
+}
+
+// The anchor moved by whole months, on the anchor's day of the month or the
+// last day of shorter months
+function addMonths(anchor, months) {
+  const year = anchor.getUTCFullYear();
+  const month = anchor.getUTCMonth() + months;
+  const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  return new Date(Date.UTC(
+    year,
+    month,
+    Math.min(anchor.getUTCDate(), lastDay),
+    anchor.getUTCHours(),
+    anchor.getUTCMinutes(),
+    anchor.getUTCSeconds(),
+    anchor.getUTCMilliseconds()
+  ));
+}
+
+// Monthly billing period around `date`, counted from the billing anchor
+function billingPeriod(anchor, date = new Date()) {
+  let months = (date.getUTCFullYear() - anchor.getUTCFullYear()) * 12
+    + date.getUTCMonth() - anchor.getUTCMonth();
+  if (addMonths(anchor, months) > date) {
+    months -= 1;
+  }
+  return { start: addMonths(anchor, months), end: addMonths(anchor, months + 1) };
+}
+
+module.exports = {
+  PLANS,
+  PLAN_NAMES,
+  DEFAULT_PLAN,
+  isPlan,
+  getPlan,
+  billingPeriod
+};
@@ -0,0 +1,89 @@
+/**
+ * Helpers for Twitter threads: splitting long text into tweet-sized segments.
+ */
+
+const TWEET_LIMIT = 280;
+const MAX_THREAD_SEGMENTS = 25;
+
+// Split text into sentences; blank lines also end a sentence
+function splitSentences(text) {
+  return text
+    .split(/(?<=[.!?…])\s+|\n\s*\n/)
+    .map(sentence => sentence.replace(/\s+/g, ' ').trim())
+    .filter(Boolean);
+}
+
+// Break a sentence that is longer than the budget at word boundaries
+function splitLongSentence(sentence, budget) {
+  if (sentence.length <= budget) return [sentence];
+
+  const pieces = [];
+  let current = '';
+  for (const word of sentence.split(' ')) {
+    // A single word longer than a tweet has to be cut
+    const chunks = word.length > budget ? word.match(new RegExp(`.{1,${budget}}`, 'g')) : [word];
+    for (const chunk of chunks) {
+      const candidate = current ? `${current} ${chunk}` : chunk;
+      if (candidate.length <= budget) {
+        current = candidate;
+      } else {
+        pieces.push(current);
+        current = chunk;
+      }
+    }
+  }
+  if (current) pieces.push(current);
+  return pieces;
+}
+
+// Greedily pack sentences into segments of at most `budget` characters
+function packSentences(sentences, budget) {
+  const segments = [];
+  let current = '';
+
+  for (const sentence of sentences) {
+    for (const piece of splitLongSentence(sentence, budget)) {
+      const candidate = current ? `${current} ${piece}` : piece;
+      if (candidate.length <= budget) {
+        current = candidate;
+      } else {
+        segments.push(current);
+        current = piece;
+      }
+    }
+  }
+  if (current) segments.push(current);
+  return segments;
+}
+
+/**
+ * Split content into tweet-sized segments at sentence boundaries.
+ * With `numbered`, every segment ends with a "1/n" counter. Content that
+ * already fits in one tweet is returned unchanged as a single segment.
+ */
+function splitIntoThread(content, { limit = TWEET_LIMIT, numbered = true } = {}) {
+  const text = (content || '').trim();
+  if (text.length <= limit) return [text];
+
+  const sentences = splitSentences(text);
+  if (!numbered) return packSentences(sentences, limit);
+
+  // The space reserved for " i/n" depends on n, so pack again until the
+  // reserved counter is wide enough for the resulting number of segments
+  let expected = Math.ceil(text.length / limit);
+  let segments = [];
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const counterLength = ` ${expected}/${expected}`.length;
+    segments = packSentences(sentences, limit - counterLength);
+    if (String(segments.length).length <= String(expected).length) break;
+    expected = segments.length;
+  }
+
+  return segments.map((segment, index) => `${segment} ${index + 1}/${segments.length}`);
+}
+
+module.exports = {
+  TWEET_LIMIT,
+  MAX_THREAD_SEGMENTS,
+  splitIntoThread
+};
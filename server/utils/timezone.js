@@ -0,0 +1,184 @@
+/**
+ * IANA time zone helpers built on Intl, so no timezone database dependency is
+ * needed. Dates are always stored in UTC; these helpers convert between UTC
+ * instants and wall-clock times in a given zone.
+ */
+
+const formatterCache = new Map();
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function getFormatter(timeZone) {
+  if (!formatterCache.has(timeZone)) {
+    formatterCache.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      weekday: 'short'
+    }));
+  }
+  return formatterCache.get(timeZone);
+}
+
+// Check whether a string is a time zone Intl knows about
+function isValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Wall-clock parts of an instant in the given zone (month is 1-12)
+function getZonedParts(date, timeZone = 'UTC') {
+  const parts = {};
+  for (const { type, value } of getFormatter(timeZone).formatToParts(new Date(date))) {
+    parts[type] = value;
+  }
+
+  return {
+    year: parseInt(parts.year),
+    month: parseInt(parts.month),
+    day: parseInt(parts.day),
+    hour: parseInt(parts.hour),
+    minute: parseInt(parts.minute),
+    second: parseInt(parts.second),
+    weekday: WEEKDAYS[parts.weekday]
+  };
+}
+
+// Offset of the zone from UTC at the given instant, in minutes
+function getTimeZoneOffset(date, timeZone = 'UTC') {
+  const instant = new Date(date);
+  const parts = getZonedParts(instant, timeZone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return Math.round((asUtc - Math.floor(instant.getTime() / 1000) * 1000) / 60000);
+}
+
+// Convert a wall-clock time in the zone to a UTC Date.
+//
+// Around DST changes a wall-clock time can be ambiguous or not exist at all:
+// - overlap (clocks go back): the earlier of the two instants is used
+// - gap (clocks go forward): the time is shifted forward by the gap length,
+//   so 02:30 on a spring-forward night becomes 03:30
+function zonedTimeToUtc({ year, month, day, hour = 0, minute = 0, second = 0 }, timeZone = 'UTC') {
+  const local = Date.UTC(year, month - 1, day, hour, minute, second);
+  const offsetBefore = getTimeZoneOffset(local - DAY_MS, timeZone);
+  const offsetAfter = getTimeZoneOffset(local + DAY_MS, timeZone);
+
+  const matches = [offsetBefore, offsetAfter]
+    .map(offset => local - offset * 60000)
+    .filter(instant => instant + getTimeZoneOffset(instant, timeZone) * 60000 === local);
+
+  if (matches.length > 0) {
+    return new Date(Math.min(...matches));
+  }
+
+  // Gap: interpret the time with the offset in effect before the change
+  return new Date(local - offsetBefore * 60000);
+}
+
+// Wall-clock time of an instant in the zone as "YYYY-MM-DDTHH:mm"
+function formatWallClock(date, timeZone = 'UTC') {
+  const { year, month, day, hour, minute } = getZonedParts(date, timeZone);
+  const pad = value => String(value).padStart(2, '0');
+  return `${year}-${pad(month)}-${pad(day)}T${pad(hour)}:${pad(minute)}`;
+}
+
+// Parse a wall-clock "YYYY-MM-DDTHH:mm[:ss]" string without an offset
+function parseWallClock(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2}))?$/.exec(value || '');
+  if (!match) return null;
+
+  const [, year, month, day, hour, minute, second = '0'] = match;
+  const parts = {
+    year: parseInt(year),
+    month: parseInt(month),
+    day: parseInt(day),
+    hour: parseInt(hour),
+    minute: parseInt(minute),
+    second: parseInt(second)
+  };
+
+  // Reject dates like 2024-02-30 that Date.UTC would silently roll over
+  const check = new Date(Date.UTC(parts.year, parts.month - 1, parts.day));
+  if (check.getUTCMonth() !== parts.month - 1 || check.getUTCDate() !== parts.day ||
+      parts.hour > 23 || parts.minute > 59 || parts.second > 59) {
+    return null;
+  }
+  return parts;
+}
+
+/**
+ * Resolve a schedule request into a UTC instant plus the zone it was picked in.
+ *
+ * Accepts either a wall-clock `localDateTime` or an absolute `scheduledDate`.
+ * A `scheduledDate` without an offset ("2024-03-10T09:00") is also treated as
+ * wall-clock time in the zone instead of the server's local time.
+ * Throws with a user-facing message on invalid input.
+ */
+function resolveSchedule({ scheduledDate, localDateTime, timezone }, fallbackTimeZone = 'UTC') {
+  const timeZone = timezone || fallbackTimeZone || 'UTC';
+  if (!isValidTimeZone(timeZone)) {
+    throw new Error(`Unknown time zone: ${timeZone}`);
+  }
+
+  const wallClock = localDateTime || (typeof scheduledDate === 'string' && parseWallClock(scheduledDate) ? scheduledDate : null);
+  let date;
+  if (wallClock) {
+    const parts = parseWallClock(wallClock);
+    if (!parts) {
+      throw new Error('Invalid local date/time (expected YYYY-MM-DDTHH:mm)');
+    }
+    date = zonedTimeToUtc(parts, timeZone);
+  } else {
+    date = new Date(scheduledDate);
+    if (isNaN(date.getTime())) {
+      throw new Error('Invalid scheduled date');
+    }
+  }
+
+  return {
+    scheduledDate: date,
+    timezone: timeZone,
+    localScheduledTime: formatWallClock(date, timeZone)
+  };
+}
+
+// Calendar date `days` after the given zoned date (handles month/year rollover)
+function addCalendarDays({ year, month, day }, days) {
+  const date = new Date(Date.UTC(year, month - 1, day + days));
+  return {
+    year: date.getUTCFullYear(),
+    month: date.getUTCMonth() + 1,
+    day: date.getUTCDate(),
+    weekday: date.getUTCDay()
+  };
+}
+
+// Parse "HH:mm" into hours and minutes
+function parseTimeOfDay(value) {
+  const match = /^([01]?\d|2[0-3]):([0-5]\d)$/.exec(value || '');
+  if (!match) return null;
+  return { hour: parseInt(match[1]), minute: parseInt(match[2]) };
+}
+
+module.exports = {
+  isValidTimeZone,
+  getZonedParts,
+  getTimeZoneOffset,
+  zonedTimeToUtc,
+  formatWallClock,
+  parseWallClock,
+  resolveSchedule,
+  addCalendarDays,
+  parseTimeOfDay
+};